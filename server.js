@@ -3,25 +3,38 @@ require('dotenv').config();
 
 const express = require('express');
 const cors = require('cors');
-const axios = require('axios');
 const bodyParser = require('body-parser');
 const multer = require('multer');
-const FormData = require('form-data');
 const fs = require('fs');
 const path = require('path');
 
 // Import utilities
 const config = require('./utils/config');
 const logger = require('./utils/logger');
-const { handleApiError } = require('./utils/error-handler');
+const { handleApiError, createHttpError } = require('./utils/error-handler');
 const { requireAuth } = require('./utils/auth-middleware');
 
 // Import services
 const runwayService = require('./services/runway-service');
-const urlShortenerService = require('./services/url-shortener-service');
+const videoProviderService = require('./services/video-provider-service');
+const videoModelService = require('./services/video-model-service');
+const videoStorageService = require('./services/video-storage-service');
+const mockProvider = require('./services/providers/mock-provider');
 const vehicleService = require('./services/vehicle-service');
 const taskService = require('./services/task-service');
 const n8nService = require('./services/n8n-service');
+const videoGenerationService = require('./services/video-generation-service');
+const webhookService = require('./services/webhook-service');
+const batchService = require('./services/batch-service');
+const imageSelectionService = require('./services/image-selection-service');
+const storyboardService = require('./services/storyboard-service');
+const promptTemplateService = require('./services/prompt-template-service');
+const promptPresetService = require('./services/prompt-preset-service');
+const urlShortenerService = require('./services/url-shortener-service');
+const linkAnalyticsService = require('./services/link-analytics-service');
+const videoLibraryService = require('./services/video-library-service');
+const usageService = require('./services/usage-service');
+const httpClientService = require('./services/http-client-service');
 
 const app = express();
 const PORT = config.port;
@@ -58,6 +71,120 @@ app.use(cors());
 app.use(bodyParser.json());
 app.use(bodyParser.urlencoded({ extended: true }));
 
+/**
+ * Gets the public base URL of this server, used for the archived video and short link URLs written to vehicles
+ * Only development falls back to the request's host: the Host header is set by the client, and behind
+ * Render's proxy the request arrives over http://
+ * @param {object} req - Express request
+ * @returns {string} Base URL without a trailing slash
+ * @throws {Error} HTTP 500 error in production when PUBLIC_BASE_URL is not set
+ */
+function getPublicBaseUrl(req) {
+  if (config.publicBaseUrl) {
+    return config.publicBaseUrl.replace(/\/+$/, '');
+  }
+  if (process.env.NODE_ENV === 'production') {
+    throw createHttpError(500, 'PUBLIC_BASE_URL is not configured');
+  }
+  return `${req.protocol}://${req.get('host')}`;
+}
+
+/**
+ * Streams an object from video storage, answering range requests so players can seek
+ * @param {object} req - Express request
+ * @param {object} res - Express response
+ * @param {string} key - Storage key
+ * @param {string} contentType - MIME type of the object
+ * @returns {Promise<void>}
+ */
+async function sendStoredObject(req, res, key, contentType) {
+  const storage = videoStorageService.getStorage();
+  const stored = await storage.stat(key);
+  
+  if (!stored) {
+    return res.status(404).json({ error: 'Video not found' });
+  }
+  
+  res.set({
+    'Content-Type': contentType,
+    'Accept-Ranges': 'bytes',
+    'Last-Modified': stored.modifiedAt.toUTCString(),
+    'Cache-Control': 'public, max-age=86400'
+  });
+  
+  // Only the first range is served, players never ask for more than one
+  const ranges = req.headers.range ? req.range(stored.size, { combine: true }) : undefined;
+  if (ranges === -1) {
+    res.set('Content-Range', `bytes */${stored.size}`);
+    return res.status(416).end();
+  }
+  
+  let range;
+  if (Array.isArray(ranges) && ranges.type === 'bytes') {
+    range = ranges[0];
+    res.status(206).set('Content-Range', `bytes ${range.start}-${range.end}/${stored.size}`);
+  }
+  res.set('Content-Length', String(range ? range.end - range.start + 1 : stored.size));
+  
+  if (req.method === 'HEAD') {
+    return res.end();
+  }
+  
+  storage.createReadStream(key, range)
+    .on('error', err => {
+      logger.error('VideoStorage', `Failed to stream ${key}: ${err.message}`);
+      res.destroy(err);
+    })
+    .pipe(res);
+}
+
+// Archived videos (generated and stitched)
+app.get('/videos/:taskId.mp4', async (req, res) => {
+  try {
+    const { taskId } = req.params;
+    if (!/^[\w-]+$/.test(taskId)) {
+      return res.status(404).json({ error: 'Video not found' });
+    }
+    await sendStoredObject(req, res, videoStorageService.getVideoKey(taskId), 'video/mp4');
+  } catch (error) {
+    return handleApiError(error, res, 'Serve video');
+  }
+});
+
+// Poster frame and thumbnails extracted from an archived video
+app.get('/videos/:taskId/:frame.jpg', async (req, res) => {
+  try {
+    const { taskId, frame } = req.params;
+    if (!/^[\w-]+$/.test(taskId) || !/^(poster|thumbnail-\d+)$/.test(frame)) {
+      return res.status(404).json({ error: 'Video not found' });
+    }
+    await sendStoredObject(req, res, videoStorageService.getFrameKey(taskId, frame), 'image/jpeg');
+  } catch (error) {
+    return handleApiError(error, res, 'Serve video frame');
+  }
+});
+
+// Short links created by the local URL shortener
+app.get('/v/:code', (req, res) => {
+  const link = urlShortenerService.resolveCode(req.params.code);
+  if (!link) {
+    return res.status(404).json({ error: 'Short link not found' });
+  }
+  
+  // A click that cannot be recorded still gets its video
+  try {
+    linkAnalyticsService.recordClick(link.code, req.headers);
+  } catch (error) {
+    logger.warn('LinkAnalytics', `Could not record click: ${error.message}`, { code: link.code });
+  }
+  res.redirect(302, link.url);
+});
+
+// Placeholder MP4 returned by the offline mock video provider
+app.get('/mock-provider/videos/:file', (req, res) => {
+  res.type('video/mp4').send(mockProvider.buildPlaceholderVideo());
+});
+
 // Optimized request logging middleware
 app.use((req, res, next) => {
   const timestamp = new Date().toISOString();
@@ -89,6 +216,7 @@ app.use((req, res, next) => {
       if (req.body.style) relevantBody.style = req.body.style;
       if (req.body.duration) relevantBody.duration = req.body.duration;
       if (req.body.ratio) relevantBody.ratio = req.body.ratio;
+      if (req.body.callbackUrl) relevantBody.callbackUrl = req.body.callbackUrl;
     } else if (endpoint === 'update-field') {
       // For field updates, log which field is being updated
       if (req.body.field) relevantBody.field = req.body.field;
@@ -171,7 +299,7 @@ app.post('/auth/token', async (req, res) => {
   try {
     logger.info('Auth', 'Processing authentication request');
     
-    const response = await axios({
+    const response = await httpClientService.request('auth', {
       method: 'post',
       url: config.authApiUrl,
       headers: {
@@ -311,33 +439,18 @@ app.post('/vehicle/:vehicleId/images/gallery/upload', upload.single('file'), asy
       mimeType: req.file.mimetype
     }, null, 2));
     
-    // Create form data for the file upload
-    const formData = new FormData();
-    formData.append('file', fs.createReadStream(filePath), {
-      filename: fileName,
+    const uploaded = await vehicleService.uploadGalleryImage({
+      vehicleId,
+      authToken: authHeader,
+      country,
+      file: fs.createReadStream(filePath),
+      fileName,
       contentType: req.file.mimetype
     });
     
-    // Use formData's getHeaders() to get proper headers including boundary
-    const formHeaders = formData.getHeaders();
-    
-    const response = await axios({
-      method: 'post',
-      url: `https://carspark-api.dealerk.com/${country}/vehicle/${vehicleId}/images/gallery/upload`,
-      headers: {
-        ...formHeaders,
-        'Authorization': authHeader,
-        'Accept': '*/*'
-      },
-      data: formData,
-      maxBodyLength: Infinity,
-      maxContentLength: Infinity
-    });
-    
     console.log('\n----- API RESPONSE: Image upload -----');
     console.log(JSON.stringify({
-      status: response.status,
-      response: typeof response.data === 'object' ? response.data : 'Raw response'
+      response: typeof uploaded === 'object' ? uploaded : 'Raw response'
     }, null, 2));
     
     // Clean up - remove the temporary file
@@ -345,15 +458,8 @@ app.post('/vehicle/:vehicleId/images/gallery/upload', upload.single('file'), asy
       if (err) console.error(`\n----- FILE ERROR: Failed to delete temporary file: ${filePath} -----`);
     });
     
-    res.json(response.data);
+    res.json(uploaded);
   } catch (error) {
-    console.error('\n----- API ERROR: Image upload -----');
-    console.error(`Status: ${error.response?.status || 'Unknown'}`);
-    console.error(`Message: ${error.message}`);
-    if (error.response?.data) {
-      console.error('Response data:', JSON.stringify(error.response.data, null, 2));
-    }
-    
     // Clean up temp file even if upload fails
     if (req.file && req.file.path) {
       fs.unlink(req.file.path, (err) => {
@@ -361,7 +467,7 @@ app.post('/vehicle/:vehicleId/images/gallery/upload', upload.single('file'), asy
       });
     }
     
-    res.status(error.response?.status || 500).json(error.response?.data || { error: 'Internal server error' });
+    return handleApiError(error, res, 'Image upload');
   }
 });
 
@@ -378,9 +484,9 @@ app.delete('/vehicle/:vehicleId/images/gallery/:imageId', async (req, res) => {
     }
 
     console.log(`\n----- API REQUEST: Image delete (vehicleId=${vehicleId}, imageId=${imageId}, country=${country}) -----`);
-    const response = await axios({
+    const response = await httpClientService.request('carspark', {
       method: 'delete',
-      url: `https://carspark-api.dealerk.com/${country}/vehicle/${vehicleId}/images/gallery/${imageId}`,
+      url: `${config.apiBaseUrl}/${country}/vehicle/${vehicleId}/images/gallery/${imageId}`,
       headers: {
         'Authorization': authHeader,
         'Accept': '*/*'
@@ -395,13 +501,7 @@ app.delete('/vehicle/:vehicleId/images/gallery/:imageId', async (req, res) => {
     
     res.status(response.status).send(response.data);
   } catch (error) {
-    console.error('\n----- API ERROR: Image delete -----');
-    console.error(`Status: ${error.response?.status || 'Unknown'}`);
-    console.error(`Message: ${error.message}`);
-    if (error.response?.data) {
-      console.error('Response data:', JSON.stringify(error.response.data, null, 2));
-    }
-    res.status(error.response?.status || 500).json(error.response?.data || { error: 'Internal server error' });
+    return handleApiError(error, res, 'Image delete');
   }
 });
 
@@ -413,7 +513,8 @@ app.post('/vehicle/:vehicleId/generate-video', async (req, res) => {
     const { vehicleId } = req.params;
     const authHeader = req.headers.authorization;
     const country = req.query.country || 'it'; // Default to Italy if not specified
-    const { prompt, style, duration, ratio } = req.body; // Optional parameters for video generation
+    const { prompt, templateId, presetId, model, style, duration, ratio, callbackUrl, priority, dealerId, shortLinkAlias } = req.body; // Optional parameters for video generation
+    const { imageIds, firstImageId, lastImageId, imageStrategy, storyboard } = req.body; // Optional keyframe selection
     
     // Simple request logging for debugging
     console.log('\n----- GENERATE VIDEO REQUEST DETAILS -----');
@@ -428,9 +529,63 @@ app.post('/vehicle/:vehicleId/generate-video', async (req, res) => {
       return res.status(401).json({ error: 'Authorization header required' });
     }
     
-    if (!process.env.RUNWAY_API_KEY) {
-      logger.error('Runway', 'API key not configured');
-      return res.status(500).json({ error: 'Runway API key not configured' });
+    if (callbackUrl !== undefined && !webhookService.isValidCallbackUrl(callbackUrl)) {
+      logger.warn('VideoGeneration', 'Invalid callbackUrl', { callbackUrl });
+      return res.status(400).json({ error: 'callbackUrl must be an absolute http(s) URL of an allowed, public host' });
+    }
+    
+    if (priority !== undefined && !Number.isInteger(priority)) {
+      return res.status(400).json({ error: 'priority must be an integer' });
+    }
+    
+    if (shortLinkAlias !== undefined) {
+      const aliasError = urlShortenerService.validateAlias(shortLinkAlias);
+      if (aliasError) {
+        return res.status(aliasError.startsWith('Alias already') ? 409 : 400).json({ error: aliasError });
+      }
+    }
+    
+    if (templateId !== undefined && !promptTemplateService.getTemplate(templateId)) {
+      return res.status(400).json({ error: `Unknown prompt template: ${templateId}` });
+    }
+    
+    if (presetId !== undefined && !promptPresetService.getPreset(presetId)) {
+      return res.status(400).json({ error: `Unknown prompt preset: ${presetId}` });
+    }
+    
+    if (imageIds !== undefined && (!Array.isArray(imageIds) || imageIds.length === 0 || imageIds.length > 2)) {
+      return res.status(400).json({ error: 'imageIds must be an array of one or two image IDs (first and last keyframe)' });
+    }
+    
+    if (imageIds !== undefined && (firstImageId !== undefined || lastImageId !== undefined)) {
+      return res.status(400).json({ error: 'Use either imageIds or firstImageId/lastImageId, not both' });
+    }
+    
+    if (imageStrategy !== undefined && !imageSelectionService.STRATEGIES.includes(imageStrategy)) {
+      return res.status(400).json({
+        error: `imageStrategy must be one of: ${imageSelectionService.STRATEGIES.join(', ')}`
+      });
+    }
+    
+    if (storyboard !== undefined) {
+      if (imageIds !== undefined || firstImageId !== undefined || lastImageId !== undefined) {
+        return res.status(400).json({ error: 'With a storyboard, choose images per shot instead of imageIds/firstImageId/lastImageId' });
+      }
+      const storyboardError = storyboardService.validateStoryboard(storyboard);
+      if (storyboardError) {
+        return res.status(400).json({ error: storyboardError });
+      }
+    }
+    
+    // Throws a 400 listing the allowed values; preset settings count as if they were in the request
+    videoModelService.checkModelOptions(promptPresetService.applyPreset({
+      presetId, model, duration, ratio, imageIds, firstImageId, lastImageId, storyboard
+    }));
+    
+    const providerError = videoProviderService.getProvider().getConfigurationError();
+    if (providerError) {
+      logger.error('VideoProvider', providerError);
+      return res.status(500).json({ error: providerError });
     }
     
     logger.info('VideoGeneration', `Starting for vehicle ${vehicleId}`, {
@@ -440,355 +595,33 @@ app.post('/vehicle/:vehicleId/generate-video', async (req, res) => {
       ratio: ratio
     });
     
-    // Step 1: Get vehicle details using the vehicle service
-    logger.info('VideoGeneration', 'Fetching vehicle details', { vehicleId, country });
-    const vehicleData = await vehicleService.getVehicleDetails({
+    // Fetch the vehicle and its gallery, then start the pipeline in the background.
+    // Repeated requests (same Idempotency-Key, or identical options while running) get the existing task.
+    const { taskId, reused, ignored } = await videoGenerationService.requestVideoGeneration({
       vehicleId,
+      options: { prompt, templateId, presetId, model, style, duration, ratio, imageIds, firstImageId, lastImageId, imageStrategy, storyboard },
       authToken: authHeader,
       country,
-      logPrefix: 'Generate'
-    });
-    
-    logger.info('VideoGeneration', `Vehicle identified: ${vehicleData.brand} ${vehicleData.model}`, {
-      brand: vehicleData.brand,
-      model: vehicleData.model,
-      year: vehicleData.year,
-      color: vehicleData.exteriorColorName
+      apiBaseUrl: getPublicBaseUrl(req),
+      callbackUrl,
+      priority,
+      dealerId,
+      shortLinkAlias,
+      idempotencyKey: req.get('Idempotency-Key')
     });
     
-    // Step 2: Get vehicle images using the vehicle service
-    logger.info('VideoGeneration', 'Fetching vehicle gallery images', { vehicleId });
-    const images = await vehicleService.getVehicleImages({
-      vehicleId,
-      authToken: authHeader,
-      country,
-      logPrefix: 'Generate'
-    });
-    
-    if (!images || !Array.isArray(images) || images.length === 0) {
-      logger.error('VideoGeneration', 'No images available for this vehicle', { vehicleId });
-      return res.status(400).json({ error: 'No images available for this vehicle' });
+    if (reused) {
+      return res.json({
+        taskId,
+        vehicleId,
+        status: taskService.getTask(taskId).status,
+        reused: true,
+        // The existing task keeps its own callbackUrl, priority, dealerId and shortLinkAlias
+        ignored: ignored?.length ? ignored : undefined,
+        message: 'An identical video generation request already exists. Use the /vehicle/video/:taskId endpoint to check status.'
+      });
     }
     
-    logger.info('VideoGeneration', `Found ${images.length} images`, {
-      vehicleId,
-      imageCount: images.length
-    });
-    
-    // Create a new task in the task service with video options
-    const taskId = taskService.createVideoTask(vehicleId, vehicleData, {
-      duration, 
-      ratio, 
-      style
-    });
-    
-    // Capture what we need from the request before starting the background task
-    const requestAuth = authHeader;
-    const requestCountry = country;
-    const requestProtocol = req.protocol;
-    const requestHost = req.get('host');
-    // Create a local copy of vehicleId for this task to avoid closure issues
-    const taskVehicleId = vehicleId;
-    
-    // Start the video generation process in the background
-    (async () => {
-      try {
-        // Step 4: Use the first image for video generation
-        const selectedImage = images[0];
-        logger.runway('Setup', `Selected primary image`, {
-          imageUrl: selectedImage.url.substring(0, 60) + '...',
-          totalImages: images.length
-        }, taskId);
-        
-        // Update task status data
-        taskService.updateTask(taskId, { imageUrl: selectedImage.url });
-        
-        // Step 5: Prepare data for Runway API
-        // Build a prompt based on vehicle details if none provided
-        const defaultPrompt = `A professional, high-quality video showcasing a ${vehicleData.year} ${vehicleData.brand} ${vehicleData.model} in ${vehicleData.exteriorColorName || 'its color'}. Show the car from different angles, highlighting its features.`;
-        const videoPrompt = prompt || defaultPrompt;
-        
-        logger.runway('Setup', `Preparing video generation request`, {
-          prompt: videoPrompt.substring(0, 100) + (videoPrompt.length > 100 ? '...' : ''),
-          style: style || 'cinematic',
-          duration: duration,
-          ratio: ratio
-        }, taskId);
-        
-        // Check if Runway service is available
-        if (!runwayService.isSDKAvailable()) {
-          logger.error('Runway', 'SDK not available', null, taskId);
-          throw new Error('Runway SDK is not available. Make sure the API key is set and the SDK is properly installed.');
-        }
-        
-        try {
-          // Use the direct image URL
-          const imageUrl = selectedImage.url;
-          
-          // Prepare request payload with new parameters
-          const payload = {
-            promptText: videoPrompt,
-            promptImage: images.length > 1 ? images.slice(0, 2).map(img => img.url) : imageUrl,
-            model: 'gen3a_turbo',
-            duration: duration !== undefined ? duration : 5, // Use provided duration or default to 5 seconds
-            ratio: ratio, // Add ratio parameter if provided
-            parameters: {
-              style: style || 'cinematic'
-            },
-            taskId: taskId // Include our task ID for logging purposes in the service
-          };
-          
-          // Log payload before cleaning undefined properties
-          console.log('\n----- VIDEO GENERATION PAYLOAD (BEFORE CLEANUP) -----');
-          console.log('duration:', payload.duration, '(type:', typeof payload.duration, ')');
-          console.log('Input duration from request:', duration, '(type:', typeof duration, ')');
-          console.log('ratio:', payload.ratio);
-          console.log('style:', payload.parameters.style);
-          console.log('----------------------------------------------------');
-          
-          // Remove undefined properties
-          Object.keys(payload).forEach(key => {
-            if (payload[key] === undefined) {
-              delete payload[key];
-            }
-          });
-          
-          // Make the API call via the service
-          const taskResponse = await runwayService.createImageToVideoTask(payload);
-          
-          // Extract task ID from response
-          const runwayTaskId = taskResponse.taskId || taskResponse.id;
-          
-          // Store the runway task ID immediately in our task object
-          taskService.updateTask(taskId, { 
-            runwayTaskId,
-            status: 'processing_runway'
-          });
-          
-          // Poll for task completion
-          let taskCompleted = false;
-          let maxAttempts = 60; // 60 attempts (10 minutes at 10 second intervals)
-          let attempts = 0;
-          
-          logger.runway('Polling', `Will poll Runway task ${runwayTaskId} every 10s`, {
-            maxAttempts: maxAttempts,
-            interval: '10 seconds'
-          }, taskId);
-          
-          const startTime = new Date();
-          
-          while (!taskCompleted && attempts < maxAttempts) {
-            // Wrap in try/catch to handle potential errors during status check
-            try {
-              // Only log detailed polling info every 3rd attempt to reduce noise
-              if (attempts % 3 === 0) {
-                logger.runway('Polling', `Attempt ${attempts + 1}/${maxAttempts}`, {
-                  elapsedSeconds: Math.round((new Date() - startTime)/1000)
-                }, taskId);
-              }
-              
-              // Get task status via service
-              const taskStatus = await runwayService.getTaskStatus(runwayTaskId, taskId);
-              
-              // Case-insensitive status comparison for better reliability
-              const status = taskStatus && taskStatus.status ? taskStatus.status.toUpperCase() : 'UNKNOWN';
-              attempts++;
-              
-              // Update our task object with the current status
-              taskService.updateTask(taskId, {
-                runwayStatus: status,
-                lastChecked: new Date().toISOString()
-              });
-              
-              if (status === 'SUCCEEDED' || status === 'SUCCESS' || status === 'COMPLETED') {
-                taskCompleted = true;
-                const totalSeconds = Math.round((new Date() - startTime)/1000);
-                
-                logger.runway('Complete', `Task completed successfully after ${totalSeconds}s`, {
-                  attempts: attempts,
-                  outputType: typeof taskStatus.output
-                }, taskId);
-                
-                // Handle different output formats
-                let videoUrl;
-                let outputFormat = 'unknown';
-                
-                if (Array.isArray(taskStatus.output) && taskStatus.output.length > 0) {
-                  videoUrl = taskStatus.output[0];
-                  outputFormat = 'array[0]';
-                } else if (taskStatus.output?.urls?.mp4) {
-                  videoUrl = taskStatus.output.urls.mp4;
-                  outputFormat = 'urls.mp4';
-                } else if (taskStatus.output?.mp4) {
-                  videoUrl = taskStatus.output.mp4;
-                  outputFormat = 'mp4';
-                } else if (taskStatus.output?.video) {
-                  videoUrl = taskStatus.output.video;
-                  outputFormat = 'video';
-                } else if (taskStatus.output?.url) {
-                  videoUrl = taskStatus.output.url;
-                  outputFormat = 'url';
-                } else if (typeof taskStatus.output === 'string') {
-                  videoUrl = taskStatus.output;
-                  outputFormat = 'string';
-                } else {
-                  logger.error('Runway', 'Cannot extract URL from output', {
-                    output: JSON.stringify(taskStatus.output).substring(0, 200)
-                  }, taskId);
-                  throw new Error('Video URL not found in completed task');
-                }
-                
-                logger.runway('Complete', `Video URL retrieved (format: ${outputFormat})`, {
-                  urlPreview: videoUrl.substring(0, 60) + '...'
-                }, taskId);
-                
-                // Declare videoUrl in wider scope so it's available later
-                if (!videoUrl) {
-                  throw new Error('Video URL not found in completed task');
-                }
-                
-                // Store videoUrl in task data so it's accessible outside this block
-                taskService.updateTask(taskId, { 
-                  tempVideoUrl: videoUrl 
-                });
-                
-              } else if (status === 'FAILED' || status === 'ERROR') {
-                logger.error('Runway', `Task failed: ${taskStatus.error || 'Unknown error'}`, {
-                  errorDetails: taskStatus.error_details ? JSON.stringify(taskStatus.error_details).substring(0, 200) : 'None provided'
-                }, taskId);
-                throw new Error(`Task failed: ${taskStatus.error || 'Unknown error'}`);
-              } else {
-                // Task is still processing - we'll log less frequently
-                await new Promise(resolve => setTimeout(resolve, 10000));
-              }
-            } catch (pollError) {
-              logger.warn('Runway', `Error during status polling: ${pollError.message}`, null, taskId);
-              
-              // Continue polling despite error
-              logger.runway('Polling', `Will retry in 10 seconds`, { 
-                attempt: attempts + 1,
-                maxAttempts: maxAttempts
-              }, taskId);
-              await new Promise(resolve => setTimeout(resolve, 10000));
-              attempts++;
-            }
-          }
-          
-          if (!taskCompleted) {
-            const totalSeconds = Math.round((new Date() - startTime)/1000);
-            logger.error('Runway', `Task timed out after ${totalSeconds}s`, { attempts }, taskId);
-            throw new Error(`Task timed out after ${attempts} polling attempts (${totalSeconds}s)`);
-          }
-          
-          // Get the video URL from the task data and shorten it
-          const videoTask = taskService.getTask(taskId);
-          if (!videoTask || !videoTask.tempVideoUrl) {
-            throw new Error('Video URL not available in task data');
-          }
-          
-          // Shorten the video URL using the URL shortener service 
-          logger.info('URLShortener', `Shortening video URL`, null, taskId);
-          const shortUrl = await urlShortenerService.shortenUrl(videoTask.tempVideoUrl, { logPrefix: 'URLShortener', taskId });
-          
-          // Update task with video URL and completion status
-          const completionTime = new Date();
-          const completedAt = completionTime.toISOString();
-          
-          // Get the task data to calculate processing time
-          const taskData = taskService.getTask(taskId);
-          const startTimeStr = taskData.createdAt;
-          const taskStartTime = new Date(startTimeStr);
-          
-          // Update task with completed info
-          taskService.updateTask(taskId, {
-            status: 'completed',
-            videoUrl: shortUrl,
-            originalVideoUrl: videoTask.tempVideoUrl,
-            completedAt
-          });
-          const totalProcessingSeconds = Math.round((completionTime - taskStartTime)/1000);
-          
-          logger.info('VideoGeneration', `Completed successfully (${totalProcessingSeconds}s)`, {
-            vehicleId: taskVehicleId,
-            videoUrl: shortUrl,
-            processingTime: `${totalProcessingSeconds}s`
-          }, taskId);
-          
-          // Automatically update the vehicle videoUrl field with the shortened URL
-          try {
-            logger.info('VehicleUpdate', `Updating vehicle with video URL`, {
-              vehicleId: taskVehicleId,
-              field: 'videoUrl'
-            }, taskId);
-            
-            // Use the vehicle service to update the field
-            await vehicleService.updateVehicleField({
-              vehicleId: taskVehicleId,
-              field: 'videoUrl',
-              value: shortUrl,
-              authToken: requestAuth, 
-              apiBaseUrl: `${requestProtocol}://${requestHost}`,
-              country: requestCountry,
-              logPrefix: 'VehicleUpdate'
-            });
-            
-            // Update the task data to indicate vehicle was updated
-            taskService.updateTask(taskId, {
-              vehicleUpdated: true,
-              updateTime: new Date().toISOString()
-            });
-            
-            logger.info('VehicleUpdate', 'Successfully updated vehicle with new video URL', {
-              vehicleId: taskVehicleId
-            }, taskId);
-          } catch (updateError) {
-            logger.error('VehicleUpdate', `Failed to update vehicle videoUrl: ${updateError.message}`, {
-              vehicleId: taskVehicleId
-            }, taskId);
-            // The video is still generated successfully even if update fails
-          }
-          
-        } catch (error) {
-          logger.error('Runway', `API error: ${error.message}`, {
-            errorType: error.name,
-            stack: error.stack?.substring(0, 200)
-          }, taskId);
-          
-          // Additional detailed error logging
-          if (error.response) {
-            // The request was made and the server responded with an error status
-            logger.error('Runway', `API response error`, {
-              status: error.response.status,
-              headers: JSON.stringify(error.response.headers).substring(0, 200),
-              data: JSON.stringify(error.response.data).substring(0, 200)
-            }, taskId);
-          }
-          
-          // Re-throw the error to be caught by the outer try/catch
-          throw error;
-        }
-      } catch (error) {
-        logger.error('VideoGeneration', `Process failed: ${error.message}`, null, taskId);
-        
-        // Get the task data for logging
-        const task = taskService.getTask(taskId);
-        const startTimeStr = task?.createdAt;
-        
-        // Update task with failure info
-        taskService.updateTask(taskId, {
-          status: 'failed',
-          error: error.message
-        });
-        
-        if (startTimeStr) {
-          const failedDurationSecs = Math.round((new Date() - new Date(startTimeStr))/1000);
-          logger.info('VideoGeneration', `Process terminated with error after ${failedDurationSecs}s`, {
-            vehicleId: taskVehicleId
-          }, taskId);
-        }
-      }
-    })();
-    
     // Return immediately with the task ID for the client to poll
     res.json({
       taskId,
@@ -798,11 +631,11 @@ app.post('/vehicle/:vehicleId/generate-video', async (req, res) => {
     });
   } catch (error) {
     logger.error('VideoGeneration', `Request handler error: ${error.message}`, {
-      status: error.response?.status || 'Unknown',
+      status: error.response?.status || error.status || 'Unknown',
       vehicleId: req.params.vehicleId,
       responseData: error.response?.data ? JSON.stringify(error.response.data).substring(0, 200) : 'N/A'
     });
-    res.status(error.response?.status || 500).json(error.response?.data || { error: 'Internal server error' });
+    return handleApiError(error, res, 'Generate video');
   }
 });
 
@@ -820,6 +653,256 @@ app.get('/vehicle/video/:taskId', (req, res) => {
   res.json(taskStatus);
 });
 
+// Generate videos for many vehicles at once
+app.post('/vehicles/generate-videos', requireAuth, async (req, res) => {
+  try {
+    const { vehicleIds, query, prompt, templateId, presetId, model, style, duration, ratio, imageStrategy, callbackUrl, priority, dealerId } = req.body;
+    
+    if (vehicleIds === undefined && query === undefined) {
+      logger.warn('Batch', 'Missing vehicleIds or query');
+      return res.status(400).json({ error: 'Either vehicleIds or query must be provided' });
+    }
+    
+    if (vehicleIds !== undefined && (!Array.isArray(vehicleIds) || vehicleIds.length === 0)) {
+      return res.status(400).json({ error: 'vehicleIds must be a non-empty array' });
+    }
+    
+    if (callbackUrl !== undefined && !webhookService.isValidCallbackUrl(callbackUrl)) {
+      return res.status(400).json({ error: 'callbackUrl must be an absolute http(s) URL of an allowed, public host' });
+    }
+    
+    if (imageStrategy !== undefined && !imageSelectionService.STRATEGIES.includes(imageStrategy)) {
+      return res.status(400).json({
+        error: `imageStrategy must be one of: ${imageSelectionService.STRATEGIES.join(', ')}`
+      });
+    }
+    
+    if (templateId !== undefined && !promptTemplateService.getTemplate(templateId)) {
+      return res.status(400).json({ error: `Unknown prompt template: ${templateId}` });
+    }
+    
+    if (presetId !== undefined && !promptPresetService.getPreset(presetId)) {
+      return res.status(400).json({ error: `Unknown prompt preset: ${presetId}` });
+    }
+    
+    if (priority !== undefined && !Number.isInteger(priority)) {
+      return res.status(400).json({ error: 'priority must be an integer' });
+    }
+    
+    videoModelService.checkModelOptions(promptPresetService.applyPreset({ presetId, model, duration, ratio }));
+    
+    const providerError = videoProviderService.getProvider().getConfigurationError();
+    if (providerError) {
+      logger.error('VideoProvider', providerError);
+      return res.status(500).json({ error: providerError });
+    }
+    
+    logger.info('Batch', 'Creating video generation batch', {
+      vehicleCount: vehicleIds?.length,
+      query,
+      country: req.country
+    });
+    
+    const batch = await batchService.createBatch({
+      vehicleIds,
+      query,
+      options: { prompt, templateId, presetId, model, style, duration, ratio, imageStrategy },
+      callbackUrl,
+      priority,
+      dealerId,
+      authToken: req.authToken,
+      country: req.country,
+      apiBaseUrl: getPublicBaseUrl(req)
+    });
+    
+    res.json({
+      ...batch,
+      message: 'Batch started. Use the /batches/:batchId endpoint to check progress.'
+    });
+  } catch (error) {
+    return handleApiError(error, res, 'Create batch');
+  }
+});
+
+// Get aggregate progress and per-vehicle results of a batch
+app.get('/batches/:batchId', requireAuth, (req, res) => {
+  const batchStatus = batchService.getBatchStatus(req.params.batchId);
+  
+  if (!batchStatus) {
+    return res.status(404).json({ error: 'Batch not found' });
+  }
+  
+  res.json(batchStatus);
+});
+
+// Cancel every task of a batch
+app.delete('/batches/:batchId', requireAuth, async (req, res) => {
+  try {
+    const batchStatus = await batchService.cancelBatch(req.params.batchId);
+    
+    if (!batchStatus) {
+      return res.status(404).json({ error: 'Batch not found' });
+    }
+    
+    res.json(batchStatus);
+  } catch (error) {
+    return handleApiError(error, res, 'Cancel batch');
+  }
+});
+
+// Stream video generation task lifecycle events as Server-Sent Events
+app.get('/vehicle/video/:taskId/events', (req, res) => {
+  const { taskId } = req.params;
+  const task = taskService.getTask(taskId);
+  
+  if (!task) {
+    return res.status(404).json({ error: 'Video generation task not found' });
+  }
+  
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no' // Disable proxy buffering so events arrive immediately
+  });
+  res.flushHeaders();
+  
+  let unsubscribe = () => {};
+  let heartbeat = null;
+  const close = () => {
+    unsubscribe();
+    clearInterval(heartbeat);
+    res.end();
+  };
+  
+  const sendEvent = (event) => {
+    res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+    if (taskService.TERMINAL_STATUSES.includes(event.type)) {
+      close();
+      return true;
+    }
+    return false;
+  };
+  
+  // Replay what already happened, so clients connecting late still see the whole lifecycle
+  const pastEvents = taskService.getTaskEvents(taskId);
+  for (const event of pastEvents) {
+    if (sendEvent(event)) return;
+  }
+  
+  // Tasks restored after a restart may have finished without a recorded terminal event
+  if (taskService.isTaskFinished(taskId)) {
+    const taskStatus = taskService.getTaskStatus(taskId);
+    sendEvent({ id: pastEvents.length + 1, type: taskStatus.status, taskId, timestamp: new Date().toISOString(), data: taskStatus });
+    return;
+  }
+  
+  logger.debug('VideoEvents', 'Client subscribed to task events', null, taskId);
+  unsubscribe = taskService.subscribeToTask(taskId, sendEvent);
+  heartbeat = setInterval(() => res.write(': heartbeat\n\n'), config.videoGeneration.eventStreamHeartbeat);
+  res.on('close', close);
+});
+
+// Cancel a running video generation task
+app.delete('/vehicle/video/:taskId', requireAuth, async (req, res) => {
+  try {
+    const { taskId } = req.params;
+    
+    const task = taskService.getTask(taskId);
+    if (!task) {
+      return res.status(404).json({ error: 'Video generation task not found' });
+    }
+    
+    if (taskService.isTaskFinished(taskId)) {
+      logger.warn('VideoCancel', `Task already ${task.status}, cannot cancel`, null, taskId);
+      return res.status(409).json({ error: `Task is already ${task.status}` });
+    }
+    
+    const taskStatus = await videoGenerationService.cancelTask(taskId);
+    
+    res.json(taskStatus);
+  } catch (error) {
+    logger.error('VideoCancel', `Error cancelling task: ${error.message}`);
+    res.status(500).json({ error: 'Failed to cancel video generation task' });
+  }
+});
+
+// Retry a failed or cancelled video generation task with the same options
+app.post('/vehicle/video/:taskId/retry', requireAuth, async (req, res) => {
+  try {
+    const { taskId } = req.params;
+    
+    logger.info('VideoRetry', 'Retrying video generation task', null, taskId);
+    
+    const newTaskId = await videoGenerationService.retryTask(taskId, {
+      authToken: req.authToken,
+      country: req.query.country, // Falls back to the original task's country
+      apiBaseUrl: getPublicBaseUrl(req)
+    });
+    const newTask = taskService.getTaskStatus(newTaskId);
+    
+    res.json({
+      taskId: newTaskId,
+      vehicleId: newTask?.vehicleId,
+      status: 'processing',
+      retryOf: taskId,
+      attempt: newTask?.attempt,
+      message: 'Video generation restarted. Use the /vehicle/video/:taskId endpoint to check status.'
+    });
+  } catch (error) {
+    return handleApiError(error, res, 'Retry video');
+  }
+});
+
+// Approve a video awaiting review and write it to the vehicle
+app.post('/vehicle/video/:taskId/approve', requireAuth, async (req, res) => {
+  try {
+    const { reviewer } = req.body;
+    if (reviewer !== undefined && typeof reviewer !== 'string') {
+      return res.status(400).json({ error: 'reviewer must be a string' });
+    }
+    
+    const taskStatus = await videoGenerationService.approveTask(req.params.taskId, {
+      reviewer,
+      authToken: req.authToken
+    });
+    
+    res.json(taskStatus);
+  } catch (error) {
+    return handleApiError(error, res, 'Approve video');
+  }
+});
+
+// Reject a video awaiting review; the vehicle keeps its current video
+app.post('/vehicle/video/:taskId/reject', requireAuth, (req, res) => {
+  try {
+    const { reason, reviewer } = req.body;
+    if (typeof reason !== 'string' || !reason.trim()) {
+      return res.status(400).json({ error: 'reason is required' });
+    }
+    if (reviewer !== undefined && typeof reviewer !== 'string') {
+      return res.status(400).json({ error: 'reviewer must be a string' });
+    }
+    
+    const taskStatus = videoGenerationService.rejectTask(req.params.taskId, { reason: reason.trim(), reviewer });
+    
+    res.json(taskStatus);
+  } catch (error) {
+    return handleApiError(error, res, 'Reject video');
+  }
+});
+
+// List the videos waiting for a review decision
+app.get('/video-reviews', requireAuth, (req, res) => {
+  const { vehicleId, dealerId } = req.query;
+  const tasks = videoGenerationService.listTasksAwaitingReview({ vehicleId, dealerId });
+  
+  res.json({
+    count: tasks.length,
+    tasks
+  });
+});
+
 // Get video generation task history
 app.get('/vehicle/video-history', requireAuth, (req, res) => {
   try {
@@ -849,6 +932,153 @@ app.get('/vehicle/video-history', requireAuth, (req, res) => {
   }
 });
 
+// Runway credits spent in a month, with the budgets of countries and dealers
+app.get('/usage', requireAuth, (req, res) => {
+  const { month, country, dealerId } = req.query;
+  
+  if (month !== undefined && !/^\d{4}-\d{2}$/.test(month)) {
+    return res.status(400).json({ error: 'month must be in YYYY-MM format' });
+  }
+  
+  res.json(usageService.getUsage({ month, country, dealerId }));
+});
+
+// Latency, error counters and circuit state of the upstream APIs this server calls
+app.get('/health/upstreams', requireAuth, (req, res) => {
+  res.json(httpClientService.getStats());
+});
+
+// Clicks on a short link, by day
+app.get('/v/:code/stats', requireAuth, (req, res) => {
+  const stats = linkAnalyticsService.getLinkStats(req.params.code);
+  if (!stats) {
+    return res.status(404).json({ error: 'Short link not found' });
+  }
+  res.json(stats);
+});
+
+// Clicks on the short links of all videos of a vehicle, by day
+app.get('/vehicle/:vehicleId/video-stats', requireAuth, (req, res) => {
+  res.json(linkAnalyticsService.getVehicleStats(req.params.vehicleId));
+});
+
+// List the built-in prompt templates
+app.get('/prompt-templates', (req, res) => {
+  res.json({ templates: promptTemplateService.listTemplates() });
+});
+
+// List the video models with their allowed durations, ratios, keyframe positions and cost
+app.get('/video-models', (req, res) => {
+  res.json({ models: videoModelService.listModels() });
+});
+
+// Render a prompt template against a vehicle without generating a video, in the country's language
+app.get('/vehicle/:vehicleId/prompt-preview', requireAuth, async (req, res) => {
+  try {
+    const { vehicleId } = req.params;
+    const templateId = req.query.templateId || 'default';
+    
+    if (!promptTemplateService.getTemplate(templateId)) {
+      return res.status(404).json({ error: `Unknown prompt template: ${templateId}` });
+    }
+    
+    const vehicleData = await vehicleService.getVehicleDetails({
+      vehicleId,
+      authToken: req.authToken,
+      country: req.country,
+      logPrefix: 'PromptPreview'
+    });
+    
+    res.json({
+      vehicleId,
+      templateId,
+      country: req.country,
+      language: promptTemplateService.resolveTemplate(templateId, req.country).language,
+      prompt: promptTemplateService.renderPrompt(templateId, vehicleData, req.country)
+    });
+  } catch (error) {
+    return handleApiError(error, res, 'Prompt preview');
+  }
+});
+
+// List the stored prompt presets
+app.get('/prompt-presets', requireAuth, (req, res) => {
+  res.json({ presets: promptPresetService.listPresets() });
+});
+
+// Get a prompt preset, optionally at an earlier version (?version=2)
+app.get('/prompt-presets/:presetId', requireAuth, (req, res) => {
+  const version = req.query.version !== undefined ? Number(req.query.version) : undefined;
+  
+  if (version !== undefined && !Number.isInteger(version)) {
+    return res.status(400).json({ error: 'version must be an integer' });
+  }
+  
+  const preset = promptPresetService.getPreset(req.params.presetId, version);
+  if (!preset) {
+    return res.status(404).json({ error: 'Prompt preset not found' });
+  }
+  
+  res.json(preset);
+});
+
+// Create a prompt preset
+app.post('/prompt-presets', requireAuth, (req, res) => {
+  try {
+    res.status(201).json(promptPresetService.createPreset(req.body));
+  } catch (error) {
+    return handleApiError(error, res, 'Create prompt preset');
+  }
+});
+
+// Update a prompt preset, saved as a new version
+app.put('/prompt-presets/:presetId', requireAuth, (req, res) => {
+  try {
+    const preset = promptPresetService.updatePreset(req.params.presetId, req.body);
+    
+    if (!preset) {
+      return res.status(404).json({ error: 'Prompt preset not found' });
+    }
+    
+    res.json(preset);
+  } catch (error) {
+    return handleApiError(error, res, 'Update prompt preset');
+  }
+});
+
+// Delete a prompt preset
+app.delete('/prompt-presets/:presetId', requireAuth, (req, res) => {
+  if (!promptPresetService.deletePreset(req.params.presetId)) {
+    return res.status(404).json({ error: 'Prompt preset not found' });
+  }
+  
+  res.status(204).end();
+});
+
+// List every video generated or attached for a vehicle, newest first
+app.get('/vehicle/:vehicleId/videos', requireAuth, (req, res) => {
+  res.json(videoLibraryService.getLibrary(req.params.vehicleId));
+});
+
+// Switch the vehicle's live videoUrl to an earlier video of its library
+app.post('/vehicle/:vehicleId/videos/:taskId/activate', requireAuth, async (req, res) => {
+  try {
+    const { vehicleId, taskId } = req.params;
+    
+    const library = await videoGenerationService.activateVideo({
+      vehicleId,
+      videoId: taskId,
+      authToken: req.authToken,
+      country: req.country,
+      apiBaseUrl: getPublicBaseUrl(req)
+    });
+    
+    res.json(library);
+  } catch (error) {
+    return handleApiError(error, res, 'Activate video');
+  }
+});
+
 // NOTE: The attach-video endpoint has been removed as it was legacy code
 // The proper way to update vehicle's video URL is through the /vehicle/:vehicleId/update-field endpoint
 
@@ -886,6 +1116,11 @@ app.put('/vehicle/:vehicleId/update-field', requireAuth, async (req, res) => {
       newValue: updateResponse.newValue
     });
     
+    // Videos attached by hand join the vehicle's video library like generated ones
+    if (field === 'videoUrl' && value) {
+      videoLibraryService.recordActivation(vehicleId, { videoUrl: value, previousUrl: updateResponse.oldValue });
+    }
+    
     res.json(updateResponse);
   } catch (error) {
     return handleApiError(error, res, 'Update vehicle field');
@@ -894,6 +1129,19 @@ app.put('/vehicle/:vehicleId/update-field', requireAuth, async (req, res) => {
 
 // Only start the server if we're not in a test environment
 if (process.env.NODE_ENV !== 'test') {
+  // Restore tasks from the task store and resume any still rendering in Runway
+  taskService.loadPersistedTasks();
+  const resumedCount = videoGenerationService.resumePendingTasks();
+  if (resumedCount > 0) {
+    logger.info('Server', `Resumed ${resumedCount} video generation tasks`);
+  }
+  batchService.loadPersistedBatches();
+  batchService.startCleanupTimer();
+  
+  if (process.env.NODE_ENV === 'production' && !config.publicBaseUrl) {
+    logger.error('Server', 'PUBLIC_BASE_URL is not set, video generation requests will fail');
+  }
+  
   app.listen(PORT, () => {
     const environment = process.env.NODE_ENV || 'development';
     const runwayConfigured = process.env.RUNWAY_API_KEY ? 'Configured ✓' : 'Not configured ✗';
@@ -902,6 +1150,7 @@ if (process.env.NODE_ENV !== 'test') {
     logger.info('Server', 'MotorK AI Videos POC Server started', {
       port: PORT,
       environment,
+      videoProvider: config.videoProviders.default,
       runway: {
         api: runwayConfigured,
         sdk: runwaySDKAvailable
@@ -911,6 +1160,7 @@ if (process.env.NODE_ENV !== 'test') {
     console.log('=================================');
     console.log(`MotorK AI Videos POC Server`);
     console.log(`Running on port: ${PORT} | Environment: ${environment}`);
+    console.log(`Video provider: ${config.videoProviders.default}`);
     console.log(`Runway API: ${runwayConfigured}`);
     console.log(`Runway SDK: ${runwaySDKAvailable}`);
     console.log('=================================');
@@ -0,0 +1,394 @@
+/**
+ * Batch Service
+ * Queues video generation for many vehicles at once and tracks the child tasks
+ */
+
+const fs = require('fs');
+const path = require('path');
+const config = require('../utils/config');
+const logger = require('../utils/logger');
+const { createHttpError } = require('../utils/error-handler');
+const vehicleService = require('./vehicle-service');
+const taskService = require('./task-service');
+const videoGenerationService = require('./video-generation-service');
+
+// In-memory storage for batches, mirrored to disk like tasks
+const batches = new Map();
+
+const batchStoreDir = path.join(config.dataDir, 'batches');
+try {
+  if (!fs.existsSync(batchStoreDir)) {
+    fs.mkdirSync(batchStoreDir, { recursive: true });
+  }
+} catch (err) {
+  logger.warn('BatchService', `Could not initialize batch directory: ${err.message}`);
+}
+
+/**
+ * Writes a batch to the file-backed batch store
+ * The caller's authToken is not written, so vehicles still queued at a restart cannot be started afterwards
+ * @param {object} batch - Batch data
+ */
+function persistBatch(batch) {
+  try {
+    const batchFile = path.join(batchStoreDir, `${batch.batchId}.json`);
+    const tempFile = `${batchFile}.tmp`;
+    fs.writeFileSync(tempFile, JSON.stringify(batch, (key, value) => (key === 'authToken' ? undefined : value), 2));
+    fs.renameSync(tempFile, batchFile);
+  } catch (err) {
+    logger.warn('BatchService', `Failed to persist batch: ${err.message}`, null, batch.batchId);
+  }
+}
+
+/**
+ * Removes a batch from the file-backed batch store
+ * @param {string} batchId - Batch ID
+ */
+function removePersistedBatch(batchId) {
+  try {
+    const batchFile = path.join(batchStoreDir, `${batchId}.json`);
+    if (fs.existsSync(batchFile)) {
+      fs.unlinkSync(batchFile);
+    }
+  } catch (err) {
+    logger.warn('BatchService', `Failed to remove persisted batch: ${err.message}`, null, batchId);
+  }
+}
+
+/**
+ * Resolves the vehicle IDs of a listing page
+ * @param {object} query - Listing query
+ * @param {number} [query.page=0] - Page number
+ * @param {number} [query.size=20] - Page size
+ * @param {string} query.country - Country code
+ * @param {string} authToken - Authorization header to forward
+ * @returns {Promise<Array<string>>} Vehicle IDs on the page
+ */
+async function resolveVehicleIds({ page = 0, size = 20, country }, authToken) {
+  const listing = await vehicleService.listVehicles({
+    authToken,
+    page,
+    size,
+    country,
+    logPrefix: 'Batch'
+  });
+
+  // The listing API has used both `vehicles` and `content` for the page items
+  const vehicles = listing.vehicles || listing.content || [];
+  return vehicles.map(vehicle => String(vehicle.id));
+}
+
+/**
+ * Creates a batch and starts generating videos for its vehicles in the background
+ * @param {object} params - Batch parameters
+ * @param {Array<string>} [params.vehicleIds] - Explicit vehicle IDs
+ * @param {object} [params.query] - Listing query (page, size, country) used when no vehicleIds are given
+ * @param {object} [params.options] - Video options applied to every vehicle (prompt, style, duration, ratio)
+ * @param {string} [params.callbackUrl] - URL notified when each child task finishes
+ * @param {number} [params.priority] - Queue priority of the child tasks
+ * @param {string} [params.dealerId] - Dealer the queue quota is counted against
+ * @param {string} params.authToken - Authorization header to forward
+ * @param {string} params.country - Country code
+ * @param {string} params.apiBaseUrl - Base URL of this server
+ * @returns {Promise<object>} Batch summary
+ * @throws {Error} HTTP 400 error when no vehicles are selected or there are too many
+ */
+async function createBatch({ vehicleIds, query, options = {}, callbackUrl, priority, dealerId, authToken, country, apiBaseUrl }) {
+  let ids = vehicleIds;
+  if (!ids) {
+    ids = await resolveVehicleIds({ ...query, country: query?.country || country }, authToken);
+  }
+
+  // Drop duplicates so a vehicle never gets two concurrent generations from one batch
+  ids = [...new Set(ids.map(String))];
+
+  if (ids.length === 0) {
+    throw createHttpError(400, 'No vehicles selected for the batch');
+  }
+  if (ids.length > config.batches.maxVehicles) {
+    throw createHttpError(400, `A batch can contain at most ${config.batches.maxVehicles} vehicles`, {
+      vehicleCount: ids.length
+    });
+  }
+
+  let timestamp = Date.now();
+  while (batches.has(`b${timestamp}`)) {
+    timestamp++;
+  }
+  const batchId = `b${timestamp}`;
+
+  const batch = {
+    batchId,
+    status: 'processing',
+    createdAt: new Date().toISOString(),
+    options,
+    callbackUrl,
+    priority,
+    dealerId,
+    requestContext: { authToken, country, apiBaseUrl },
+    items: ids.map(vehicleId => ({ vehicleId, status: 'queued' }))
+  };
+  batches.set(batchId, batch);
+  persistBatch(batch);
+
+  logger.info('BatchService', `Created batch for ${ids.length} vehicles`, { country }, batchId);
+
+  runInBackground(batchId);
+
+  return getBatchStatus(batchId);
+}
+
+/**
+ * Starts a video generation task for every queued vehicle of a batch, one after the other
+ * Per-vehicle failures (e.g. no images) are recorded on the item and do not stop the batch.
+ * A vehicle that already has a task running with the same options gets that task instead of a new one.
+ * @param {string} batchId - Batch ID
+ * @returns {Promise<void>}
+ */
+async function processBatch(batchId) {
+  const batch = batches.get(batchId);
+  const { authToken, country, apiBaseUrl } = batch.requestContext;
+
+  for (const item of batch.items) {
+    if (item.status !== 'queued') continue;
+
+    // The batch may have been cancelled while earlier vehicles were starting
+    if (batch.status === 'cancelled') {
+      item.status = 'cancelled';
+      continue;
+    }
+
+    try {
+      const { taskId, reused } = await videoGenerationService.requestVideoGeneration({
+        vehicleId: item.vehicleId,
+        options: batch.options,
+        authToken,
+        country,
+        apiBaseUrl,
+        callbackUrl: batch.callbackUrl,
+        priority: batch.priority,
+        dealerId: batch.dealerId,
+        batchId
+      });
+      Object.assign(item, { taskId, status: 'started' });
+      if (reused) {
+        // Started by another request, so cancelling the batch leaves it running
+        item.reused = true;
+        logger.info('BatchService', `Vehicle ${item.vehicleId} already has a task running with these options`, null, batchId);
+      }
+
+      // Cancelled while this vehicle was starting, so cancelBatch could not see the task yet
+      if (batch.status === 'cancelled' && !reused) {
+        await videoGenerationService.cancelTask(item.taskId);
+      }
+    } catch (error) {
+      logger.warn('BatchService', `Could not start video for vehicle ${item.vehicleId}: ${error.message}`, null, batchId);
+      item.status = 'failed';
+      item.error = error.message;
+    }
+    persistBatch(batch);
+  }
+
+  logger.info('BatchService', 'All batch tasks started', null, batchId);
+}
+
+/**
+ * Processes a batch without waiting for it, logging unexpected failures
+ * @param {string} batchId - Batch ID
+ */
+function runInBackground(batchId) {
+  processBatch(batchId).catch(error => {
+    logger.error('BatchService', `Batch processing failed: ${error.message}`, null, batchId);
+  });
+}
+
+/**
+ * Points a batch item at the retry of its child task
+ * Called when a retry is created, so a vehicle whose task was retried reports the outcome of the retry
+ * @param {string} batchId - Batch ID
+ * @param {string} taskId - ID of the task that was retried
+ * @param {string} retryTaskId - ID of the new task
+ */
+function recordRetry(batchId, taskId, retryTaskId) {
+  const batch = batches.get(batchId);
+  const item = batch?.items.find(candidate => candidate.taskId === taskId);
+  if (!item) {
+    return;
+  }
+
+  Object.assign(item, {
+    taskId: retryTaskId,
+    previousTaskIds: [...(item.previousTaskIds || []), taskId]
+  });
+  persistBatch(batch);
+}
+
+/**
+ * Resolves the current status of a batch item from its child task
+ * @param {object} item - Batch item
+ * @returns {string} queued, processing, awaiting_review, completed, failed, cancelled or rejected
+ */
+function getItemStatus(item) {
+  if (!item.taskId) {
+    return item.status;
+  }
+
+  const task = taskService.getTask(item.taskId) || taskService.getTaskHistoryEntry(item.taskId);
+  if (!task) {
+    return 'failed';
+  }
+  if (task.status === 'awaiting_review' || taskService.TERMINAL_STATUSES.includes(task.status)) {
+    return task.status;
+  }
+  return 'processing';
+}
+
+/**
+ * Gets aggregate progress and per-vehicle results of a batch
+ * @param {string} batchId - Batch ID
+ * @returns {object|null} Batch status, or null if the batch is unknown
+ */
+function getBatchStatus(batchId) {
+  const batch = batches.get(batchId);
+  if (!batch) {
+    return null;
+  }
+
+  const summary = { queued: 0, processing: 0, awaiting_review: 0, completed: 0, failed: 0, cancelled: 0, rejected: 0 };
+  const results = batch.items.map(item => {
+    const status = getItemStatus(item);
+    summary[status]++;
+
+    const taskStatus = item.taskId ? taskService.getTaskStatus(item.taskId) : null;
+    return {
+      vehicleId: item.vehicleId,
+      taskId: item.taskId,
+      previousTaskIds: item.previousTaskIds,
+      reused: item.reused,
+      status,
+      videoUrl: taskStatus?.videoUrl,
+      error: item.error || taskStatus?.error
+    };
+  });
+
+  let status = batch.status;
+  if (status !== 'cancelled' && summary.queued === 0 && summary.processing === 0 && summary.awaiting_review === 0) {
+    status = 'completed';
+  }
+
+  return {
+    batchId,
+    status,
+    createdAt: batch.createdAt,
+    cancelledAt: batch.cancelledAt,
+    total: batch.items.length,
+    summary,
+    results
+  };
+}
+
+/**
+ * Cancels a batch: vehicles not started yet are skipped and running tasks are cancelled
+ * Tasks the batch reused from another request keep running
+ * @param {string} batchId - Batch ID
+ * @returns {Promise<object|null>} Batch status after cancellation, or null if the batch is unknown
+ */
+async function cancelBatch(batchId) {
+  const batch = batches.get(batchId);
+  if (!batch) {
+    return null;
+  }
+
+  batch.status = 'cancelled';
+  batch.cancelledAt = new Date().toISOString();
+
+  for (const item of batch.items) {
+    if (item.status === 'queued') {
+      item.status = 'cancelled';
+    } else if (item.taskId && !item.reused && taskService.getTask(item.taskId) && !taskService.isTaskFinished(item.taskId)) {
+      await videoGenerationService.cancelTask(item.taskId);
+    }
+  }
+  persistBatch(batch);
+
+  logger.info('BatchService', 'Batch cancelled', null, batchId);
+  return getBatchStatus(batchId);
+}
+
+/**
+ * Removes finished and cancelled batches older than the task retention period
+ * Their tasks have left memory by then, and remain in the task history
+ */
+function cleanupOldBatches() {
+  const now = new Date();
+  const retentionMs = config.taskRetention.hours * 60 * 60 * 1000; // hours to milliseconds
+  let removedCount = 0;
+
+  for (const [batchId, batch] of batches.entries()) {
+    const createdAt = new Date(batch.createdAt);
+    if (now - createdAt > retentionMs && getBatchStatus(batchId).status !== 'processing') {
+      batches.delete(batchId);
+      removePersistedBatch(batchId);
+      removedCount++;
+    }
+  }
+
+  if (removedCount > 0) {
+    logger.info('BatchService', `Cleanup: Removed ${removedCount} finished batches older than ${config.taskRetention.hours} hours`);
+  }
+}
+
+/**
+ * Starts the batch cleanup timer
+ */
+function startCleanupTimer() {
+  setInterval(cleanupOldBatches, config.taskRetention.cleanupInterval);
+}
+
+/**
+ * Loads persisted batches; vehicles still queued are marked failed, as their authToken was not persisted
+ * @returns {number} Number of batches loaded
+ */
+function loadPersistedBatches() {
+  let loadedCount = 0;
+
+  try {
+    const files = fs.readdirSync(batchStoreDir).filter(name => name.endsWith('.json'));
+
+    for (const file of files) {
+      try {
+        const batch = JSON.parse(fs.readFileSync(path.join(batchStoreDir, file), 'utf8'));
+        batches.set(batch.batchId, batch);
+        loadedCount++;
+
+        // Without the caller's token, vehicles not started yet cannot be fetched
+        const interrupted = batch.items.filter(item => item.status === 'queued');
+        if (batch.status === 'processing' && interrupted.length > 0) {
+          logger.warn('BatchService', `${interrupted.length} vehicles not started before the restart, marking them failed`, null, batch.batchId);
+          for (const item of interrupted) {
+            item.status = 'failed';
+            item.error = 'Batch interrupted by server restart before this vehicle was started';
+          }
+          persistBatch(batch);
+        }
+      } catch (err) {
+        logger.warn('BatchService', `Error reading persisted batch file: ${file}`, { error: err.message });
+      }
+    }
+  } catch (err) {
+    logger.error('BatchService', `Failed to load persisted batches: ${err.message}`);
+  }
+
+  return loadedCount;
+}
+
+module.exports = {
+  createBatch,
+  processBatch,
+  getBatchStatus,
+  cancelBatch,
+  recordRetry,
+  cleanupOldBatches,
+  startCleanupTimer,
+  loadPersistedBatches
+};
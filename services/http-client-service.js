@@ -0,0 +1,272 @@
+/**
+ * HTTP Client Service
+ * Every outbound HTTP call goes through here, named by the upstream it calls (see httpClient.upstreams in
+ * utils/config.js). Each upstream gets its own timeout, kept-alive connection pool, retries with jitter for
+ * idempotent methods, an optional circuit breaker and latency/error counters
+ */
+
+const http = require('http');
+const https = require('https');
+const axios = require('axios');
+const config = require('../utils/config');
+const logger = require('../utils/logger');
+const { createHttpError } = require('../utils/error-handler');
+
+// Methods that can be sent again without changing the outcome
+const IDEMPOTENT_METHODS = ['get', 'head', 'options', 'put', 'delete'];
+
+// Error codes of requests that got no response: network failures and timeouts
+const NETWORK_ERROR_CODES = ['ECONNABORTED', 'ETIMEDOUT', 'ECONNRESET', 'ECONNREFUSED', 'EAI_AGAIN', 'EPIPE', 'ERR_NETWORK'];
+
+// Timeouts surface as ECONNABORTED, or ETIMEDOUT with axios' clarifyTimeoutError
+const TIMEOUT_ERROR_CODES = ['ECONNABORTED', 'ETIMEDOUT'];
+
+// Connection pools, counters and circuit breaker state by upstream name
+const upstreams = new Map();
+
+/**
+ * Gets the state of an upstream, creating it on first use
+ * @param {string} name - Upstream name, a key of httpClient.upstreams
+ * @returns {object} Upstream state (name, settings, agents, stats, circuit)
+ * @throws {Error} HTTP 500 error for an unknown upstream
+ */
+function getUpstream(name) {
+  const settings = config.httpClient.upstreams[name];
+  if (!settings) {
+    throw createHttpError(500, `Unknown upstream: ${name}`);
+  }
+
+  if (!upstreams.has(name)) {
+    const maxSockets = settings.maxSockets || config.httpClient.maxSockets;
+    upstreams.set(name, {
+      name,
+      httpAgent: new http.Agent({ keepAlive: true, maxSockets }),
+      httpsAgent: new https.Agent({ keepAlive: true, maxSockets }),
+      stats: {
+        requests: 0,
+        errors: 0,
+        timeouts: 0,
+        retries: 0,
+        rejected: 0,
+        inFlight: 0,
+        totalLatencyMs: 0,
+        maxLatencyMs: 0,
+        lastError: null
+      },
+      circuit: { state: 'closed', failures: 0, openedAt: null, trialInFlight: false }
+    });
+  }
+
+  const upstream = upstreams.get(name);
+  // Settings are read on every call so changes to the config apply right away
+  upstream.settings = settings;
+  return upstream;
+}
+
+/**
+ * Checks whether an error means the upstream is unhealthy, as opposed to rejecting the request
+ * @param {Error} error - Request error
+ * @returns {boolean} True for network errors, timeouts and 5xx responses
+ */
+function isUpstreamFailure(error) {
+  if (error.response) {
+    return error.response.status >= 500;
+  }
+  return NETWORK_ERROR_CODES.includes(error.code);
+}
+
+/**
+ * Checks whether a failed attempt is worth sending again
+ * @param {Error} error - Request error
+ * @returns {boolean} True for network errors, timeouts and the configured retryable statuses
+ */
+function isRetryable(error) {
+  if (error.response) {
+    return config.httpClient.retryableStatusCodes.includes(error.response.status);
+  }
+  return NETWORK_ERROR_CODES.includes(error.code);
+}
+
+/**
+ * Gets the wait before a retry: random up to an exponentially growing cap ("full jitter"),
+ * so clients that failed together do not retry together
+ * @param {number} retry - Retry number, 1 for the first retry
+ * @returns {number} Delay in milliseconds
+ */
+function getRetryDelay(retry) {
+  const { retryDelay, maxRetryDelay } = config.httpClient;
+  return Math.floor(Math.random() * Math.min(retryDelay * 2 ** (retry - 1), maxRetryDelay));
+}
+
+/**
+ * Lets a call through the upstream's circuit breaker, or rejects it while the circuit is open
+ * After resetTimeout an open circuit lets a single trial call through ("half open"); its outcome
+ * closes the circuit or opens it again
+ * @param {object} upstream - Upstream state
+ * @throws {Error} HTTP 503 error while the circuit is open
+ */
+function enterCircuit(upstream) {
+  const breaker = upstream.settings.circuitBreaker;
+  const { circuit } = upstream;
+  if (!breaker || circuit.state === 'closed') {
+    return;
+  }
+
+  const retryAt = circuit.openedAt + breaker.resetTimeout;
+  if (circuit.state === 'open' && Date.now() >= retryAt) {
+    circuit.state = 'half_open';
+  }
+  if (circuit.state === 'half_open' && !circuit.trialInFlight) {
+    circuit.trialInFlight = true;
+    logger.info('HttpClient', `Trying ${upstream.name} again after its circuit was opened`);
+    return;
+  }
+
+  upstream.stats.rejected++;
+  throw createHttpError(503, `Upstream ${upstream.name} is unavailable, try again later`, {
+    upstream: upstream.name,
+    retryAfter: Math.max(Math.ceil((retryAt - Date.now()) / 1000), 1)
+  });
+}
+
+/**
+ * Records the outcome of a call in the upstream's circuit breaker
+ * @param {object} upstream - Upstream state
+ * @param {boolean} failed - True if the upstream failed (see isUpstreamFailure)
+ */
+function leaveCircuit(upstream, failed) {
+  const breaker = upstream.settings.circuitBreaker;
+  const { circuit } = upstream;
+  if (!breaker) {
+    return;
+  }
+
+  const wasTrial = circuit.state === 'half_open';
+  circuit.trialInFlight = false;
+
+  if (!failed) {
+    if (circuit.state !== 'closed') {
+      logger.info('HttpClient', `Circuit of ${upstream.name} closed`);
+    }
+    Object.assign(circuit, { state: 'closed', failures: 0, openedAt: null });
+    return;
+  }
+
+  circuit.failures++;
+  if (wasTrial || (circuit.state === 'closed' && circuit.failures >= breaker.failureThreshold)) {
+    Object.assign(circuit, { state: 'open', openedAt: Date.now() });
+    logger.warn('HttpClient', `Circuit of ${upstream.name} opened after ${circuit.failures} failures in a row`, {
+      resetTimeout: breaker.resetTimeout
+    });
+  }
+}
+
+/**
+ * Sends one attempt of a request and records its latency and outcome
+ * @param {object} upstream - Upstream state
+ * @param {object} requestConfig - axios request config, with timeout and agents set
+ * @returns {Promise<object>} axios response
+ */
+async function sendAttempt(upstream, requestConfig) {
+  enterCircuit(upstream);
+
+  const { stats } = upstream;
+  const startTime = Date.now();
+  stats.requests++;
+  stats.inFlight++;
+
+  try {
+    const response = await axios(requestConfig);
+    leaveCircuit(upstream, false);
+    return response;
+  } catch (error) {
+    const failed = isUpstreamFailure(error);
+    leaveCircuit(upstream, failed);
+
+    stats.errors++;
+    if (!error.response && TIMEOUT_ERROR_CODES.includes(error.code)) {
+      stats.timeouts++;
+    }
+    stats.lastError = {
+      message: error.message,
+      status: error.response?.status,
+      at: new Date().toISOString()
+    };
+    throw error;
+  } finally {
+    const latency = Date.now() - startTime;
+    stats.inFlight--;
+    stats.totalLatencyMs += latency;
+    stats.maxLatencyMs = Math.max(stats.maxLatencyMs, latency);
+  }
+}
+
+/**
+ * Sends a request to an upstream
+ * Idempotent methods are retried after network errors, timeouts and retryable statuses. Requests that get
+ * no response fail with status 504 (timeout) or 502 so callers answer with a gateway error
+ * @param {string} name - Upstream name, a key of httpClient.upstreams (carspark, auth, n8n, isgd, downloads, webhooks)
+ * @param {object} requestConfig - axios request config (method, url, headers, data, responseType...)
+ * @param {number} [requestConfig.timeout] - Timeout of each attempt in ms (default: the upstream's)
+ * @param {number} [requestConfig.retries] - Retries after the first attempt (default: the upstream's)
+ * @returns {Promise<object>} axios response
+ * @throws {Error} The axios error of the last attempt, or HTTP 503 error while the upstream's circuit is open
+ */
+async function request(name, { retries, ...requestConfig }) {
+  const upstream = getUpstream(name);
+  const method = (requestConfig.method || 'get').toLowerCase();
+  const maxRetries = IDEMPOTENT_METHODS.includes(method) ? (retries ?? upstream.settings.retries ?? 0) : 0;
+  const attemptConfig = {
+    ...requestConfig,
+    timeout: requestConfig.timeout ?? upstream.settings.timeout,
+    httpAgent: upstream.httpAgent,
+    httpsAgent: upstream.httpsAgent
+  };
+
+  for (let retry = 0; ; retry++) {
+    try {
+      return await sendAttempt(upstream, attemptConfig);
+    } catch (error) {
+      if (retry < maxRetries && isRetryable(error)) {
+        const delay = getRetryDelay(retry + 1);
+        upstream.stats.retries++;
+        logger.warn('HttpClient', `${method.toUpperCase()} to ${name} failed, retry ${retry + 1}/${maxRetries} in ${delay}ms: ${error.message}`);
+        await new Promise(resolve => setTimeout(resolve, delay));
+        continue;
+      }
+
+      if (!error.response && !error.status && NETWORK_ERROR_CODES.includes(error.code)) {
+        error.status = TIMEOUT_ERROR_CODES.includes(error.code) ? 504 : 502;
+      }
+      throw error;
+    }
+  }
+}
+
+/**
+ * Gets the counters and circuit state of every upstream called so far
+ * @returns {Object<string, object>} By upstream name: requests (attempts), errors, timeouts, retries,
+ *   rejected (by the open circuit), inFlight, averageLatencyMs, maxLatencyMs, lastError and circuit
+ */
+function getStats() {
+  const stats = {};
+  for (const { name, stats: counters, circuit } of upstreams.values()) {
+    const { totalLatencyMs, ...rest } = counters;
+    const completed = counters.requests - counters.inFlight;
+    stats[name] = {
+      ...rest,
+      averageLatencyMs: completed ? Math.round(totalLatencyMs / completed) : 0,
+      circuit: {
+        state: circuit.state,
+        failures: circuit.failures,
+        openedAt: circuit.openedAt ? new Date(circuit.openedAt).toISOString() : null
+      }
+    };
+  }
+  return stats;
+}
+
+module.exports = {
+  request,
+  getStats
+};
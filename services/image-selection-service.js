@@ -0,0 +1,140 @@
+/**
+ * Image Selection Service
+ * Chooses the gallery images used as Runway first/last keyframes
+ */
+
+const config = require('../utils/config');
+const logger = require('../utils/logger');
+const { createHttpError } = require('../utils/error-handler');
+
+// Built-in strategies: `gallery` keeps the gallery order, `auto` also uses position metadata
+// and skips images that are too small or do not match the video aspect ratio
+const STRATEGIES = ['gallery', 'auto'];
+
+/**
+ * Finds gallery images by ID
+ * @param {Array} images - Vehicle gallery images
+ * @param {Array<string>} imageIds - Requested image IDs
+ * @returns {Array} Matching images, in the requested order
+ * @throws {Error} HTTP 400 error listing the IDs that are not in the gallery
+ */
+function findImages(images, imageIds) {
+  const missing = imageIds.filter(id => !images.some(image => String(image.id) === String(id)));
+  if (missing.length > 0) {
+    throw createHttpError(400, 'Requested images are not in the vehicle gallery', { missingImageIds: missing });
+  }
+  return imageIds.map(id => images.find(image => String(image.id) === String(id)));
+}
+
+/**
+ * Parses a Runway ratio such as "1280:768" into width / height
+ * @param {string} [ratio] - Video aspect ratio
+ * @returns {number} Aspect ratio as a number
+ */
+function parseRatio(ratio = config.imageSelection.defaultRatio) {
+  const [width, height] = ratio.split(':').map(Number);
+  return width / height;
+}
+
+/**
+ * Checks whether an image is large enough and close to the video aspect ratio
+ * Images without size metadata are kept, there is nothing to judge them by
+ * @param {object} image - Gallery image
+ * @param {number} targetRatio - Video aspect ratio as a number
+ * @param {object} rules - Selection rules (minWidth, minHeight, aspectRatioTolerance)
+ * @returns {boolean} True if the image is suitable as a keyframe
+ */
+function isSuitable(image, targetRatio, rules) {
+  const { width, height } = image;
+  if (!width || !height) {
+    return true;
+  }
+  if (width < rules.minWidth || height < rules.minHeight) {
+    return false;
+  }
+  return Math.abs(width / height - targetRatio) / targetRatio <= rules.aspectRatioTolerance;
+}
+
+/**
+ * Orders the gallery by its position metadata, keeping the gallery order for ties
+ * @param {Array} images - Vehicle gallery images
+ * @returns {Array} Sorted copy of the images
+ */
+function sortByPosition(images) {
+  const positionOf = image => image.position ?? image.order ?? Number.MAX_SAFE_INTEGER;
+  return images
+    .map((image, index) => ({ image, index }))
+    .sort((a, b) => (positionOf(a.image) - positionOf(b.image)) || (a.index - b.index))
+    .map(({ image }) => image);
+}
+
+/**
+ * Picks candidate images with a built-in strategy
+ * @param {Array} images - Vehicle gallery images
+ * @param {string} strategy - Strategy name (gallery or auto)
+ * @param {string} [ratio] - Video aspect ratio, used by the auto strategy
+ * @param {object} rules - Selection rules
+ * @returns {Array} Candidate images, best first
+ */
+function rankImages(images, strategy, ratio, rules) {
+  if (strategy !== 'auto') {
+    return images;
+  }
+
+  const targetRatio = parseRatio(ratio);
+  const sorted = sortByPosition(images);
+  const suitable = sorted.filter(image => isSuitable(image, targetRatio, rules));
+
+  if (suitable.length === 0) {
+    // Better a poorly framed video than none, the caller can still pick images explicitly
+    logger.warn('ImageSelection', 'No gallery image matches the size and aspect rules, using gallery order', {
+      imageCount: images.length,
+      ratio
+    });
+    return sorted;
+  }
+
+  return suitable;
+}
+
+/**
+ * Chooses the first and (optionally) last keyframe for a video
+ * Explicit imageIds or firstImageId/lastImageId win; otherwise the strategy picks the images
+ * @param {Array} images - Vehicle gallery images
+ * @param {object} [options] - Video options
+ * @param {Array<string>} [options.imageIds] - One or two image IDs, first and last keyframe
+ * @param {string} [options.firstImageId] - Image ID of the first keyframe
+ * @param {string} [options.lastImageId] - Image ID of the last keyframe
+ * @param {string} [options.imageStrategy] - Strategy for images not chosen explicitly (gallery or auto)
+ * @param {string} [options.ratio] - Video aspect ratio
+ * @param {number} [options.maxKeyframes=2] - Keyframes the strategy may pick, 1 for models without a last keyframe
+ * @param {object} [rules] - Selection rules (default from config)
+ * @returns {{keyframes: Array, strategy: string}} Chosen images and how they were chosen
+ * @throws {Error} HTTP 400 error when a requested image is not in the gallery
+ */
+function selectKeyframes(images, options = {}, rules = config.imageSelection) {
+  const { imageIds, firstImageId, lastImageId, ratio } = options;
+  const strategy = options.imageStrategy || rules.defaultStrategy;
+
+  if (imageIds && imageIds.length > 0) {
+    return { keyframes: findImages(images, imageIds), strategy: 'explicit' };
+  }
+
+  const ranked = rankImages(images, strategy, ratio, rules);
+
+  if (firstImageId || lastImageId) {
+    const last = lastImageId ? findImages(images, [lastImageId])[0] : undefined;
+    const first = firstImageId
+      ? findImages(images, [firstImageId])[0]
+      : ranked.find(image => image !== last);
+    const keyframes = [first, last].filter(Boolean);
+    return { keyframes, strategy: 'explicit' };
+  }
+
+  return { keyframes: ranked.slice(0, options.maxKeyframes || 2), strategy };
+}
+
+module.exports = {
+  STRATEGIES,
+  selectKeyframes
+};
@@ -0,0 +1,217 @@
+/**
+ * Link Analytics Service
+ * Records every redirect of a short link and aggregates the clicks by day,
+ * so dealers can see how often their vehicle videos are watched
+ */
+
+const fs = require('fs');
+const path = require('path');
+const config = require('../utils/config');
+const logger = require('../utils/logger');
+const urlShortenerService = require('./url-shortener-service');
+
+// One JSON line per click, appended so concurrent redirects never rewrite each other's records
+const clickStoreDir = path.join(config.dataDir, 'short-link-clicks');
+try {
+  if (!fs.existsSync(clickStoreDir)) {
+    fs.mkdirSync(clickStoreDir, { recursive: true });
+  }
+} catch (err) {
+  logger.warn('LinkAnalytics', `Could not initialize click directory: ${err.message}`);
+}
+
+// Country headers set by the CDN or proxy in front of the server, most specific first
+const COUNTRY_HEADERS = ['cf-ipcountry', 'cloudfront-viewer-country', 'x-vercel-ip-country', 'x-country-code'];
+
+/**
+ * Classifies a User-Agent header
+ * @param {string} [userAgent] - User-Agent header
+ * @returns {string} "bot", "tablet", "mobile", "desktop" or "unknown"
+ */
+function classifyUserAgent(userAgent) {
+  if (!userAgent) {
+    return 'unknown';
+  }
+  if (/bot|crawler|spider|preview|facebookexternalhit|whatsapp|slurp/i.test(userAgent)) {
+    return 'bot';
+  }
+  if (/ipad|tablet|kindle|silk|android(?!.*mobile)/i.test(userAgent)) {
+    return 'tablet';
+  }
+  if (/mobi|iphone|ipod|android|windows phone/i.test(userAgent)) {
+    return 'mobile';
+  }
+  return 'desktop';
+}
+
+/**
+ * Gets the visitor's country from the headers of a proxy or CDN
+ * @param {Object} headers - Request headers (lower-case names)
+ * @returns {string} ISO country code in upper case, or "unknown"
+ */
+function getCountry(headers) {
+  for (const name of COUNTRY_HEADERS) {
+    const value = headers[name];
+    if (typeof value === 'string' && /^[A-Za-z]{2}$/.test(value) && value.toUpperCase() !== 'XX') {
+      return value.toUpperCase();
+    }
+  }
+  return 'unknown';
+}
+
+/**
+ * Gets the host a click came from
+ * @param {string} [referrer] - Referer header
+ * @returns {string} Host name without "www.", or "direct" when there is no valid referrer
+ */
+function getReferrerHost(referrer) {
+  try {
+    return new URL(referrer).hostname.replace(/^www\./, '') || 'direct';
+  } catch (err) {
+    return 'direct';
+  }
+}
+
+/**
+ * Gets the click file of a short link
+ * @param {string} code - Short code, already resolved to a stored link
+ * @returns {string} File path
+ */
+function getClickFile(code) {
+  return path.join(clickStoreDir, `${code}.jsonl`);
+}
+
+/**
+ * Records a redirect of a short link
+ * @param {string} code - Short code, already resolved to a stored link
+ * @param {Object} headers - Request headers (lower-case names)
+ * @param {Date} [at] - Time of the click (default: now)
+ * @returns {Object} Click record (at, referrer, agent, country)
+ */
+function recordClick(code, headers, at = new Date()) {
+  const click = {
+    at: at.toISOString(),
+    referrer: headers.referer || null,
+    agent: classifyUserAgent(headers['user-agent']),
+    country: getCountry(headers)
+  };
+  fs.appendFileSync(getClickFile(code), `${JSON.stringify(click)}\n`);
+  return click;
+}
+
+/**
+ * Reads the recorded clicks of a short link
+ * @param {string} code - Short code, already resolved to a stored link
+ * @returns {Array<Object>} Click records, oldest first
+ */
+function getClicks(code) {
+  let content;
+  try {
+    content = fs.readFileSync(getClickFile(code), 'utf8');
+  } catch (err) {
+    if (err.code !== 'ENOENT') {
+      logger.warn('LinkAnalytics', `Error reading click file: ${err.message}`, { code });
+    }
+    return [];
+  }
+
+  return content.split('\n').filter(Boolean).flatMap(line => {
+    try {
+      return [JSON.parse(line)];
+    } catch (err) {
+      // A line cut short by a crash while appending
+      return [];
+    }
+  });
+}
+
+/**
+ * Increments a counter in a tally object
+ * @param {Object} tally - Counts by key
+ * @param {string} key - Key to count
+ */
+function count(tally, key) {
+  tally[key] = (tally[key] || 0) + 1;
+}
+
+/**
+ * Aggregates clicks by UTC day
+ * @param {Array<Object>} clicks - Click records
+ * @returns {Array<{date: string, clicks: number, agents: Object, countries: Object, referrers: Object}>}
+ *   One entry per day with clicks, oldest first
+ */
+function aggregateByDay(clicks) {
+  const days = new Map();
+  for (const click of clicks) {
+    const date = click.at.slice(0, 10);
+    if (!days.has(date)) {
+      days.set(date, { date, clicks: 0, agents: {}, countries: {}, referrers: {} });
+    }
+    const day = days.get(date);
+    day.clicks++;
+    count(day.agents, click.agent);
+    count(day.countries, click.country);
+    count(day.referrers, getReferrerHost(click.referrer));
+  }
+  return [...days.values()].sort((a, b) => a.date.localeCompare(b.date));
+}
+
+/**
+ * Gets the click statistics of a short link
+ * @param {string} code - Short code
+ * @returns {Object|null} Link details, totalClicks and days, or null if the code is unknown
+ */
+function getLinkStats(code) {
+  const link = urlShortenerService.resolveCode(code);
+  if (!link) {
+    return null;
+  }
+
+  const clicks = getClicks(link.code);
+  return {
+    code: link.code,
+    url: link.url,
+    vehicleId: link.vehicleId || null,
+    taskId: link.taskId || null,
+    createdAt: link.createdAt,
+    totalClicks: clicks.length,
+    days: aggregateByDay(clicks)
+  };
+}
+
+/**
+ * Gets the click statistics of all short links of a vehicle's videos
+ * @param {string} vehicleId - Vehicle ID
+ * @returns {Object} totalClicks and days over all links, and the clicks of each link
+ */
+function getVehicleStats(vehicleId) {
+  const allClicks = [];
+  const links = urlShortenerService.listVehicleLinks(vehicleId).map(link => {
+    const clicks = getClicks(link.code);
+    allClicks.push(...clicks);
+    return {
+      code: link.code,
+      url: link.url,
+      taskId: link.taskId || null,
+      createdAt: link.createdAt,
+      totalClicks: clicks.length
+    };
+  });
+
+  return {
+    vehicleId,
+    totalClicks: allClicks.length,
+    links,
+    days: aggregateByDay(allClicks)
+  };
+}
+
+module.exports = {
+  classifyUserAgent,
+  getCountry,
+  recordClick,
+  getClicks,
+  aggregateByDay,
+  getLinkStats,
+  getVehicleStats
+};
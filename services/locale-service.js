@@ -0,0 +1,112 @@
+/**
+ * Locale Service
+ * Per-country registry of prompt language, number locale, currency and distance unit,
+ * plus the formatting of vehicle values that are put into prompts
+ */
+
+// Country codes as used in the `country` query parameter
+const LOCALES = {
+  it: { language: 'it', locale: 'it-IT', currency: 'EUR', distanceUnit: 'km' },
+  de: { language: 'de', locale: 'de-DE', currency: 'EUR', distanceUnit: 'km' },
+  at: { language: 'de', locale: 'de-AT', currency: 'EUR', distanceUnit: 'km' },
+  ch: { language: 'de', locale: 'de-CH', currency: 'CHF', distanceUnit: 'km' },
+  fr: { language: 'fr', locale: 'fr-FR', currency: 'EUR', distanceUnit: 'km' },
+  be: { language: 'fr', locale: 'fr-BE', currency: 'EUR', distanceUnit: 'km' },
+  es: { language: 'es', locale: 'es-ES', currency: 'EUR', distanceUnit: 'km' },
+  gb: { language: 'en', locale: 'en-GB', currency: 'GBP', distanceUnit: 'mi' },
+  ie: { language: 'en', locale: 'en-IE', currency: 'EUR', distanceUnit: 'km' },
+  us: { language: 'en', locale: 'en-US', currency: 'USD', distanceUnit: 'mi' }
+};
+
+// Alternative codes for the same country
+const ALIASES = {
+  uk: 'gb'
+};
+
+// Used for unknown or missing countries
+const DEFAULT_LOCALE = { language: 'en', locale: 'en-GB', currency: 'EUR', distanceUnit: 'km' };
+
+const KM_PER_MILE = 1.609344;
+
+/**
+ * Gets the locale settings of a country, falling back to English with metric units
+ * @param {string} [country] - Country code, case-insensitive
+ * @returns {object} Locale (country, language, locale, currency, distanceUnit)
+ */
+function getLocale(country) {
+  const code = typeof country === 'string' ? country.toLowerCase() : null;
+  const resolved = ALIASES[code] || code;
+
+  if (resolved && Object.prototype.hasOwnProperty.call(LOCALES, resolved)) {
+    return { country: resolved, ...LOCALES[resolved] };
+  }
+  return { country: null, ...DEFAULT_LOCALE };
+}
+
+/**
+ * Formats a distance, converting to miles where the country uses them
+ * @param {number} km - Distance in kilometres, as stored on vehicles
+ * @param {string} [country] - Country code
+ * @returns {string} Formatted distance, e.g. "12.000 km" or "7,456 mi"
+ */
+function formatDistance(km, country) {
+  const { locale, distanceUnit } = getLocale(country);
+  const distance = distanceUnit === 'mi' ? Math.round(km / KM_PER_MILE) : Math.round(km);
+
+  return `${new Intl.NumberFormat(locale).format(distance)} ${distanceUnit}`;
+}
+
+/**
+ * Formats an amount of money without decimals
+ * @param {number} amount - Amount
+ * @param {string} [currency] - ISO currency code (default: the country's currency)
+ * @param {string} [country] - Country code
+ * @returns {string} Formatted amount, e.g. "23.900 €" or "£23,900"
+ */
+function formatCurrency(amount, currency, country) {
+  const locale = getLocale(country);
+
+  return new Intl.NumberFormat(locale.locale, {
+    style: 'currency',
+    currency: currency || locale.currency,
+    maximumFractionDigits: 0
+  }).format(amount);
+}
+
+/**
+ * Formats a vehicle field for a prompt when it holds a distance or a price
+ * Other fields are returned unchanged
+ * @param {string} field - Field path, e.g. "mileage" or "price"
+ * @param {*} value - Field value
+ * @param {string} [country] - Country code
+ * @returns {*} Formatted text, or the value unchanged
+ */
+function formatField(field, value, country) {
+  if (field === 'mileage' && Number.isFinite(Number(value))) {
+    return formatDistance(Number(value), country);
+  }
+
+  if (field === 'price') {
+    // The listing API returns either a plain amount or { amount, currency }
+    const amount = typeof value === 'object' ? value.amount : value;
+    const currency = typeof value === 'object' ? value.currency : undefined;
+    if (amount === null || amount === '' || !Number.isFinite(Number(amount))) {
+      return undefined;
+    }
+    try {
+      return formatCurrency(Number(amount), currency, country);
+    } catch (err) {
+      // Unknown currency code, print it as it came
+      return `${amount} ${currency}`;
+    }
+  }
+
+  return value;
+}
+
+module.exports = {
+  getLocale,
+  formatDistance,
+  formatCurrency,
+  formatField
+};
@@ -2,9 +2,9 @@
  * N8N Service - Handles communication with the n8n webhooks
  */
 
-const axios = require('axios');
 const config = require('../utils/config');
 const logger = require('../utils/logger');
+const httpClientService = require('./http-client-service');
 
 /**
  * Forward a message to n8n webhook
@@ -45,7 +45,7 @@ async function forwardToN8n({ sessionId, message, page, lastResponse, authToken,
     }
     
     const startTime = new Date();
-    const response = await axios({
+    const response = await httpClientService.request('n8n', {
       method: 'post',
       url: targetUrl,
       headers: headers,
@@ -0,0 +1,122 @@
+/**
+ * Poll Scheduler Service
+ * One timer drives the status polling of every provider task: each job says when it wants
+ * to be checked next, and the scheduler wakes up for the earliest one
+ */
+
+const logger = require('../utils/logger');
+
+// Polling jobs by ID
+const jobs = new Map();
+
+// The single timer, set for the earliest job that is not being checked
+let timer = null;
+let timerDueAt = null;
+
+/**
+ * Sets the timer for the earliest due job, or clears it when no job is waiting
+ */
+function armTimer() {
+  let nextDueAt = null;
+  for (const job of jobs.values()) {
+    if (!job.running && (nextDueAt === null || job.dueAt < nextDueAt)) {
+      nextDueAt = job.dueAt;
+    }
+  }
+
+  if (timer && timerDueAt === nextDueAt) {
+    return;
+  }
+  clearTimeout(timer);
+  timer = null;
+  timerDueAt = nextDueAt;
+
+  if (nextDueAt !== null) {
+    timer = setTimeout(runDueJobs, Math.max(nextDueAt - Date.now(), 0));
+    // Polling alone never keeps the process alive, the HTTP server does
+    timer.unref?.();
+  }
+}
+
+/**
+ * Runs one check of a job and schedules its next one
+ * @param {object} job - Polling job
+ * @returns {Promise<void>}
+ */
+async function runJob(job) {
+  job.running = true;
+  try {
+    const result = await job.check();
+    if (result.done) {
+      jobs.delete(job.id);
+      job.resolve(result.value);
+    } else {
+      job.dueAt = Date.now() + Math.max(result.delay || 0, 0);
+    }
+  } catch (error) {
+    jobs.delete(job.id);
+    job.reject(error);
+  } finally {
+    job.running = false;
+    armTimer();
+  }
+}
+
+/**
+ * Timer callback: checks every job that is due
+ */
+function runDueJobs() {
+  timer = null;
+  timerDueAt = null;
+  const now = Date.now();
+
+  for (const job of jobs.values()) {
+    if (!job.running && job.dueAt <= now) {
+      runJob(job);
+    }
+  }
+  armTimer();
+}
+
+/**
+ * Polls until a check reports that it is done
+ * @param {string} id - Job ID, unique among the jobs being polled
+ * @param {function(): Promise<{done: boolean, value: *, delay: number}>} check - Called when the job is due;
+ *   resolves to { done: true, value } to finish or { delay } for the milliseconds until the next check
+ * @param {number} [delay=0] - Milliseconds until the first check, 0 to check right away
+ * @returns {Promise<*>} The value of the check that finished, rejected with the error of a check that threw
+ */
+function poll(id, check, delay = 0) {
+  if (jobs.has(id)) {
+    return Promise.reject(new Error(`Already polling ${id}`));
+  }
+
+  return new Promise((resolve, reject) => {
+    const job = { id, check, dueAt: Date.now() + delay, running: false, resolve, reject };
+    jobs.set(id, job);
+    logger.debug('PollScheduler', `Scheduled ${id}`, { jobs: jobs.size });
+
+    // A job due now is checked right away instead of waiting for the timer
+    if (delay <= 0) {
+      runJob(job);
+    } else {
+      armTimer();
+    }
+  });
+}
+
+/**
+ * Gets the state of the scheduler
+ * @returns {{jobs: number, nextCheckAt: string|null}} Number of jobs being polled and when the timer fires next
+ */
+function getStats() {
+  return {
+    jobs: jobs.size,
+    nextCheckAt: timerDueAt !== null ? new Date(timerDueAt).toISOString() : null
+  };
+}
+
+module.exports = {
+  poll,
+  getStats
+};
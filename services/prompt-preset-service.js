@@ -0,0 +1,289 @@
+/**
+ * Prompt Preset Service
+ * Stores named presets (prompt template, style, duration, ratio, model) in the data directory
+ * Every update bumps the preset version and keeps the previous versions, so a task that
+ * records presetId and presetVersion can always be traced back to the exact settings used
+ */
+
+const fs = require('fs');
+const path = require('path');
+const config = require('../utils/config');
+const logger = require('../utils/logger');
+const { createHttpError } = require('../utils/error-handler');
+const promptTemplateService = require('./prompt-template-service');
+const videoModelService = require('./video-model-service');
+
+const presetStoreDir = path.join(config.dataDir, 'prompt-presets');
+try {
+  if (!fs.existsSync(presetStoreDir)) {
+    fs.mkdirSync(presetStoreDir, { recursive: true });
+  }
+} catch (err) {
+  logger.warn('PromptPresets', `Could not initialize preset directory: ${err.message}`);
+}
+
+// Fields a client can set, the rest (presetId, version, timestamps) are managed here
+const PRESET_FIELDS = ['name', 'description', 'template', 'style', 'duration', 'ratio', 'model'];
+
+/**
+ * Checks the fields of a preset from a request body
+ * @param {object} fields - Preset fields
+ * @param {boolean} [partial=false] - Whether missing required fields are allowed (updates)
+ * @returns {string|null} Error message, or null if the fields are valid
+ */
+function validatePreset(fields, partial = false) {
+  if (!fields || typeof fields !== 'object' || Array.isArray(fields)) {
+    return 'Preset must be an object';
+  }
+
+  for (const field of ['name', 'template']) {
+    if (fields[field] === undefined && !partial) {
+      return `${field} is required`;
+    }
+    if (fields[field] !== undefined && (typeof fields[field] !== 'string' || fields[field].trim() === '')) {
+      return `${field} must be a non-empty string`;
+    }
+  }
+  for (const field of ['description', 'style', 'ratio', 'model']) {
+    if (fields[field] !== undefined && typeof fields[field] !== 'string') {
+      return `${field} must be a string`;
+    }
+  }
+  // Allowed values depend on the model and are checked once the preset is complete
+  if (fields.duration !== undefined && !Number.isInteger(fields.duration)) {
+    return 'duration must be an integer';
+  }
+
+  if (fields.template !== undefined) {
+    try {
+      promptTemplateService.renderTemplate(fields.template, {});
+    } catch (error) {
+      return error.message;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Gets the file of a preset, ignoring IDs that could leave the preset directory
+ * @param {string} presetId - Preset ID
+ * @returns {string|null} File path, or null for an invalid ID
+ */
+function getPresetFile(presetId) {
+  if (typeof presetId !== 'string' || !/^[\w-]+$/.test(presetId)) {
+    return null;
+  }
+  return path.join(presetStoreDir, `${presetId}.json`);
+}
+
+/**
+ * Reads a stored preset record, including its previous versions
+ * @param {string} presetId - Preset ID
+ * @returns {object|null} Stored record, or null if unknown
+ */
+function readPreset(presetId) {
+  const presetFile = getPresetFile(presetId);
+  if (!presetFile || !fs.existsSync(presetFile)) {
+    return null;
+  }
+
+  try {
+    return JSON.parse(fs.readFileSync(presetFile, 'utf8'));
+  } catch (err) {
+    logger.warn('PromptPresets', `Error reading preset file: ${err.message}`, null, presetId);
+    return null;
+  }
+}
+
+/**
+ * Writes a preset record to disk
+ * @param {object} record - Preset record
+ */
+function writePreset(record) {
+  const presetFile = getPresetFile(record.presetId);
+  const tempFile = `${presetFile}.tmp`;
+  fs.writeFileSync(tempFile, JSON.stringify(record, null, 2));
+  fs.renameSync(tempFile, presetFile);
+}
+
+/**
+ * Strips the version history from a stored record
+ * @param {object} record - Stored preset record
+ * @returns {object} Preset as returned by the API
+ */
+function toPreset(record) {
+  const { previousVersions, ...preset } = record;
+  return preset;
+}
+
+/**
+ * Picks the client-settable fields of a request body
+ * @param {object} fields - Request body
+ * @returns {object} Preset fields that were provided
+ */
+function pickFields(fields) {
+  return PRESET_FIELDS.reduce((picked, field) => {
+    if (fields[field] !== undefined) {
+      picked[field] = fields[field];
+    }
+    return picked;
+  }, {});
+}
+
+/**
+ * Lists all stored presets, newest first
+ * @returns {Array<object>} Presets (current version only)
+ */
+function listPresets() {
+  let files = [];
+  try {
+    files = fs.readdirSync(presetStoreDir).filter(name => name.endsWith('.json'));
+  } catch (err) {
+    logger.warn('PromptPresets', `Could not read preset directory: ${err.message}`);
+  }
+
+  return files
+    .map(file => readPreset(path.basename(file, '.json')))
+    .filter(Boolean)
+    .map(toPreset)
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+/**
+ * Gets a preset, optionally at an earlier version
+ * @param {string} presetId - Preset ID
+ * @param {number} [version] - Version to return (default: current)
+ * @returns {object|null} Preset, or null if the preset or version is unknown
+ */
+function getPreset(presetId, version) {
+  const record = readPreset(presetId);
+  if (!record) {
+    return null;
+  }
+  if (version === undefined || version === record.version) {
+    return toPreset(record);
+  }
+  return (record.previousVersions || []).find(previous => previous.version === version) || null;
+}
+
+/**
+ * Creates a preset at version 1
+ * @param {object} fields - Preset fields (name, template, description, style, duration, ratio, model)
+ * @returns {object} Created preset
+ * @throws {Error} HTTP 400 error when the fields are invalid or the model does not support them
+ */
+function createPreset(fields) {
+  const validationError = validatePreset(fields);
+  if (validationError) {
+    throw createHttpError(400, validationError);
+  }
+  videoModelService.checkModelOptions(fields);
+
+  let timestamp = Date.now();
+  while (readPreset(`p${timestamp}`)) {
+    timestamp++;
+  }
+
+  const now = new Date().toISOString();
+  const record = {
+    presetId: `p${timestamp}`,
+    ...pickFields(fields),
+    version: 1,
+    createdAt: now,
+    updatedAt: now
+  };
+  writePreset(record);
+
+  logger.info('PromptPresets', `Created preset "${record.name}"`, null, record.presetId);
+  return toPreset(record);
+}
+
+/**
+ * Updates a preset as a new version; fields that are not given keep their value
+ * @param {string} presetId - Preset ID
+ * @param {object} fields - Preset fields to change
+ * @returns {object|null} Updated preset, or null if the preset is unknown
+ * @throws {Error} HTTP 400 error when the fields are invalid or the model does not support them
+ */
+function updatePreset(presetId, fields) {
+  const validationError = validatePreset(fields, true);
+  if (validationError) {
+    throw createHttpError(400, validationError);
+  }
+
+  const record = readPreset(presetId);
+  if (!record) {
+    return null;
+  }
+
+  const { previousVersions = [], ...current } = record;
+  const updated = {
+    ...current,
+    ...pickFields(fields),
+    version: current.version + 1,
+    updatedAt: new Date().toISOString(),
+    previousVersions: [...previousVersions, current]
+  };
+  videoModelService.checkModelOptions(updated);
+  writePreset(updated);
+
+  logger.info('PromptPresets', `Updated preset to version ${updated.version}`, null, presetId);
+  return toPreset(updated);
+}
+
+/**
+ * Deletes a preset and its version history
+ * Tasks keep their presetId and presetVersion, the settings they used are stored on the task
+ * @param {string} presetId - Preset ID
+ * @returns {boolean} True if the preset existed
+ */
+function deletePreset(presetId) {
+  if (!readPreset(presetId)) {
+    return false;
+  }
+
+  fs.rmSync(getPresetFile(presetId), { force: true });
+  logger.info('PromptPresets', 'Deleted preset', null, presetId);
+  return true;
+}
+
+/**
+ * Fills video options from the preset they reference
+ * Options given in the request take precedence over the preset. Options that already carry
+ * a presetVersion (e.g. retries) were resolved before and are returned unchanged.
+ * @param {object} [options] - Video options with presetId
+ * @returns {object} Video options with the preset's template, style, duration, ratio and model
+ * @throws {Error} HTTP 400 error when the preset is unknown
+ */
+function applyPreset(options = {}) {
+  if (!options.presetId || options.presetVersion !== undefined) {
+    return options;
+  }
+
+  const preset = getPreset(options.presetId);
+  if (!preset) {
+    throw createHttpError(400, `Unknown prompt preset: ${options.presetId}`);
+  }
+
+  const resolved = { ...options, presetVersion: preset.version };
+  if (!options.prompt && !options.templateId) {
+    resolved.promptTemplate = preset.template;
+  }
+  for (const field of ['style', 'duration', 'ratio', 'model']) {
+    if (resolved[field] === undefined && preset[field] !== undefined) {
+      resolved[field] = preset[field];
+    }
+  }
+  return resolved;
+}
+
+module.exports = {
+  validatePreset,
+  listPresets,
+  getPreset,
+  createPreset,
+  updatePreset,
+  deletePreset,
+  applyPreset
+};
@@ -0,0 +1,285 @@
+/**
+ * Prompt Template Service
+ * Renders named Runway prompt templates against vehicle details
+ *
+ * Template syntax:
+ *   {{field}}                      Vehicle field, nested fields with dots (e.g. {{price.amount}})
+ *   {{field | other | "text"}}     First non-empty field, or the quoted fallback text
+ *   {{#if field}}...{{/if}}        Section rendered only when the field prints something
+ *   {{#if field}}...{{else}}...{{/if}}
+ *
+ * Templates are picked in the language of the request country, falling back to English,
+ * and `mileage` and `price` are printed in the country's units and currency
+ */
+
+const { createHttpError } = require('../utils/error-handler');
+const localeService = require('./locale-service');
+
+// Built-in templates in English. `default` is used when a request has neither a prompt nor a templateId.
+const TEMPLATES = {
+  default: {
+    name: 'Default',
+    description: 'General showcase of the vehicle from different angles',
+    template: 'A professional, high-quality video showcasing a {{year}} {{brand}} {{model}} in {{exteriorColorName | "its color"}}. Show the car from different angles, highlighting its features.'
+  },
+  showroom: {
+    name: 'Showroom',
+    description: 'Slow turntable shot in a bright showroom, mentions trim and body type',
+    template: 'A slow, elegant turntable shot of a {{year}} {{brand}} {{model}}{{#if trim | version}} {{trim | version}}{{/if}} {{bodyType | "car"}} in {{exteriorColorName | "its color"}}, inside a bright, modern dealership showroom with soft reflections on the paintwork.'
+  },
+  lifestyle: {
+    name: 'Lifestyle',
+    description: 'Outdoor driving scene, highlights fuel type and low mileage',
+    template: 'A cinematic outdoor video of a {{exteriorColorName | ""}} {{year}} {{brand}} {{model}} driving along a scenic coastal road at golden hour.{{#if fuelType}} Emphasise its efficient {{fuelType}} engine.{{/if}}{{#if mileage}} A well-kept car with only {{mileage}}.{{else}} A brand-new car, never driven.{{/if}}'
+  },
+  offer: {
+    name: 'Offer',
+    description: 'Dynamic promotional video, includes the price when available',
+    template: 'A dynamic promotional video of a {{year}} {{brand}} {{model}} with quick cuts between exterior details and the interior.{{#if price}} Highlight the attractive offer price of {{price}}.{{/if}}'
+  }
+};
+
+// Translations of the built-in templates by language; missing ones fall back to English
+const TRANSLATIONS = {
+  it: {
+    default: 'Un video professionale e di alta qualità di una {{brand}} {{model}} del {{year}}, colore {{exteriorColorName | "originale"}}. Mostra l\'auto da diverse angolazioni, mettendo in risalto le sue caratteristiche.',
+    showroom: 'Una ripresa lenta ed elegante a 360 gradi di una {{brand}} {{model}}{{#if trim | version}} {{trim | version}}{{/if}} del {{year}}, colore {{exteriorColorName | "originale"}}, all\'interno di uno showroom moderno e luminoso con riflessi morbidi sulla carrozzeria.',
+    lifestyle: 'Un video cinematografico all\'aperto di una {{brand}} {{model}} del {{year}}{{#if exteriorColorName}}, colore {{exteriorColorName}},{{/if}} che percorre una strada costiera panoramica al tramonto.{{#if fuelType}} Sottolinea l\'efficienza del motore {{fuelType}}.{{/if}}{{#if mileage}} Un\'auto ben tenuta con soli {{mileage}}.{{else}} Un\'auto nuova, mai guidata.{{/if}}',
+    offer: 'Un video promozionale dinamico di una {{brand}} {{model}} del {{year}}, con tagli rapidi tra i dettagli esterni e l\'abitacolo.{{#if price}} Metti in evidenza l\'interessante prezzo di {{price}}.{{/if}}'
+  },
+  de: {
+    default: 'Ein professionelles, hochwertiges Video eines {{year}} {{brand}} {{model}} in {{exteriorColorName | "Originalfarbe"}}. Zeige das Auto aus verschiedenen Blickwinkeln und hebe seine Ausstattung hervor.',
+    showroom: 'Eine langsame, elegante Drehteller-Aufnahme eines {{year}} {{brand}} {{model}}{{#if trim | version}} {{trim | version}}{{/if}} in {{exteriorColorName | "Originalfarbe"}} in einem hellen, modernen Autohaus mit weichen Reflexionen auf dem Lack.',
+    lifestyle: 'Ein filmisches Outdoor-Video eines {{year}} {{brand}} {{model}}{{#if exteriorColorName}} in {{exteriorColorName}}{{/if}} auf einer malerischen Küstenstraße zur goldenen Stunde.{{#if fuelType}} Betone den effizienten Antrieb ({{fuelType}}).{{/if}}{{#if mileage}} Ein gepflegtes Auto mit nur {{mileage}}.{{else}} Ein Neuwagen, noch nie gefahren.{{/if}}',
+    offer: 'Ein dynamisches Werbevideo eines {{year}} {{brand}} {{model}} mit schnellen Schnitten zwischen Außendetails und Innenraum.{{#if price}} Hebe den attraktiven Angebotspreis von {{price}} hervor.{{/if}}'
+  },
+  fr: {
+    default: 'Une vidéo professionnelle de haute qualité présentant une {{brand}} {{model}} {{year}} de couleur {{exteriorColorName | "d\'origine"}}. Montre la voiture sous différents angles en mettant en valeur ses caractéristiques.',
+    showroom: 'Un plan tournant lent et élégant d\'une {{brand}} {{model}}{{#if trim | version}} {{trim | version}}{{/if}} {{year}} de couleur {{exteriorColorName | "d\'origine"}}, dans un showroom moderne et lumineux aux reflets doux sur la carrosserie.',
+    lifestyle: 'Une vidéo cinématographique en extérieur d\'une {{brand}} {{model}} {{year}}{{#if exteriorColorName}} {{exteriorColorName}}{{/if}} roulant sur une route côtière pittoresque à l\'heure dorée.{{#if fuelType}} Mets en avant son moteur {{fuelType}} efficace.{{/if}}{{#if mileage}} Une voiture bien entretenue avec seulement {{mileage}}.{{else}} Une voiture neuve, jamais conduite.{{/if}}',
+    offer: 'Une vidéo promotionnelle dynamique d\'une {{brand}} {{model}} {{year}}, avec des coupes rapides entre les détails extérieurs et l\'habitacle.{{#if price}} Mets en avant le prix attractif de {{price}}.{{/if}}'
+  },
+  es: {
+    default: 'Un vídeo profesional de alta calidad que muestra un {{brand}} {{model}} de {{year}} en color {{exteriorColorName | "original"}}. Muestra el coche desde diferentes ángulos, destacando sus características.',
+    showroom: 'Un plano giratorio lento y elegante de un {{brand}} {{model}}{{#if trim | version}} {{trim | version}}{{/if}} de {{year}} en color {{exteriorColorName | "original"}}, dentro de un concesionario moderno y luminoso con reflejos suaves sobre la carrocería.',
+    lifestyle: 'Un vídeo cinematográfico al aire libre de un {{brand}} {{model}} de {{year}}{{#if exteriorColorName}} {{exteriorColorName}}{{/if}} circulando por una carretera costera panorámica en la hora dorada.{{#if fuelType}} Destaca su eficiente motor {{fuelType}}.{{/if}}{{#if mileage}} Un coche bien cuidado con solo {{mileage}}.{{else}} Un coche nuevo, nunca conducido.{{/if}}',
+    offer: 'Un vídeo promocional dinámico de un {{brand}} {{model}} de {{year}}, con cortes rápidos entre los detalles exteriores y el interior.{{#if price}} Destaca el atractivo precio de oferta de {{price}}.{{/if}}'
+  }
+};
+
+/**
+ * Reads a field from the vehicle, following dots into nested objects
+ * @param {object} vehicle - Vehicle details
+ * @param {string} fieldPath - Field name, e.g. "fuelType" or "price.amount"
+ * @returns {*} Field value, or undefined if missing
+ */
+function readField(vehicle, fieldPath) {
+  return fieldPath.split('.').reduce((value, key) => (value == null ? undefined : value[key]), vehicle);
+}
+
+/**
+ * Checks whether a value counts as set: not missing, not an empty string and not an empty object
+ * @param {*} value - Field value
+ * @returns {boolean} True if the value is present
+ */
+function isPresent(value) {
+  if (value === undefined || value === null || value === '') {
+    return false;
+  }
+  return typeof value !== 'object' || Object.keys(value).length > 0;
+}
+
+/**
+ * Formats a field the way placeholders print it
+ * A mileage of 0 is a new car, so it prints nothing rather than "0 km"
+ * @param {string} field - Field name
+ * @param {*} value - Field value
+ * @param {string} [country] - Country whose units and currency are used
+ * @returns {*} Formatted value, or undefined if the field prints nothing
+ */
+function formatValue(field, value, country) {
+  if (field === 'mileage' && Number(value) === 0) {
+    return undefined;
+  }
+  return localeService.formatField(field, value, country);
+}
+
+/**
+ * Evaluates a `field | other | "text"` expression
+ * Fields are formatted before they are checked, so {{#if}} and placeholders agree on what is present
+ * @param {string} expression - Placeholder expression
+ * @param {object} vehicle - Vehicle details
+ * @param {string} [country] - Country whose units and currency are used
+ * @returns {*} First present formatted value or quoted text, or undefined
+ */
+function evaluate(expression, vehicle, country) {
+  for (const part of expression.split('|').map(item => item.trim())) {
+    const literal = part.match(/^"(.*)"$/);
+    if (literal) {
+      return literal[1];
+    }
+    const value = readField(vehicle, part);
+    const formatted = isPresent(value) ? formatValue(part, value, country) : undefined;
+    if (isPresent(formatted)) {
+      return formatted;
+    }
+  }
+  return undefined;
+}
+
+/**
+ * Parses a template into a tree of text, placeholder and conditional nodes
+ * @param {string} source - Template source
+ * @returns {Array<object>} Parsed nodes
+ * @throws {Error} HTTP 400 error on unbalanced {{#if}} / {{/if}} tags
+ */
+function parseTemplate(source) {
+  const root = { children: [] };
+  const stack = [root];
+  const tagPattern = /\{\{\s*(.*?)\s*\}\}/g;
+  let lastIndex = 0;
+  let match;
+
+  const current = () => {
+    const node = stack[stack.length - 1];
+    return node.inElse ? node.otherwise : node.children;
+  };
+
+  while ((match = tagPattern.exec(source)) !== null) {
+    if (match.index > lastIndex) {
+      current().push({ type: 'text', value: source.slice(lastIndex, match.index) });
+    }
+    lastIndex = tagPattern.lastIndex;
+
+    const tag = match[1];
+    if (tag.startsWith('#if ')) {
+      const node = { type: 'if', condition: tag.slice(4).trim(), children: [], otherwise: [] };
+      current().push(node);
+      stack.push(node);
+    } else if (tag === 'else') {
+      if (stack.length === 1) {
+        throw createHttpError(400, 'Template has {{else}} outside of {{#if}}');
+      }
+      stack[stack.length - 1].inElse = true;
+    } else if (tag === '/if') {
+      if (stack.length === 1) {
+        throw createHttpError(400, 'Template has {{/if}} without a matching {{#if}}');
+      }
+      stack.pop();
+    } else {
+      current().push({ type: 'field', expression: tag });
+    }
+  }
+
+  if (stack.length > 1) {
+    throw createHttpError(400, 'Template has an {{#if}} without a closing {{/if}}');
+  }
+  if (lastIndex < source.length) {
+    root.children.push({ type: 'text', value: source.slice(lastIndex) });
+  }
+
+  return root.children;
+}
+
+/**
+ * Renders parsed nodes against a vehicle
+ * @param {Array<object>} nodes - Parsed template nodes
+ * @param {object} vehicle - Vehicle details
+ * @param {string} [country] - Country whose units and currency are used
+ * @returns {string} Rendered text
+ */
+function renderNodes(nodes, vehicle, country) {
+  return nodes.map(node => {
+    if (node.type === 'text') {
+      return node.value;
+    }
+    if (node.type === 'if') {
+      return renderNodes(isPresent(evaluate(node.condition, vehicle, country)) ? node.children : node.otherwise, vehicle, country);
+    }
+    // Objects can be tested with {{#if}}, but only plain or formatted values are printed
+    const value = evaluate(node.expression, vehicle, country);
+    return value === undefined || typeof value === 'object' ? '' : String(value);
+  }).join('');
+}
+
+/**
+ * Renders a template source against vehicle details
+ * Whitespace left behind by empty placeholders is collapsed
+ * @param {string} source - Template source
+ * @param {object} vehicle - Vehicle details as returned by getVehicleDetails
+ * @param {string} [country] - Country whose units and currency are used
+ * @returns {string} Rendered prompt
+ * @throws {Error} HTTP 400 error when the template is malformed
+ */
+function renderTemplate(source, vehicle, country) {
+  return renderNodes(parseTemplate(source), vehicle || {}, country)
+    .replace(/\s+/g, ' ')
+    .replace(/\s+([.,;:!?])/g, '$1')
+    .trim();
+}
+
+/**
+ * Gets a built-in template
+ * @param {string} templateId - Template ID
+ * @returns {object|null} Template (name, description, template), or null if unknown
+ */
+function getTemplate(templateId) {
+  if (!Object.prototype.hasOwnProperty.call(TEMPLATES, templateId)) {
+    return null;
+  }
+  return { id: templateId, ...TEMPLATES[templateId] };
+}
+
+/**
+ * Lists the built-in templates
+ * @returns {Array<object>} Templates with their IDs and the languages they are available in
+ */
+function listTemplates() {
+  return Object.keys(TEMPLATES).map(templateId => ({
+    ...getTemplate(templateId),
+    languages: ['en', ...Object.keys(TRANSLATIONS).filter(language => TRANSLATIONS[language][templateId])]
+  }));
+}
+
+/**
+ * Picks the source of a built-in template in the language of a country
+ * @param {string} templateId - Template ID
+ * @param {string} [country] - Country code
+ * @returns {{source: string, language: string}|null} Template source and its language, or null if unknown
+ */
+function resolveTemplate(templateId, country) {
+  const template = getTemplate(templateId);
+  if (!template) {
+    return null;
+  }
+
+  const { language } = localeService.getLocale(country);
+  const translated = TRANSLATIONS[language]?.[templateId];
+  return translated ? { source: translated, language } : { source: template.template, language: 'en' };
+}
+
+/**
+ * Renders a named template against vehicle details, in the language of the country
+ * @param {string} [templateId='default'] - Template ID
+ * @param {object} vehicle - Vehicle details as returned by getVehicleDetails
+ * @param {string} [country] - Country code, picks the language, units and currency
+ * @returns {string} Rendered prompt
+ * @throws {Error} HTTP 400 error when the template is unknown
+ */
+function renderPrompt(templateId = 'default', vehicle, country) {
+  const resolved = resolveTemplate(templateId, country);
+  if (!resolved) {
+    throw createHttpError(400, `Unknown prompt template: ${templateId}`, {
+      availableTemplates: Object.keys(TEMPLATES)
+    });
+  }
+  return renderTemplate(resolved.source, vehicle, country);
+}
+
+module.exports = {
+  renderTemplate,
+  renderPrompt,
+  resolveTemplate,
+  getTemplate,
+  listTemplates
+};
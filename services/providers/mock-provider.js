@@ -0,0 +1,138 @@
+/**
+ * Mock Video Provider
+ * Offline stand-in for Runway: every task succeeds after config.videoProviders.mock.delay
+ * and returns a placeholder MP4 served by this server, so the whole pipeline can run
+ * without network access or API credits
+ */
+
+const config = require('../../utils/config');
+const logger = require('../../utils/logger');
+
+// Mock tasks by ID; IDs also encode the creation time, so tasks survive a restart
+const tasks = new Map();
+let sequence = 0;
+
+/**
+ * Builds a minimal MP4 container (ftyp and moov/mvhd boxes, no tracks) of the given length
+ * Players open it as an empty video, which is enough to exercise downloads and stitching
+ * @param {number} [durationSeconds=5] - Duration written to the movie header
+ * @returns {Buffer} MP4 file contents
+ */
+function buildPlaceholderVideo(durationSeconds = 5) {
+  const box = (type, ...payloads) => {
+    const body = Buffer.concat(payloads);
+    const header = Buffer.alloc(8);
+    header.writeUInt32BE(body.length + 8, 0);
+    header.write(type, 4, 'ascii');
+    return Buffer.concat([header, body]);
+  };
+
+  const ftyp = box('ftyp', Buffer.from('isom'), Buffer.from([0, 0, 2, 0]), Buffer.from('isomiso2mp41'));
+
+  const mvhd = Buffer.alloc(100);
+  mvhd.writeUInt32BE(1000, 12); // Timescale: milliseconds
+  mvhd.writeUInt32BE(Math.round(durationSeconds * 1000), 16);
+  mvhd.writeUInt32BE(0x00010000, 20); // Playback rate 1.0
+  mvhd.writeUInt16BE(0x0100, 24); // Volume 1.0
+  [0x00010000, 0, 0, 0, 0x00010000, 0, 0, 0, 0x40000000].forEach((value, index) => {
+    mvhd.writeUInt32BE(value, 36 + index * 4); // Identity matrix
+  });
+  mvhd.writeUInt32BE(1, 96); // Next track ID
+
+  return Buffer.concat([ftyp, box('moov', box('mvhd', mvhd))]);
+}
+
+/**
+ * Gets the URL a mock task's video is served from
+ * @param {string} providerTaskId - Mock task ID
+ * @param {string} [baseUrl] - Base URL of this server (default: PUBLIC_BASE_URL, or localhost on the
+ *   configured port when it is not set)
+ * @returns {string} Video URL
+ */
+function getVideoUrl(providerTaskId, baseUrl) {
+  const serverUrl = baseUrl || config.publicBaseUrl?.replace(/\/+$/, '') || `http://localhost:${config.port}`;
+  return config.videoProviders.mock.videoUrl || `${serverUrl}/mock-provider/videos/${providerTaskId}.mp4`;
+}
+
+/**
+ * The mock provider needs no credentials
+ * @returns {null} Always null
+ */
+function getConfigurationError() {
+  return null;
+}
+
+/**
+ * Creates a mock task that succeeds once the configured delay has passed
+ * @param {object} request - Generation request, see the Runway provider
+ * @param {number} [request.duration=5] - Duration in seconds
+ * @param {string} [request.apiBaseUrl] - Base URL of this server, used for the placeholder video URL
+ * @param {string} [request.taskId] - Local task ID for logging
+ * @returns {Promise<{providerTaskId: string}>} Mock task ID
+ */
+async function create(request) {
+  const createdAt = Date.now();
+  const providerTaskId = `mock-${createdAt}-${++sequence}`;
+  tasks.set(providerTaskId, { createdAt, videoUrl: getVideoUrl(providerTaskId, request.apiBaseUrl) });
+
+  logger.info('MockProvider', `Created task, succeeds in ${config.videoProviders.mock.delay}ms`, {
+    providerTaskId,
+    duration: request.duration
+  }, request.taskId);
+  return { providerTaskId };
+}
+
+/**
+ * Gets the status of a mock task from the time elapsed since it was created
+ * @param {string} providerTaskId - Mock task ID
+ * @returns {Promise<object>} status (running, succeeded, failed), providerStatus, progress, error, output
+ */
+async function getStatus(providerTaskId) {
+  const match = /^mock-(\d+)-\d+$/.exec(providerTaskId);
+  if (!match) {
+    return { status: 'failed', providerStatus: 'FAILED', error: `Unknown mock task: ${providerTaskId}` };
+  }
+
+  const task = tasks.get(providerTaskId) || { createdAt: Number(match[1]), videoUrl: getVideoUrl(providerTaskId) };
+  if (task.cancelled) {
+    return { status: 'failed', providerStatus: 'CANCELLED', error: 'Task was cancelled' };
+  }
+
+  const { delay } = config.videoProviders.mock;
+  const elapsed = Date.now() - task.createdAt;
+  if (elapsed < delay) {
+    return { status: 'running', providerStatus: 'RUNNING', progress: Math.round((elapsed / delay) * 100) / 100 };
+  }
+  return { status: 'succeeded', providerStatus: 'SUCCEEDED', progress: 1, output: { url: task.videoUrl } };
+}
+
+/**
+ * Cancels a mock task
+ * @param {string} providerTaskId - Mock task ID
+ * @returns {Promise<void>}
+ */
+async function cancel(providerTaskId) {
+  const task = tasks.get(providerTaskId);
+  if (task) {
+    task.cancelled = true;
+  }
+}
+
+/**
+ * Reads the video URL from a mock task output
+ * @param {*} output - The output of a succeeded mock task
+ * @returns {{videoUrl: string, outputFormat: string}|null} URL and format, or null if none found
+ */
+function normalizeOutput(output) {
+  return output?.url ? { videoUrl: output.url, outputFormat: 'url' } : null;
+}
+
+module.exports = {
+  name: 'mock',
+  getConfigurationError,
+  create,
+  getStatus,
+  cancel,
+  normalizeOutput,
+  buildPlaceholderVideo
+};
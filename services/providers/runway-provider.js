@@ -0,0 +1,132 @@
+/**
+ * Runway Video Provider
+ * Adapts the Runway SDK wrapper (runway-service) to the video provider interface
+ */
+
+const runwayService = require('../runway-service');
+
+// Runway task statuses mapped to provider-neutral ones
+const STATUS_MAP = {
+  PENDING: 'pending',
+  THROTTLED: 'pending',
+  RUNNING: 'running',
+  SUCCEEDED: 'succeeded',
+  SUCCESS: 'succeeded',
+  COMPLETED: 'succeeded',
+  FAILED: 'failed',
+  ERROR: 'failed',
+  CANCELLED: 'failed'
+};
+
+/**
+ * Explains why Runway cannot take generations, if it cannot
+ * @returns {string|null} Error message, or null when the API key is set
+ */
+function getConfigurationError() {
+  return process.env.RUNWAY_API_KEY ? null : 'Runway API key not configured';
+}
+
+/**
+ * Submits an image-to-video task
+ * @param {object} request - Generation request
+ * @param {string} request.promptText - Text prompt
+ * @param {string|Array<string>} request.promptImage - Keyframe image URL(s)
+ * @param {string} [request.model='gen3a_turbo'] - Runway model
+ * @param {number} [request.duration] - Duration in seconds
+ * @param {string} [request.ratio] - Output ratio
+ * @param {string} [request.style] - Style parameter
+ * @param {string} [request.taskId] - Local task ID for logging
+ * @returns {Promise<{providerTaskId: string}>} Runway task ID
+ */
+async function create(request) {
+  if (!runwayService.isSDKAvailable()) {
+    throw new Error('Runway SDK is not available. Make sure the API key is set and the SDK is properly installed.');
+  }
+
+  const payload = {
+    promptText: request.promptText,
+    promptImage: request.promptImage,
+    model: request.model || 'gen3a_turbo',
+    duration: request.duration,
+    ratio: request.ratio,
+    parameters: {
+      style: request.style
+    },
+    taskId: request.taskId // Only used for logging in runway-service
+  };
+
+  // Remove undefined properties
+  Object.keys(payload).forEach(key => {
+    if (payload[key] === undefined) {
+      delete payload[key];
+    }
+  });
+
+  const response = await runwayService.createImageToVideoTask(payload);
+  return { providerTaskId: response.taskId || response.id };
+}
+
+/**
+ * Gets the status of a Runway task
+ * Unknown statuses count as running, so polling simply continues
+ * @param {string} providerTaskId - Runway task ID
+ * @param {string} [localTaskId] - Local task ID for logging
+ * @returns {Promise<object>} status (pending, running, succeeded, failed), providerStatus, progress, error, output, credits
+ */
+async function getStatus(providerTaskId, localTaskId) {
+  const task = await runwayService.getTaskStatus(providerTaskId, localTaskId);
+  const providerStatus = task && task.status ? task.status.toUpperCase() : 'UNKNOWN';
+
+  return {
+    status: STATUS_MAP[providerStatus] || 'running',
+    providerStatus,
+    // Runway reports progress (0-1) while the task is running
+    progress: typeof task?.progress === 'number' ? task.progress : undefined,
+    error: task?.error || task?.failure,
+    output: task?.output,
+    // Credits charged for the task, when Runway includes them
+    credits: typeof task?.credits === 'number' ? task.credits : undefined
+  };
+}
+
+/**
+ * Cancels a running Runway task (or deletes a finished one)
+ * @param {string} providerTaskId - Runway task ID
+ * @param {string} [localTaskId] - Local task ID for logging
+ * @returns {Promise<void>}
+ */
+function cancel(providerTaskId, localTaskId) {
+  return runwayService.cancelTask(providerTaskId, localTaskId);
+}
+
+/**
+ * Extracts the video URL from a completed Runway task output
+ * Runway has returned several output shapes over time, so all known ones are checked
+ * @param {*} output - The `output` field of a Runway task
+ * @returns {{videoUrl: string, outputFormat: string}|null} URL and detected format, or null if none found
+ */
+function normalizeOutput(output) {
+  if (Array.isArray(output) && output.length > 0) {
+    return { videoUrl: output[0], outputFormat: 'array[0]' };
+  } else if (output?.urls?.mp4) {
+    return { videoUrl: output.urls.mp4, outputFormat: 'urls.mp4' };
+  } else if (output?.mp4) {
+    return { videoUrl: output.mp4, outputFormat: 'mp4' };
+  } else if (output?.video) {
+    return { videoUrl: output.video, outputFormat: 'video' };
+  } else if (output?.url) {
+    return { videoUrl: output.url, outputFormat: 'url' };
+  } else if (typeof output === 'string') {
+    return { videoUrl: output, outputFormat: 'string' };
+  }
+  return null;
+}
+
+module.exports = {
+  name: 'runway',
+  getConfigurationError,
+  create,
+  getStatus,
+  cancel,
+  normalizeOutput
+};
@@ -0,0 +1,189 @@
+/**
+ * Queue Service
+ * Limits how many video generations run in Runway at once, with per-country and per-dealer quotas
+ */
+
+const config = require('../utils/config');
+const logger = require('../utils/logger');
+
+// Tasks waiting for a slot, in arrival order
+const waiting = [];
+
+// Tasks currently holding a slot, by task ID
+const running = new Map();
+
+// Arrival counter, keeps FIFO order stable among tasks with the same priority
+let sequence = 0;
+
+/**
+ * Compares two waiting entries: higher priority first, then first in, first out
+ * @param {object} a - Waiting entry
+ * @param {object} b - Waiting entry
+ * @returns {number} Sort order
+ */
+function compareEntries(a, b) {
+  return (b.priority - a.priority) || (a.sequence - b.sequence);
+}
+
+/**
+ * Counts the running tasks that share a country or dealer with the given entry
+ * @param {string} key - Entry field to compare (country or dealerId)
+ * @param {string} value - Value to count
+ * @returns {number} Number of running tasks
+ */
+function countRunning(key, value) {
+  let count = 0;
+  for (const entry of running.values()) {
+    if (entry[key] === value) count++;
+  }
+  return count;
+}
+
+/**
+ * Checks whether starting an entry would exceed its country or dealer quota
+ * @param {object} entry - Waiting entry
+ * @param {object} settings - Queue settings
+ * @returns {boolean} True if the entry may start now
+ */
+function withinQuota(entry, settings) {
+  const countryQuota = entry.country ? settings.countryQuotas[entry.country] : undefined;
+  if (countryQuota && countRunning('country', entry.country) >= countryQuota) {
+    return false;
+  }
+
+  if (entry.dealerId) {
+    const dealerQuota = settings.dealerQuotas[entry.dealerId] || settings.defaultDealerQuota;
+    if (dealerQuota && countRunning('dealerId', entry.dealerId) >= dealerQuota) {
+      return false;
+    }
+  }
+
+  return true;
+}
+
+/**
+ * Starts as many waiting tasks as the global limit and quotas allow
+ * A task blocked by its quota does not hold back tasks of other countries or dealers
+ */
+function dispatch() {
+  const settings = config.generationQueue;
+  const ordered = [...waiting].sort(compareEntries);
+
+  for (const entry of ordered) {
+    if (running.size >= settings.maxConcurrent) {
+      break;
+    }
+    if (!withinQuota(entry, settings)) {
+      continue;
+    }
+
+    waiting.splice(waiting.indexOf(entry), 1);
+    running.set(entry.taskId, entry);
+    logger.debug('Queue', 'Slot granted', {
+      running: running.size,
+      waiting: waiting.length,
+      waitedMs: Date.now() - entry.enqueuedAt
+    }, entry.taskId);
+    entry.resolve();
+  }
+}
+
+/**
+ * Waits for a generation slot
+ * @param {string} taskId - Local task ID
+ * @param {object} [options] - Queue options
+ * @param {number} [options.priority=0] - Higher values are started first
+ * @param {string} [options.country] - Country the quota is counted against
+ * @param {string} [options.dealerId] - Dealer the quota is counted against
+ * @returns {Promise<void>} Resolves once the task may submit to Runway
+ * @throws {Error} Error with code TASK_CANCELLED if the task is removed while waiting
+ */
+function acquire(taskId, { priority = 0, country, dealerId } = {}) {
+  return new Promise((resolve, reject) => {
+    waiting.push({
+      taskId,
+      priority,
+      country,
+      dealerId,
+      sequence: sequence++,
+      enqueuedAt: Date.now(),
+      resolve,
+      reject
+    });
+    dispatch();
+  });
+}
+
+/**
+ * Counts a task as running right away, without waiting for a slot
+ * For tasks resumed after a restart: they are already rendering in Runway, so they hold a slot
+ * even when that puts the queue over its limits, and new tasks wait until they are released
+ * @param {string} taskId - Local task ID
+ * @param {object} [options] - Queue options, as for acquire
+ * @param {number} [options.priority=0] - Priority the task was queued with
+ * @param {string} [options.country] - Country the quota is counted against
+ * @param {string} [options.dealerId] - Dealer the quota is counted against
+ */
+function claim(taskId, { priority = 0, country, dealerId } = {}) {
+  running.set(taskId, { taskId, priority, country, dealerId, sequence: sequence++, enqueuedAt: Date.now() });
+}
+
+/**
+ * Frees the slot held by a task and starts the next waiting tasks
+ * Safe to call for tasks that never got a slot
+ * @param {string} taskId - Local task ID
+ */
+function release(taskId) {
+  if (running.delete(taskId)) {
+    dispatch();
+  }
+}
+
+/**
+ * Removes a waiting task from the queue, rejecting its pending acquire
+ * @param {string} taskId - Local task ID
+ * @returns {boolean} True if the task was waiting
+ */
+function remove(taskId) {
+  const index = waiting.findIndex(entry => entry.taskId === taskId);
+  if (index === -1) {
+    return false;
+  }
+
+  const [entry] = waiting.splice(index, 1);
+  const error = new Error('Task was cancelled');
+  error.code = 'TASK_CANCELLED';
+  entry.reject(error);
+  return true;
+}
+
+/**
+ * Gets the position of a waiting task in dispatch order
+ * @param {string} taskId - Local task ID
+ * @returns {number|null} 1-based position, or null if the task is not waiting
+ */
+function getQueuePosition(taskId) {
+  const index = [...waiting].sort(compareEntries).findIndex(entry => entry.taskId === taskId);
+  return index === -1 ? null : index + 1;
+}
+
+/**
+ * Gets the current queue load
+ * @returns {{running: number, waiting: number, maxConcurrent: number}} Queue statistics
+ */
+function getQueueStats() {
+  return {
+    running: running.size,
+    waiting: waiting.length,
+    maxConcurrent: config.generationQueue.maxConcurrent
+  };
+}
+
+module.exports = {
+  acquire,
+  claim,
+  release,
+  remove,
+  getQueuePosition,
+  getQueueStats
+};
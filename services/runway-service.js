@@ -30,8 +30,8 @@ try {
  * @param {string} options.promptText - The text prompt for generation
  * @param {string|Array} options.promptImage - URL of the source image or array of image URLs
  * @param {string} options.model - Runway model to use
- * @param {number} options.duration - Video duration in seconds (Supported values: 5, 10)
- * @param {string} options.ratio - Output video resolution/aspect ratio (Supported values: "1280:768", "768:1280")
+ * @param {number} options.duration - Video duration in seconds, already checked against the model by video-model-service
+ * @param {string} options.ratio - Output video resolution/aspect ratio, already checked against the model
  * @param {Object} options.parameters - Additional parameters (style, etc)
  * @param {string} [options.taskId] - Optional task ID for logging
  * @returns {Promise<Object>} Task response with ID
@@ -54,24 +54,6 @@ async function createImageToVideoTask(options) {
     imageCount: Array.isArray(taskOptions.promptImage) ? taskOptions.promptImage.length : 1
   }, taskId);
   
-  // Validate and set defaults for duration if provided (must be 5 or 10)
-  if (taskOptions.duration !== undefined) {
-    const validDurations = [5, 10];
-    if (!validDurations.includes(taskOptions.duration)) {
-      logger.warn('Runway', `Invalid duration value: ${taskOptions.duration}. Defaulting to 5.`, null, taskId);
-      taskOptions.duration = 5;
-    }
-  }
-  
-  // Validate and set defaults for ratio if provided
-  if (taskOptions.ratio !== undefined) {
-    const validRatios = ["1280:768", "768:1280"];
-    if (!validRatios.includes(taskOptions.ratio)) {
-      logger.warn('Runway', `Invalid ratio value: ${taskOptions.ratio}. Defaulting to "1280:768".`, null, taskId);
-      taskOptions.ratio = "1280:768";
-    }
-  }
-  
   // Handle array of image URLs
   if (Array.isArray(options.promptImage) && options.promptImage.length > 0) {
     // Format the first two images (or just one if that's all we have)
@@ -148,6 +130,30 @@ async function getTaskStatus(taskId, localTaskId) {
   }
 }
 
+/**
+ * Cancel a running task (or delete a finished one)
+ * @param {string} taskId - The Runway task ID
+ * @param {string} [localTaskId] - Optional local task ID for logging
+ * @returns {Promise<void>}
+ */
+async function cancelTask(taskId, localTaskId) {
+  const logId = localTaskId || taskId.substring(0, 8);
+  
+  if (!runway) {
+    logger.error('Runway', 'SDK not available', null, logId);
+    throw new Error('Runway SDK is not available');
+  }
+  
+  try {
+    logger.runway('CancelTask', `Cancelling task ${taskId}`, null, logId);
+    await runway.tasks.delete(taskId);
+    logger.runway('CancelTask', 'Task cancelled', null, logId);
+  } catch (error) {
+    logger.error('Runway', `Failed to cancel task: ${error.message}`, null, logId);
+    throw error;
+  }
+}
+
 /**
  * Check if the Runway SDK is available
  * @returns {boolean} Whether the SDK is ready to use
@@ -159,5 +165,6 @@ function isSDKAvailable() {
 module.exports = {
   createImageToVideoTask,
   getTaskStatus,
+  cancelTask,
   isSDKAvailable
 };
\ No newline at end of file
@@ -0,0 +1,36 @@
+/**
+ * is.gd URL Shortener
+ * Public shortening API, kept as a fallback for the local shortener
+ */
+
+const httpClientService = require('../http-client-service');
+
+/**
+ * Shortens a URL with is.gd
+ * @param {string} url - URL to shorten
+ * @param {object} [options] - Shortening options
+ * @param {string} [options.alias] - Custom short code, sent as is.gd's `shorturl`
+ * @returns {Promise<string>} Short URL
+ * @throws {Error} When is.gd fails or returns no short URL
+ */
+async function shorten(url, { alias } = {}) {
+  const params = new URLSearchParams({ format: 'json', url });
+  if (alias) {
+    params.set('shorturl', alias);
+  }
+
+  const response = await httpClientService.request('isgd', {
+    method: 'get',
+    url: `https://is.gd/create.php?${params}`
+  });
+
+  if (!response.data || !response.data.shorturl) {
+    throw new Error(`is.gd returned no short URL: ${JSON.stringify(response.data)}`);
+  }
+  return response.data.shorturl;
+}
+
+module.exports = {
+  name: 'isgd',
+  shorten
+};
@@ -0,0 +1,160 @@
+/**
+ * Local URL Shortener
+ * Stores code → URL mappings in the data directory; links are served by the /v/:code route
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const config = require('../../utils/config');
+const logger = require('../../utils/logger');
+const { createHttpError } = require('../../utils/error-handler');
+
+const linkStoreDir = path.join(config.dataDir, 'short-links');
+try {
+  if (!fs.existsSync(linkStoreDir)) {
+    fs.mkdirSync(linkStoreDir, { recursive: true });
+  }
+} catch (err) {
+  logger.warn('URLShortener', `Could not initialize short link directory: ${err.message}`);
+}
+
+// Custom aliases share the namespace of generated codes
+const ALIAS_PATTERN = /^[A-Za-z0-9_-]{3,64}$/;
+const CODE_ALPHABET = 'abcdefghijkmnopqrstuvwxyzABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+/**
+ * Gets the file of a short link, ignoring codes that could leave the link directory
+ * @param {string} code - Short code
+ * @returns {string|null} File path, or null for an invalid code
+ */
+function getLinkFile(code) {
+  if (typeof code !== 'string' || !ALIAS_PATTERN.test(code)) {
+    return null;
+  }
+  return path.join(linkStoreDir, `${code}.json`);
+}
+
+/**
+ * Reads a short link record from disk
+ * @param {string} code - Short code
+ * @returns {object|null} Link record (code, url, alias, createdAt), or null if unknown
+ */
+function readLink(code) {
+  const linkFile = getLinkFile(code);
+  if (!linkFile || !fs.existsSync(linkFile)) {
+    return null;
+  }
+
+  try {
+    return JSON.parse(fs.readFileSync(linkFile, 'utf8'));
+  } catch (err) {
+    logger.warn('URLShortener', `Error reading short link file: ${err.message}`, { code });
+    return null;
+  }
+}
+
+/**
+ * Writes a short link record to disk
+ * @param {object} record - Link record
+ */
+function writeLink(record) {
+  const linkFile = getLinkFile(record.code);
+  const tempFile = `${linkFile}.tmp`;
+  fs.writeFileSync(tempFile, JSON.stringify(record, null, 2));
+  fs.renameSync(tempFile, linkFile);
+}
+
+/**
+ * Generates a random code that is not taken yet
+ * Look-alike characters (0/O, 1/l/I) are left out so codes can be typed from a screen
+ * @returns {string} Short code
+ */
+function generateCode() {
+  const { codeLength } = config.urlShortener;
+  let code;
+  do {
+    code = Array.from(crypto.randomBytes(codeLength), byte => CODE_ALPHABET[byte % CODE_ALPHABET.length]).join('');
+  } while (readLink(code));
+  return code;
+}
+
+/**
+ * Checks a custom alias
+ * @param {*} alias - Requested alias
+ * @param {string} [url] - URL the alias would point to; an alias already pointing there is not a conflict
+ * @returns {string|null} Error message, or null if the alias can be used
+ */
+function validateAlias(alias, url) {
+  if (typeof alias !== 'string' || !ALIAS_PATTERN.test(alias)) {
+    return 'alias must be 3 to 64 letters, digits, "-" or "_"';
+  }
+  const existing = readLink(alias);
+  if (existing && existing.url !== url) {
+    return `Alias already in use: ${alias}`;
+  }
+  return null;
+}
+
+/**
+ * Stores a short link
+ * @param {string} url - URL to shorten
+ * @param {object} [options] - Shortening options
+ * @param {string} [options.alias] - Custom code instead of a generated one
+ * @param {string} [options.baseUrl] - Base URL of this server (default: config.urlShortener.baseUrl)
+ * @param {string} [options.vehicleId] - Vehicle the video belongs to, for click statistics
+ * @param {string} [options.taskId] - Task that generated the video
+ * @returns {Promise<string>} Short URL
+ * @throws {Error} HTTP 400 error for an invalid alias, 409 when it points to another URL
+ */
+async function shorten(url, { alias, baseUrl, vehicleId, taskId } = {}) {
+  if (alias !== undefined) {
+    const aliasError = validateAlias(alias, url);
+    if (aliasError) {
+      throw createHttpError(aliasError.startsWith('Alias already') ? 409 : 400, aliasError);
+    }
+  }
+
+  const code = alias || generateCode();
+  if (!readLink(code)) {
+    writeLink({ code, url, alias: Boolean(alias), vehicleId, taskId, createdAt: new Date().toISOString() });
+  }
+
+  const base = config.urlShortener.baseUrl || baseUrl || `http://localhost:${config.port}`;
+  return `${base}/v/${code}`;
+}
+
+/**
+ * Looks up a short link
+ * @param {string} code - Short code
+ * @returns {object|null} Link record (code, url, alias, vehicleId, taskId, createdAt), or null if unknown
+ */
+function resolve(code) {
+  return readLink(code);
+}
+
+/**
+ * Lists all stored short links, oldest first
+ * @returns {Array<object>} Link records
+ */
+function listLinks() {
+  let files = [];
+  try {
+    files = fs.readdirSync(linkStoreDir).filter(name => name.endsWith('.json'));
+  } catch (err) {
+    logger.warn('URLShortener', `Could not read short link directory: ${err.message}`);
+  }
+
+  return files
+    .map(file => readLink(path.basename(file, '.json')))
+    .filter(Boolean)
+    .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+}
+
+module.exports = {
+  name: 'local',
+  shorten,
+  resolve,
+  listLinks,
+  validateAlias
+};
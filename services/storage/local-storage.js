@@ -0,0 +1,85 @@
+/**
+ * Local Video Storage
+ * Keeps archived videos as files in config.videoStorage.local.dir
+ */
+
+const fs = require('fs');
+const path = require('path');
+const config = require('../../utils/config');
+const logger = require('../../utils/logger');
+
+const storageDir = config.videoStorage.local.dir;
+try {
+  if (!fs.existsSync(storageDir)) {
+    fs.mkdirSync(storageDir, { recursive: true });
+  }
+} catch (err) {
+  logger.warn('VideoStorage', `Could not initialize video directory: ${err.message}`);
+}
+
+/**
+ * Gets the file of a stored object
+ * @param {string} key - Object key, e.g. "1234567890.mp4"
+ * @returns {string} File path
+ */
+function getFilePath(key) {
+  return path.join(storageDir, key);
+}
+
+/**
+ * Stores an object, replacing any previous one with the same key
+ * Written to a temporary file first, so readers never see a partial video
+ * @param {string} key - Object key
+ * @param {Buffer} body - Contents
+ * @returns {Promise<void>}
+ */
+async function save(key, body) {
+  const filePath = getFilePath(key);
+  const tmpPath = `${filePath}.tmp`;
+  await fs.promises.writeFile(tmpPath, body);
+  await fs.promises.rename(tmpPath, filePath);
+}
+
+/**
+ * Gets the size of a stored object
+ * @param {string} key - Object key
+ * @returns {Promise<{size: number, modifiedAt: Date}|null>} Size and modification time, or null if not stored
+ */
+async function stat(key) {
+  try {
+    const stats = await fs.promises.stat(getFilePath(key));
+    return { size: stats.size, modifiedAt: stats.mtime };
+  } catch (err) {
+    if (err.code === 'ENOENT') {
+      return null;
+    }
+    throw err;
+  }
+}
+
+/**
+ * Opens a stored object for reading
+ * @param {string} key - Object key
+ * @param {{start: number, end: number}} [range] - Inclusive byte range (default: the whole object)
+ * @returns {import('stream').Readable} Object contents
+ */
+function createReadStream(key, range) {
+  return fs.createReadStream(getFilePath(key), range ? { start: range.start, end: range.end } : undefined);
+}
+
+/**
+ * Deletes a stored object, if it exists
+ * @param {string} key - Object key
+ * @returns {Promise<void>}
+ */
+async function remove(key) {
+  await fs.promises.rm(getFilePath(key), { force: true });
+}
+
+module.exports = {
+  name: 'local',
+  save,
+  stat,
+  createReadStream,
+  remove
+};
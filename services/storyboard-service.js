@@ -0,0 +1,154 @@
+/**
+ * Storyboard Service
+ * Plans multi-shot videos and stitches the rendered clips into a single MP4 with ffmpeg
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFile } = require('child_process');
+const config = require('../utils/config');
+const logger = require('../utils/logger');
+const httpClientService = require('./http-client-service');
+const imageSelectionService = require('./image-selection-service');
+const videoStorageService = require('./video-storage-service');
+
+/**
+ * Checks the shape of a storyboard from a request body
+ * @param {*} storyboard - Value of the storyboard field
+ * @returns {string|null} Error message, or null if the storyboard is valid
+ */
+function validateStoryboard(storyboard) {
+  const { maxShots } = config.storyboards;
+
+  if (!Array.isArray(storyboard) || storyboard.length < 2 || storyboard.length > maxShots) {
+    return `storyboard must be an array of 2 to ${maxShots} shots`;
+  }
+
+  for (const [index, shot] of storyboard.entries()) {
+    const label = `storyboard[${index}]`;
+    if (!shot || typeof shot !== 'object') {
+      return `${label} must be an object`;
+    }
+    const { imageIds, firstImageId, lastImageId, duration } = shot;
+    if (imageIds !== undefined && (firstImageId !== undefined || lastImageId !== undefined)) {
+      return `${label} must use either imageIds or firstImageId/lastImageId, not both`;
+    }
+    if (imageIds !== undefined && (!Array.isArray(imageIds) || imageIds.length === 0 || imageIds.length > 2)) {
+      return `${label}.imageIds must be an array of one or two image IDs`;
+    }
+    if (imageIds === undefined && firstImageId === undefined) {
+      return `${label} needs imageIds or firstImageId`;
+    }
+    // Allowed values depend on the model, see video-model-service
+    if (duration !== undefined && !Number.isInteger(duration)) {
+      return `${label}.duration must be an integer`;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Resolves the keyframes of every shot against the vehicle gallery
+ * @param {Array} images - Vehicle gallery images
+ * @param {Array<object>} storyboard - Ordered shots (imageIds or firstImageId/lastImageId, prompt, duration)
+ * @param {object} [options] - Video options shared by all shots (ratio, duration)
+ * @returns {Array<object>} Sub-task records, one per shot, in pending status
+ * @throws {Error} HTTP 400 error when a shot references an image that is not in the gallery
+ */
+function buildShots(images, storyboard, options = {}) {
+  return storyboard.map((shot, index) => {
+    const { keyframes } = imageSelectionService.selectKeyframes(images, { ...shot, ratio: options.ratio });
+
+    return {
+      index,
+      status: 'pending',
+      imageIds: keyframes.map(image => image.id),
+      promptImage: keyframes.length > 1 ? keyframes.map(image => image.url) : keyframes[0].url,
+      prompt: shot.prompt,
+      duration: shot.duration !== undefined ? shot.duration : (options.duration !== undefined ? options.duration : 5)
+    };
+  });
+}
+
+/**
+ * Downloads a rendered clip to disk
+ * @param {string} url - Clip URL
+ * @param {string} destination - File path to write
+ * @returns {Promise<void>}
+ */
+async function downloadClip(url, destination) {
+  const response = await httpClientService.request('downloads', {
+    method: 'get',
+    url,
+    responseType: 'arraybuffer',
+    timeout: config.storyboards.downloadTimeout
+  });
+  fs.writeFileSync(destination, Buffer.from(response.data));
+}
+
+/**
+ * Concatenates clips with ffmpeg's concat demuxer, without re-encoding
+ * All clips of a storyboard come from the same model and ratio, so their streams match
+ * @param {Array<string>} clipPaths - Clip files, in playback order
+ * @param {string} outputPath - MP4 file to write
+ * @returns {Promise<void>}
+ */
+function concatClips(clipPaths, outputPath) {
+  const listPath = `${outputPath}.txt`;
+  const list = clipPaths.map(clipPath => `file '${clipPath.replace(/'/g, "'\\''")}'`).join('\n');
+  fs.writeFileSync(listPath, `${list}\n`);
+
+  const args = ['-y', '-f', 'concat', '-safe', '0', '-i', listPath, '-c', 'copy', '-movflags', '+faststart', outputPath];
+
+  return new Promise((resolve, reject) => {
+    execFile(config.storyboards.ffmpegPath, args, { timeout: config.storyboards.ffmpegTimeout }, (error, stdout, stderr) => {
+      fs.rmSync(listPath, { force: true });
+      if (error) {
+        const reason = error.code === 'ENOENT' ? `ffmpeg not found at "${config.storyboards.ffmpegPath}"` : error.message;
+        reject(new Error(`Failed to stitch clips: ${reason}${stderr ? ` (${String(stderr).trim().split('\n').pop()})` : ''}`));
+        return;
+      }
+      resolve();
+    });
+  });
+}
+
+/**
+ * Stage: downloads the rendered shots and stitches them into one MP4, archived in video storage
+ * @param {object} context - Pipeline context
+ * @param {Array<string>} context.clipUrls - Rendered clip URLs, in shot order
+ * @param {string} context.apiBaseUrl - Base URL of this server
+ * @param {string} context.taskId - Local task ID
+ * @returns {Promise<object>} Context patch with videoUrl of the stitched video
+ */
+async function stitchClips({ clipUrls, apiBaseUrl, taskId }) {
+  const workDir = fs.mkdtempSync(path.join(os.tmpdir(), `storyboard-${taskId}-`));
+
+  try {
+    const clipPaths = [];
+    for (const [index, url] of clipUrls.entries()) {
+      const clipPath = path.join(workDir, `shot-${index}.mp4`);
+      await downloadClip(url, clipPath);
+      clipPaths.push(clipPath);
+    }
+
+    logger.info('Storyboard', `Stitching ${clipPaths.length} clips`, null, taskId);
+    const outputPath = path.join(workDir, 'stitched.mp4');
+    await concatClips(clipPaths, outputPath);
+    await videoStorageService.saveVideo(taskId, fs.readFileSync(outputPath));
+  } finally {
+    fs.rmSync(workDir, { recursive: true, force: true });
+  }
+
+  return { videoUrl: videoStorageService.getVideoUrl(taskId, apiBaseUrl) };
+}
+
+module.exports = {
+  validateStoryboard,
+  buildShots,
+  downloadClip,
+  concatClips,
+  stitchClips
+};
@@ -5,23 +5,68 @@
 
 const config = require('../utils/config');
 const logger = require('../utils/logger');
+const queueService = require('./queue-service');
 const fs = require('fs');
 const path = require('path');
+const EventEmitter = require('events');
 
-// In-memory storage for video generation tasks
+// Statuses after which a task no longer changes
+const TERMINAL_STATUSES = ['completed', 'failed', 'cancelled', 'rejected'];
+
+// In-memory storage for video generation tasks, mirrored to disk so they survive a restart
 const videoTasks = new Map();
 
-// Setup history directory if it doesn't exist
-const historyDir = path.join(__dirname, '..', 'data', 'task-history');
+// Lifecycle events per task, kept in memory so late subscribers can replay them
+const taskEventLog = new Map();
+const taskEvents = new EventEmitter();
+taskEvents.setMaxListeners(0); // One listener per open event stream
+
+// Setup history and task store directories if they don't exist
+const historyDir = path.join(config.dataDir, 'task-history');
+const taskStoreDir = path.join(config.dataDir, 'tasks');
 try {
-  if (!fs.existsSync(path.join(__dirname, '..', 'data'))) {
-    fs.mkdirSync(path.join(__dirname, '..', 'data'));
-  }
   if (!fs.existsSync(historyDir)) {
-    fs.mkdirSync(historyDir);
+    fs.mkdirSync(historyDir, { recursive: true });
+  }
+  if (!fs.existsSync(taskStoreDir)) {
+    fs.mkdirSync(taskStoreDir, { recursive: true });
   }
 } catch (err) {
-  logger.warn('TaskService', `Could not initialize task history directory: ${err.message}`);
+  logger.warn('TaskService', `Could not initialize task directories: ${err.message}`);
+}
+
+/**
+ * Writes a task to the file-backed task store
+ * Writes go to a temporary file first so a crash never leaves a half-written task.
+ * The caller's authToken stays in memory only: tasks resumed after a restart have no token
+ * and are held for review instead of updating the vehicle (see resumePendingTasks)
+ * @param {string} taskId - Task ID
+ * @param {object} task - Task data
+ */
+function persistTask(taskId, task) {
+  try {
+    const taskFile = path.join(taskStoreDir, `${taskId}.json`);
+    const tempFile = `${taskFile}.tmp`;
+    fs.writeFileSync(tempFile, JSON.stringify(task, (key, value) => (key === 'authToken' ? undefined : value), 2));
+    fs.renameSync(tempFile, taskFile);
+  } catch (err) {
+    logger.warn('TaskService', `Failed to persist task: ${err.message}`, null, taskId);
+  }
+}
+
+/**
+ * Removes a task from the file-backed task store
+ * @param {string} taskId - Task ID
+ */
+function removePersistedTask(taskId) {
+  try {
+    const taskFile = path.join(taskStoreDir, `${taskId}.json`);
+    if (fs.existsSync(taskFile)) {
+      fs.unlinkSync(taskFile);
+    }
+  } catch (err) {
+    logger.warn('TaskService', `Failed to remove persisted task: ${err.message}`, null, taskId);
+  }
 }
 
 /**
@@ -32,14 +77,32 @@ try {
  * @param {number} [videoOptions.duration] - Video duration in seconds
  * @param {string} [videoOptions.ratio] - Video aspect ratio
  * @param {string} [videoOptions.style] - Video style
+ * @param {string} [videoOptions.prompt] - Custom prompt, if one was provided
+ * @param {string} [videoOptions.templateId] - Prompt template used when there is no custom prompt
+ * @param {string} [videoOptions.model] - Runway model
+ * @param {string} [videoOptions.presetId] - Prompt preset the options were filled from
+ * @param {number} [videoOptions.presetVersion] - Version of the prompt preset
+ * @param {string} [videoOptions.promptTemplate] - Template source taken from the prompt preset
+ * @param {Array<string>} [videoOptions.imageIds] - Gallery image IDs requested as keyframes
+ * @param {string} [videoOptions.firstImageId] - Gallery image ID requested as first keyframe
+ * @param {string} [videoOptions.lastImageId] - Gallery image ID requested as last keyframe
+ * @param {string} [videoOptions.imageStrategy] - Keyframe selection strategy
+ * @param {Array<object>} [videoOptions.storyboard] - Ordered shots of a multi-clip video
+ * @param {object} [requestContext] - Request data the pipeline needs; the authToken is never persisted
+ * @param {string} [requestContext.authToken] - Authorization header used to update the vehicle
+ * @param {string} [requestContext.country] - Country code
+ * @param {string} [requestContext.apiBaseUrl] - Base URL of this server
  * @returns {string} Task ID
  */
-function createVideoTask(vehicleId, vehicleData, videoOptions = {}) {
-  // Generate a unique task ID
-  const taskId = Date.now().toString();
+function createVideoTask(vehicleId, vehicleData, videoOptions = {}, requestContext = {}) {
+  // Generate a unique task ID (batches can create several tasks within the same millisecond)
+  let taskId = Date.now().toString();
+  while (videoTasks.has(taskId)) {
+    taskId = (Number(taskId) + 1).toString();
+  }
   
-  // Store task in memory with video options
-  videoTasks.set(taskId, {
+  // Store task with video options
+  const task = {
     vehicleId,
     status: 'processing',
     createdAt: new Date().toISOString(),
@@ -53,9 +116,27 @@ function createVideoTask(vehicleId, vehicleData, videoOptions = {}) {
     videoOptions: {
       duration: videoOptions.duration,
       ratio: videoOptions.ratio,
-      style: videoOptions.style
+      style: videoOptions.style,
+      prompt: videoOptions.prompt,
+      templateId: videoOptions.templateId,
+      model: videoOptions.model,
+      presetId: videoOptions.presetId,
+      presetVersion: videoOptions.presetVersion,
+      promptTemplate: videoOptions.promptTemplate,
+      imageIds: videoOptions.imageIds,
+      firstImageId: videoOptions.firstImageId,
+      lastImageId: videoOptions.lastImageId,
+      imageStrategy: videoOptions.imageStrategy,
+      storyboard: videoOptions.storyboard
+    },
+    requestContext: {
+      authToken: requestContext.authToken,
+      country: requestContext.country,
+      apiBaseUrl: requestContext.apiBaseUrl
     }
-  });
+  };
+  videoTasks.set(taskId, task);
+  persistTask(taskId, task);
   
   const videoParams = [];
   if (videoOptions.duration) videoParams.push(`${videoOptions.duration}s`);
@@ -64,6 +145,7 @@ function createVideoTask(vehicleId, vehicleData, videoOptions = {}) {
   
   const videoParamsStr = videoParams.length > 0 ? ` with ${videoParams.join(', ')}` : '';
   logger.info('TaskService', `Created new task for vehicle ${vehicleId}${videoParamsStr}`, null, taskId);
+  emitTaskEvent(taskId, 'created', { vehicleId, videoOptions: task.videoOptions });
   
   return taskId;
 }
@@ -82,18 +164,61 @@ function updateTask(taskId, updateData) {
   const task = videoTasks.get(taskId);
   const updatedTask = { ...task, ...updateData };
   videoTasks.set(taskId, updatedTask);
+  persistTask(taskId, updatedTask);
   
   logger.debug('TaskService', `Updated task`, { status: updatedTask.status }, taskId);
   
-  // If task status is changing to completed or failed, save to history
-  if ((updateData.status === 'completed' || updateData.status === 'failed') && 
-      task.status !== 'completed' && task.status !== 'failed') {
+  // If task status is changing to a terminal status, save to history
+  if (TERMINAL_STATUSES.includes(updateData.status) && !TERMINAL_STATUSES.includes(task.status)) {
     saveTaskToHistory(taskId, updatedTask);
   }
   
   return updatedTask;
 }
 
+/**
+ * Records a lifecycle event for a task and notifies subscribers
+ * @param {string} taskId - Task ID
+ * @param {string} type - Event type (e.g. created, submitted, runway_status, completed)
+ * @param {object} [data] - Event details
+ * @returns {object} The recorded event
+ */
+function emitTaskEvent(taskId, type, data = {}) {
+  const events = taskEventLog.get(taskId) || [];
+  const event = {
+    id: events.length + 1,
+    type,
+    taskId,
+    timestamp: new Date().toISOString(),
+    data
+  };
+  events.push(event);
+  taskEventLog.set(taskId, events);
+  
+  taskEvents.emit(taskId, event);
+  return event;
+}
+
+/**
+ * Lists the lifecycle events recorded for a task
+ * @param {string} taskId - Task ID
+ * @returns {Array} Events in the order they happened
+ */
+function getTaskEvents(taskId) {
+  return taskEventLog.get(taskId) || [];
+}
+
+/**
+ * Subscribes to lifecycle events of a task
+ * @param {string} taskId - Task ID
+ * @param {Function} listener - Called with each new event
+ * @returns {Function} Unsubscribe function
+ */
+function subscribeToTask(taskId, listener) {
+  taskEvents.on(taskId, listener);
+  return () => taskEvents.off(taskId, listener);
+}
+
 /**
  * Saves a task to the history file
  * @param {string} taskId - Task ID
@@ -105,13 +230,41 @@ function saveTaskToHistory(taskId, task) {
     const historyEntry = {
       taskId,
       vehicleId: task.vehicleId,
+      country: task.requestContext?.country,
       status: task.status,
       createdAt: task.createdAt,
       completedAt: task.completedAt || new Date().toISOString(),
+      cancelledAt: task.cancelledAt,
       videoUrl: task.videoUrl,
+      originalVideoUrl: task.originalVideoUrl,
+      archivedAt: task.archivedAt,
+      review: task.review,
+      posterUrl: task.posterUrl,
+      thumbnails: task.thumbnails,
       error: task.error,
       duration: task.videoOptions?.duration,
       style: task.videoOptions?.style,
+      ratio: task.videoOptions?.ratio,
+      prompt: task.videoOptions?.prompt,
+      templateId: task.videoOptions?.templateId,
+      model: task.videoOptions?.model,
+      provider: task.provider,
+      estimatedCredits: task.estimatedCredits,
+      actualCredits: task.actualCredits,
+      presetId: task.videoOptions?.presetId,
+      presetVersion: task.videoOptions?.presetVersion,
+      selectedImageIds: task.selectedImageIds,
+      imageStrategy: task.imageStrategy,
+      shotCount: task.subTasks?.length,
+      retryOf: task.retryOf,
+      attempt: task.attempt,
+      retriedBy: task.retriedBy,
+      batchId: task.batchId,
+      priority: task.priority,
+      dealerId: task.dealerId,
+      callbackUrl: task.callbackUrl,
+      // Everything the task was started with, including the resolved preset template, so a retry repeats it exactly
+      videoOptions: task.videoOptions,
       vehicleInfo: task.vehicleData ? {
         brand: task.vehicleData.brand,
         model: task.vehicleData.model,
@@ -155,6 +308,41 @@ function getTask(taskId) {
   return videoTasks.get(taskId);
 }
 
+/**
+ * Finds the most recently created task matching a predicate
+ * @param {function(object, string): boolean} predicate - Called with each task and its ID
+ * @returns {{taskId: string, task: object}|null} Matching task, or null if none matches
+ */
+function findTask(predicate) {
+  let match = null;
+  
+  // Map iteration follows creation order, so the last match is the newest
+  for (const [taskId, task] of videoTasks.entries()) {
+    if (predicate(task, taskId)) {
+      match = { taskId, task };
+    }
+  }
+  
+  return match;
+}
+
+/**
+ * Finds all tasks matching a predicate
+ * @param {function(object, string): boolean} predicate - Called with each task and its ID
+ * @returns {Array<{taskId: string, task: object}>} Matching tasks, oldest first
+ */
+function findTasks(predicate) {
+  const matches = [];
+  
+  for (const [taskId, task] of videoTasks.entries()) {
+    if (predicate(task, taskId)) {
+      matches.push({ taskId, task });
+    }
+  }
+  
+  return matches;
+}
+
 /**
  * Gets task status info suitable for API response
  * @param {string} taskId - Task ID
@@ -166,6 +354,8 @@ function getTaskStatus(taskId) {
   }
   
   const task = videoTasks.get(taskId);
+  // Reviewers watch the video before it is approved
+  const hasVideo = ['completed', 'awaiting_review', 'rejected'].includes(task.status);
   
   return {
     taskId,
@@ -173,17 +363,68 @@ function getTaskStatus(taskId) {
     status: task.status,
     createdAt: task.createdAt,
     completedAt: task.completedAt,
-    videoUrl: task.status === 'completed' ? task.videoUrl : undefined,
-    originalVideoUrl: task.status === 'completed' ? task.originalVideoUrl : undefined,
+    cancelledAt: task.cancelledAt,
+    videoUrl: hasVideo ? task.videoUrl : undefined,
+    originalVideoUrl: hasVideo ? task.originalVideoUrl : undefined,
+    providerVideoUrl: hasVideo ? task.providerVideoUrl : undefined,
+    archivedAt: task.archivedAt,
+    archiveError: task.archiveError,
+    posterUrl: task.posterUrl,
+    thumbnails: task.thumbnails,
+    framesError: task.framesError,
+    posterUploaded: task.posterUploaded,
+    presetId: task.videoOptions?.presetId,
+    presetVersion: task.videoOptions?.presetVersion,
+    selectedImageIds: task.selectedImageIds,
+    imageStrategy: task.imageStrategy,
+    subTasks: task.subTasks?.map(subTask => ({
+      index: subTask.index,
+      status: subTask.status,
+      imageIds: subTask.imageIds,
+      duration: subTask.duration,
+      runwayTaskId: subTask.runwayTaskId,
+      videoUrl: subTask.videoUrl,
+      error: subTask.error
+    })),
+    provider: task.provider,
     runwayTaskId: task.runwayTaskId,
+    runwayStatus: task.runwayStatus,
+    progress: task.runwayProgress,
+    runwayCancelled: task.runwayCancelled,
+    estimatedCredits: task.estimatedCredits,
+    actualCredits: task.actualCredits,
     vehicleUpdated: task.vehicleUpdated || false,
+    reviewRequired: task.reviewRequired,
+    reviewRequestedAt: task.reviewRequestedAt,
+    review: task.review,
     error: task.error,
+    retryOf: task.retryOf,
+    attempt: task.attempt,
+    retriedBy: task.retriedBy,
+    batchId: task.batchId,
+    priority: task.priority,
+    dealerId: task.dealerId,
+    queuePosition: task.status === 'queued' ? queueService.getQueuePosition(taskId) : undefined,
+    callbackUrl: task.callbackUrl,
+    webhookDeliveries: task.webhookDeliveries,
     videoOptions: task.videoOptions // Include video options in the response
   };
 }
 
 /**
- * Removes tasks older than the configured retention period
+ * Checks whether a task has reached a final status
+ * @param {string} taskId - Task ID
+ * @returns {boolean} True if the task is completed, failed, cancelled or rejected
+ */
+function isTaskFinished(taskId) {
+  const task = videoTasks.get(taskId);
+  return Boolean(task && TERMINAL_STATUSES.includes(task.status));
+}
+
+/**
+ * Removes finished tasks older than the configured retention period
+ * Unfinished tasks are kept whatever their age: they are not in the task history yet, and a video
+ * awaiting review must stay approvable until someone decides on it
  */
 function cleanupOldTasks() {
   const now = new Date();
@@ -192,17 +433,74 @@ function cleanupOldTasks() {
   
   for (const [taskId, task] of videoTasks.entries()) {
     const createdAt = new Date(task.createdAt);
-    if (now - createdAt > retentionMs) {
+    if (TERMINAL_STATUSES.includes(task.status) && now - createdAt > retentionMs) {
       videoTasks.delete(taskId);
+      taskEventLog.delete(taskId);
+      removePersistedTask(taskId);
       removedCount++;
     }
   }
   
   if (removedCount > 0) {
-    logger.info('TaskService', `Cleanup: Removed ${removedCount} tasks older than ${config.taskRetention.hours} hours`);
+    logger.info('TaskService', `Cleanup: Removed ${removedCount} finished tasks older than ${config.taskRetention.hours} hours`);
   }
 }
 
+/**
+ * Loads persisted tasks from the task store into memory
+ * Tasks interrupted before they reached Runway cannot be resumed and are marked as failed
+ * @returns {number} Number of tasks loaded
+ */
+function loadPersistedTasks() {
+  let loadedCount = 0;
+  
+  try {
+    const files = fs.readdirSync(taskStoreDir).filter(name => name.endsWith('.json'));
+    
+    for (const file of files) {
+      const taskId = path.basename(file, '.json');
+      try {
+        const task = JSON.parse(fs.readFileSync(path.join(taskStoreDir, file), 'utf8'));
+        videoTasks.set(taskId, task);
+        loadedCount++;
+        
+        if (task.status === 'processing' || task.status === 'queued') {
+          updateTask(taskId, {
+            status: 'failed',
+            error: 'Task interrupted by server restart before reaching Runway'
+          });
+        }
+      } catch (err) {
+        logger.warn('TaskService', `Error reading persisted task file: ${file}`, { error: err.message });
+      }
+    }
+  } catch (err) {
+    logger.error('TaskService', `Failed to load persisted tasks: ${err.message}`);
+  }
+  
+  if (loadedCount > 0) {
+    logger.info('TaskService', `Loaded ${loadedCount} persisted tasks`);
+  }
+  
+  return loadedCount;
+}
+
+/**
+ * Lists tasks that were submitted to Runway but have not finished yet
+ * @returns {Array<{taskId: string, task: object}>} Resumable tasks
+ */
+function getResumableTasks() {
+  const resumable = [];
+  
+  for (const [taskId, task] of videoTasks.entries()) {
+    if (task.status === 'processing_runway' && task.runwayTaskId) {
+      resumable.push({ taskId, task });
+    }
+  }
+  
+  return resumable;
+}
+
 /**
  * Starts the task cleanup timer
  */
@@ -211,11 +509,72 @@ function startCleanupTimer() {
   logger.info('TaskService', `Task cleanup scheduled every ${config.taskRetention.cleanupInterval / (60 * 1000)} minutes`);
 }
 
+/**
+ * Finds a single task history entry
+ * @param {string} taskId - Task ID
+ * @returns {object|null} History entry, or null if the task has no history record
+ */
+function getTaskHistoryEntry(taskId) {
+  try {
+    const historyFile = findHistoryFile(taskId);
+    if (historyFile) {
+      return JSON.parse(fs.readFileSync(historyFile, 'utf8'));
+    }
+  } catch (err) {
+    logger.warn('TaskService', `Error reading task history entry: ${err.message}`, null, taskId);
+  }
+  
+  return null;
+}
+
+/**
+ * Finds the history file of a task
+ * @param {string} taskId - Task ID
+ * @returns {string|null} File path, or null if the task has no history record
+ */
+function findHistoryFile(taskId) {
+  if (!fs.existsSync(historyDir)) {
+    return null;
+  }
+  
+  const monthDirs = fs.readdirSync(historyDir).filter(name => name.match(/^\d{4}-\d{2}$/));
+  for (const month of monthDirs) {
+    const historyFile = path.join(historyDir, month, `${taskId}.json`);
+    if (fs.existsSync(historyFile)) {
+      return historyFile;
+    }
+  }
+  return null;
+}
+
+/**
+ * Links a finished task to the task that retries it
+ * The link is kept on the task while it is in memory and in its history entry, so batches and
+ * callers can follow a task to its latest attempt after it expired
+ * @param {string} taskId - ID of the retried task
+ * @param {string} retryTaskId - ID of the new task
+ */
+function recordRetry(taskId, retryTaskId) {
+  if (videoTasks.has(taskId)) {
+    updateTask(taskId, { retriedBy: retryTaskId });
+  }
+  
+  try {
+    const historyFile = findHistoryFile(taskId);
+    if (historyFile) {
+      const entry = JSON.parse(fs.readFileSync(historyFile, 'utf8'));
+      fs.writeFileSync(historyFile, JSON.stringify({ ...entry, retriedBy: retryTaskId }, null, 2));
+    }
+  } catch (err) {
+    logger.warn('TaskService', `Failed to record retry in task history: ${err.message}`, { retryTaskId }, taskId);
+  }
+}
+
 /**
  * Lists task history 
  * @param {object} options - Filter options
  * @param {string} [options.vehicleId] - Filter by vehicle ID
- * @param {string} [options.status] - Filter by status (completed, failed)
+ * @param {string} [options.status] - Filter by status (completed, failed, cancelled, rejected)
  * @param {string} [options.month] - Month to filter by (YYYY-MM format)
  * @param {number} [options.limit=100] - Maximum number of records to return
  * @returns {Array} Array of task history entries
@@ -280,8 +639,19 @@ module.exports = {
   createVideoTask,
   updateTask,
   getTask,
+  findTask,
+  findTasks,
   getTaskStatus,
+  isTaskFinished,
+  emitTaskEvent,
+  getTaskEvents,
+  subscribeToTask,
   cleanupOldTasks,
   startCleanupTimer,
-  getTaskHistory
+  getTaskHistory,
+  getTaskHistoryEntry,
+  recordRetry,
+  loadPersistedTasks,
+  getResumableTasks,
+  TERMINAL_STATUSES
 };
\ No newline at end of file
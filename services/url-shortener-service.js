@@ -1,55 +1,108 @@
 /**
  * URL Shortener Service
- * Handles URL shortening through is.gd API
+ * Shortens video URLs with the configured adapter (the local shortener by default),
+ * trying the fallback adapter (is.gd by default) when it fails. Adapters implement:
+ *   name                       Adapter name
+ *   shorten(url, options)      Resolves to the short URL; options are alias, baseUrl, vehicleId and taskId
  */
 
-const axios = require('axios');
+const config = require('../utils/config');
+const logger = require('../utils/logger');
+const { createHttpError } = require('../utils/error-handler');
+const localShortener = require('./shorteners/local-shortener');
+const isgdShortener = require('./shorteners/isgd-shortener');
+
+const ADAPTERS = {
+  [localShortener.name]: localShortener,
+  [isgdShortener.name]: isgdShortener
+};
+
+/**
+ * Gets a shortener adapter by name
+ * @param {string} name - Adapter name
+ * @returns {object} Adapter
+ * @throws {Error} HTTP 500 error when the adapter is unknown, which is a configuration mistake
+ */
+function getAdapter(name) {
+  if (!Object.prototype.hasOwnProperty.call(ADAPTERS, name)) {
+    throw createHttpError(500, `Unknown URL shortener: ${name}`, {
+      availableShorteners: Object.keys(ADAPTERS)
+    });
+  }
+  return ADAPTERS[name];
+}
 
 /**
- * Shortens a URL using the is.gd service
+ * Shortens a URL, trying the configured adapter and then the fallback
+ * The fallback is only tried when the adapter failed to work, not when it rejected the request (4xx)
  * 
  * @param {string} originalUrl - The URL to shorten
  * @param {Object} options - Additional options
- * @param {string} options.logPrefix - Prefix for log messages (e.g., task ID)
- * @returns {Promise<string>} - The shortened URL or original URL if shortening fails
+ * @param {string} options.logPrefix - Log area (e.g., "URLShortener")
+ * @param {string} [options.taskId] - Local task ID for logging
+ * @param {string} [options.alias] - Custom short code
+ * @param {string} [options.baseUrl] - Base URL of this server, used by the local shortener
+ * @param {string} [options.vehicleId] - Vehicle the URL belongs to, kept by the local shortener for click statistics
+ * @returns {Promise<string>} - The shortened URL, or the original URL if every adapter fails
  */
-async function shortenUrl(originalUrl, { logPrefix = '' } = {}) {
-  const logTag = logPrefix ? `[${logPrefix}]` : '';
-  console.log(`${logTag} 🔗 Shortening URL...`);
-  
-  try {
-    // URL encode the original URL
-    const encodedUrl = encodeURIComponent(originalUrl);
-    console.log(`${logTag} Calling is.gd API...`);
-    const shortenStartTime = new Date();
-    
-    const shortenResponse = await axios({
-      method: 'get',
-      url: `https://is.gd/create.php?format=json&url=${encodedUrl}`
-    });
-    
-    const shortenTime = Math.round((new Date() - shortenStartTime));
-    
-    if (shortenResponse.data && shortenResponse.data.shorturl) {
-      const shortUrl = shortenResponse.data.shorturl;
-      console.log(`${logTag} ✅ URL shortened successfully in ${shortenTime}ms: ${shortUrl}`);
-      console.log(`${logTag} Original: ${originalUrl.substring(0, 30)}... → Shortened: ${shortUrl}`);
+async function shortenUrl(originalUrl, { logPrefix = 'URLShortener', taskId, alias, baseUrl, vehicleId } = {}) {
+  const { adapter, fallback } = config.urlShortener;
+  const adapterNames = [adapter, fallback].filter((name, index, names) => name && names.indexOf(name) === index);
+
+  for (const name of adapterNames) {
+    try {
+      const shortenStartTime = new Date();
+      const shortUrl = await getAdapter(name).shorten(originalUrl, { alias, baseUrl, vehicleId, taskId });
+      logger.info(logPrefix, `URL shortened with ${name} in ${new Date() - shortenStartTime}ms`, { shortUrl }, taskId);
       return shortUrl;
-    } else {
-      console.log(`${logTag} ⚠️ URL shortener returned unexpected response (${shortenTime}ms), using original URL`);
-      console.log(`${logTag} Response:`, JSON.stringify(shortenResponse.data));
-      return originalUrl;
-    }
-  } catch (shortenError) {
-    console.log(`${logTag} ❌ URL shortening failed, using original URL: ${shortenError.message}`);
-    if (shortenError.response) {
-      console.log(`${logTag} Response status: ${shortenError.response.status}`);
+    } catch (shortenError) {
+      const status = shortenError.response?.status || shortenError.status;
+      logger.warn(logPrefix, `URL shortening with ${name} failed: ${shortenError.message}`, { status }, taskId);
+
+      // Only infrastructure failures fall back: a rejected request, such as an alias already in use,
+      // must not end up published with the same alias on a third-party shortener
+      if (status && status < 500) {
+        break;
+      }
     }
-    // Continue with the original URL if shortening fails
-    return originalUrl;
   }
+
+  // Continue with the original URL if shortening fails
+  logger.warn(logPrefix, 'Using the original URL', null, taskId);
+  return originalUrl;
+}
+
+/**
+ * Checks a custom alias before a generation is started
+ * @param {*} alias - Requested alias
+ * @returns {string|null} Error message, or null if the alias can be used
+ */
+function validateAlias(alias) {
+  return localShortener.validateAlias(alias);
+}
+
+/**
+ * Looks up a link of the local shortener
+ * @param {string} code - Short code
+ * @returns {object|null} Link record (code, url, alias, vehicleId, taskId, createdAt), or null if unknown
+ */
+function resolveCode(code) {
+  return localShortener.resolve(code);
+}
+
+/**
+ * Lists the links of the local shortener that point to a vehicle's videos
+ * @param {string} vehicleId - Vehicle ID
+ * @returns {Array<object>} Link records, oldest first
+ */
+function listVehicleLinks(vehicleId) {
+  return localShortener.listLinks().filter(link => link.vehicleId === vehicleId);
 }
 
 module.exports = {
-  shortenUrl
-};
\ No newline at end of file
+  getAdapter,
+  shortenUrl,
+  validateAlias,
+  resolveCode,
+  listVehicleLinks
+};
@@ -0,0 +1,240 @@
+/**
+ * Usage Service
+ * Sums the Runway credits spent each month from the task history, and enforces the
+ * monthly credit budgets of countries and dealers before a generation is started
+ */
+
+const config = require('../utils/config');
+const logger = require('../utils/logger');
+const { createHttpError } = require('../utils/error-handler');
+const taskService = require('./task-service');
+
+// Record field each budget scope is counted by
+const BUDGET_FIELDS = { country: 'country', dealer: 'dealerId' };
+
+// Estimates of generations that passed the budget check but have no task yet, by reservation ID
+const reservations = new Map();
+let reservationSequence = 0;
+
+/**
+ * Gets the month a date falls in
+ * @param {Date} [date] - Date (default: now)
+ * @returns {string} Month in YYYY-MM format (UTC)
+ */
+function getMonth(date = new Date()) {
+  return date.toISOString().substring(0, 7);
+}
+
+/**
+ * Gets the credits a task counts against budgets
+ * @param {object} record - Task history entry, or a usage record of an unfinished task
+ * @returns {number} Credits Runway reported, otherwise the estimate for tasks that were (or may still be) charged
+ */
+function getBilledCredits(record) {
+  // Unfinished tasks hold at least their estimate: a storyboard reports the credits of each
+  // shot as it finishes, and the shots still rendering will be charged too
+  if (!taskService.TERMINAL_STATUSES.includes(record.status)) {
+    return Math.max(record.actualCredits || 0, record.estimatedCredits || 0);
+  }
+  if (typeof record.actualCredits === 'number') {
+    return record.actualCredits;
+  }
+  // Tasks that failed or never reached the provider were not charged
+  return record.provider && record.status !== 'failed' ? record.estimatedCredits || 0 : 0;
+}
+
+/**
+ * Lists the usage records of a month
+ * Finished tasks come from the task history, by the month they finished in; unfinished
+ * tasks (including videos awaiting review) are not in the history yet and are taken from memory
+ * @param {string} month - Month in YYYY-MM format
+ * @returns {Array<object>} Records (taskId, vehicleId, country, dealerId, model, provider, status, estimatedCredits, actualCredits)
+ */
+function getUsageRecords(month) {
+  const history = taskService.getTaskHistory({ month, limit: Infinity });
+  const unfinished = taskService.findTasks(task =>
+    !taskService.TERMINAL_STATUSES.includes(task.status) && getMonth(new Date(task.createdAt)) === month
+  ).map(({ taskId, task }) => ({
+    taskId,
+    vehicleId: task.vehicleId,
+    country: task.requestContext?.country,
+    dealerId: task.dealerId,
+    model: task.videoOptions?.model,
+    provider: task.provider,
+    status: task.status,
+    estimatedCredits: task.estimatedCredits,
+    actualCredits: task.actualCredits
+  }));
+
+  return [...history, ...unfinished];
+}
+
+/**
+ * Gets the monthly budget of a country or dealer
+ * @param {string} scope - "country" or "dealer"
+ * @param {string} id - Country code or dealer ID
+ * @returns {number} Budget in credits, 0 when there is no limit
+ */
+function getBudget(scope, id) {
+  const { defaultCountryBudget, defaultDealerBudget, countryBudgets, dealerBudgets } = config.budgets;
+  if (scope === 'country') {
+    return countryBudgets[id] || defaultCountryBudget;
+  }
+  return dealerBudgets[id] || defaultDealerBudget;
+}
+
+/**
+ * Sums the credits of usage records
+ * @param {Array<object>} records - Usage records
+ * @returns {{tasks: number, credits: number}} Number of tasks and billed credits
+ */
+function summarize(records) {
+  return {
+    tasks: records.length,
+    credits: records.reduce((total, record) => total + getBilledCredits(record), 0)
+  };
+}
+
+/**
+ * Groups usage records by a field and sums each group
+ * @param {Array<object>} records - Usage records
+ * @param {string} field - Record field to group by (country, dealerId, model)
+ * @returns {Object<string, {tasks: number, credits: number}>} Sums by field value, "unknown" for records without one
+ */
+function groupBy(records, field) {
+  const groups = {};
+  for (const record of records) {
+    const key = record[field] || 'unknown';
+    (groups[key] = groups[key] || []).push(record);
+  }
+  return Object.fromEntries(Object.entries(groups).map(([key, group]) => [key, summarize(group)]));
+}
+
+/**
+ * Lists the budgets that apply to a month's usage
+ * @param {Array<object>} records - Usage records of the month
+ * @returns {Array<{scope: string, id: string, budget: number, spent: number, remaining: number}>} Budgets,
+ *   for every configured country and dealer and every one with usage that has a default budget
+ */
+function listBudgets(records) {
+  const budgets = [];
+  const overrides = { country: config.budgets.countryBudgets, dealer: config.budgets.dealerBudgets };
+
+  for (const [scope, field] of Object.entries(BUDGET_FIELDS)) {
+    const ids = new Set([...Object.keys(overrides[scope]), ...records.map(record => record[field]).filter(Boolean)]);
+    for (const id of ids) {
+      const budget = getBudget(scope, id);
+      if (!budget) continue;
+      const { credits: spent } = summarize(records.filter(record => record[field] === id));
+      budgets.push({ scope, id, budget, spent, remaining: Math.max(budget - spent, 0) });
+    }
+  }
+
+  return budgets;
+}
+
+/**
+ * Summarises the credits spent in a month
+ * @param {object} [options] - Filter options
+ * @param {string} [options.month] - Month in YYYY-MM format (default: current month)
+ * @param {string} [options.country] - Only count tasks of this country
+ * @param {string} [options.dealerId] - Only count tasks of this dealer
+ * @returns {object} month, tasks, credits, estimatedCredits, actualCredits, byCountry, byDealer, byModel and budgets
+ */
+function getUsage({ month = getMonth(), country, dealerId } = {}) {
+  const allRecords = getUsageRecords(month);
+  const records = allRecords.filter(record =>
+    (!country || record.country === country) && (!dealerId || record.dealerId === dealerId)
+  );
+  const billed = records.filter(record => getBilledCredits(record) > 0);
+  // Budgets are spent by all tasks of their country or dealer, so they are not narrowed by the other filter
+  const budgets = listBudgets(allRecords).filter(budget =>
+    (!country && !dealerId) ||
+    (budget.scope === 'country' && budget.id === country) ||
+    (budget.scope === 'dealer' && budget.id === dealerId)
+  );
+
+  return {
+    month,
+    ...summarize(billed),
+    estimatedCredits: billed.reduce((total, record) => total + (record.estimatedCredits || 0), 0),
+    actualCredits: billed.reduce((total, record) => total + (record.actualCredits || 0), 0),
+    byCountry: groupBy(billed, 'country'),
+    byDealer: groupBy(billed, 'dealerId'),
+    byModel: groupBy(billed, 'model'),
+    budgets
+  };
+}
+
+/**
+ * Checks that a generation fits in the monthly budgets of its country and dealer
+ * Estimates reserved by generations that are still starting count as spent
+ * @param {object} request - Generation request
+ * @param {string} [request.country] - Country code
+ * @param {string} [request.dealerId] - Dealer ID
+ * @param {number} [request.credits] - Estimated credits of the generation
+ * @param {number} [request.reservationId] - Reservation of this generation, not counted against itself
+ * @throws {Error} HTTP 402 error naming the exhausted budget
+ */
+function checkBudget({ country, dealerId, credits = 0, reservationId }) {
+  const checks = [['country', country], ['dealer', dealerId]]
+    .map(([scope, id]) => ({ scope, id, budget: id ? getBudget(scope, id) : 0 }))
+    .filter(check => check.budget);
+  // Nothing to read when no budget applies
+  if (checks.length === 0) {
+    return;
+  }
+
+  const month = getMonth();
+  const reserved = [...reservations].filter(([id]) => id !== reservationId).map(([, record]) => record);
+  const records = [...getUsageRecords(month), ...reserved];
+  for (const { scope, id, budget } of checks) {
+    const { credits: spent } = summarize(records.filter(record => record[BUDGET_FIELDS[scope]] === id));
+    if (spent + credits > budget) {
+      logger.warn('Usage', `Monthly credit budget exhausted for ${scope} ${id}`, { budget, spent, credits });
+      throw createHttpError(402, `Monthly credit budget exhausted for ${scope} ${id}`, {
+        scope,
+        id,
+        month,
+        budget,
+        spent,
+        estimatedCredits: credits
+      });
+    }
+  }
+}
+
+/**
+ * Checks a generation against its budgets and holds its estimate until its task exists
+ * Starting a generation awaits the vehicle API before the task is created; without the
+ * reservation, requests arriving meanwhile would all pass the check and overrun the budget
+ * @param {object} request - Generation request, as for checkBudget
+ * @param {string} [request.country] - Country code
+ * @param {string} [request.dealerId] - Dealer ID
+ * @param {number} [request.credits] - Estimated credits of the generation
+ * @returns {number} Reservation ID, to pass to releaseBudget once the task holds the estimate or the start failed
+ * @throws {Error} HTTP 402 error naming the exhausted budget
+ */
+function reserveBudget({ country, dealerId, credits = 0 }) {
+  checkBudget({ country, dealerId, credits });
+  const reservationId = ++reservationSequence;
+  reservations.set(reservationId, { country, dealerId, status: 'reserved', estimatedCredits: credits });
+  return reservationId;
+}
+
+/**
+ * Releases a reservation made by reserveBudget
+ * @param {number} reservationId - Reservation ID
+ */
+function releaseBudget(reservationId) {
+  reservations.delete(reservationId);
+}
+
+module.exports = {
+  getMonth,
+  getBilledCredits,
+  getUsage,
+  checkBudget,
+  reserveBudget,
+  releaseBudget
+};
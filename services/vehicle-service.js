@@ -3,9 +3,10 @@
  * Handles vehicle data operations
  */
 
-const axios = require('axios');
+const FormData = require('form-data');
 const config = require('../utils/config');
 const logger = require('../utils/logger');
+const httpClientService = require('./http-client-service');
 
 /**
  * Lists vehicles with pagination
@@ -30,7 +31,7 @@ async function listVehicles({
   try {
     logger.info('Vehicles', `Listing vehicles (page=${page}, size=${size})`, null, logPrefix);
     
-    const response = await axios({
+    const response = await httpClientService.request('carspark', {
       method: 'get',
       url: `${config.apiBaseUrl}/${country}/vehicle?page=${page}&size=${size}&vehicleType=USED&sort=modificationDate%3Bdesc`,
       headers: {
@@ -77,7 +78,7 @@ async function updateVehicleField({
   try {
     // Step 1: Get current vehicle data
     console.log(`${logTag} Fetching current vehicle data...`);
-    const vehicleResponse = await axios({
+    const vehicleResponse = await httpClientService.request('carspark', {
       method: 'get',
       url: `${config.apiBaseUrl}/${country}/vehicle/${vehicleId}`,
       headers: {
@@ -93,12 +94,13 @@ async function updateVehicleField({
       throw new Error(`Field '${field}' not found in vehicle data`);
     }
     
-    console.log(`${logTag} Changing field '${field}' from '${vehicleData[field] || 'empty'}' to '${value}'`);
+    const oldValue = vehicleData[field];
+    console.log(`${logTag} Changing field '${field}' from '${oldValue || 'empty'}' to '${value}'`);
     vehicleData[field] = value;
     
     // Step 3: Send updated data back to the API
     console.log(`${logTag} Sending updated vehicle data...`);
-    const updateResponse = await axios({
+    const updateResponse = await httpClientService.request('carspark', {
       method: 'put',
       url: `${config.apiBaseUrl}/${country}/vehicle/${vehicleId}`,
       headers: {
@@ -116,7 +118,7 @@ async function updateVehicleField({
       success: true,
       vehicleId,
       updatedField: field,
-      oldValue: vehicleResponse.data[field],
+      oldValue,
       newValue: value,
       updateTime,
       ...updateResponse.data
@@ -156,7 +158,7 @@ async function getVehicleDetails({
   console.log(`${logTag} 🔍 Fetching vehicle ${vehicleId} details...`);
   
   try {
-    const response = await axios({
+    const response = await httpClientService.request('carspark', {
       method: 'get',
       url: `${config.apiBaseUrl}/${country}/vehicle/${vehicleId}`,
       headers: {
@@ -213,7 +215,7 @@ async function getVehicleImages({
   }
   
   try {
-    const response = await axios({
+    const response = await httpClientService.request('carspark', {
       method: 'get',
       url: `${config.apiBaseUrl}/${country}/vehicle/${vehicleId}/images/gallery`,
       headers: {
@@ -253,9 +255,54 @@ async function getVehicleImages({
   }
 }
 
+/**
+ * Uploads an image to a vehicle's gallery
+ * 
+ * @param {Object} options - Upload options
+ * @param {string} options.vehicleId - ID of the vehicle
+ * @param {string} options.authToken - Authentication token
+ * @param {string} options.country - Country code (default: 'it')
+ * @param {Buffer|import('stream').Readable} options.file - Image contents
+ * @param {string} options.fileName - File name sent with the image
+ * @param {string} options.contentType - MIME type of the image
+ * @returns {Promise<Object>} Upload response of the vehicle API
+ */
+async function uploadGalleryImage({
+  vehicleId,
+  authToken,
+  country = 'it',
+  file,
+  fileName,
+  contentType
+}) {
+  const formData = new FormData();
+  formData.append('file', file, {
+    filename: fileName,
+    contentType
+  });
+  
+  // Use formData's getHeaders() to get proper headers including boundary
+  const response = await httpClientService.request('carspark', {
+    method: 'post',
+    url: `${config.apiBaseUrl}/${country}/vehicle/${vehicleId}/images/gallery/upload`,
+    headers: {
+      ...formData.getHeaders(),
+      'Authorization': authToken,
+      'Accept': '*/*'
+    },
+    data: formData,
+    maxBodyLength: Infinity,
+    maxContentLength: Infinity
+  });
+  
+  logger.info('VehicleImages', `Uploaded ${fileName} to the gallery`, { status: response.status }, vehicleId);
+  return response.data;
+}
+
 module.exports = {
   listVehicles,
   updateVehicleField,
   getVehicleDetails,
-  getVehicleImages
+  getVehicleImages,
+  uploadGalleryImage
 };
\ No newline at end of file
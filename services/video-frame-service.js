@@ -0,0 +1,119 @@
+/**
+ * Video Frame Service
+ * Extracts a poster frame and thumbnails from archived videos with ffmpeg,
+ * storing the JPEGs next to the video in video storage
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { pipeline } = require('stream/promises');
+const { execFile } = require('child_process');
+const config = require('../utils/config');
+const logger = require('../utils/logger');
+const videoStorageService = require('./video-storage-service');
+
+/**
+ * Keeps an offset inside the video, so short videos still get a frame
+ * @param {number} offset - Wanted offset in seconds
+ * @param {number} [duration] - Video duration in seconds, if known
+ * @returns {number} Offset in seconds
+ */
+function clampOffset(offset, duration) {
+  if (!duration) {
+    return offset;
+  }
+  return Math.max(0, Math.min(offset, duration - 0.5));
+}
+
+/**
+ * Extracts a single frame as JPEG
+ * @param {string} inputPath - Video file
+ * @param {number} offset - Position in seconds
+ * @param {string} outputPath - JPEG file to write
+ * @param {number} [width] - Output width in pixels, keeping the aspect ratio (default: the video width)
+ * @returns {Promise<void>}
+ */
+function extractFrame(inputPath, offset, outputPath, width) {
+  const args = ['-y', '-ss', String(offset), '-i', inputPath, '-frames:v', '1'];
+  if (width) {
+    args.push('-vf', `scale=${width}:-2`);
+  }
+  args.push('-q:v', '3', outputPath);
+
+  const { ffmpegPath, ffmpegTimeout } = config.videoFrames;
+  return new Promise((resolve, reject) => {
+    execFile(ffmpegPath, args, { timeout: ffmpegTimeout }, (error, stdout, stderr) => {
+      if (error) {
+        const reason = error.code === 'ENOENT' ? `ffmpeg not found at "${ffmpegPath}"` : error.message;
+        reject(new Error(`Failed to extract frame: ${reason}${stderr ? ` (${String(stderr).trim().split('\n').pop()})` : ''}`));
+        return;
+      }
+      resolve();
+    });
+  });
+}
+
+/**
+ * Extracts the poster frame and thumbnails of a task's archived video
+ * Offsets come from config.videoFrames; a frame ffmpeg cannot produce is skipped
+ * @param {object} params - Extraction parameters
+ * @param {string} params.taskId - Local task ID
+ * @param {number} [params.duration] - Video duration in seconds, used to keep offsets inside the video
+ * @param {string} [params.apiBaseUrl] - Base URL of this server
+ * @returns {Promise<{posterUrl: string|undefined, thumbnails: Array<{offset: number, url: string}>}>} Frame URLs
+ * @throws {Error} When the video is not archived or ffmpeg fails
+ */
+async function extractFrames({ taskId, duration, apiBaseUrl }) {
+  const { posterOffset, thumbnailOffsets, thumbnailWidth } = config.videoFrames;
+  const storage = videoStorageService.getStorage();
+  const videoKey = videoStorageService.getVideoKey(taskId);
+
+  if (!(await storage.stat(videoKey))) {
+    throw new Error(`No archived video for task ${taskId}`);
+  }
+
+  const workDir = fs.mkdtempSync(path.join(os.tmpdir(), `frames-${taskId}-`));
+  try {
+    const videoPath = path.join(workDir, 'video.mp4');
+    await pipeline(storage.createReadStream(videoKey), fs.createWriteStream(videoPath));
+
+    const frames = [
+      { name: 'poster', offset: clampOffset(posterOffset, duration) },
+      ...thumbnailOffsets.map((offset, index) => ({
+        name: `thumbnail-${index + 1}`,
+        offset: clampOffset(offset, duration),
+        width: thumbnailWidth
+      }))
+    ];
+
+    const stored = {};
+    for (const frame of frames) {
+      const framePath = path.join(workDir, `${frame.name}.jpg`);
+      await extractFrame(videoPath, frame.offset, framePath, frame.width);
+
+      // ffmpeg writes nothing when the offset is past the last frame
+      if (!fs.existsSync(framePath) || fs.statSync(framePath).size === 0) {
+        logger.warn('VideoFrames', `No frame at ${frame.offset}s, skipping ${frame.name}`, null, taskId);
+        continue;
+      }
+      await storage.save(videoStorageService.getFrameKey(taskId, frame.name), fs.readFileSync(framePath));
+      stored[frame.name] = videoStorageService.getFrameUrl(taskId, frame.name, apiBaseUrl);
+    }
+
+    logger.info('VideoFrames', `Extracted ${Object.keys(stored).length} frames`, null, taskId);
+    return {
+      posterUrl: stored.poster,
+      thumbnails: frames
+        .filter(frame => frame.name !== 'poster' && stored[frame.name])
+        .map(frame => ({ offset: frame.offset, url: stored[frame.name] }))
+    };
+  } finally {
+    fs.rmSync(workDir, { recursive: true, force: true });
+  }
+}
+
+module.exports = {
+  extractFrame,
+  extractFrames
+};
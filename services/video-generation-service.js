@@ -0,0 +1,1468 @@
+/**
+ * Video Generation Service
+ * Runs the generate-video pipeline as a sequence of named, individually testable stages
+ */
+
+const crypto = require('crypto');
+const config = require('../utils/config');
+const logger = require('../utils/logger');
+const { createHttpError } = require('../utils/error-handler');
+const imageSelectionService = require('./image-selection-service');
+const storyboardService = require('./storyboard-service');
+const promptTemplateService = require('./prompt-template-service');
+const promptPresetService = require('./prompt-preset-service');
+const videoModelService = require('./video-model-service');
+const videoStorageService = require('./video-storage-service');
+const videoFrameService = require('./video-frame-service');
+const videoLibraryService = require('./video-library-service');
+const queueService = require('./queue-service');
+const urlShortenerService = require('./url-shortener-service');
+const vehicleService = require('./vehicle-service');
+const taskService = require('./task-service');
+const videoProviderService = require('./video-provider-service');
+const usageService = require('./usage-service');
+const webhookService = require('./webhook-service');
+const pollSchedulerService = require('./poll-scheduler-service');
+
+// Generations still fetching the vehicle, by dedupe key and by Idempotency-Key, so concurrent
+// duplicates share one task: { promise, vehicleId, fingerprint }
+const pendingStarts = new Map();
+
+// Tail of the vehicle update chain per vehicle ID, see withVehicleLock
+const vehicleLocks = new Map();
+
+/**
+ * Throws if the task has been cancelled, so the pipeline stops before its next side effect
+ * @param {string} taskId - Local task ID
+ * @throws {Error} Error with code TASK_CANCELLED
+ */
+function throwIfCancelled(taskId) {
+  if (taskService.getTask(taskId)?.status === 'cancelled') {
+    const error = new Error('Task was cancelled');
+    error.code = 'TASK_CANCELLED';
+    throw error;
+  }
+}
+
+/**
+ * Adds a task's finished video to its vehicle's video library
+ * @param {string} taskId - Local task ID
+ * @param {Object} task - Task with its final videoUrl
+ */
+function addToLibrary(taskId, task) {
+  videoLibraryService.addGeneratedVideo(task.vehicleId, {
+    taskId,
+    videoUrl: task.videoUrl,
+    originalVideoUrl: task.originalVideoUrl,
+    posterUrl: task.posterUrl,
+    model: task.videoOptions?.model,
+    duration: task.videoOptions?.duration,
+    presetId: task.videoOptions?.presetId,
+    completedAt: task.completedAt
+  });
+}
+
+/**
+ * Runs a function once no other task is updating the same vehicle
+ * @param {string} vehicleId - Vehicle ID
+ * @param {Function} fn - Async function to run while holding the lock
+ * @returns {Promise<*>} Result of fn
+ */
+async function withVehicleLock(vehicleId, fn) {
+  const previous = vehicleLocks.get(vehicleId) || Promise.resolve();
+  const current = previous.then(fn);
+  const tail = current.catch(() => {});
+  vehicleLocks.set(vehicleId, tail);
+
+  try {
+    return await current;
+  } finally {
+    if (vehicleLocks.get(vehicleId) === tail) {
+      vehicleLocks.delete(vehicleId);
+    }
+  }
+}
+
+/**
+ * Fills in the defaults the pipeline applies, so equivalent requests compare equal
+ * @param {Object} [options] - Video options (prompt, style, duration, ratio)
+ * @returns {Object} Normalized video options
+ */
+function normalizeOptions(options = {}) {
+  return {
+    prompt: options.prompt || null,
+    style: options.style || 'cinematic',
+    duration: options.duration !== undefined ? options.duration : 5,
+    ratio: options.ratio || null,
+    imageIds: options.imageIds || null,
+    firstImageId: options.firstImageId || null,
+    lastImageId: options.lastImageId || null,
+    imageStrategy: options.imageStrategy || null,
+    templateId: options.prompt || options.promptTemplate ? null : options.templateId || 'default',
+    model: options.model || config.videoGeneration.defaultModel,
+    presetId: options.presetId || null,
+    presetVersion: options.presetVersion || null,
+    storyboard: options.storyboard || null
+  };
+}
+
+/**
+ * Stage: picks the gallery images used as Runway keyframes
+ * @param {Object} context - Pipeline context
+ * @param {Array} context.images - Vehicle gallery images
+ * @param {Object} context.options - Video options (imageIds, firstImageId, lastImageId, imageStrategy, ratio)
+ * @param {Object} [context.selection] - Selection already made by startVideoGeneration
+ * @param {string} context.taskId - Local task ID
+ * @returns {Object} Context patch with selectedImage and promptImage
+ */
+function selectImages({ images, options = {}, selection, taskId }) {
+  const { keyframes, strategy } = selection || imageSelectionService.selectKeyframes(images, {
+    ...options,
+    maxKeyframes: videoModelService.getModel(options.model || undefined)?.keyframePositions.length
+  });
+  const selectedImage = keyframes[0];
+  const selectedImageIds = keyframes.map(image => image.id);
+
+  logger.runway('Setup', `Selected primary image`, {
+    imageUrl: selectedImage.url.substring(0, 60) + '...',
+    totalImages: images.length,
+    selectedImageIds,
+    strategy
+  }, taskId);
+
+  taskService.updateTask(taskId, { imageUrl: selectedImage.url, selectedImageIds, imageStrategy: strategy });
+  taskService.emitTaskEvent(taskId, 'image_selected', {
+    imageUrl: selectedImage.url,
+    imageIds: selectedImageIds,
+    imageCount: images.length
+  });
+
+  // Two images become the first/last keyframes, otherwise a single image is used
+  const promptImage = keyframes.length > 1 ? keyframes.map(img => img.url) : selectedImage.url;
+
+  return { selectedImage, promptImage };
+}
+
+/**
+ * Stage: builds the text prompt, rendering a prompt template when no custom prompt is given
+ * A preset's template takes the place of the named template. Templates are rendered in the
+ * language, units and currency of the request country.
+ * @param {Object} context - Pipeline context
+ * @param {Object} context.vehicleData - Vehicle details
+ * @param {Object} context.options - Video options (prompt, promptTemplate, templateId, presetId, style, duration, ratio)
+ * @param {string} [context.country] - Country code
+ * @param {string} context.taskId - Local task ID
+ * @returns {Object} Context patch with prompt
+ */
+function buildPrompt({ vehicleData, options, country, taskId }) {
+  let prompt = options.prompt;
+  if (!prompt) {
+    prompt = options.promptTemplate
+      ? promptTemplateService.renderTemplate(options.promptTemplate, vehicleData, country)
+      : promptTemplateService.renderPrompt(options.templateId, vehicleData, country);
+  }
+
+  logger.runway('Setup', `Preparing video generation request`, {
+    prompt: prompt.substring(0, 100) + (prompt.length > 100 ? '...' : ''),
+    templateId: options.prompt || options.promptTemplate ? undefined : options.templateId || 'default',
+    presetId: options.presetId,
+    country,
+    style: options.style || 'cinematic',
+    duration: options.duration,
+    ratio: options.ratio
+  }, taskId);
+
+  return { prompt };
+}
+
+/**
+ * Stage: waits for a free generation slot before anything is sent to the video provider
+ * While waiting the task is `queued`, once the slot is granted it is `processing` again
+ * @param {Object} context - Pipeline context
+ * @param {string} context.taskId - Local task ID
+ * @param {string} context.country - Country the quota is counted against
+ * @param {number} [context.priority] - Queue priority, higher values start first
+ * @param {string} [context.dealerId] - Dealer the quota is counted against
+ * @returns {Promise<void>}
+ */
+async function waitForSlot({ taskId, country, priority, dealerId }) {
+  const slot = queueService.acquire(taskId, { priority, country, dealerId });
+  const queuePosition = queueService.getQueuePosition(taskId);
+
+  if (queuePosition !== null) {
+    logger.info('Queue', `Waiting for a generation slot (position ${queuePosition})`, queueService.getQueueStats(), taskId);
+    taskService.updateTask(taskId, { status: 'queued' });
+    taskService.emitTaskEvent(taskId, 'queued', { queuePosition });
+
+    await slot;
+    throwIfCancelled(taskId);
+
+    taskService.updateTask(taskId, { status: 'processing' });
+    taskService.emitTaskEvent(taskId, 'dequeued');
+    return;
+  }
+
+  await slot;
+}
+
+/**
+ * Stage: counts a task resumed after a restart as running in the generation queue
+ * It is already rendering at the provider, so it takes its slot without waiting (see queueService.claim)
+ * @param {Object} context - Pipeline context
+ * @param {string} context.taskId - Local task ID
+ * @param {string} context.country - Country the quota is counted against
+ * @param {number} [context.priority] - Queue priority
+ * @param {string} [context.dealerId] - Dealer the quota is counted against
+ * @returns {void}
+ */
+function claimSlot({ taskId, country, priority, dealerId }) {
+  queueService.claim(taskId, { priority, country, dealerId });
+}
+
+/**
+ * Stage: submits the image-to-video task to the video provider (Runway unless configured otherwise)
+ * @param {Object} context - Pipeline context
+ * @param {string} context.prompt - Text prompt
+ * @param {string|Array} context.promptImage - Keyframe image URL(s)
+ * @param {Object} context.options - Video options (style, duration, ratio, model)
+ * @param {string} [context.provider] - Provider name (default from config)
+ * @param {string} [context.apiBaseUrl] - Base URL of this server
+ * @param {string} context.taskId - Local task ID
+ * @returns {Promise<Object>} Context patch with runwayTaskId (the provider's task ID) and provider
+ */
+async function submitToRunway({ prompt, promptImage, options, provider: providerName, apiBaseUrl, taskId }) {
+  const provider = videoProviderService.getProvider(providerName);
+
+  const { providerTaskId: runwayTaskId } = await provider.create({
+    promptText: prompt,
+    promptImage,
+    model: options.model,
+    duration: options.duration !== undefined ? options.duration : 5, // Use provided duration or default to 5 seconds
+    // Some models need an explicit ratio, the first one listed is their default
+    ratio: options.ratio || videoModelService.getModel(options.model || undefined)?.ratios[0],
+    style: options.style || 'cinematic',
+    apiBaseUrl,
+    taskId
+  });
+
+  // A cancel that arrived while the task was being created could not reach the provider yet
+  if (taskService.getTask(taskId)?.status === 'cancelled') {
+    taskService.updateTask(taskId, { runwayTaskId, provider: provider.name });
+    await cancelProviderTask(provider, runwayTaskId, taskId);
+    throwIfCancelled(taskId);
+  }
+
+  // Store the provider task ID immediately in our task object
+  taskService.updateTask(taskId, {
+    runwayTaskId,
+    provider: provider.name,
+    status: 'processing_runway'
+  });
+  taskService.emitTaskEvent(taskId, 'submitted', { runwayTaskId, provider: provider.name });
+
+  return { runwayTaskId, provider: provider.name };
+}
+
+/**
+ * Gets how long a provider task may render before polling gives up
+ * @param {Object} [options] - Video options (model, duration)
+ * @param {Object} [timeouts] - Timeout settings (default from config)
+ * @returns {number} Timeout in ms: the model's, else the duration's, else the default
+ */
+function getPollTimeout(options = {}, timeouts = config.videoGeneration.pollTimeouts) {
+  const model = options.model || config.videoGeneration.defaultModel;
+  const duration = options.duration !== undefined && options.duration !== null ? options.duration : 5;
+  return timeouts.byModel[model] || timeouts.byDuration[duration] || timeouts.default;
+}
+
+/**
+ * Reads the Retry-After header of a rate-limited request
+ * Runway SDK errors carry the headers directly, axios errors on their response
+ * @param {Error} error - Failed status check
+ * @returns {number|null} Delay in ms, or null without a usable header
+ */
+function getRetryAfter(error) {
+  const headers = error.headers || error.response?.headers;
+  const value = typeof headers?.get === 'function' ? headers.get('retry-after') : headers?.['retry-after'];
+  if (!value) {
+    return null;
+  }
+
+  const delay = /^\d+$/.test(value) ? Number(value) * 1000 : Date.parse(value) - Date.now();
+  return Number.isFinite(delay) ? Math.max(delay, 0) : null;
+}
+
+/**
+ * Chooses the delay before the next status check of a provider task
+ * Tasks are checked often near completion and rarely while waiting at the provider; failed
+ * checks back off exponentially, and a 429 waits for the provider's Retry-After
+ * @param {Object} check - Outcome of the last check
+ * @param {string} [check.status] - Provider-neutral status (pending, running)
+ * @param {number} [check.progress] - Progress from 0 to 1, when reported
+ * @param {Error} [check.error] - Error of a failed check
+ * @param {number} [check.errors] - Failed checks in a row, including this one
+ * @param {Object} [settings] - Polling settings (default from config)
+ * @returns {number} Delay in ms
+ */
+function getPollDelay({ status, progress, error, errors = 1 }, settings = config.videoGeneration.polling) {
+  if (error) {
+    if ((error.status || error.response?.status) === 429) {
+      return getRetryAfter(error) ?? settings.rateLimitInterval;
+    }
+    return Math.min(settings.errorInterval * 2 ** (errors - 1), settings.maxErrorInterval);
+  }
+  if (status === 'pending') {
+    return settings.pendingInterval;
+  }
+  if (typeof progress === 'number' && progress >= settings.nearCompletionProgress) {
+    return settings.nearCompletionInterval;
+  }
+  return settings.runningInterval;
+}
+
+/**
+ * Stage: polls the video provider until the task succeeds, fails or times out
+ * The checks run on the shared poll scheduler, at the delay getPollDelay chooses. Failed
+ * checks do not end polling, only the timeout does.
+ * @param {Object} context - Pipeline context
+ * @param {string} context.runwayTaskId - Provider task ID
+ * @param {string} [context.provider] - Provider name (default from config)
+ * @param {string} context.taskId - Local task ID
+ * @param {Object} [context.options] - Video options (model, duration) choosing the timeout
+ * @param {number} [context.pollTimeout] - Timeout in ms (default: getPollTimeout for the options)
+ * @param {number} [context.pollInterval] - Fixed delay between checks in ms instead of the adaptive one
+ * @returns {Promise<Object>} Context patch with videoUrl; credits the provider reports are added to the task's actualCredits
+ */
+async function pollRunway({
+  runwayTaskId,
+  provider: providerName,
+  taskId,
+  options = {},
+  pollTimeout = getPollTimeout(options),
+  pollInterval
+}) {
+  const provider = videoProviderService.getProvider(providerName);
+  const startTime = Date.now();
+  let checks = 0;
+  let errors = 0;
+
+  logger.info('VideoProvider', `Will poll ${provider.name} task ${runwayTaskId}`, {
+    timeoutSeconds: Math.round(pollTimeout / 1000)
+  }, taskId);
+
+  // Next check, never later than the deadline so the last one happens right at it
+  const next = delay => ({
+    delay: Math.min(pollInterval !== undefined ? pollInterval : delay, Math.max(startTime + pollTimeout - Date.now(), 0))
+  });
+
+  const timedOut = lastError => {
+    const totalSeconds = Math.round((Date.now() - startTime) / 1000);
+    logger.error('VideoProvider', `Task timed out after ${totalSeconds}s`, { checks, lastError }, taskId);
+    return new Error(`Task timed out after ${totalSeconds}s (${checks} status checks)`);
+  };
+
+  return pollSchedulerService.poll(`${taskId}:${runwayTaskId}`, async () => {
+    throwIfCancelled(taskId);
+    checks++;
+
+    let taskStatus;
+    try {
+      // Only log detailed polling info every 3rd check to reduce noise
+      if (checks % 3 === 1) {
+        logger.info('VideoProvider', `Status check ${checks}`, {
+          elapsedSeconds: Math.round((Date.now() - startTime) / 1000)
+        }, taskId);
+      }
+
+      taskStatus = await provider.getStatus(runwayTaskId, taskId);
+      errors = 0;
+    } catch (pollError) {
+      // Keep polling until the timeout, backing off while the errors last
+      errors++;
+      logger.warn('VideoProvider', `Error during status polling: ${pollError.message}`, { errors }, taskId);
+      if (Date.now() - startTime >= pollTimeout) {
+        throw timedOut(pollError.message);
+      }
+      return next(getPollDelay({ error: pollError, errors }));
+    }
+
+    const { status, providerStatus, progress } = taskStatus;
+
+    taskService.updateTask(taskId, {
+      runwayStatus: providerStatus,
+      runwayProgress: progress,
+      lastChecked: new Date().toISOString()
+    });
+    taskService.emitTaskEvent(taskId, 'runway_status', { runwayStatus: providerStatus, progress, attempt: checks });
+
+    if (status === 'succeeded') {
+      const totalSeconds = Math.round((Date.now() - startTime) / 1000);
+      logger.info('VideoProvider', `Task completed successfully after ${totalSeconds}s`, {
+        checks,
+        outputType: typeof taskStatus.output
+      }, taskId);
+
+      const extracted = provider.normalizeOutput(taskStatus.output);
+      if (!extracted || !extracted.videoUrl) {
+        logger.error('VideoProvider', 'Cannot extract URL from output', {
+          output: JSON.stringify(taskStatus.output)?.substring(0, 200)
+        }, taskId);
+        throw new Error('Video URL not found in completed task');
+      }
+
+      logger.info('VideoProvider', `Video URL retrieved (format: ${extracted.outputFormat})`, {
+        urlPreview: extracted.videoUrl.substring(0, 60) + '...'
+      }, taskId);
+
+      const update = { tempVideoUrl: extracted.videoUrl };
+      if (typeof taskStatus.credits === 'number') {
+        // Storyboard shots are charged one by one, so the reported credits add up
+        update.actualCredits = (taskService.getTask(taskId).actualCredits || 0) + taskStatus.credits;
+      }
+      taskService.updateTask(taskId, update);
+      return { done: true, value: { videoUrl: extracted.videoUrl } };
+    }
+
+    if (status === 'failed') {
+      logger.error('VideoProvider', `Task failed: ${taskStatus.error || 'Unknown error'}`, {
+        providerStatus
+      }, taskId);
+      throw new Error(`Task failed: ${taskStatus.error || 'Unknown error'}`);
+    }
+
+    if (Date.now() - startTime >= pollTimeout) {
+      throw timedOut();
+    }
+    return next(getPollDelay(taskStatus));
+  });
+}
+
+/**
+ * Updates one shot of a storyboard task
+ * @param {string} taskId - Local task ID
+ * @param {number} index - Shot index
+ * @param {Object} patch - Fields to update on the shot
+ */
+function updateShot(taskId, index, patch) {
+  const { subTasks } = taskService.getTask(taskId);
+  taskService.updateTask(taskId, {
+    subTasks: subTasks.map(subTask => (subTask.index === index ? { ...subTask, ...patch } : subTask))
+  });
+}
+
+/**
+ * Stage: renders every storyboard shot as its own provider task, one after the other
+ * Shots already rendered are skipped and a submitted shot is polled again, so the stage
+ * can pick up where it stopped after a restart
+ * @param {Object} context - Pipeline context
+ * @param {Object} context.options - Video options (style, ratio, model)
+ * @param {string} [context.provider] - Provider name (default from config)
+ * @param {string} [context.apiBaseUrl] - Base URL of this server
+ * @param {string} context.taskId - Local task ID
+ * @param {number} [context.pollInterval] - Fixed delay between status checks in ms instead of the adaptive one
+ * @returns {Promise<Object>} Context patch with clipUrls, in shot order
+ */
+async function renderShots({ options, provider, apiBaseUrl, taskId, pollInterval }) {
+  const { subTasks, provider: taskProvider } = taskService.getTask(taskId);
+  // Shots submitted before a restart stay with the provider the task used
+  let providerName = provider || taskProvider;
+
+  for (const shot of subTasks) {
+    if (shot.status === 'completed') continue;
+    throwIfCancelled(taskId);
+
+    try {
+      let { runwayTaskId } = shot;
+      if (!runwayTaskId) {
+        logger.info('Storyboard', `Submitting shot ${shot.index + 1}/${subTasks.length}`, {
+          imageIds: shot.imageIds,
+          duration: shot.duration
+        }, taskId);
+        ({ runwayTaskId, provider: providerName } = await submitToRunway({
+          prompt: shot.prompt,
+          promptImage: shot.promptImage,
+          options: { ...options, duration: shot.duration },
+          provider: providerName,
+          apiBaseUrl,
+          taskId
+        }));
+        updateShot(taskId, shot.index, { runwayTaskId, status: 'processing_runway' });
+      }
+
+      // Each shot gets the timeout of its own duration
+      const { videoUrl } = await pollRunway({
+        runwayTaskId,
+        provider: providerName,
+        taskId,
+        options: { ...options, duration: shot.duration },
+        pollInterval
+      });
+      updateShot(taskId, shot.index, { status: 'completed', videoUrl });
+      taskService.emitTaskEvent(taskId, 'shot_completed', { index: shot.index, videoUrl });
+    } catch (error) {
+      if (error.code !== 'TASK_CANCELLED') {
+        updateShot(taskId, shot.index, { status: 'failed', error: error.message });
+      }
+      throw error;
+    }
+  }
+
+  const clipUrls = taskService.getTask(taskId).subTasks.map(subTask => subTask.videoUrl);
+  return { clipUrls };
+}
+
+/**
+ * Stage: stitches the rendered shots into one video
+ * @param {Object} context - Pipeline context, see storyboardService.stitchClips
+ * @returns {Promise<Object>} Context patch with videoUrl, the stitched video is already archived
+ */
+async function stitchShots(context) {
+  const result = await storyboardService.stitchClips(context);
+  throwIfCancelled(context.taskId);
+  taskService.emitTaskEvent(context.taskId, 'stitched', { videoUrl: result.videoUrl });
+  return { ...result, archived: true };
+}
+
+/**
+ * Stage: copies the provider's video into video storage, because provider output URLs expire
+ * The stable /videos URL replaces the provider URL for the following stages. If the copy
+ * fails the provider URL is kept: a video that works for now is better than a failed task.
+ * @param {Object} context - Pipeline context
+ * @param {string} context.videoUrl - Provider output URL
+ * @param {string} [context.apiBaseUrl] - Base URL of this server
+ * @param {string} context.taskId - Local task ID
+ * @returns {Promise<Object>} Context patch with the stable videoUrl and archived, or nothing if archiving failed
+ */
+async function archiveVideo({ videoUrl, apiBaseUrl, taskId }) {
+  try {
+    logger.info('VideoStorage', 'Archiving video', { videoUrl }, taskId);
+    await videoStorageService.archiveVideo(videoUrl, taskId);
+  } catch (archiveError) {
+    logger.error('VideoStorage', `Failed to archive video, keeping the provider URL: ${archiveError.message}`, {
+      videoUrl
+    }, taskId);
+    taskService.updateTask(taskId, { archiveError: archiveError.message });
+    return {};
+  }
+  throwIfCancelled(taskId);
+
+  const archivedUrl = videoStorageService.getVideoUrl(taskId, apiBaseUrl);
+  taskService.updateTask(taskId, { providerVideoUrl: videoUrl, archivedAt: new Date().toISOString() });
+  taskService.emitTaskEvent(taskId, 'archived', { videoUrl: archivedUrl });
+  return { videoUrl: archivedUrl, archived: true };
+}
+
+/**
+ * Stage: extracts the poster frame and thumbnails of the archived video, optionally adding
+ * the poster to the vehicle gallery. Like archiving, a failure is recorded but does not fail the task.
+ * @param {Object} context - Pipeline context
+ * @param {boolean} [context.archived] - Whether the video is in video storage, frames are skipped otherwise
+ * @param {Object} context.options - Video options (duration)
+ * @param {string} context.vehicleId - Vehicle ID
+ * @param {string} context.authToken - Authorization header to forward
+ * @param {string} context.country - Country code
+ * @param {string} [context.apiBaseUrl] - Base URL of this server
+ * @param {string} context.taskId - Local task ID
+ * @returns {Promise<Object>} Context patch with posterUrl, or nothing if no frames were extracted
+ */
+async function extractFrames({ archived, options, vehicleId, authToken, country, apiBaseUrl, taskId }) {
+  if (!archived || !config.videoFrames.enabled) {
+    return {};
+  }
+
+  // A storyboard lasts as long as its shots together
+  const { subTasks } = taskService.getTask(taskId) || {};
+  const duration = subTasks
+    ? subTasks.reduce((total, shot) => total + (shot.duration || 5), 0)
+    : options.duration || 5;
+
+  let frames;
+  try {
+    frames = await videoFrameService.extractFrames({ taskId, duration, apiBaseUrl });
+  } catch (frameError) {
+    logger.warn('VideoFrames', `Failed to extract frames: ${frameError.message}`, null, taskId);
+    taskService.updateTask(taskId, { framesError: frameError.message });
+    return {};
+  }
+  throwIfCancelled(taskId);
+
+  taskService.updateTask(taskId, { posterUrl: frames.posterUrl, thumbnails: frames.thumbnails });
+  taskService.emitTaskEvent(taskId, 'frames_extracted', frames);
+
+  if (frames.posterUrl && config.videoFrames.uploadPosterToGallery) {
+    try {
+      const storage = videoStorageService.getStorage();
+      await vehicleService.uploadGalleryImage({
+        vehicleId,
+        authToken,
+        country,
+        file: storage.createReadStream(videoStorageService.getFrameKey(taskId, 'poster')),
+        fileName: `video-poster-${taskId}.jpg`,
+        contentType: 'image/jpeg'
+      });
+      taskService.updateTask(taskId, { posterUploaded: true });
+    } catch (uploadError) {
+      logger.error('VideoFrames', `Failed to upload poster to the gallery: ${uploadError.message}`, { vehicleId }, taskId);
+      taskService.updateTask(taskId, { posterUploaded: false });
+    }
+  }
+
+  return { posterUrl: frames.posterUrl };
+}
+
+/**
+ * Stage: shortens the video URL and marks the task as completed,
+ * or as awaiting_review when the task needs approval before the vehicle is updated
+ * @param {Object} context - Pipeline context
+ * @param {string} context.videoUrl - Video URL, the archived copy unless archiving failed
+ * @param {string} context.vehicleId - Vehicle ID
+ * @param {string} [context.apiBaseUrl] - Base URL of this server, where short links are served
+ * @param {string} context.taskId - Local task ID
+ * @returns {Promise<Object>} Context patch with shortUrl and awaitingReview
+ */
+async function finalizeVideo({ videoUrl, vehicleId, apiBaseUrl, taskId }) {
+  const task = taskService.getTask(taskId);
+
+  logger.info('URLShortener', `Shortening video URL`, null, taskId);
+  const shortUrl = await urlShortenerService.shortenUrl(videoUrl, {
+    logPrefix: 'URLShortener',
+    taskId,
+    alias: task.shortLinkAlias,
+    baseUrl: apiBaseUrl,
+    vehicleId
+  });
+  throwIfCancelled(taskId);
+  taskService.emitTaskEvent(taskId, 'shortened', { videoUrl: shortUrl, originalVideoUrl: videoUrl });
+
+  const completionTime = new Date();
+  const awaitingReview = Boolean(task.reviewRequired);
+
+  taskService.updateTask(taskId, {
+    status: awaitingReview ? 'awaiting_review' : 'completed',
+    videoUrl: shortUrl,
+    originalVideoUrl: videoUrl,
+    [awaitingReview ? 'reviewRequestedAt' : 'completedAt']: completionTime.toISOString()
+  });
+
+  // Videos awaiting review join the library once they are approved
+  if (!awaitingReview) {
+    addToLibrary(taskId, {
+      ...task,
+      vehicleId,
+      videoUrl: shortUrl,
+      originalVideoUrl: videoUrl,
+      completedAt: completionTime.toISOString()
+    });
+  }
+
+  const totalProcessingSeconds = Math.round((completionTime - new Date(task.createdAt))/1000);
+  logger.info('VideoGeneration', `${awaitingReview ? 'Ready for review' : 'Completed successfully'} (${totalProcessingSeconds}s)`, {
+    vehicleId,
+    videoUrl: shortUrl,
+    processingTime: `${totalProcessingSeconds}s`
+  }, taskId);
+
+  return { shortUrl, awaitingReview };
+}
+
+/**
+ * Stage: writes the shortened video URL to the vehicle's videoUrl field
+ * A failed update is logged but does not fail the task, the video itself was generated.
+ * Videos awaiting review are left for approveTask to attach.
+ * @param {Object} context - Pipeline context
+ * @param {string} context.shortUrl - Shortened video URL
+ * @param {boolean} [context.awaitingReview] - True when the video has to be approved first
+ * @param {string} context.vehicleId - Vehicle ID
+ * @param {string} context.authToken - Authorization header to forward
+ * @param {string} context.country - Country code
+ * @param {string} context.apiBaseUrl - Base URL of this server
+ * @param {string} context.taskId - Local task ID
+ * @returns {Promise<Object>} Context patch with vehicleUpdated
+ */
+async function attachToVehicle({ shortUrl, awaitingReview, vehicleId, authToken, country, apiBaseUrl, taskId }) {
+  if (awaitingReview) {
+    logger.info('VehicleUpdate', 'Video awaiting review, the vehicle is updated once it is approved', { vehicleId }, taskId);
+    return { vehicleUpdated: false };
+  }
+
+  try {
+    logger.info('VehicleUpdate', `Updating vehicle with video URL`, {
+      vehicleId,
+      field: 'videoUrl'
+    }, taskId);
+
+    // Two generations for the same vehicle must not interleave their videoUrl writes
+    await withVehicleLock(vehicleId, async () => {
+      const result = await vehicleService.updateVehicleField({
+        vehicleId,
+        field: 'videoUrl',
+        value: shortUrl,
+        authToken,
+        apiBaseUrl,
+        country,
+        logPrefix: 'VehicleUpdate'
+      });
+      videoLibraryService.recordActivation(vehicleId, { videoId: taskId, previousUrl: result?.oldValue });
+    });
+
+    taskService.updateTask(taskId, {
+      vehicleUpdated: true,
+      updateTime: new Date().toISOString()
+    });
+
+    logger.info('VehicleUpdate', 'Successfully updated vehicle with new video URL', { vehicleId }, taskId);
+    taskService.emitTaskEvent(taskId, 'vehicle_updated', { vehicleUpdated: true });
+    return { vehicleUpdated: true };
+  } catch (updateError) {
+    logger.error('VehicleUpdate', `Failed to update vehicle videoUrl: ${updateError.message}`, { vehicleId }, taskId);
+    taskService.emitTaskEvent(taskId, 'vehicle_updated', { vehicleUpdated: false, error: updateError.message });
+    return { vehicleUpdated: false };
+  }
+}
+
+// Default pipeline, in execution order. Callers can pass their own list to add or swap stages.
+const defaultSteps = [
+  { name: 'selectImages', run: selectImages },
+  { name: 'buildPrompt', run: buildPrompt },
+  { name: 'waitForSlot', run: waitForSlot },
+  { name: 'submitToRunway', run: submitToRunway },
+  { name: 'pollRunway', run: pollRunway },
+  { name: 'archiveVideo', run: archiveVideo },
+  { name: 'extractFrames', run: extractFrames },
+  { name: 'finalizeVideo', run: finalizeVideo },
+  { name: 'attachToVehicle', run: attachToVehicle }
+];
+
+// Stages still needed once a task has been submitted to the provider, used to resume after a restart.
+// The task holds a queue slot again before it continues, so it counts against the limits like before.
+const resumeSteps = [
+  { name: 'claimSlot', run: claimSlot },
+  ...defaultSteps.filter(step => ['pollRunway', 'archiveVideo', 'extractFrames', 'finalizeVideo', 'attachToVehicle'].includes(step.name))
+];
+
+// Multi-shot pipeline: one provider task per shot, stitched into a single video that is archived as it is written
+const storyboardSteps = [
+  { name: 'waitForSlot', run: waitForSlot },
+  { name: 'renderShots', run: renderShots },
+  { name: 'stitchShots', run: stitchShots },
+  { name: 'extractFrames', run: extractFrames },
+  { name: 'finalizeVideo', run: finalizeVideo },
+  { name: 'attachToVehicle', run: attachToVehicle }
+];
+
+// Shots keep their own progress, so a resumed storyboard renders only what is missing
+const resumeStoryboardSteps = storyboardSteps.map(step => (step.name === 'waitForSlot' ? { name: 'claimSlot', run: claimSlot } : step));
+
+/**
+ * Runs the pipeline stages in order, merging each stage's result into the shared context
+ * Failures are recorded on the task, so this never rejects and can run in the background
+ * @param {Object} context - Initial pipeline context
+ * @param {string} context.taskId - Local task ID
+ * @param {string} context.vehicleId - Vehicle ID
+ * @param {Object} context.vehicleData - Vehicle details
+ * @param {Array} context.images - Vehicle gallery images
+ * @param {Object} [context.options] - Video options (prompt, style, duration, ratio)
+ * @param {string} context.authToken - Authorization header to forward
+ * @param {string} context.country - Country code
+ * @param {string} context.apiBaseUrl - Base URL of this server
+ * @param {Array<{name: string, run: Function}>} [steps] - Stages to run (default: defaultSteps)
+ * @returns {Promise<Object|null>} Final context, or null if a stage failed
+ */
+async function runPipeline(context, steps = defaultSteps) {
+  const ctx = { options: {}, ...context };
+  const { taskId } = ctx;
+
+  try {
+    for (const step of steps) {
+      throwIfCancelled(taskId);
+      logger.debug('VideoGeneration', `Running stage: ${step.name}`, null, taskId);
+      const patch = await step.run(ctx);
+      if (patch) {
+        Object.assign(ctx, patch);
+      }
+    }
+    taskService.emitTaskEvent(taskId, ctx.awaitingReview ? 'awaiting_review' : 'completed', taskService.getTaskStatus(taskId));
+    webhookService.notifyTaskFinished(taskId);
+    return ctx;
+  } catch (error) {
+    if (error.code === 'TASK_CANCELLED') {
+      logger.info('VideoGeneration', 'Pipeline stopped, task was cancelled', { vehicleId: ctx.vehicleId }, taskId);
+      return null;
+    }
+
+    logger.error('VideoGeneration', `Process failed: ${error.message}`, {
+      errorType: error.name,
+      stack: error.stack?.substring(0, 200)
+    }, taskId);
+
+    if (error.response) {
+      logger.error('VideoProvider', `API response error`, {
+        status: error.response.status,
+        data: JSON.stringify(error.response.data)?.substring(0, 200)
+      }, taskId);
+    }
+
+    const task = taskService.getTask(taskId);
+    taskService.updateTask(taskId, {
+      status: 'failed',
+      error: error.message
+    });
+
+    if (task?.createdAt) {
+      const failedDurationSecs = Math.round((new Date() - new Date(task.createdAt))/1000);
+      logger.info('VideoGeneration', `Process terminated with error after ${failedDurationSecs}s`, {
+        vehicleId: ctx.vehicleId
+      }, taskId);
+    }
+
+    taskService.emitTaskEvent(taskId, 'failed', { error: error.message });
+    webhookService.notifyTaskFinished(taskId);
+    scheduleAutoRetry(taskId, error);
+    return null;
+  } finally {
+    queueService.release(taskId);
+  }
+}
+
+/**
+ * Starts a video generation task for a vehicle
+ * Fetches the vehicle and its gallery, creates the task and runs the pipeline in the background
+ * @param {Object} params - Generation parameters
+ * @param {string} params.vehicleId - Vehicle ID
+ * @param {Object} [params.options] - Video options (prompt, templateId, presetId, style, duration, ratio, imageIds,
+ *   firstImageId, lastImageId, imageStrategy, storyboard)
+ * @param {string} params.authToken - Authorization header to forward
+ * @param {string} params.country - Country code
+ * @param {string} params.apiBaseUrl - Base URL of this server
+ * @param {string} [params.callbackUrl] - URL notified when the task finishes
+ * @param {string} [params.batchId] - ID of the batch this task belongs to
+ * @param {number} [params.priority] - Queue priority, higher values start first
+ * @param {string} [params.dealerId] - Dealer the queue quota is counted against
+ * @param {string} [params.idempotencyKey] - Client key identifying this request
+ * @param {string} [params.requestFingerprint] - Hash of the request the key was sent with
+ * @param {string} [params.shortLinkAlias] - Custom code for the video's short link
+ * @param {string} [params.retryOf] - ID of the task this one retries
+ * @param {number} [params.attempt=1] - Attempt number, 1 for a fresh request
+ * @returns {Promise<string>} Task ID
+ * @throws {Error} HTTP 400 error when the preset is unknown, the vehicle has no images or a requested
+ *   image is not in the gallery, HTTP 402 error when the country's or dealer's monthly credit budget is exhausted
+ */
+async function startVideoGeneration(params) {
+  let options = promptPresetService.applyPreset(params.options || {});
+  // Reject unsupported model options before anything is fetched or submitted
+  const model = videoModelService.checkModelOptions(options);
+  options = { ...options, model: model.id };
+  const estimatedCredits = videoModelService.estimateCredits(options);
+  const { country, dealerId } = params;
+  // Held until the task carries the estimate, so concurrent starts count each other
+  const reservationId = usageService.reserveBudget({ country, dealerId, credits: estimatedCredits });
+  try {
+    return await createGenerationTask({ ...params, options, model, estimatedCredits, reservationId });
+  } finally {
+    usageService.releaseBudget(reservationId);
+  }
+}
+
+/**
+ * Fetches the vehicle, creates the task and starts its pipeline
+ * Called by startVideoGeneration while the budget reservation of the generation is held
+ * @param {Object} params - Parameters of startVideoGeneration, with the checked options and model,
+ *   the estimated credits and the budget reservation ID
+ * @returns {Promise<string>} Task ID
+ */
+async function createGenerationTask({
+  vehicleId,
+  options,
+  model,
+  estimatedCredits,
+  reservationId,
+  authToken,
+  country,
+  apiBaseUrl,
+  callbackUrl,
+  batchId,
+  priority,
+  dealerId,
+  idempotencyKey,
+  requestFingerprint,
+  shortLinkAlias,
+  retryOf,
+  attempt = 1
+}) {
+  logger.info('VideoGeneration', 'Fetching vehicle details', { vehicleId, country });
+  const vehicleData = await vehicleService.getVehicleDetails({
+    vehicleId,
+    authToken,
+    country,
+    logPrefix: 'Generate'
+  });
+
+  logger.info('VideoGeneration', `Vehicle identified: ${vehicleData.brand} ${vehicleData.model}`, {
+    brand: vehicleData.brand,
+    model: vehicleData.model,
+    year: vehicleData.year,
+    color: vehicleData.exteriorColorName
+  });
+
+  logger.info('VideoGeneration', 'Fetching vehicle gallery images', { vehicleId });
+  const images = await vehicleService.getVehicleImages({
+    vehicleId,
+    authToken,
+    country,
+    logPrefix: 'Generate'
+  });
+
+  if (!images || !Array.isArray(images) || images.length === 0) {
+    logger.error('VideoGeneration', 'No images available for this vehicle', { vehicleId });
+    throw createHttpError(400, 'No images available for this vehicle');
+  }
+
+  logger.info('VideoGeneration', `Found ${images.length} images`, {
+    vehicleId,
+    imageCount: images.length
+  });
+
+  // Choose the keyframes now so unknown image IDs are rejected before a task exists
+  const shots = options.storyboard ? storyboardService.buildShots(images, options.storyboard, options) : null;
+  const selection = shots ? null : imageSelectionService.selectKeyframes(images, {
+    ...options,
+    maxKeyframes: model.keyframePositions.length
+  });
+
+  // Tasks created while the vehicle was fetched may have used up the budget
+  usageService.checkBudget({ country, dealerId, credits: estimatedCredits, reservationId });
+
+  // Kept on the task for the pipeline; only the country and base URL are written to disk (see taskService.persistTask)
+  const requestContext = { authToken, country, apiBaseUrl };
+  const taskId = taskService.createVideoTask(vehicleId, vehicleData, options, requestContext);
+  const taskLinks = { estimatedCredits };
+  if (config.videoGeneration.requireReview) {
+    // Recorded on the task, so changing the setting does not affect videos already generated
+    taskLinks.reviewRequired = true;
+  }
+  if (retryOf) {
+    Object.assign(taskLinks, { retryOf, attempt });
+  }
+  if (callbackUrl) {
+    taskLinks.callbackUrl = callbackUrl;
+  }
+  if (batchId) {
+    taskLinks.batchId = batchId;
+  }
+  if (priority !== undefined) {
+    taskLinks.priority = priority;
+  }
+  if (dealerId) {
+    taskLinks.dealerId = dealerId;
+  }
+  if (idempotencyKey) {
+    Object.assign(taskLinks, { idempotencyKey, requestFingerprint });
+  }
+  if (shortLinkAlias) {
+    taskLinks.shortLinkAlias = shortLinkAlias;
+  }
+  if (shots) {
+    // Shots without their own prompt get the request prompt or template for the vehicle
+    taskLinks.subTasks = shots.map(shot => ({
+      ...shot,
+      prompt: buildPrompt({
+        vehicleData,
+        options: {
+          prompt: shot.prompt || options.prompt,
+          promptTemplate: options.promptTemplate,
+          templateId: options.templateId
+        },
+        country,
+        taskId
+      }).prompt
+    }));
+  }
+  taskService.updateTask(taskId, taskLinks);
+
+  // Run the pipeline in the background, failures are recorded on the task
+  runPipeline({
+    taskId,
+    vehicleId,
+    vehicleData,
+    images,
+    selection,
+    options,
+    priority,
+    dealerId,
+    ...requestContext
+  }, shots ? storyboardSteps : defaultSteps);
+
+  return taskId;
+}
+
+// Request fields that belong to the task rather than to the video, see getIgnoredFields
+const TASK_REQUEST_FIELDS = ['callbackUrl', 'priority', 'dealerId', 'shortLinkAlias'];
+
+/**
+ * Hashes the parameters of a request made with an Idempotency-Key, so a replay can be told apart
+ * from a different request that reuses the key
+ * @param {Object} params - Generation parameters, as for startVideoGeneration
+ * @returns {string} SHA-256 hex digest
+ */
+function getRequestFingerprint(params) {
+  const { vehicleId, options } = params;
+  const request = { vehicleId, options };
+  for (const field of TASK_REQUEST_FIELDS) {
+    request[field] = params[field];
+  }
+  return crypto.createHash('sha256').update(JSON.stringify(request)).digest('hex');
+}
+
+/**
+ * Lists the fields of a duplicate request that differ from the task it was matched to
+ * The existing task keeps its own callback URL, priority, dealer and short link alias
+ * @param {Object} task - Existing task
+ * @param {Object} params - Generation parameters of the duplicate request
+ * @returns {Array<string>} Names of the fields that were not applied
+ */
+function getIgnoredFields(task, params) {
+  return TASK_REQUEST_FIELDS.filter(field => params[field] !== undefined && params[field] !== task?.[field]);
+}
+
+/**
+ * Checks that a request reusing an Idempotency-Key replays the request the key was first sent with
+ * @param {Object} previous - Task or pending start of the key (vehicleId, and the fingerprint when recorded)
+ * @param {string} vehicleId - Vehicle ID of the request
+ * @param {string} fingerprint - Fingerprint of the request
+ * @param {Object} [details] - Error details, the ID of the key's task once it exists
+ * @throws {Error} HTTP 409 error when the key was used for another vehicle or with different parameters
+ */
+function checkKeyReuse(previous, vehicleId, fingerprint, details) {
+  if (previous.vehicleId !== vehicleId) {
+    throw createHttpError(409, 'Idempotency-Key was already used for another vehicle', details);
+  }
+  // Tasks created before fingerprints were recorded have none and match any request
+  if (previous.fingerprint && previous.fingerprint !== fingerprint) {
+    throw createHttpError(409, 'Idempotency-Key was already used with different request parameters', details);
+  }
+}
+
+/**
+ * Starts a video generation unless an equivalent request already has a task
+ * An Idempotency-Key that was seen before returns its task, whatever its status, as long as the
+ * request is the same as the first one. Without a known key, an unfinished task for the same vehicle
+ * with identical options is returned; its callbackUrl, priority, dealerId and shortLinkAlias are kept,
+ * and those the request sent differently are listed as ignored.
+ * @param {Object} params - Generation parameters, as for startVideoGeneration
+ * @param {string} [params.idempotencyKey] - Client key identifying this request
+ * @returns {Promise<{taskId: string, reused: boolean, ignored: (Array<string>|undefined)}>} Task ID, whether it
+ *   already existed and, for a task matched by its options, the request fields it did not take over
+ * @throws {Error} HTTP 409 error when the key was used for another vehicle or with different parameters
+ */
+async function requestVideoGeneration(params) {
+  const { vehicleId, idempotencyKey } = params;
+  const fingerprint = idempotencyKey ? getRequestFingerprint(params) : undefined;
+
+  const keyedStart = idempotencyKey ? `key:${idempotencyKey}` : undefined;
+
+  if (idempotencyKey) {
+    const keyed = taskService.findTask(task => task.idempotencyKey === idempotencyKey);
+    if (keyed) {
+      checkKeyReuse({ vehicleId: keyed.task.vehicleId, fingerprint: keyed.task.requestFingerprint }, vehicleId, fingerprint, {
+        taskId: keyed.taskId
+      });
+      logger.info('VideoGeneration', 'Idempotency-Key seen before, returning existing task', { vehicleId }, keyed.taskId);
+      return { taskId: keyed.taskId, reused: true };
+    }
+
+    // The key's first request may still be fetching the vehicle, before its task records the key
+    if (pendingStarts.has(keyedStart)) {
+      const pending = pendingStarts.get(keyedStart);
+      checkKeyReuse(pending, vehicleId, fingerprint);
+      return { taskId: await pending.promise, reused: true };
+    }
+  }
+
+  // Resolve the preset first so the request compares equal to tasks started from it
+  const options = promptPresetService.applyPreset(params.options);
+  const normalized = normalizeOptions(options);
+  const dedupeKey = `${vehicleId}:${JSON.stringify(normalized)}`;
+  const active = taskService.findTask(task =>
+    task.vehicleId === vehicleId &&
+    !taskService.TERMINAL_STATUSES.includes(task.status) &&
+    JSON.stringify(normalizeOptions(task.videoOptions)) === JSON.stringify(normalized)
+  );
+  if (active) {
+    logger.info('VideoGeneration', 'Identical generation already running, returning existing task', { vehicleId }, active.taskId);
+    return { taskId: active.taskId, reused: true, ignored: getIgnoredFields(active.task, params) };
+  }
+
+  // A duplicate that arrives while the first request is still fetching the vehicle waits for it
+  if (pendingStarts.has(dedupeKey)) {
+    const taskId = await pendingStarts.get(dedupeKey).promise;
+    return { taskId, reused: true, ignored: getIgnoredFields(taskService.getTask(taskId), params) };
+  }
+
+  const pending = {
+    promise: startVideoGeneration({ ...params, options, requestFingerprint: fingerprint }),
+    vehicleId,
+    fingerprint
+  };
+  const keys = keyedStart ? [dedupeKey, keyedStart] : [dedupeKey];
+  keys.forEach(key => pendingStarts.set(key, pending));
+  try {
+    return { taskId: await pending.promise, reused: false };
+  } finally {
+    keys.forEach(key => pendingStarts.delete(key));
+  }
+}
+
+/**
+ * Starts a new task with the same vehicle and options as a failed, cancelled or rejected one
+ * The original is looked up in memory first, then in the task history
+ * @param {string} taskId - ID of the task to retry
+ * @param {Object} [requestContext] - Overrides for authToken, country and apiBaseUrl
+ * @returns {Promise<string>} ID of the new task
+ * @throws {Error} HTTP 404 if the task is unknown, 409 if it has not failed, been cancelled or been rejected
+ */
+async function retryTask(taskId, requestContext = {}) {
+  const original = taskService.getTask(taskId) || taskService.getTaskHistoryEntry(taskId);
+  if (!original) {
+    throw createHttpError(404, 'Video generation task not found');
+  }
+
+  if (!['failed', 'cancelled', 'rejected'].includes(original.status)) {
+    throw createHttpError(409, `Only failed, cancelled or rejected tasks can be retried (task is ${original.status})`);
+  }
+
+  // Tasks and history entries keep the options the task was started with, including the resolved preset,
+  // so the retry neither loses its keyframes or storyboard nor depends on the preset still existing.
+  // History entries written before videoOptions was recorded only have the basic options at the top level.
+  const options = original.videoOptions || {
+    duration: original.duration,
+    ratio: original.ratio,
+    style: original.style,
+    prompt: original.prompt,
+    templateId: original.templateId,
+    model: original.model,
+    // History entries do not keep the preset's template, so it is resolved again
+    presetId: original.presetId
+  };
+  const originalContext = original.requestContext || {};
+
+  logger.info('VideoGeneration', `Retrying task for vehicle ${original.vehicleId}`, {
+    attempt: (original.attempt || 1) + 1
+  }, taskId);
+
+  const newTaskId = await startVideoGeneration({
+    vehicleId: original.vehicleId,
+    options,
+    authToken: requestContext.authToken || originalContext.authToken,
+    country: requestContext.country || originalContext.country || original.country || config.defaultCountry,
+    apiBaseUrl: requestContext.apiBaseUrl || originalContext.apiBaseUrl,
+    callbackUrl: original.callbackUrl,
+    batchId: original.batchId,
+    priority: original.priority,
+    dealerId: original.dealerId,
+    shortLinkAlias: original.shortLinkAlias,
+    retryOf: taskId,
+    attempt: (original.attempt || 1) + 1
+  });
+
+  taskService.recordRetry(taskId, newTaskId);
+  if (original.batchId) {
+    // Required here, as the batch service itself requires this module
+    require('./batch-service').recordRetry(original.batchId, taskId, newTaskId);
+  }
+
+  return newTaskId;
+}
+
+/**
+ * Checks whether an error looks like a transient failure worth retrying
+ * @param {Error} error - Error that failed the task
+ * @param {Object} [policy] - Retry policy (default from config)
+ * @returns {boolean} True if the error is retryable
+ */
+function isRetryableError(error, policy = config.videoGeneration.autoRetry) {
+  const status = error.status || error.response?.status;
+  if (status && policy.retryableStatusCodes.includes(status)) {
+    return true;
+  }
+
+  const text = `${error.message || ''} ${error.code || ''}`;
+  return policy.retryableErrors.some(fragment => text.includes(fragment));
+}
+
+/**
+ * Schedules an automatic retry of a failed task when the retry policy allows it
+ * @param {string} taskId - ID of the failed task
+ * @param {Error} error - Error that failed the task
+ * @param {Object} [policy] - Retry policy (default from config)
+ * @returns {boolean} True if a retry was scheduled
+ */
+function scheduleAutoRetry(taskId, error, policy = config.videoGeneration.autoRetry) {
+  const task = taskService.getTask(taskId);
+  const attempt = task?.attempt || 1;
+
+  if (!task || attempt >= policy.maxAttempts || !isRetryableError(error, policy)) {
+    return false;
+  }
+
+  logger.info('VideoGeneration', `Transient failure, retrying in ${policy.delay / 1000}s`, {
+    attempt,
+    maxAttempts: policy.maxAttempts
+  }, taskId);
+
+  setTimeout(() => {
+    retryTask(taskId).catch(retryError => {
+      logger.error('VideoGeneration', `Automatic retry failed to start: ${retryError.message}`, null, taskId);
+    });
+  }, policy.delay);
+
+  return true;
+}
+
+/**
+ * Resumes polling for every persisted task that was still rendering at its provider
+ * Call after taskService.loadPersistedTasks() on boot. Pipelines run in the background.
+ * @returns {number} Number of tasks resumed
+ */
+function resumePendingTasks() {
+  const resumable = taskService.getResumableTasks();
+
+  for (const { taskId, task } of resumable) {
+    logger.info('VideoGeneration', `Resuming provider polling after restart`, {
+      vehicleId: task.vehicleId,
+      provider: task.provider,
+      runwayTaskId: task.runwayTaskId
+    }, taskId);
+
+    // Tokens are not persisted (see taskService.persistTask), so nobody is left to write the
+    // vehicle: the video waits in awaiting_review and is attached with the approver's token
+    if (!task.requestContext?.authToken) {
+      taskService.updateTask(taskId, { reviewRequired: true });
+    }
+
+    runPipeline({
+      taskId,
+      vehicleId: task.vehicleId,
+      options: task.videoOptions || {},
+      runwayTaskId: task.runwayTaskId,
+      provider: videoProviderService.getTaskProvider(task).name,
+      priority: task.priority,
+      dealerId: task.dealerId,
+      ...task.requestContext
+    }, task.subTasks ? resumeStoryboardSteps : resumeSteps);
+  }
+
+  return resumable.length;
+}
+
+/**
+ * Cancels a task at its provider and records on the task whether that worked
+ * @param {Object} provider - Video provider of the task
+ * @param {string} runwayTaskId - Provider task ID
+ * @param {string} taskId - Local task ID
+ * @returns {Promise<void>}
+ */
+async function cancelProviderTask(provider, runwayTaskId, taskId) {
+  try {
+    await provider.cancel(runwayTaskId, taskId);
+    taskService.updateTask(taskId, { runwayCancelled: true });
+  } catch (error) {
+    // The local task stays cancelled, the provider may just finish rendering a video nobody uses
+    logger.warn('VideoGeneration', `Could not cancel provider task: ${error.message}`, { runwayTaskId }, taskId);
+    taskService.updateTask(taskId, { runwayCancelled: false });
+  }
+}
+
+/**
+ * Cancels a running video generation task
+ * The task is marked cancelled before the provider is contacted, so the background pipeline
+ * stops at its next check and never writes the vehicle's videoUrl
+ * @param {string} taskId - Local task ID
+ * @returns {Promise<Object>} Task status after cancellation
+ */
+async function cancelTask(taskId) {
+  const task = taskService.getTask(taskId);
+
+  taskService.updateTask(taskId, {
+    status: 'cancelled',
+    cancelledAt: new Date().toISOString()
+  });
+  logger.info('VideoGeneration', 'Task cancelled', { vehicleId: task.vehicleId }, taskId);
+
+  // A task still waiting for a slot leaves the queue, its pipeline then stops quietly
+  queueService.remove(taskId);
+
+  // A video awaiting review has finished rendering, there is nothing left to stop at the provider.
+  // A task still being created is cancelled by submitToRunway once the provider returns its ID.
+  if (task.runwayTaskId && task.status !== 'awaiting_review') {
+    await cancelProviderTask(videoProviderService.getTaskProvider(task), task.runwayTaskId, taskId);
+  }
+
+  const taskStatus = taskService.getTaskStatus(taskId);
+  taskService.emitTaskEvent(taskId, 'cancelled', taskStatus);
+  webhookService.notifyTaskFinished(taskId);
+  return taskStatus;
+}
+
+/**
+ * Gets a task that is waiting for a review decision
+ * @param {string} taskId - Local task ID
+ * @returns {Object} Task
+ * @throws {Error} HTTP 404 if the task is unknown, 409 if it is not awaiting review
+ */
+function getTaskAwaitingReview(taskId) {
+  const task = taskService.getTask(taskId);
+  if (!task) {
+    throw createHttpError(404, 'Video generation task not found');
+  }
+  if (task.status !== 'awaiting_review') {
+    throw createHttpError(409, `Only tasks awaiting review can be reviewed (task is ${task.status})`);
+  }
+  return task;
+}
+
+/**
+ * Approves a video awaiting review, completing the task and writing the video to the vehicle
+ * @param {string} taskId - Local task ID
+ * @param {Object} [review] - Review details
+ * @param {string} [review.reviewer] - Who approved the video
+ * @param {string} [review.authToken] - Authorization header used to update the vehicle (default: the generation request's)
+ * @returns {Promise<Object>} Task status after approval
+ * @throws {Error} HTTP 404 if the task is unknown, 409 if it is not awaiting review
+ */
+async function approveTask(taskId, { reviewer, authToken } = {}) {
+  const task = getTaskAwaitingReview(taskId);
+  const reviewedAt = new Date().toISOString();
+
+  // Completed before the vehicle update, so a second approval is rejected right away
+  taskService.updateTask(taskId, {
+    status: 'completed',
+    completedAt: reviewedAt,
+    review: { decision: 'approved', reviewer, reviewedAt }
+  });
+  addToLibrary(taskId, { ...task, completedAt: reviewedAt });
+  logger.info('VideoReview', 'Video approved', { vehicleId: task.vehicleId, reviewer }, taskId);
+  taskService.emitTaskEvent(taskId, 'approved', { reviewer });
+
+  const requestContext = task.requestContext || {};
+  await attachToVehicle({
+    shortUrl: task.videoUrl,
+    vehicleId: task.vehicleId,
+    authToken: authToken || requestContext.authToken,
+    country: requestContext.country,
+    apiBaseUrl: requestContext.apiBaseUrl,
+    taskId
+  });
+
+  const taskStatus = taskService.getTaskStatus(taskId);
+  taskService.emitTaskEvent(taskId, 'completed', taskStatus);
+  webhookService.notifyTaskFinished(taskId);
+  return taskStatus;
+}
+
+/**
+ * Rejects a video awaiting review; the vehicle keeps its current video
+ * @param {string} taskId - Local task ID
+ * @param {Object} review - Review details
+ * @param {string} review.reason - Why the video was rejected
+ * @param {string} [review.reviewer] - Who rejected the video
+ * @returns {Object} Task status after rejection
+ * @throws {Error} HTTP 404 if the task is unknown, 409 if it is not awaiting review
+ */
+function rejectTask(taskId, { reason, reviewer } = {}) {
+  const task = getTaskAwaitingReview(taskId);
+  const reviewedAt = new Date().toISOString();
+
+  taskService.updateTask(taskId, {
+    status: 'rejected',
+    completedAt: reviewedAt,
+    review: { decision: 'rejected', reason, reviewer, reviewedAt }
+  });
+  logger.info('VideoReview', 'Video rejected', { vehicleId: task.vehicleId, reviewer, reason }, taskId);
+
+  const taskStatus = taskService.getTaskStatus(taskId);
+  taskService.emitTaskEvent(taskId, 'rejected', taskStatus);
+  webhookService.notifyTaskFinished(taskId);
+  return taskStatus;
+}
+
+/**
+ * Makes a video of the vehicle's library live again by writing it to the vehicle's videoUrl
+ * @param {Object} params - Activation parameters
+ * @param {string} params.vehicleId - Vehicle ID
+ * @param {string} params.videoId - Library entry ID, the task ID for generated videos
+ * @param {string} params.authToken - Authorization header to forward
+ * @param {string} params.country - Country code
+ * @param {string} [params.apiBaseUrl] - Base URL of this server
+ * @returns {Promise<Object>} The vehicle's library after the switch
+ * @throws {Error} HTTP 404 error when the video is not in the vehicle's library
+ */
+async function activateVideo({ vehicleId, videoId, authToken, country, apiBaseUrl }) {
+  const video = videoLibraryService.getVideo(vehicleId, videoId);
+  if (!video) {
+    throw createHttpError(404, 'Video not found in the vehicle\'s library', { vehicleId, videoId });
+  }
+
+  await withVehicleLock(vehicleId, async () => {
+    const result = await vehicleService.updateVehicleField({
+      vehicleId,
+      field: 'videoUrl',
+      value: video.videoUrl,
+      authToken,
+      apiBaseUrl,
+      country,
+      logPrefix: 'VideoLibrary'
+    });
+    videoLibraryService.recordActivation(vehicleId, { videoId, previousUrl: result?.oldValue });
+  });
+
+  logger.info('VideoLibrary', `Switched vehicle ${vehicleId} to video ${videoId}`, { videoUrl: video.videoUrl });
+  return videoLibraryService.getLibrary(vehicleId);
+}
+
+/**
+ * Lists the tasks waiting for a review decision, oldest first
+ * @param {Object} [filters] - Filters
+ * @param {string} [filters.vehicleId] - Only tasks of this vehicle
+ * @param {string} [filters.dealerId] - Only tasks of this dealer
+ * @returns {Array<Object>} Task statuses
+ */
+function listTasksAwaitingReview({ vehicleId, dealerId } = {}) {
+  return taskService.findTasks(task =>
+    task.status === 'awaiting_review' &&
+    (!vehicleId || task.vehicleId === vehicleId) &&
+    (!dealerId || task.dealerId === dealerId)
+  )
+    .sort((a, b) => a.task.reviewRequestedAt.localeCompare(b.task.reviewRequestedAt))
+    .map(({ taskId }) => taskService.getTaskStatus(taskId));
+}
+
+module.exports = {
+  selectImages,
+  buildPrompt,
+  waitForSlot,
+  submitToRunway,
+  pollRunway,
+  getPollDelay,
+  getPollTimeout,
+  archiveVideo,
+  extractFrames,
+  finalizeVideo,
+  attachToVehicle,
+  renderShots,
+  stitchShots,
+  defaultSteps,
+  resumeSteps,
+  storyboardSteps,
+  runPipeline,
+  startVideoGeneration,
+  requestVideoGeneration,
+  retryTask,
+  isRetryableError,
+  scheduleAutoRetry,
+  resumePendingTasks,
+  cancelTask,
+  approveTask,
+  rejectTask,
+  listTasksAwaitingReview,
+  activateVideo
+};
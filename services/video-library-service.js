@@ -0,0 +1,234 @@
+/**
+ * Video Library Service
+ * Keeps every video generated or attached for a vehicle, and which one is live in its videoUrl,
+ * so an earlier version can be switched back after a bad render
+ */
+
+const fs = require('fs');
+const path = require('path');
+const config = require('../utils/config');
+const logger = require('../utils/logger');
+const taskService = require('./task-service');
+
+// One file per vehicle in the data directory
+const libraryStoreDir = path.join(config.dataDir, 'video-library');
+try {
+  if (!fs.existsSync(libraryStoreDir)) {
+    fs.mkdirSync(libraryStoreDir, { recursive: true });
+  }
+} catch (err) {
+  logger.warn('VideoLibrary', `Could not initialize video library directory: ${err.message}`);
+}
+
+/**
+ * Gets the library file of a vehicle, ignoring IDs that could leave the library directory
+ * @param {string} vehicleId - Vehicle ID
+ * @returns {string|null} File path, or null for an invalid ID
+ */
+function getLibraryFile(vehicleId) {
+  if (!/^[\w-]+$/.test(String(vehicleId))) {
+    return null;
+  }
+  return path.join(libraryStoreDir, `${vehicleId}.json`);
+}
+
+/**
+ * Builds the library of a vehicle that has no library file yet from its completed tasks in the task history,
+ * so videos generated before the library existed can be switched back to
+ * Which of them is live is unknown, so none is active until the next activation
+ * @param {string} vehicleId - Vehicle ID
+ * @returns {object} Library record, written to disk if any video was found
+ */
+function seedLibrary(vehicleId) {
+  const library = { vehicleId: String(vehicleId), activeVideoId: null, videos: [] };
+
+  // History is listed newest first, the library keeps videos in the order they were added
+  const completed = taskService.getTaskHistory({ vehicleId: String(vehicleId), status: 'completed', limit: Infinity })
+    .filter(entry => entry.videoUrl)
+    .reverse();
+  for (const entry of completed) {
+    library.videos.push({
+      videoId: entry.taskId,
+      taskId: entry.taskId,
+      source: 'generated',
+      videoUrl: entry.videoUrl,
+      originalVideoUrl: entry.originalVideoUrl,
+      posterUrl: entry.posterUrl,
+      model: entry.model,
+      duration: entry.duration,
+      presetId: entry.presetId,
+      completedAt: entry.completedAt,
+      addedAt: entry.completedAt
+    });
+  }
+
+  if (library.videos.length > 0) {
+    logger.info('VideoLibrary', `Seeded library with ${library.videos.length} videos from the task history`, { vehicleId });
+    writeLibrary(library);
+  }
+  return library;
+}
+
+/**
+ * Reads a vehicle's library from disk
+ * @param {string} vehicleId - Vehicle ID
+ * @returns {object} Library record (vehicleId, activeVideoId, videos), seeded from the task history
+ *   if the vehicle has no library file, empty if it has no videos
+ */
+function readLibrary(vehicleId) {
+  const empty = { vehicleId: String(vehicleId), activeVideoId: null, videos: [] };
+  const libraryFile = getLibraryFile(vehicleId);
+  if (!libraryFile) {
+    return empty;
+  }
+  if (!fs.existsSync(libraryFile)) {
+    return seedLibrary(vehicleId);
+  }
+
+  try {
+    return JSON.parse(fs.readFileSync(libraryFile, 'utf8'));
+  } catch (err) {
+    logger.warn('VideoLibrary', `Error reading video library file: ${err.message}`, { vehicleId });
+    return empty;
+  }
+}
+
+/**
+ * Writes a vehicle's library to disk
+ * A failed write is logged, the vehicle itself has already been updated
+ * @param {object} library - Library record
+ */
+function writeLibrary(library) {
+  const libraryFile = getLibraryFile(library.vehicleId);
+  if (!libraryFile) {
+    return;
+  }
+
+  try {
+    const tempFile = `${libraryFile}.tmp`;
+    fs.writeFileSync(tempFile, JSON.stringify(library, null, 2));
+    fs.renameSync(tempFile, libraryFile);
+  } catch (err) {
+    logger.warn('VideoLibrary', `Failed to write video library: ${err.message}`, { vehicleId: library.vehicleId });
+  }
+}
+
+/**
+ * Adds an entry for a video that was not generated by this server
+ * @param {object} library - Library record, changed in place
+ * @param {string} videoUrl - Video URL
+ * @param {string} source - "attached" (set through update-field) or "previous" (on the vehicle before)
+ * @returns {object} The new entry
+ */
+function addExternalVideo(library, videoUrl, source) {
+  const video = {
+    videoId: `${source}-${Date.now()}-${library.videos.length + 1}`,
+    taskId: null,
+    source,
+    videoUrl,
+    addedAt: new Date().toISOString()
+  };
+  // A previous video was live before anything the library knows about, so it is listed as the oldest
+  if (source === 'previous') {
+    library.videos.unshift(video);
+  } else {
+    library.videos.push(video);
+  }
+  return video;
+}
+
+/**
+ * Adds or updates a generated video in a vehicle's library
+ * @param {string} vehicleId - Vehicle ID
+ * @param {object} video - Video details
+ * @param {string} video.taskId - Task that generated the video, also used as its videoId
+ * @param {string} video.videoUrl - Video URL written to the vehicle (the short link)
+ * @param {string} [video.originalVideoUrl] - Archived video before shortening
+ * @param {string} [video.posterUrl] - Poster frame
+ * @param {string} [video.model] - Video model
+ * @param {number} [video.duration] - Duration in seconds
+ * @param {string} [video.presetId] - Prompt preset
+ * @returns {object} Library entry
+ */
+function addGeneratedVideo(vehicleId, { taskId, ...details }) {
+  const library = readLibrary(vehicleId);
+  let video = library.videos.find(item => item.videoId === taskId);
+  if (!video) {
+    video = { videoId: taskId, taskId, source: 'generated', addedAt: new Date().toISOString() };
+    library.videos.push(video);
+  }
+  Object.assign(video, details);
+  writeLibrary(library);
+
+  logger.debug('VideoLibrary', 'Added generated video', { vehicleId }, taskId);
+  return video;
+}
+
+/**
+ * Records which video is now live in the vehicle's videoUrl
+ * The previous value is kept as a "previous" entry when it is not in the library yet, so it can be restored
+ * @param {string} vehicleId - Vehicle ID
+ * @param {object} activation - Activated video
+ * @param {string} [activation.videoId] - Library entry now live
+ * @param {string} [activation.videoUrl] - URL now live, used when there is no videoId; unknown URLs become "attached" entries
+ * @param {string} [activation.previousUrl] - videoUrl the vehicle had before the update
+ * @returns {object|null} The active entry, or null when neither videoId nor videoUrl identifies one
+ */
+function recordActivation(vehicleId, { videoId, videoUrl, previousUrl }) {
+  const library = readLibrary(vehicleId);
+
+  if (previousUrl && !library.videos.some(item => item.videoUrl === previousUrl)) {
+    addExternalVideo(library, previousUrl, 'previous');
+  }
+
+  let video = videoId
+    ? library.videos.find(item => item.videoId === videoId)
+    : library.videos.find(item => item.videoUrl === videoUrl);
+  if (!video && !videoId && videoUrl) {
+    video = addExternalVideo(library, videoUrl, 'attached');
+  }
+  if (!video) {
+    writeLibrary(library);
+    return null;
+  }
+
+  video.activatedAt = new Date().toISOString();
+  library.activeVideoId = video.videoId;
+  writeLibrary(library);
+
+  logger.info('VideoLibrary', `Active video is now ${video.videoId}`, { vehicleId });
+  return video;
+}
+
+/**
+ * Gets a single video of a vehicle's library
+ * @param {string} vehicleId - Vehicle ID
+ * @param {string} videoId - Library entry ID (the task ID for generated videos)
+ * @returns {object|null} Library entry, or null if unknown
+ */
+function getVideo(vehicleId, videoId) {
+  return readLibrary(vehicleId).videos.find(item => item.videoId === videoId) || null;
+}
+
+/**
+ * Lists a vehicle's videos, newest first, with the live one flagged
+ * @param {string} vehicleId - Vehicle ID
+ * @returns {{vehicleId: string, activeVideoId: string|null, videos: Array<object>}} Library
+ */
+function getLibrary(vehicleId) {
+  const library = readLibrary(vehicleId);
+  return {
+    vehicleId: library.vehicleId,
+    activeVideoId: library.activeVideoId,
+    videos: library.videos
+      .map(video => ({ ...video, active: video.videoId === library.activeVideoId }))
+      .reverse()
+  };
+}
+
+module.exports = {
+  addGeneratedVideo,
+  recordActivation,
+  getVideo,
+  getLibrary
+};
@@ -0,0 +1,146 @@
+/**
+ * Video Model Service
+ * Capability matrix of the image-to-video models callers can choose, used to reject
+ * unsupported duration, ratio and keyframe combinations before anything is submitted
+ */
+
+const config = require('../utils/config');
+const { createHttpError } = require('../utils/error-handler');
+
+// Runway credits are billed per second of output video
+const MODELS = {
+  gen3a_turbo: {
+    name: 'Gen-3 Alpha Turbo',
+    durations: [5, 10],
+    ratios: ['1280:768', '768:1280'],
+    keyframePositions: ['first', 'last'],
+    creditsPerSecond: 5
+  },
+  gen4_turbo: {
+    name: 'Gen-4 Turbo',
+    durations: [5, 10],
+    ratios: ['1280:720', '720:1280', '1104:832', '832:1104', '960:960', '1584:672'],
+    keyframePositions: ['first'],
+    creditsPerSecond: 5
+  }
+};
+
+/**
+ * Gets the capabilities of a model
+ * @param {string} [modelId] - Model ID (default: config.videoGeneration.defaultModel)
+ * @returns {object|null} Model (id, name, durations, ratios, keyframePositions, creditsPerSecond), or null if unknown
+ */
+function getModel(modelId = config.videoGeneration.defaultModel) {
+  if (!Object.prototype.hasOwnProperty.call(MODELS, modelId)) {
+    return null;
+  }
+  return { id: modelId, ...MODELS[modelId] };
+}
+
+/**
+ * Lists all models with their capabilities
+ * @returns {Array<object>} Models, the default one flagged with `default: true`
+ */
+function listModels() {
+  return Object.keys(MODELS).map(modelId => ({
+    ...getModel(modelId),
+    default: modelId === config.videoGeneration.defaultModel
+  }));
+}
+
+/**
+ * Lists the keyframe positions a set of image options asks for
+ * @param {object} images - Options or storyboard shot (imageIds, firstImageId, lastImageId)
+ * @returns {Array<string>} Requested positions (first, last)
+ */
+function requestedKeyframePositions({ imageIds, firstImageId, lastImageId }) {
+  if (Array.isArray(imageIds)) {
+    return imageIds.length > 1 ? ['first', 'last'] : ['first'];
+  }
+  return [firstImageId && 'first', lastImageId && 'last'].filter(Boolean);
+}
+
+/**
+ * Checks the duration and keyframes of one clip against a model
+ * @param {object} model - Model capabilities
+ * @param {object} clip - Options or storyboard shot (duration, imageIds, firstImageId, lastImageId)
+ * @param {string} [shotLabel] - Storyboard shot named in error messages, e.g. "storyboard[1]"
+ * @throws {Error} HTTP 400 error listing the allowed values
+ */
+function checkClip(model, clip, shotLabel) {
+  if (clip.duration !== undefined && clip.duration !== null && !model.durations.includes(clip.duration)) {
+    const field = shotLabel ? `${shotLabel}.duration` : 'duration';
+    throw createHttpError(400, `${field} must be one of: ${model.durations.join(', ')} for model ${model.id}`, {
+      model: model.id,
+      allowedDurations: model.durations
+    });
+  }
+
+  const unsupported = requestedKeyframePositions(clip).filter(position => !model.keyframePositions.includes(position));
+  if (unsupported.length > 0) {
+    const prefix = shotLabel ? `${shotLabel}: ` : '';
+    throw createHttpError(400, `${prefix}Model ${model.id} does not support a ${unsupported[0]} keyframe`, {
+      model: model.id,
+      allowedKeyframePositions: model.keyframePositions
+    });
+  }
+}
+
+/**
+ * Checks that the model supports the requested duration, ratio and keyframes
+ * Storyboard shots are checked one by one
+ * @param {object} options - Video options (model, duration, ratio, imageIds, firstImageId, lastImageId, storyboard)
+ * @returns {object} Capabilities of the model that will be used
+ * @throws {Error} HTTP 400 error for an unknown model or an unsupported value, listing the allowed values
+ */
+function checkModelOptions(options = {}) {
+  const model = getModel(options.model || undefined);
+  if (!model) {
+    throw createHttpError(400, `Unknown model: ${options.model}`, {
+      allowedModels: Object.keys(MODELS)
+    });
+  }
+
+  if (options.ratio !== undefined && options.ratio !== null && !model.ratios.includes(options.ratio)) {
+    throw createHttpError(400, `ratio must be one of: ${model.ratios.join(', ')} for model ${model.id}`, {
+      model: model.id,
+      allowedRatios: model.ratios
+    });
+  }
+
+  if (Array.isArray(options.storyboard)) {
+    options.storyboard.forEach((shot, index) => {
+      checkClip(model, { duration: options.duration, ...shot }, `storyboard[${index}]`);
+    });
+  } else {
+    checkClip(model, options);
+  }
+
+  return model;
+}
+
+/**
+ * Estimates the Runway credits a generation will be billed
+ * Storyboards are billed per shot; durations that are not set default to 5 seconds, as when submitting
+ * @param {object} [options] - Video options (model, duration, storyboard)
+ * @returns {number|null} Estimated credits, or null for an unknown model
+ */
+function estimateCredits(options = {}) {
+  const model = getModel(options.model || undefined);
+  if (!model) {
+    return null;
+  }
+
+  const duration = options.duration !== undefined && options.duration !== null ? options.duration : 5;
+  const seconds = Array.isArray(options.storyboard)
+    ? options.storyboard.reduce((total, shot) => total + (shot.duration !== undefined ? shot.duration : duration), 0)
+    : duration;
+  return seconds * model.creditsPerSecond;
+}
+
+module.exports = {
+  getModel,
+  listModels,
+  checkModelOptions,
+  estimateCredits
+};
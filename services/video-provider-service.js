@@ -0,0 +1,64 @@
+/**
+ * Video Provider Service
+ * Registry of video generation backends. Every provider implements the same interface:
+ *   name                                   Provider name, recorded on tasks
+ *   getConfigurationError()                Message explaining why it cannot be used, or null
+ *   create(request)                        Submits a task, resolves to { providerTaskId }
+ *   getStatus(providerTaskId, localTaskId) Resolves to { status, providerStatus, progress, error, output, credits }
+ *                                          where status is pending, running, succeeded or failed and
+ *                                          credits is only set when the provider reports what it charged
+ *   cancel(providerTaskId, localTaskId)    Cancels a running task
+ *   normalizeOutput(output)                Extracts { videoUrl, outputFormat } from a succeeded task, or null
+ */
+
+const config = require('../utils/config');
+const { createHttpError } = require('../utils/error-handler');
+const runwayProvider = require('./providers/runway-provider');
+const mockProvider = require('./providers/mock-provider');
+
+const PROVIDERS = {
+  [runwayProvider.name]: runwayProvider,
+  [mockProvider.name]: mockProvider
+};
+
+/**
+ * Gets a provider by name
+ * @param {string} [name] - Provider name (default: config.videoProviders.default)
+ * @returns {object} Provider
+ * @throws {Error} HTTP 500 error when the provider is unknown, which is a configuration mistake
+ */
+function getProvider(name = config.videoProviders.default) {
+  if (!Object.prototype.hasOwnProperty.call(PROVIDERS, name)) {
+    throw createHttpError(500, `Unknown video provider: ${name}`, {
+      availableProviders: Object.keys(PROVIDERS)
+    });
+  }
+  return PROVIDERS[name];
+}
+
+/**
+ * Gets the provider a task was submitted to
+ * Tasks stored before providers existed were all submitted to Runway
+ * @param {object} task - Task data
+ * @returns {object} Provider
+ */
+function getTaskProvider(task) {
+  if (task.provider) {
+    return getProvider(task.provider);
+  }
+  return task.runwayTaskId ? runwayProvider : getProvider();
+}
+
+/**
+ * Lists the registered provider names
+ * @returns {Array<string>} Provider names
+ */
+function listProviders() {
+  return Object.keys(PROVIDERS);
+}
+
+module.exports = {
+  getProvider,
+  getTaskProvider,
+  listProviders
+};
@@ -0,0 +1,114 @@
+/**
+ * Video Storage Service
+ * Archives generated videos so they outlive the provider's temporary output URLs.
+ * Every storage backend implements the same interface, so an S3-compatible one can be
+ * registered next to the local disk without touching the pipeline or the /videos route:
+ *   name                           Backend name
+ *   save(key, body)                Stores a Buffer under the key, replacing any previous object
+ *   stat(key)                      Resolves to { size, modifiedAt }, or null when nothing is stored
+ *   createReadStream(key, range)   Readable of the object, or of the inclusive { start, end } byte range
+ *   remove(key)                    Deletes the object if it exists
+ */
+
+const config = require('../utils/config');
+const logger = require('../utils/logger');
+const { createHttpError } = require('../utils/error-handler');
+const httpClientService = require('./http-client-service');
+const localStorage = require('./storage/local-storage');
+
+const BACKENDS = {
+  [localStorage.name]: localStorage
+};
+
+/**
+ * Gets a storage backend by name
+ * @param {string} [name] - Backend name (default: config.videoStorage.backend)
+ * @returns {object} Storage backend
+ * @throws {Error} HTTP 500 error when the backend is unknown, which is a configuration mistake
+ */
+function getStorage(name = config.videoStorage.backend) {
+  if (!Object.prototype.hasOwnProperty.call(BACKENDS, name)) {
+    throw createHttpError(500, `Unknown video storage: ${name}`, {
+      availableBackends: Object.keys(BACKENDS)
+    });
+  }
+  return BACKENDS[name];
+}
+
+/**
+ * Gets the storage key of a task's video
+ * @param {string} taskId - Local task ID
+ * @returns {string} Object key
+ */
+function getVideoKey(taskId) {
+  return `${taskId}.mp4`;
+}
+
+/**
+ * Gets the stable URL a task's archived video is served from by the /videos route
+ * @param {string} taskId - Local task ID
+ * @param {string} [apiBaseUrl] - Base URL of this server (default: localhost on the configured port)
+ * @returns {string} Video URL
+ */
+function getVideoUrl(taskId, apiBaseUrl = `http://localhost:${config.port}`) {
+  return `${apiBaseUrl}/videos/${getVideoKey(taskId)}`;
+}
+
+/**
+ * Gets the storage key of a frame extracted from a task's video
+ * @param {string} taskId - Local task ID
+ * @param {string} frame - Frame name, "poster" or "thumbnail-N"
+ * @returns {string} Object key
+ */
+function getFrameKey(taskId, frame) {
+  return `${taskId}-${frame}.jpg`;
+}
+
+/**
+ * Gets the URL a frame is served from by the /videos route
+ * @param {string} taskId - Local task ID
+ * @param {string} frame - Frame name, "poster" or "thumbnail-N"
+ * @param {string} [apiBaseUrl] - Base URL of this server (default: localhost on the configured port)
+ * @returns {string} Image URL
+ */
+function getFrameUrl(taskId, frame, apiBaseUrl = `http://localhost:${config.port}`) {
+  return `${apiBaseUrl}/videos/${taskId}/${frame}.jpg`;
+}
+
+/**
+ * Stores the video of a task
+ * @param {string} taskId - Local task ID
+ * @param {Buffer} body - MP4 contents
+ * @returns {Promise<void>}
+ */
+async function saveVideo(taskId, body) {
+  const storage = getStorage();
+  await storage.save(getVideoKey(taskId), body);
+  logger.info('VideoStorage', `Stored video (${body.length} bytes) in ${storage.name} storage`, null, taskId);
+}
+
+/**
+ * Downloads a video and stores it as the video of a task
+ * @param {string} sourceUrl - Video URL, usually a temporary provider output URL
+ * @param {string} taskId - Local task ID
+ * @returns {Promise<void>}
+ */
+async function archiveVideo(sourceUrl, taskId) {
+  const response = await httpClientService.request('downloads', {
+    method: 'get',
+    url: sourceUrl,
+    responseType: 'arraybuffer',
+    timeout: config.videoStorage.downloadTimeout
+  });
+  await saveVideo(taskId, Buffer.from(response.data));
+}
+
+module.exports = {
+  getStorage,
+  getVideoKey,
+  getVideoUrl,
+  getFrameKey,
+  getFrameUrl,
+  saveVideo,
+  archiveVideo
+};
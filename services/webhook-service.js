@@ -0,0 +1,247 @@
+/**
+ * Webhook Service
+ * Notifies callers of finished video tasks through signed HTTP callbacks
+ */
+
+const crypto = require('crypto');
+const dns = require('dns');
+const net = require('net');
+const config = require('../utils/config');
+const logger = require('../utils/logger');
+const httpClientService = require('./http-client-service');
+const taskService = require('./task-service');
+
+/**
+ * Computes the HMAC signature for a webhook body
+ * Receivers recompute HMAC-SHA256 over `${timestamp}.${body}` with the shared secret
+ * @param {string} body - Raw JSON body
+ * @param {string} timestamp - Unix timestamp in seconds, sent in the timestamp header
+ * @param {string} secret - Shared webhook secret
+ * @returns {string} Signature in the form `sha256=<hex>`
+ */
+function signPayload(body, timestamp, secret) {
+  const digest = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `sha256=${digest}`;
+}
+
+// Addresses callbacks may not reach: this server's own network, cloud metadata endpoints
+// (169.254.169.254, inside link-local) and ranges that are not routable on the internet
+const blockedAddresses = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+].forEach(([network, prefix]) => blockedAddresses.addSubnet(network, prefix, 'ipv4'));
+[
+  ['::', 127], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([network, prefix]) => blockedAddresses.addSubnet(network, prefix, 'ipv6'));
+
+/**
+ * Checks whether an IP address is loopback, private, link-local or otherwise internal
+ * IPv4-mapped IPv6 addresses are checked as their IPv4 address
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean} True if callbacks may not be sent to the address
+ */
+function isBlockedAddress(address) {
+  return blockedAddresses.check(address, net.isIP(address) === 6 ? 'ipv6' : 'ipv4');
+}
+
+/**
+ * Gets the host of a callback URL as it is resolved and compared
+ * @param {URL} url - Parsed callback URL
+ * @returns {string} Host name or IP address, without IPv6 brackets or a trailing dot
+ */
+function getCallbackHost(url) {
+  return url.hostname.replace(/^\[|\]$/g, '').replace(/\.$/, '');
+}
+
+/**
+ * Checks whether a host is listed in webhooks.allowedHosts, directly or as a subdomain of an entry
+ * @param {string} hostname - Host of the callback URL
+ * @returns {boolean} True if the host is allowed
+ */
+function isAllowedHost(hostname) {
+  return config.webhooks.allowedHosts.some(host => hostname === host || hostname.endsWith(`.${host}`));
+}
+
+/**
+ * Checks that a callback URL is an absolute http(s) URL that may be called from this server
+ * With webhooks.allowedHosts set, only those hosts are accepted. Otherwise IP addresses inside the
+ * network (see isBlockedAddress) and localhost are rejected; host names are checked again when
+ * they are resolved for delivery
+ * @param {string} callbackUrl - URL to validate
+ * @returns {boolean} True if the URL can be used as a callback
+ */
+function isValidCallbackUrl(callbackUrl) {
+  let url;
+  try {
+    url = new URL(callbackUrl);
+  } catch (err) {
+    return false;
+  }
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+    return false;
+  }
+
+  const hostname = getCallbackHost(url);
+  if (config.webhooks.allowedHosts.length > 0) {
+    return isAllowedHost(hostname);
+  }
+  if (net.isIP(hostname)) {
+    return !isBlockedAddress(hostname);
+  }
+  return hostname !== 'localhost' && !hostname.endsWith('.localhost');
+}
+
+/**
+ * DNS lookup for callback requests that fails for hosts resolving to an address inside the network,
+ * so a host name cannot be pointed at internal services after its callback URL was accepted
+ * Used as the socket lookup, so the checked address is the one that is connected to
+ * @param {string} hostname - Host to resolve
+ * @param {object} options - dns.lookup options
+ * @param {Function} callback - Called with an error or the resolved addresses
+ */
+function lookupPublicAddress(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) {
+      return callback(error);
+    }
+    const blocked = addresses.find(({ address }) => isBlockedAddress(address));
+    if (blocked) {
+      const blockedError = new Error(`Callback host ${hostname} resolves to an internal address (${blocked.address})`);
+      blockedError.code = 'CALLBACK_ADDRESS_BLOCKED';
+      return callback(blockedError);
+    }
+    callback(null, addresses);
+  });
+}
+
+/**
+ * Appends a delivery attempt to the task so missed notifications can be debugged
+ * @param {string} taskId - Task ID
+ * @param {object} delivery - Delivery attempt record
+ */
+function recordDelivery(taskId, delivery) {
+  const task = taskService.getTask(taskId);
+  if (!task) {
+    return;
+  }
+  taskService.updateTask(taskId, {
+    webhookDeliveries: [...(task.webhookDeliveries || []), delivery]
+  });
+}
+
+/**
+ * Posts the final task status to the task's callback URL, retrying with exponential backoff
+ * @param {string} taskId - Task ID
+ * @param {object} [options] - Delivery options (defaults from config)
+ * @param {number} [options.maxAttempts] - Maximum delivery attempts
+ * @param {number} [options.initialDelay] - Delay before the first retry in ms, doubled for each further retry
+ * @param {number} [options.timeout] - Request timeout in ms
+ * @param {string} [options.secret] - Secret used to sign the payload
+ * @returns {Promise<boolean>} True if the callback accepted the notification
+ */
+async function deliverWebhook(taskId, {
+  maxAttempts = config.webhooks.maxAttempts,
+  initialDelay = config.webhooks.initialDelay,
+  timeout = config.webhooks.timeout,
+  secret = config.webhooks.secret
+} = {}) {
+  const task = taskService.getTask(taskId);
+  if (!task || !task.callbackUrl) {
+    return false;
+  }
+  // Also covers callback URLs accepted before the rules or webhooks.allowedHosts changed
+  if (!isValidCallbackUrl(task.callbackUrl)) {
+    logger.error('Webhook', 'Callback URL is not allowed, not sending the callback', { callbackUrl: task.callbackUrl }, taskId);
+    return false;
+  }
+  const hostname = getCallbackHost(new URL(task.callbackUrl));
+
+  const payload = taskService.getTaskStatus(taskId);
+  const body = JSON.stringify(payload);
+  const event = `task.${payload.status}`;
+
+  if (!secret) {
+    logger.warn('Webhook', 'WEBHOOK_SECRET not configured, sending unsigned callback', null, taskId);
+  }
+
+  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+    const timestamp = Math.floor(Date.now() / 1000).toString();
+    const headers = {
+      'Content-Type': 'application/json',
+      'X-Webhook-Event': event,
+      'X-Webhook-Timestamp': timestamp
+    };
+    if (secret) {
+      headers['X-Webhook-Signature'] = signPayload(body, timestamp, secret);
+    }
+
+    const startTime = new Date();
+    try {
+      const response = await httpClientService.request('webhooks', {
+        method: 'post',
+        url: task.callbackUrl,
+        headers,
+        data: body,
+        timeout,
+        // Allowed hosts are trusted even inside the network
+        lookup: isAllowedHost(hostname) ? undefined : lookupPublicAddress
+      });
+
+      recordDelivery(taskId, {
+        attempt,
+        event,
+        deliveredAt: startTime.toISOString(),
+        durationMs: new Date() - startTime,
+        responseStatus: response.status,
+        success: true
+      });
+      logger.info('Webhook', `Delivered ${event} callback (attempt ${attempt})`, {
+        responseStatus: response.status
+      }, taskId);
+      return true;
+    } catch (error) {
+      recordDelivery(taskId, {
+        attempt,
+        event,
+        deliveredAt: startTime.toISOString(),
+        durationMs: new Date() - startTime,
+        responseStatus: error.response?.status,
+        error: error.message,
+        success: false
+      });
+      if (error.code === 'CALLBACK_ADDRESS_BLOCKED') {
+        logger.error('Webhook', `Not sending the callback: ${error.message}`, null, taskId);
+        return false;
+      }
+      logger.warn('Webhook', `Callback attempt ${attempt}/${maxAttempts} failed: ${error.message}`, {
+        responseStatus: error.response?.status
+      }, taskId);
+    }
+
+    if (attempt < maxAttempts) {
+      const delay = initialDelay * Math.pow(2, attempt - 1);
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+  }
+
+  logger.error('Webhook', `Giving up on ${event} callback after ${maxAttempts} attempts`, null, taskId);
+  return false;
+}
+
+/**
+ * Sends the completion webhook in the background, if the task has a callback URL
+ * @param {string} taskId - Task ID
+ */
+function notifyTaskFinished(taskId) {
+  deliverWebhook(taskId).catch(error => {
+    logger.error('Webhook', `Unexpected delivery error: ${error.message}`, null, taskId);
+  });
+}
+
+module.exports = {
+  signPayload,
+  isValidCallbackUrl,
+  deliverWebhook,
+  notifyTaskFinished
+};
@@ -0,0 +1,270 @@
+/**
+ * Batch Service Tests
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Point the batch store at a temporary directory before loading the service
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'batch-service-test-'));
+process.env.DATA_DIR = dataDir;
+
+jest.mock('../services/vehicle-service', () => ({
+  listVehicles: jest.fn()
+}));
+
+jest.mock('../services/task-service', () => ({
+  getTask: jest.fn(),
+  getTaskStatus: jest.fn(),
+  getTaskHistoryEntry: jest.fn(),
+  isTaskFinished: jest.fn(),
+  TERMINAL_STATUSES: ['completed', 'failed', 'cancelled', 'rejected']
+}));
+
+jest.mock('../services/video-generation-service', () => ({
+  requestVideoGeneration: jest.fn(),
+  cancelTask: jest.fn()
+}));
+
+const config = require('../utils/config');
+const vehicleService = require('../services/vehicle-service');
+const taskService = require('../services/task-service');
+const videoGenerationService = require('../services/video-generation-service');
+const batchService = require('../services/batch-service');
+
+const requestContext = {
+  authToken: 'Bearer test-token',
+  country: 'it',
+  apiBaseUrl: 'http://localhost:3000'
+};
+
+// Let the background processing started by createBatch run to completion
+const flushBackground = () => new Promise(resolve => setImmediate(resolve));
+
+// Result of requestVideoGeneration for a newly started task
+const started = taskId => ({ taskId, reused: false });
+
+describe('Batch Service', () => {
+  afterAll(() => {
+    fs.rmSync(dataDir, { recursive: true, force: true });
+    delete process.env.DATA_DIR;
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('createBatch', () => {
+    test('should start a task for every vehicle and record failures per vehicle', async () => {
+      const noImages = new Error('No images available for this vehicle');
+      noImages.status = 400;
+      videoGenerationService.requestVideoGeneration
+        .mockResolvedValueOnce(started('task1'))
+        .mockRejectedValueOnce(noImages)
+        .mockResolvedValueOnce(started('task3'));
+
+      const batch = await batchService.createBatch({
+        vehicleIds: ['v1', 'v2', 'v3', 'v1'],
+        options: { duration: 5 },
+        ...requestContext
+      });
+      await flushBackground();
+
+      expect(batch.total).toBe(3);
+      expect(batch.summary.queued).toBe(3);
+      expect(videoGenerationService.requestVideoGeneration).toHaveBeenCalledTimes(3);
+      expect(videoGenerationService.requestVideoGeneration).toHaveBeenCalledWith(expect.objectContaining({
+        vehicleId: 'v1',
+        options: { duration: 5 },
+        batchId: batch.batchId
+      }));
+
+      taskService.getTask.mockImplementation(taskId => ({ status: taskId === 'task1' ? 'completed' : 'processing_runway' }));
+      taskService.getTaskStatus.mockImplementation(taskId => (taskId === 'task1' ? { videoUrl: 'https://is.gd/abc' } : {}));
+
+      const status = batchService.getBatchStatus(batch.batchId);
+
+      expect(status.status).toBe('processing');
+      expect(status.summary).toEqual({
+        queued: 0, processing: 1, awaiting_review: 0, completed: 1, failed: 1, cancelled: 0, rejected: 0
+      });
+      expect(status.results).toEqual([
+        { vehicleId: 'v1', taskId: 'task1', status: 'completed', videoUrl: 'https://is.gd/abc', error: undefined },
+        { vehicleId: 'v2', taskId: undefined, status: 'failed', videoUrl: undefined, error: 'No images available for this vehicle' },
+        { vehicleId: 'v3', taskId: 'task3', status: 'processing', videoUrl: undefined, error: undefined }
+      ]);
+
+      // Videos waiting for approval keep the batch open
+      taskService.getTask.mockImplementation(taskId => ({ status: taskId === 'task1' ? 'completed' : 'awaiting_review' }));
+
+      expect(batchService.getBatchStatus(batch.batchId)).toMatchObject({
+        status: 'processing',
+        summary: { processing: 0, awaiting_review: 1 }
+      });
+    });
+
+    test('should resolve vehicles from a listing query', async () => {
+      vehicleService.listVehicles.mockResolvedValueOnce({ vehicles: [{ id: 7199514 }, { id: 7026438 }] });
+      videoGenerationService.requestVideoGeneration.mockResolvedValue(started('task'));
+
+      const batch = await batchService.createBatch({
+        query: { page: 1, size: 2, country: 'fr' },
+        ...requestContext
+      });
+      await flushBackground();
+
+      expect(vehicleService.listVehicles).toHaveBeenCalledWith(expect.objectContaining({
+        page: 1,
+        size: 2,
+        country: 'fr'
+      }));
+      expect(batch.results.map(result => result.vehicleId)).toEqual(['7199514', '7026438']);
+    });
+
+    test('should reject an empty batch', async () => {
+      vehicleService.listVehicles.mockResolvedValueOnce({ vehicles: [] });
+
+      await expect(batchService.createBatch({ query: {}, ...requestContext })).rejects.toMatchObject({ status: 400 });
+    });
+  });
+
+  describe('reused tasks', () => {
+    test('should take over a task already running for the vehicle and leave it running on cancel', async () => {
+      videoGenerationService.requestVideoGeneration.mockResolvedValueOnce({ taskId: 'task0', reused: true, ignored: [] });
+      const batch = await batchService.createBatch({ vehicleIds: ['v1'], ...requestContext });
+      await flushBackground();
+
+      taskService.getTask.mockReturnValue({ status: 'processing_runway' });
+      taskService.isTaskFinished.mockReturnValue(false);
+
+      expect(batchService.getBatchStatus(batch.batchId).results[0]).toMatchObject({ taskId: 'task0', reused: true, status: 'processing' });
+      await batchService.cancelBatch(batch.batchId);
+      expect(videoGenerationService.cancelTask).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('recordRetry', () => {
+    test('should report the latest attempt of a retried task', async () => {
+      videoGenerationService.requestVideoGeneration.mockResolvedValueOnce(started('task1'));
+      const batch = await batchService.createBatch({ vehicleIds: ['v1'], ...requestContext });
+      await flushBackground();
+
+      // task1 failed, its retry task2 failed too and task3 succeeded
+      batchService.recordRetry(batch.batchId, 'task1', 'task2');
+      batchService.recordRetry(batch.batchId, 'task2', 'task3');
+      taskService.getTask.mockImplementation(taskId => (taskId === 'task3' ? { status: 'completed' } : null));
+      taskService.getTaskStatus.mockImplementation(taskId => (taskId === 'task3' ? { videoUrl: 'https://is.gd/abc' } : {}));
+
+      const status = batchService.getBatchStatus(batch.batchId);
+
+      expect(status.status).toBe('completed');
+      expect(status.summary).toMatchObject({ completed: 1, failed: 0 });
+      expect(status.results).toEqual([
+        { vehicleId: 'v1', taskId: 'task3', previousTaskIds: ['task1', 'task2'], status: 'completed', videoUrl: 'https://is.gd/abc', error: undefined }
+      ]);
+      const persisted = JSON.parse(fs.readFileSync(path.join(dataDir, 'batches', `${batch.batchId}.json`), 'utf8'));
+      expect(persisted.items[0]).toMatchObject({ taskId: 'task3', previousTaskIds: ['task1', 'task2'] });
+    });
+
+    test('should not write the batch when its status is read', async () => {
+      videoGenerationService.requestVideoGeneration.mockResolvedValueOnce(started('task1'));
+      const batch = await batchService.createBatch({ vehicleIds: ['v1'], ...requestContext });
+      await flushBackground();
+      taskService.getTask.mockReturnValue({ status: 'failed', retriedBy: 'task2' });
+      const writeFileSync = jest.spyOn(fs, 'writeFileSync');
+
+      try {
+        expect(batchService.getBatchStatus(batch.batchId).results[0].taskId).toBe('task1');
+        expect(writeFileSync).not.toHaveBeenCalled();
+      } finally {
+        writeFileSync.mockRestore();
+      }
+    });
+  });
+
+  describe('cleanupOldBatches', () => {
+    test('should remove finished batches older than the retention period', async () => {
+      videoGenerationService.requestVideoGeneration
+        .mockResolvedValueOnce(started('task1'))
+        .mockResolvedValueOnce(started('task2'));
+      const finished = await batchService.createBatch({ vehicleIds: ['v1'], ...requestContext });
+      const running = await batchService.createBatch({ vehicleIds: ['v2'], ...requestContext });
+      await flushBackground();
+
+      // task1 finished and moved to the history, task2 is still rendering
+      taskService.getTask.mockImplementation(taskId => (taskId === 'task2' ? { status: 'processing_runway' } : null));
+      taskService.getTaskHistoryEntry.mockImplementation(taskId => (taskId === 'task1' ? { status: 'completed' } : null));
+      taskService.getTaskStatus.mockReturnValue(null);
+
+      batchService.cleanupOldBatches();
+      expect(batchService.getBatchStatus(finished.batchId)).not.toBeNull();
+
+      jest.useFakeTimers({ now: Date.now() + (config.taskRetention.hours + 1) * 60 * 60 * 1000 });
+      try {
+        batchService.cleanupOldBatches();
+      } finally {
+        jest.useRealTimers();
+      }
+
+      expect(batchService.getBatchStatus(finished.batchId)).toBeNull();
+      expect(fs.existsSync(path.join(dataDir, 'batches', `${finished.batchId}.json`))).toBe(false);
+      expect(batchService.getBatchStatus(running.batchId).status).toBe('processing');
+    });
+  });
+
+  describe('cancelBatch', () => {
+    test('should cancel running tasks and skip vehicles not started yet', async () => {
+      let resolveFirst;
+      videoGenerationService.requestVideoGeneration.mockImplementationOnce(
+        () => new Promise(resolve => { resolveFirst = resolve; })
+      );
+
+      const batch = await batchService.createBatch({ vehicleIds: ['v1', 'v2'], ...requestContext });
+
+      // v1 is still starting, v2 is queued
+      const cancelled = await batchService.cancelBatch(batch.batchId);
+      resolveFirst(started('task1'));
+      await flushBackground();
+
+      expect(cancelled.status).toBe('cancelled');
+      expect(videoGenerationService.requestVideoGeneration).toHaveBeenCalledTimes(1);
+
+      // The task that finished starting after the cancel is cancelled as soon as it exists
+      expect(videoGenerationService.cancelTask).toHaveBeenCalledWith('task1');
+      expect(batchService.getBatchStatus(batch.batchId).results[1].status).toBe('cancelled');
+    });
+
+    test('should return null for an unknown batch', async () => {
+      expect(await batchService.cancelBatch('missing')).toBeNull();
+    });
+  });
+
+  describe('loadPersistedBatches', () => {
+    test('should not persist the auth token and fail vehicles not started before a restart', async () => {
+      videoGenerationService.requestVideoGeneration.mockResolvedValueOnce(started('task1'));
+
+      const { batchId } = await batchService.createBatch({ vehicleIds: ['v1'], ...requestContext });
+      await flushBackground();
+
+      const batchFile = path.join(dataDir, 'batches', `${batchId}.json`);
+      const persisted = JSON.parse(fs.readFileSync(batchFile, 'utf8'));
+      expect(persisted.requestContext).toEqual({ country: 'it', apiBaseUrl: 'http://localhost:3000' });
+
+      // As if the server stopped after starting the first vehicle
+      persisted.items.push({ vehicleId: 'v2', status: 'queued' });
+      fs.writeFileSync(batchFile, JSON.stringify(persisted));
+
+      batchService.loadPersistedBatches();
+      await flushBackground();
+
+      taskService.getTask.mockReturnValue({ status: 'processing_runway' });
+      expect(videoGenerationService.requestVideoGeneration).toHaveBeenCalledTimes(1);
+      expect(batchService.getBatchStatus(batchId).results[1]).toMatchObject({
+        vehicleId: 'v2',
+        status: 'failed',
+        error: 'Batch interrupted by server restart before this vehicle was started'
+      });
+    });
+  });
+});
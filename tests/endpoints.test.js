@@ -10,7 +10,8 @@ jest.mock('../services/vehicle-service', () => ({
   listVehicles: jest.fn(),
   getVehicleDetails: jest.fn(),
   getVehicleImages: jest.fn(),
-  updateVehicleField: jest.fn()
+  updateVehicleField: jest.fn(),
+  uploadGalleryImage: jest.fn()
 }));
 
 jest.mock('../services/task-service', () => ({
@@ -18,7 +19,17 @@ jest.mock('../services/task-service', () => ({
   getTaskStatus: jest.fn(),
   updateTask: jest.fn(),
   startCleanupTimer: jest.fn(),
-  getTask: jest.fn()
+  getTask: jest.fn(),
+  findTask: jest.fn(),
+  findTasks: jest.fn(),
+  getTaskHistory: jest.fn(),
+  getTaskHistoryEntry: jest.fn(),
+  recordRetry: jest.fn(),
+  isTaskFinished: jest.fn(),
+  emitTaskEvent: jest.fn(),
+  getTaskEvents: jest.fn(),
+  subscribeToTask: jest.fn(),
+  TERMINAL_STATUSES: ['completed', 'failed', 'cancelled', 'rejected']
 }));
 
 // Mock axios
@@ -34,6 +45,53 @@ jest.mock('../services/n8n-service', () => ({
 }));
 const n8nService = require('../services/n8n-service');
 
+// Mock batch service
+jest.mock('../services/batch-service', () => ({
+  createBatch: jest.fn(),
+  getBatchStatus: jest.fn(),
+  cancelBatch: jest.fn()
+}));
+const batchService = require('../services/batch-service');
+
+// Mock prompt preset service
+jest.mock('../services/prompt-preset-service', () => ({
+  listPresets: jest.fn(),
+  getPreset: jest.fn(),
+  createPreset: jest.fn(),
+  updatePreset: jest.fn(),
+  deletePreset: jest.fn(),
+  applyPreset: jest.fn(options => options)
+}));
+const promptPresetService = require('../services/prompt-preset-service');
+
+// Mock URL shortener service
+jest.mock('../services/url-shortener-service', () => ({
+  shortenUrl: jest.fn(),
+  validateAlias: jest.fn(() => null),
+  resolveCode: jest.fn()
+}));
+const urlShortenerService = require('../services/url-shortener-service');
+
+// Mock link analytics service
+jest.mock('../services/link-analytics-service', () => ({
+  recordClick: jest.fn(),
+  getLinkStats: jest.fn(),
+  getVehicleStats: jest.fn()
+}));
+const linkAnalyticsService = require('../services/link-analytics-service');
+
+// Mock video library service
+jest.mock('../services/video-library-service', () => ({
+  addGeneratedVideo: jest.fn(),
+  recordActivation: jest.fn(),
+  getVideo: jest.fn(),
+  getLibrary: jest.fn()
+}));
+const videoLibraryService = require('../services/video-library-service');
+
+const config = require('../utils/config');
+const httpClientService = require('../services/http-client-service');
+
 // Set environment to test
 process.env.NODE_ENV = 'test';
 
@@ -180,6 +238,120 @@ describe('API Endpoints', () => {
           value: 'http://example.com/video.mp4'
         })
       );
+      expect(videoLibraryService.recordActivation).toHaveBeenCalledWith('vehicle1', {
+        videoUrl: 'http://example.com/video.mp4',
+        previousUrl: null
+      });
+    });
+
+    test('DELETE /vehicle/:vehicleId/images/gallery/:imageId should delete the image through the vehicle API', async () => {
+      axios.mockResolvedValueOnce({ status: 204, statusText: 'No Content', data: '' });
+      
+      const response = await request(app)
+        .delete('/vehicle/vehicle1/images/gallery/image1?country=de')
+        .set('Authorization', 'Bearer test-token');
+        
+      expect(response.status).toBe(204);
+      expect(axios).toHaveBeenCalledWith(expect.objectContaining({
+        method: 'delete',
+        url: `${config.apiBaseUrl}/de/vehicle/vehicle1/images/gallery/image1`,
+        timeout: config.httpClient.upstreams.carspark.timeout
+      }));
+    });
+
+    test('DELETE /vehicle/:vehicleId/images/gallery/:imageId should answer 504 when the vehicle API times out', async () => {
+      const { retries } = config.httpClient.upstreams.carspark;
+      config.httpClient.upstreams.carspark.retries = 0;
+      axios.mockRejectedValueOnce(Object.assign(new Error('timeout of 10000ms exceeded'), { code: 'ECONNABORTED' }));
+      
+      const response = await request(app)
+        .delete('/vehicle/vehicle1/images/gallery/image1')
+        .set('Authorization', 'Bearer test-token');
+      config.httpClient.upstreams.carspark.retries = retries;
+        
+      expect(response.status).toBe(504);
+      expect(response.body).toEqual({ error: 'timeout of 10000ms exceeded' });
+    });
+  });
+
+  describe('Upstream Health', () => {
+    test('GET /health/upstreams should return the counters and circuit state of each upstream called', async () => {
+      const { retries } = config.httpClient.upstreams.carspark;
+      config.httpClient.upstreams.carspark.retries = 0;
+      // Earlier tests call the vehicle API too, so only the calls made here are compared
+      const before = httpClientService.getStats().carspark || { requests: 0, errors: 0, timeouts: 0 };
+      
+      try {
+        axios
+          .mockResolvedValueOnce({ status: 204, statusText: 'No Content', data: '' })
+          .mockRejectedValueOnce(Object.assign(new Error('timeout of 10000ms exceeded'), { code: 'ECONNABORTED' }));
+        await request(app).delete('/vehicle/vehicle1/images/gallery/image1').set('Authorization', 'Bearer test-token');
+        await request(app).delete('/vehicle/vehicle1/images/gallery/image2').set('Authorization', 'Bearer test-token');
+      } finally {
+        config.httpClient.upstreams.carspark.retries = retries;
+      }
+      
+      const response = await request(app)
+        .get('/health/upstreams')
+        .set('Authorization', 'Bearer test-token');
+        
+      expect(response.status).toBe(200);
+      expect(response.body.carspark).toMatchObject({
+        requests: before.requests + 2,
+        errors: before.errors + 1,
+        timeouts: before.timeouts + 1,
+        inFlight: 0,
+        lastError: { message: 'timeout of 10000ms exceeded' },
+        // The success resets the failures in a row, whatever happened before
+        circuit: { state: 'closed', failures: 1, openedAt: null }
+      });
+    });
+  });
+
+  describe('Video Library', () => {
+    test('GET /vehicle/:vehicleId/videos should list the vehicle\'s videos', async () => {
+      const library = {
+        vehicleId: 'vehicle1',
+        activeVideoId: 'task2',
+        videos: [{ videoId: 'task2', active: true }, { videoId: 'task1', active: false }]
+      };
+      videoLibraryService.getLibrary.mockReturnValueOnce(library);
+      
+      const response = await request(app)
+        .get('/vehicle/vehicle1/videos')
+        .set('Authorization', 'Bearer test-token');
+        
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual(library);
+    });
+    
+    test('POST /vehicle/:vehicleId/videos/:taskId/activate should switch the live video', async () => {
+      videoLibraryService.getVideo.mockReturnValueOnce({ videoId: 'task1', videoUrl: 'http://localhost/v/first' });
+      videoLibraryService.getLibrary.mockReturnValueOnce({ vehicleId: 'vehicle1', activeVideoId: 'task1', videos: [] });
+      vehicleService.updateVehicleField.mockResolvedValueOnce({ success: true, oldValue: 'http://localhost/v/second' });
+      
+      const response = await request(app)
+        .post('/vehicle/vehicle1/videos/task1/activate')
+        .set('Authorization', 'Bearer test-token');
+        
+      expect(response.status).toBe(200);
+      expect(response.body.activeVideoId).toBe('task1');
+      expect(vehicleService.updateVehicleField).toHaveBeenCalledWith(expect.objectContaining({
+        vehicleId: 'vehicle1',
+        value: 'http://localhost/v/first',
+        authToken: 'Bearer test-token'
+      }));
+    });
+    
+    test('POST /vehicle/:vehicleId/videos/:taskId/activate should return 404 for an unknown video', async () => {
+      videoLibraryService.getVideo.mockReturnValueOnce(null);
+      
+      const response = await request(app)
+        .post('/vehicle/vehicle1/videos/task9/activate')
+        .set('Authorization', 'Bearer test-token');
+        
+      expect(response.status).toBe(404);
+      expect(response.body).toMatchObject({ error: 'Video not found in the vehicle\'s library', videoId: 'task9' });
     });
   });
 
@@ -222,6 +394,655 @@ describe('API Endpoints', () => {
     });
   });
 
+  describe('Video Generation', () => {
+    test('POST /vehicle/:vehicleId/generate-video should reject an invalid callbackUrl', async () => {
+      const response = await request(app)
+        .post('/vehicle/vehicle1/generate-video')
+        .set('Authorization', 'Bearer test-token')
+        .send({ callbackUrl: 'not-a-url' });
+        
+      expect(response.status).toBe(400);
+      expect(response.body).toHaveProperty('error');
+      expect(taskService.createVideoTask).not.toHaveBeenCalled();
+    });
+
+    test('POST /vehicle/:vehicleId/generate-video should reject a non-integer priority', async () => {
+      const response = await request(app)
+        .post('/vehicle/vehicle1/generate-video')
+        .set('Authorization', 'Bearer test-token')
+        .send({ priority: 'high' });
+        
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('priority must be an integer');
+      expect(taskService.createVideoTask).not.toHaveBeenCalled();
+    });
+
+    test('POST /vehicle/:vehicleId/generate-video should reject more than two imageIds', async () => {
+      const response = await request(app)
+        .post('/vehicle/vehicle1/generate-video')
+        .set('Authorization', 'Bearer test-token')
+        .send({ imageIds: ['img1', 'img2', 'img3'] });
+        
+      expect(response.status).toBe(400);
+      expect(taskService.createVideoTask).not.toHaveBeenCalled();
+    });
+
+    test('POST /vehicle/:vehicleId/generate-video should reject a storyboard with a single shot', async () => {
+      const response = await request(app)
+        .post('/vehicle/vehicle1/generate-video')
+        .set('Authorization', 'Bearer test-token')
+        .send({ storyboard: [{ imageIds: ['img1', 'img2'] }] });
+        
+      expect(response.status).toBe(400);
+      expect(response.body.error).toMatch('storyboard must be an array');
+      expect(taskService.createVideoTask).not.toHaveBeenCalled();
+    });
+
+    test('POST /vehicle/:vehicleId/generate-video should reject a duration the model does not support', async () => {
+      const response = await request(app)
+        .post('/vehicle/vehicle1/generate-video')
+        .set('Authorization', 'Bearer test-token')
+        .send({ duration: 7 });
+        
+      expect(response.status).toBe(400);
+      expect(response.body).toEqual({
+        error: 'duration must be one of: 5, 10 for model gen3a_turbo',
+        model: 'gen3a_turbo',
+        allowedDurations: [5, 10]
+      });
+      expect(vehicleService.getVehicleDetails).not.toHaveBeenCalled();
+    });
+
+    test('POST /vehicle/:vehicleId/generate-video should reject a last keyframe for a first-frame-only model', async () => {
+      const response = await request(app)
+        .post('/vehicle/vehicle1/generate-video')
+        .set('Authorization', 'Bearer test-token')
+        .send({ model: 'gen4_turbo', imageIds: ['img1', 'img2'] });
+        
+      expect(response.status).toBe(400);
+      expect(response.body.allowedKeyframePositions).toEqual(['first']);
+      expect(taskService.createVideoTask).not.toHaveBeenCalled();
+    });
+
+    test('POST /vehicle/:vehicleId/generate-video should return the existing task for a repeated Idempotency-Key', async () => {
+      process.env.RUNWAY_API_KEY = 'test-key';
+      const existing = { vehicleId: 'vehicle1', status: 'processing_runway', idempotencyKey: 'click-123' };
+      taskService.findTask.mockImplementation(predicate => (predicate(existing, 'task1') ? { taskId: 'task1', task: existing } : null));
+      taskService.getTask.mockReset();
+      taskService.getTask.mockReturnValue(existing);
+      
+      try {
+        const response = await request(app)
+          .post('/vehicle/vehicle1/generate-video')
+          .set('Authorization', 'Bearer test-token')
+          .set('Idempotency-Key', 'click-123')
+          .send({});
+          
+        expect(response.status).toBe(200);
+        expect(response.body).toMatchObject({ taskId: 'task1', status: 'processing_runway', reused: true });
+        expect(vehicleService.getVehicleDetails).not.toHaveBeenCalled();
+        expect(taskService.createVideoTask).not.toHaveBeenCalled();
+      } finally {
+        delete process.env.RUNWAY_API_KEY;
+        taskService.findTask.mockReset();
+      }
+    });
+
+    test('POST /vehicle/:vehicleId/generate-video should return 402 once the dealer budget is exhausted', async () => {
+      process.env.RUNWAY_API_KEY = 'test-key';
+      config.budgets.dealerBudgets = { 'dealer-42': 60 };
+      taskService.getTaskHistory.mockReturnValueOnce([
+        { taskId: 'task1', dealerId: 'dealer-42', status: 'completed', provider: 'runway', estimatedCredits: 50 }
+      ]);
+      taskService.findTasks.mockReturnValueOnce([]);
+      
+      try {
+        const response = await request(app)
+          .post('/vehicle/vehicle1/generate-video')
+          .set('Authorization', 'Bearer test-token')
+          .send({ dealerId: 'dealer-42' });
+          
+        expect(response.status).toBe(402);
+        expect(response.body).toMatchObject({
+          error: 'Monthly credit budget exhausted for dealer dealer-42',
+          budget: 60,
+          spent: 50,
+          estimatedCredits: 25
+        });
+        expect(vehicleService.getVehicleDetails).not.toHaveBeenCalled();
+      } finally {
+        delete process.env.RUNWAY_API_KEY;
+        config.budgets.dealerBudgets = {};
+      }
+    });
+  });
+
+  describe('Usage', () => {
+    test('GET /usage should sum the credits of the month by country, dealer and model', async () => {
+      taskService.getTaskHistory.mockReturnValueOnce([
+        { taskId: 'task1', country: 'it', dealerId: 'dealer-42', model: 'gen3a_turbo', status: 'completed', provider: 'runway', estimatedCredits: 25, actualCredits: 30 },
+        { taskId: 'task2', country: 'it', model: 'gen3a_turbo', status: 'failed', provider: 'runway', estimatedCredits: 25 }
+      ]);
+      taskService.findTasks.mockReturnValueOnce([]);
+      
+      const response = await request(app)
+        .get('/usage?month=2026-03')
+        .set('Authorization', 'Bearer test-token');
+        
+      expect(response.status).toBe(200);
+      expect(response.body).toMatchObject({
+        month: '2026-03',
+        tasks: 1,
+        credits: 30,
+        byCountry: { it: { tasks: 1, credits: 30 } },
+        byDealer: { 'dealer-42': { tasks: 1, credits: 30 } }
+      });
+      expect(taskService.getTaskHistory).toHaveBeenCalledWith({ month: '2026-03', limit: Infinity });
+    });
+    
+    test('GET /usage should reject a malformed month', async () => {
+      const response = await request(app)
+        .get('/usage?month=March')
+        .set('Authorization', 'Bearer test-token');
+        
+      expect(response.status).toBe(400);
+      expect(response.body).toEqual({ error: 'month must be in YYYY-MM format' });
+    });
+  });
+
+  describe('Short Links', () => {
+    test('GET /v/:code should redirect to the stored URL', async () => {
+      urlShortenerService.resolveCode.mockReturnValueOnce({ code: 'spring-promo', url: 'http://localhost/videos/task1.mp4' });
+      
+      const response = await request(app)
+        .get('/v/spring-promo')
+        .set('User-Agent', 'test-agent');
+      
+      expect(response.status).toBe(302);
+      expect(response.headers.location).toBe('http://localhost/videos/task1.mp4');
+      expect(urlShortenerService.resolveCode).toHaveBeenCalledWith('spring-promo');
+      expect(linkAnalyticsService.recordClick).toHaveBeenCalledWith('spring-promo', expect.objectContaining({
+        'user-agent': 'test-agent'
+      }));
+    });
+
+    test('GET /v/:code should still redirect when the click cannot be recorded', async () => {
+      urlShortenerService.resolveCode.mockReturnValueOnce({ code: 'spring-promo', url: 'http://localhost/videos/task1.mp4' });
+      linkAnalyticsService.recordClick.mockImplementationOnce(() => {
+        throw new Error('Disk full');
+      });
+      
+      const response = await request(app).get('/v/spring-promo');
+      
+      expect(response.status).toBe(302);
+    });
+
+    test('GET /v/:code should return 404 for an unknown code', async () => {
+      urlShortenerService.resolveCode.mockReturnValueOnce(null);
+      
+      const response = await request(app).get('/v/missing');
+      
+      expect(response.status).toBe(404);
+      expect(response.body).toEqual({ error: 'Short link not found' });
+    });
+
+    test('GET /v/:code/stats should return the clicks by day', async () => {
+      const stats = { code: 'spring-promo', totalClicks: 2, days: [{ date: '2026-03-01', clicks: 2 }] };
+      linkAnalyticsService.getLinkStats.mockReturnValueOnce(stats);
+      
+      const response = await request(app)
+        .get('/v/spring-promo/stats')
+        .set('Authorization', 'Bearer test-token');
+      
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual(stats);
+    });
+
+    test('GET /v/:code/stats should require auth and a known code', async () => {
+      expect((await request(app).get('/v/spring-promo/stats')).status).toBe(401);
+      
+      linkAnalyticsService.getLinkStats.mockReturnValueOnce(null);
+      const response = await request(app)
+        .get('/v/missing/stats')
+        .set('Authorization', 'Bearer test-token');
+      
+      expect(response.status).toBe(404);
+    });
+
+    test('GET /vehicle/:vehicleId/video-stats should return the clicks of all video links', async () => {
+      linkAnalyticsService.getVehicleStats.mockReturnValueOnce({ vehicleId: 'vehicle1', totalClicks: 0, links: [], days: [] });
+      
+      const response = await request(app)
+        .get('/vehicle/vehicle1/video-stats')
+        .set('Authorization', 'Bearer test-token');
+      
+      expect(response.status).toBe(200);
+      expect(response.body.vehicleId).toBe('vehicle1');
+      expect(linkAnalyticsService.getVehicleStats).toHaveBeenCalledWith('vehicle1');
+    });
+
+    test('POST /vehicle/:vehicleId/generate-video should reject an alias that is taken', async () => {
+      urlShortenerService.validateAlias.mockReturnValueOnce('Alias already in use: spring-promo');
+      
+      const response = await request(app)
+        .post('/vehicle/vehicle1/generate-video')
+        .set('Authorization', 'Bearer test-token')
+        .send({ shortLinkAlias: 'spring-promo' });
+        
+      expect(response.status).toBe(409);
+      expect(response.body).toEqual({ error: 'Alias already in use: spring-promo' });
+      expect(taskService.createVideoTask).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Video Models', () => {
+    test('GET /video-models should list the model capabilities', async () => {
+      const response = await request(app).get('/video-models');
+      
+      expect(response.status).toBe(200);
+      expect(response.body.models).toContainEqual(expect.objectContaining({
+        id: 'gen4_turbo',
+        durations: [5, 10],
+        keyframePositions: ['first'],
+        default: false
+      }));
+    });
+  });
+
+  describe('Prompt Templates', () => {
+    test('GET /prompt-templates should list the built-in templates', async () => {
+      const response = await request(app).get('/prompt-templates');
+      
+      expect(response.status).toBe(200);
+      expect(response.body.templates.map(template => template.id)).toContain('default');
+    });
+
+    test('GET /vehicle/:vehicleId/prompt-preview should render a template for the vehicle', async () => {
+      vehicleService.getVehicleDetails.mockResolvedValueOnce({
+        id: 'vehicle1',
+        brand: 'Toyota',
+        model: 'Corolla',
+        year: 2022,
+        fuelType: 'hybrid'
+      });
+      
+      const response = await request(app)
+        .get('/vehicle/vehicle1/prompt-preview?templateId=lifestyle')
+        .set('Authorization', 'Bearer test-token');
+        
+      expect(response.status).toBe(200);
+      expect(response.body).toMatchObject({ vehicleId: 'vehicle1', templateId: 'lifestyle', country: 'it', language: 'it' });
+      expect(response.body.prompt).toContain('Toyota Corolla del 2022');
+      expect(response.body.prompt).toContain('motore hybrid');
+      expect(taskService.createVideoTask).not.toHaveBeenCalled();
+    });
+
+    test('GET /vehicle/:vehicleId/prompt-preview should return 404 for an unknown template', async () => {
+      const response = await request(app)
+        .get('/vehicle/vehicle1/prompt-preview?templateId=missing')
+        .set('Authorization', 'Bearer test-token');
+        
+      expect(response.status).toBe(404);
+      expect(vehicleService.getVehicleDetails).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Prompt Presets', () => {
+    test('POST /prompt-presets should create a preset', async () => {
+      const preset = { presetId: 'p1', name: 'Summer', template: 'A {{brand}} at the beach', version: 1 };
+      promptPresetService.createPreset.mockReturnValueOnce(preset);
+      
+      const response = await request(app)
+        .post('/prompt-presets')
+        .set('Authorization', 'Bearer test-token')
+        .send({ name: 'Summer', template: 'A {{brand}} at the beach' });
+        
+      expect(response.status).toBe(201);
+      expect(response.body).toEqual(preset);
+    });
+
+    test('POST /prompt-presets should return 400 for an invalid preset', async () => {
+      const error = new Error('template is required');
+      error.status = 400;
+      promptPresetService.createPreset.mockImplementationOnce(() => { throw error; });
+      
+      const response = await request(app)
+        .post('/prompt-presets')
+        .set('Authorization', 'Bearer test-token')
+        .send({ name: 'Summer' });
+        
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('template is required');
+    });
+
+    test('GET /prompt-presets/:presetId should return 404 for an unknown preset', async () => {
+      promptPresetService.getPreset.mockReturnValueOnce(null);
+      
+      const response = await request(app)
+        .get('/prompt-presets/missing')
+        .set('Authorization', 'Bearer test-token');
+        
+      expect(response.status).toBe(404);
+    });
+
+    test('POST /vehicle/:vehicleId/generate-video should return 400 for an unknown presetId', async () => {
+      promptPresetService.getPreset.mockReturnValueOnce(null);
+      
+      const response = await request(app)
+        .post('/vehicle/vehicle1/generate-video')
+        .set('Authorization', 'Bearer test-token')
+        .send({ presetId: 'missing' });
+        
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('Unknown prompt preset: missing');
+      expect(taskService.createVideoTask).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Video Task Events', () => {
+    beforeEach(() => {
+      // Drop return values queued but never consumed by earlier tests
+      taskService.getTask.mockReset();
+    });
+    
+    test('GET /vehicle/video/:taskId/events should replay events and close on a terminal event', async () => {
+      taskService.getTask.mockReturnValueOnce({ vehicleId: 'vehicle1', status: 'completed' });
+      taskService.getTaskEvents.mockReturnValueOnce([
+        { id: 1, type: 'created', taskId: 'task123', data: {} },
+        { id: 2, type: 'submitted', taskId: 'task123', data: { runwayTaskId: 'runway123' } },
+        { id: 3, type: 'completed', taskId: 'task123', data: { status: 'completed' } }
+      ]);
+      
+      const response = await request(app).get('/vehicle/video/task123/events');
+      
+      expect(response.status).toBe(200);
+      expect(response.headers['content-type']).toContain('text/event-stream');
+      expect(response.text).toContain('event: created');
+      expect(response.text).toContain('event: submitted');
+      expect(response.text).toContain('event: completed');
+      expect(taskService.subscribeToTask).not.toHaveBeenCalled();
+    });
+    
+    test('GET /vehicle/video/:taskId/events should stream live events until the task finishes', async () => {
+      taskService.getTask.mockReturnValueOnce({ vehicleId: 'vehicle1', status: 'processing_runway' });
+      taskService.getTaskEvents.mockReturnValueOnce([{ id: 1, type: 'created', taskId: 'task123', data: {} }]);
+      taskService.isTaskFinished.mockReturnValueOnce(false);
+      taskService.subscribeToTask.mockImplementationOnce((taskId, listener) => {
+        setTimeout(() => {
+          listener({ id: 2, type: 'runway_status', taskId, data: { runwayStatus: 'RUNNING', progress: 0.5 } });
+          listener({ id: 3, type: 'failed', taskId, data: { error: 'Task failed' } });
+        }, 10);
+        return jest.fn();
+      });
+      
+      const response = await request(app).get('/vehicle/video/task123/events');
+      
+      expect(response.status).toBe(200);
+      expect(response.text).toContain('event: runway_status');
+      expect(response.text).toContain('"progress":0.5');
+      expect(response.text).toContain('event: failed');
+    });
+    
+    test('GET /vehicle/video/:taskId/events should return 404 for non-existent task', async () => {
+      taskService.getTask.mockReturnValueOnce(null);
+      
+      const response = await request(app).get('/vehicle/video/nonexistent/events');
+      
+      expect(response.status).toBe(404);
+    });
+  });
+
+  describe('Batch Endpoints', () => {
+    test('POST /vehicles/generate-videos should create a batch', async () => {
+      process.env.RUNWAY_API_KEY = 'test-key';
+      batchService.createBatch.mockResolvedValueOnce({ batchId: 'b123', status: 'processing', total: 2 });
+      
+      try {
+        const response = await request(app)
+          .post('/vehicles/generate-videos')
+          .set('Authorization', 'Bearer test-token')
+          .send({ vehicleIds: ['vehicle1', 'vehicle2'], duration: 5 });
+          
+        expect(response.status).toBe(200);
+        expect(response.body).toHaveProperty('batchId', 'b123');
+        expect(batchService.createBatch).toHaveBeenCalledWith(expect.objectContaining({
+          vehicleIds: ['vehicle1', 'vehicle2'],
+          options: expect.objectContaining({ duration: 5 }),
+          authToken: 'Bearer test-token',
+          country: 'it'
+        }));
+      } finally {
+        delete process.env.RUNWAY_API_KEY;
+      }
+    });
+    
+    test('POST /vehicles/generate-videos should return 400 without vehicleIds or query', async () => {
+      const response = await request(app)
+        .post('/vehicles/generate-videos')
+        .set('Authorization', 'Bearer test-token')
+        .send({});
+        
+      expect(response.status).toBe(400);
+      expect(batchService.createBatch).not.toHaveBeenCalled();
+    });
+    
+    test('POST /vehicles/generate-videos should return 400 for an unknown model', async () => {
+      const response = await request(app)
+        .post('/vehicles/generate-videos')
+        .set('Authorization', 'Bearer test-token')
+        .send({ vehicleIds: ['vehicle1'], model: 'gen9' });
+        
+      expect(response.status).toBe(400);
+      expect(response.body).toMatchObject({ error: 'Unknown model: gen9', allowedModels: ['gen3a_turbo', 'gen4_turbo'] });
+      expect(batchService.createBatch).not.toHaveBeenCalled();
+    });
+    
+    test('GET /batches/:batchId should return batch progress', async () => {
+      batchService.getBatchStatus.mockReturnValueOnce({
+        batchId: 'b123',
+        status: 'processing',
+        summary: { queued: 0, processing: 1, completed: 1, failed: 0, cancelled: 0 }
+      });
+      
+      const response = await request(app)
+        .get('/batches/b123')
+        .set('Authorization', 'Bearer test-token');
+        
+      expect(response.status).toBe(200);
+      expect(response.body.summary).toHaveProperty('completed', 1);
+    });
+    
+    test('DELETE /batches/:batchId should return 404 for non-existent batch', async () => {
+      batchService.cancelBatch.mockResolvedValueOnce(null);
+      
+      const response = await request(app)
+        .delete('/batches/missing')
+        .set('Authorization', 'Bearer test-token');
+        
+      expect(response.status).toBe(404);
+    });
+  });
+
+  describe('Video Task Cancellation', () => {
+    beforeEach(() => {
+      // Drop return values queued but never consumed by earlier tests
+      taskService.getTask.mockReset();
+    });
+    
+    test('DELETE /vehicle/video/:taskId should cancel a running task', async () => {
+      taskService.getTask.mockReturnValue({ vehicleId: 'vehicle1', status: 'processing' });
+      taskService.isTaskFinished.mockReturnValueOnce(false);
+      taskService.getTaskStatus.mockReturnValueOnce({ taskId: 'task123', status: 'cancelled' });
+      
+      const response = await request(app)
+        .delete('/vehicle/video/task123')
+        .set('Authorization', 'Bearer test-token');
+        
+      expect(response.status).toBe(200);
+      expect(response.body).toHaveProperty('status', 'cancelled');
+      expect(taskService.updateTask).toHaveBeenCalledWith('task123', expect.objectContaining({
+        status: 'cancelled'
+      }));
+    });
+    
+    test('DELETE /vehicle/video/:taskId should return 409 for a finished task', async () => {
+      taskService.getTask.mockReturnValueOnce({ vehicleId: 'vehicle1', status: 'completed' });
+      taskService.isTaskFinished.mockReturnValueOnce(true);
+      
+      const response = await request(app)
+        .delete('/vehicle/video/task123')
+        .set('Authorization', 'Bearer test-token');
+        
+      expect(response.status).toBe(409);
+      expect(taskService.updateTask).not.toHaveBeenCalled();
+    });
+    
+    test('DELETE /vehicle/video/:taskId should return 404 for non-existent task', async () => {
+      taskService.getTask.mockReturnValueOnce(null);
+      
+      const response = await request(app)
+        .delete('/vehicle/video/nonexistent')
+        .set('Authorization', 'Bearer test-token');
+        
+      expect(response.status).toBe(404);
+    });
+  });
+
+  describe('Video Task Retry', () => {
+    beforeEach(() => {
+      // Drop return values queued but never consumed by earlier tests
+      taskService.getTask.mockReset();
+    });
+    
+    test('POST /vehicle/video/:taskId/retry should start a new linked task', async () => {
+      taskService.getTask.mockReturnValueOnce({
+        vehicleId: 'vehicle1',
+        status: 'failed',
+        videoOptions: { duration: 5, style: 'cinematic' }
+      });
+      vehicleService.getVehicleDetails.mockResolvedValueOnce({ id: 'vehicle1', brand: 'Toyota', model: 'Corolla' });
+      vehicleService.getVehicleImages.mockResolvedValueOnce([{ id: 'img1', url: 'http://example.com/img1.jpg' }]);
+      taskService.createVideoTask.mockReturnValueOnce('task456');
+      taskService.getTaskStatus.mockReturnValueOnce({ taskId: 'task456', vehicleId: 'vehicle1', attempt: 2 });
+      
+      const response = await request(app)
+        .post('/vehicle/video/task123/retry')
+        .set('Authorization', 'Bearer test-token');
+        
+      expect(response.status).toBe(200);
+      expect(response.body).toMatchObject({ taskId: 'task456', retryOf: 'task123', attempt: 2 });
+      expect(taskService.updateTask).toHaveBeenCalledWith('task456', { estimatedCredits: 25, retryOf: 'task123', attempt: 2 });
+    });
+
+    test('POST /vehicle/video/:taskId/retry should build video URLs from PUBLIC_BASE_URL, not the Host header', async () => {
+      config.publicBaseUrl = 'https://videos.example.com/';
+      taskService.getTask.mockReturnValueOnce({ vehicleId: 'vehicle1', status: 'failed', videoOptions: { duration: 5 } });
+      vehicleService.getVehicleDetails.mockResolvedValueOnce({ id: 'vehicle1', brand: 'Toyota', model: 'Corolla' });
+      vehicleService.getVehicleImages.mockResolvedValueOnce([{ id: 'img1', url: 'http://example.com/img1.jpg' }]);
+      taskService.createVideoTask.mockReturnValueOnce('task456');
+      taskService.getTaskStatus.mockReturnValueOnce({ taskId: 'task456', vehicleId: 'vehicle1', attempt: 2 });
+
+      try {
+        const response = await request(app)
+          .post('/vehicle/video/task123/retry')
+          .set('Authorization', 'Bearer test-token')
+          .set('Host', 'attacker.example.com');
+
+        expect(response.status).toBe(200);
+        expect(taskService.createVideoTask.mock.calls[0][3]).toMatchObject({ apiBaseUrl: 'https://videos.example.com' });
+      } finally {
+        delete config.publicBaseUrl;
+      }
+    });
+
+    test('POST /vehicle/video/:taskId/retry should fail in production without PUBLIC_BASE_URL', async () => {
+      process.env.NODE_ENV = 'production';
+
+      try {
+        const response = await request(app)
+          .post('/vehicle/video/task123/retry')
+          .set('Authorization', 'Bearer test-token');
+
+        expect(response.status).toBe(500);
+        expect(response.body.error).toBe('PUBLIC_BASE_URL is not configured');
+        expect(taskService.createVideoTask).not.toHaveBeenCalled();
+      } finally {
+        process.env.NODE_ENV = 'test';
+      }
+    });
+
+    test('POST /vehicle/video/:taskId/retry should return 404 for non-existent task', async () => {
+      taskService.getTask.mockReturnValueOnce(null);
+      taskService.getTaskHistoryEntry.mockReturnValueOnce(null);
+      
+      const response = await request(app)
+        .post('/vehicle/video/nonexistent/retry')
+        .set('Authorization', 'Bearer test-token');
+        
+      expect(response.status).toBe(404);
+      expect(response.body).toHaveProperty('error');
+    });
+  });
+
+  describe('Video Review', () => {
+    beforeEach(() => {
+      taskService.getTask.mockReset();
+    });
+    
+    test('POST /vehicle/video/:taskId/reject should record the reason', async () => {
+      taskService.getTask.mockReturnValue({ vehicleId: 'vehicle1', status: 'awaiting_review' });
+      taskService.getTaskStatus.mockReturnValueOnce({ taskId: 'task123', status: 'rejected' });
+      
+      const response = await request(app)
+        .post('/vehicle/video/task123/reject')
+        .set('Authorization', 'Bearer test-token')
+        .send({ reason: ' Wrong colour ', reviewer: 'anna' });
+        
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual({ taskId: 'task123', status: 'rejected' });
+      expect(taskService.updateTask).toHaveBeenCalledWith('task123', expect.objectContaining({
+        status: 'rejected',
+        review: expect.objectContaining({ reason: 'Wrong colour', reviewer: 'anna' })
+      }));
+    });
+    
+    test('POST /vehicle/video/:taskId/reject should require a reason', async () => {
+      const response = await request(app)
+        .post('/vehicle/video/task123/reject')
+        .set('Authorization', 'Bearer test-token')
+        .send({});
+        
+      expect(response.status).toBe(400);
+      expect(response.body).toEqual({ error: 'reason is required' });
+    });
+    
+    test('POST /vehicle/video/:taskId/approve should return 409 for a task not awaiting review', async () => {
+      taskService.getTask.mockReturnValue({ vehicleId: 'vehicle1', status: 'completed' });
+      
+      const response = await request(app)
+        .post('/vehicle/video/task123/approve')
+        .set('Authorization', 'Bearer test-token');
+        
+      expect(response.status).toBe(409);
+      expect(response.body.error).toMatch('awaiting review');
+      expect(vehicleService.updateVehicleField).not.toHaveBeenCalled();
+    });
+    
+    test('GET /video-reviews should list the tasks awaiting review', async () => {
+      taskService.findTasks.mockReturnValueOnce([
+        { taskId: 'task123', task: { status: 'awaiting_review', reviewRequestedAt: '2026-03-01T10:00:00.000Z' } }
+      ]);
+      taskService.getTaskStatus.mockReturnValueOnce({ taskId: 'task123', status: 'awaiting_review' });
+      
+      const response = await request(app)
+        .get('/video-reviews')
+        .set('Authorization', 'Bearer test-token');
+        
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual({ count: 1, tasks: [{ taskId: 'task123', status: 'awaiting_review' }] });
+    });
+  });
+
   describe('N8N Proxy Endpoint', () => {
     test('POST /n8n-proxy should forward request to n8n with JSON object response', async () => {
       // Mock n8n service response as an object
@@ -0,0 +1,147 @@
+/**
+ * HTTP Client Service Tests
+ */
+
+const http = require('http');
+const https = require('https');
+
+jest.mock('axios');
+
+const axios = require('axios');
+const config = require('../utils/config');
+const httpClientService = require('../services/http-client-service');
+
+/**
+ * Creates an error shaped like the ones axios rejects with
+ * @param {string} message - Error message
+ * @param {object} [fields] - code and/or response
+ * @returns {Error} Error
+ */
+function axiosError(message, fields) {
+  return Object.assign(new Error(message), fields);
+}
+
+describe('HTTP Client Service', () => {
+  beforeAll(() => {
+    config.httpClient.upstreams.flaky = { timeout: 2000, retries: 2 };
+    config.httpClient.upstreams.fragile = {
+      timeout: 1000,
+      retries: 0,
+      circuitBreaker: { failureThreshold: 2, resetTimeout: 30000 }
+    };
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    // No waiting between retries
+    jest.spyOn(Math, 'random').mockReturnValue(0);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  afterAll(() => {
+    delete config.httpClient.upstreams.flaky;
+    delete config.httpClient.upstreams.fragile;
+  });
+
+  test('should send requests with the upstream timeout and its kept-alive connection pool', async () => {
+    axios.mockResolvedValue({ status: 200, data: { ok: true } });
+
+    const response = await httpClientService.request('carspark', { method: 'get', url: 'https://api.example.com/it/vehicle/1' });
+    await httpClientService.request('carspark', { method: 'get', url: 'https://api.example.com/it/vehicle/2', timeout: 500 });
+
+    expect(response.data).toEqual({ ok: true });
+    const [first, second] = axios.mock.calls.map(([requestConfig]) => requestConfig);
+    expect(first).toMatchObject({ method: 'get', url: 'https://api.example.com/it/vehicle/1', timeout: config.httpClient.upstreams.carspark.timeout });
+    expect(first.httpAgent).toBeInstanceOf(http.Agent);
+    expect(first.httpsAgent).toBeInstanceOf(https.Agent);
+    expect(first.httpsAgent.keepAlive).toBe(true);
+    expect(second.timeout).toBe(500);
+    expect(second.httpsAgent).toBe(first.httpsAgent);
+    expect(httpClientService.getStats().carspark).toMatchObject({ requests: 2, errors: 0, inFlight: 0, circuit: { state: 'closed' } });
+  });
+
+  test('should retry idempotent requests after network errors and retryable statuses only', async () => {
+    axios
+      .mockRejectedValueOnce(axiosError('socket hang up', { code: 'ECONNRESET' }))
+      .mockRejectedValueOnce(axiosError('Request failed with status code 503', { response: { status: 503 } }))
+      .mockResolvedValueOnce({ status: 200, data: 'ok' });
+
+    await expect(httpClientService.request('flaky', { method: 'get', url: 'http://flaky/a' })).resolves.toMatchObject({ data: 'ok' });
+    expect(axios).toHaveBeenCalledTimes(3);
+
+    axios.mockClear();
+    axios.mockRejectedValue(axiosError('Request failed with status code 404', { response: { status: 404 } }));
+    await expect(httpClientService.request('flaky', { method: 'get', url: 'http://flaky/b' })).rejects.toThrow('status code 404');
+    expect(axios).toHaveBeenCalledTimes(1);
+
+    axios.mockClear();
+    axios.mockRejectedValue(axiosError('socket hang up', { code: 'ECONNRESET' }));
+    await expect(httpClientService.request('flaky', { method: 'post', url: 'http://flaky/c' })).rejects.toMatchObject({ status: 502 });
+    expect(axios).toHaveBeenCalledTimes(1);
+
+    expect(httpClientService.getStats().flaky).toMatchObject({ requests: 5, errors: 4, retries: 2, lastError: { message: 'socket hang up' } });
+  });
+
+  test('should fail a request that timed out on every attempt with a 504', async () => {
+    axios.mockRejectedValue(axiosError('timeout of 2000ms exceeded', { code: 'ECONNABORTED' }));
+
+    await expect(httpClientService.request('flaky', { url: 'http://flaky/slow' })).rejects.toMatchObject({
+      status: 504,
+      message: 'timeout of 2000ms exceeded'
+    });
+    expect(axios).toHaveBeenCalledTimes(3);
+    expect(httpClientService.getStats().flaky.timeouts).toBe(3);
+  });
+
+  test('should open the circuit after failures in a row and let one trial through after the reset timeout', async () => {
+    const now = jest.spyOn(Date, 'now').mockReturnValue(1000000);
+    const send = () => httpClientService.request('fragile', { method: 'get', url: 'http://fragile/' });
+    axios.mockRejectedValue(axiosError('timeout of 1000ms exceeded', { code: 'ECONNABORTED' }));
+
+    await expect(send()).rejects.toMatchObject({ status: 504 });
+    await expect(send()).rejects.toMatchObject({ status: 504 });
+    await expect(send()).rejects.toMatchObject({
+      status: 503,
+      message: 'Upstream fragile is unavailable, try again later',
+      details: { upstream: 'fragile', retryAfter: 30 }
+    });
+    expect(axios).toHaveBeenCalledTimes(2);
+    expect(httpClientService.getStats().fragile).toMatchObject({
+      rejected: 1,
+      circuit: { state: 'open', failures: 2, openedAt: new Date(1000000).toISOString() }
+    });
+
+    // The trial fails and opens the circuit again
+    now.mockReturnValue(1030000);
+    await expect(send()).rejects.toMatchObject({ status: 504 });
+    await expect(send()).rejects.toMatchObject({ status: 503 });
+    expect(axios).toHaveBeenCalledTimes(3);
+
+    // The next trial succeeds and closes it
+    now.mockReturnValue(1060000);
+    axios.mockResolvedValue({ status: 200, data: 'back' });
+    await expect(send()).resolves.toMatchObject({ data: 'back' });
+    await expect(send()).resolves.toMatchObject({ data: 'back' });
+    expect(httpClientService.getStats().fragile.circuit).toEqual({ state: 'closed', failures: 0, openedAt: null });
+  });
+
+  test('should not count client errors against the circuit', async () => {
+    axios.mockRejectedValue(axiosError('Request failed with status code 401', { response: { status: 401 } }));
+
+    for (let i = 0; i < 3; i++) {
+      await expect(httpClientService.request('fragile', { url: 'http://fragile/' })).rejects.toThrow('status code 401');
+    }
+    expect(httpClientService.getStats().fragile.circuit.state).toBe('closed');
+  });
+
+  test('should reject unknown upstreams', async () => {
+    await expect(httpClientService.request('nowhere', { url: 'http://nowhere/' })).rejects.toMatchObject({
+      status: 500,
+      message: 'Unknown upstream: nowhere'
+    });
+    expect(axios).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,79 @@
+/**
+ * Image Selection Service Tests
+ */
+
+const imageSelectionService = require('../services/image-selection-service');
+
+const rules = {
+  defaultStrategy: 'gallery',
+  defaultRatio: '1280:768',
+  minWidth: 1024,
+  minHeight: 576,
+  aspectRatioTolerance: 0.15
+};
+
+const gallery = [
+  { id: 'thumb', url: 'http://example.com/thumb.jpg', width: 320, height: 192, position: 0 },
+  { id: 'portrait', url: 'http://example.com/portrait.jpg', width: 1152, height: 1920, position: 1 },
+  { id: 'rear', url: 'http://example.com/rear.jpg', width: 1920, height: 1080, position: 3 },
+  { id: 'front', url: 'http://example.com/front.jpg', width: 1920, height: 1152, position: 2 },
+  { id: 'interior', url: 'http://example.com/interior.jpg' }
+];
+
+const ids = ({ keyframes }) => keyframes.map(image => image.id);
+
+describe('Image Selection Service', () => {
+  describe('selectKeyframes', () => {
+    test('should use the first two gallery images by default', () => {
+      const selection = imageSelectionService.selectKeyframes(gallery, {}, rules);
+
+      expect(ids(selection)).toEqual(['thumb', 'portrait']);
+      expect(selection.strategy).toBe('gallery');
+    });
+
+    test('should use explicit imageIds in the requested order', () => {
+      const selection = imageSelectionService.selectKeyframes(gallery, { imageIds: ['rear', 'front'] }, rules);
+
+      expect(ids(selection)).toEqual(['rear', 'front']);
+      expect(selection.strategy).toBe('explicit');
+    });
+
+    test('should fill in a missing first keyframe with the strategy', () => {
+      const selection = imageSelectionService.selectKeyframes(gallery, {
+        lastImageId: 'front',
+        imageStrategy: 'auto'
+      }, rules);
+
+      expect(ids(selection)).toEqual(['rear', 'front']);
+    });
+
+    test('should reject image IDs that are not in the gallery', () => {
+      expect(() => imageSelectionService.selectKeyframes(gallery, { imageIds: ['front', 'missing'] }, rules))
+        .toThrow(expect.objectContaining({ status: 400, details: { missingImageIds: ['missing'] } }));
+    });
+
+    test('should order by position and skip small or wrongly shaped images with the auto strategy', () => {
+      const selection = imageSelectionService.selectKeyframes(gallery, { imageStrategy: 'auto' }, rules);
+
+      expect(ids(selection)).toEqual(['front', 'rear']);
+      expect(selection.strategy).toBe('auto');
+    });
+
+    test('should match the aspect ratio of the requested video', () => {
+      const selection = imageSelectionService.selectKeyframes(gallery, {
+        imageStrategy: 'auto',
+        ratio: '768:1280'
+      }, rules);
+
+      expect(ids(selection)).toEqual(['portrait', 'interior']);
+    });
+
+    test('should fall back to gallery order when no image passes the auto rules', () => {
+      const small = gallery.slice(0, 1);
+
+      const selection = imageSelectionService.selectKeyframes(small, { imageStrategy: 'auto' }, rules);
+
+      expect(ids(selection)).toEqual(['thumb']);
+    });
+  });
+});
@@ -0,0 +1,100 @@
+/**
+ * Link Analytics Service Tests
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Point the link and click stores at a temporary directory before loading the services
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'link-analytics-service-test-'));
+process.env.DATA_DIR = dataDir;
+
+const urlShortenerService = require('../services/url-shortener-service');
+const linkAnalyticsService = require('../services/link-analytics-service');
+
+const iphone = 'Mozilla/5.0 (iPhone; CPU iPhone OS 17_0 like Mac OS X) AppleWebKit/605.1.15 Mobile/15E148';
+const windows = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 Chrome/120.0 Safari/537.36';
+
+describe('Link Analytics Service', () => {
+  afterAll(() => {
+    fs.rmSync(dataDir, { recursive: true, force: true });
+    delete process.env.DATA_DIR;
+  });
+
+  describe('click details', () => {
+    test('should classify user agents', () => {
+      expect(linkAnalyticsService.classifyUserAgent(iphone)).toBe('mobile');
+      expect(linkAnalyticsService.classifyUserAgent(windows)).toBe('desktop');
+      expect(linkAnalyticsService.classifyUserAgent('Mozilla/5.0 (iPad; CPU OS 17_0 like Mac OS X)')).toBe('tablet');
+      expect(linkAnalyticsService.classifyUserAgent('Mozilla/5.0 (Linux; Android 14; SM-X710) Safari/537.36')).toBe('tablet');
+      expect(linkAnalyticsService.classifyUserAgent('WhatsApp/2.23.20.0')).toBe('bot');
+      expect(linkAnalyticsService.classifyUserAgent(undefined)).toBe('unknown');
+    });
+
+    test('should read the country from proxy headers', () => {
+      expect(linkAnalyticsService.getCountry({ 'cf-ipcountry': 'it' })).toBe('IT');
+      expect(linkAnalyticsService.getCountry({ 'cf-ipcountry': 'XX', 'x-country-code': 'DE' })).toBe('DE');
+      expect(linkAnalyticsService.getCountry({})).toBe('unknown');
+    });
+  });
+
+  describe('statistics', () => {
+    test('should aggregate the clicks of a link by day', async () => {
+      const shortUrl = await urlShortenerService.shortenUrl('http://localhost/videos/task1.mp4', {
+        alias: 'golf-promo',
+        vehicleId: 'vehicle1',
+        taskId: 'task1'
+      });
+      expect(shortUrl).toMatch(/\/v\/golf-promo$/);
+
+      linkAnalyticsService.recordClick('golf-promo', {
+        'user-agent': iphone,
+        referer: 'https://www.facebook.com/some/post',
+        'cf-ipcountry': 'IT'
+      }, new Date('2026-03-01T09:00:00Z'));
+      linkAnalyticsService.recordClick('golf-promo', { 'user-agent': windows }, new Date('2026-03-01T18:00:00Z'));
+      linkAnalyticsService.recordClick('golf-promo', { 'user-agent': iphone, 'cf-ipcountry': 'IT' }, new Date('2026-03-03T10:00:00Z'));
+
+      expect(linkAnalyticsService.getLinkStats('golf-promo')).toMatchObject({
+        code: 'golf-promo',
+        vehicleId: 'vehicle1',
+        taskId: 'task1',
+        totalClicks: 3,
+        days: [
+          {
+            date: '2026-03-01',
+            clicks: 2,
+            agents: { mobile: 1, desktop: 1 },
+            countries: { IT: 1, unknown: 1 },
+            referrers: { 'facebook.com': 1, direct: 1 }
+          },
+          { date: '2026-03-03', clicks: 1, agents: { mobile: 1 }, countries: { IT: 1 }, referrers: { direct: 1 } }
+        ]
+      });
+      expect(linkAnalyticsService.getLinkStats('missing')).toBeNull();
+    });
+
+    test('should combine all links of a vehicle', async () => {
+      const shortUrl = await urlShortenerService.shortenUrl('http://localhost/videos/task2.mp4', {
+        vehicleId: 'vehicle1',
+        taskId: 'task2'
+      });
+      const code = shortUrl.split('/v/')[1];
+      linkAnalyticsService.recordClick(code, { 'user-agent': windows }, new Date('2026-03-03T12:00:00Z'));
+
+      const stats = linkAnalyticsService.getVehicleStats('vehicle1');
+
+      expect(stats.totalClicks).toBe(4);
+      expect(stats.links.map(link => [link.taskId, link.totalClicks])).toEqual([['task1', 3], ['task2', 1]]);
+      expect(stats.days.map(day => [day.date, day.clicks])).toEqual([['2026-03-01', 2], ['2026-03-03', 2]]);
+      expect(linkAnalyticsService.getVehicleStats('vehicle2')).toEqual({ vehicleId: 'vehicle2', totalClicks: 0, links: [], days: [] });
+    });
+
+    test('should skip a click line cut short while appending', () => {
+      fs.appendFileSync(path.join(dataDir, 'short-link-clicks', 'golf-promo.jsonl'), '{"at":"2026-03-04');
+
+      expect(linkAnalyticsService.getClicks('golf-promo')).toHaveLength(3);
+    });
+  });
+});
@@ -0,0 +1,44 @@
+/**
+ * Locale Service Tests
+ */
+
+const localeService = require('../services/locale-service');
+
+describe('Locale Service', () => {
+  describe('getLocale', () => {
+    test('should resolve known countries, aliases and upper-case codes', () => {
+      expect(localeService.getLocale('it')).toEqual({
+        country: 'it',
+        language: 'it',
+        locale: 'it-IT',
+        currency: 'EUR',
+        distanceUnit: 'km'
+      });
+      expect(localeService.getLocale('UK')).toMatchObject({ country: 'gb', currency: 'GBP', distanceUnit: 'mi' });
+    });
+
+    test('should fall back to English with metric units', () => {
+      expect(localeService.getLocale('xx')).toMatchObject({ country: null, language: 'en', distanceUnit: 'km' });
+      expect(localeService.getLocale()).toMatchObject({ language: 'en' });
+    });
+  });
+
+  describe('formatField', () => {
+    test('should format mileage in kilometres or miles', () => {
+      expect(localeService.formatField('mileage', 12000, 'de')).toBe('12.000 km');
+      expect(localeService.formatField('mileage', '12000', 'us')).toBe('7,456 mi');
+    });
+
+    test('should format prices in the vehicle or country currency', () => {
+      // Intl separates the currency symbol with a no-break space
+      expect(localeService.formatField('price', 23900, 'it')).toMatch(/^23\.900\s€$/);
+      expect(localeService.formatField('price', { amount: 23900, currency: 'CHF' }, 'gb')).toMatch(/^CHF\s23,900$/);
+      expect(localeService.formatField('price', { amount: 23900, currency: 'bogus' }, 'gb')).toBe('23900 bogus');
+      expect(localeService.formatField('price', { currency: 'EUR' }, 'it')).toBeUndefined();
+    });
+
+    test('should leave other fields unchanged', () => {
+      expect(localeService.formatField('year', 2022, 'it')).toBe(2022);
+    });
+  });
+});
@@ -46,9 +46,10 @@ describe('N8N Service', () => {
     console.log = originalConsoleLog;
     
     // Verify axios was called with the right parameters
-    expect(axios).toHaveBeenCalledWith({
+    expect(axios).toHaveBeenCalledWith(expect.objectContaining({
       method: 'post',
       url: config.n8n.testWebhookUrl,
+      timeout: config.httpClient.upstreams.n8n.timeout,
       headers: {
         'Content-Type': 'application/json',
         'Authorization': authToken
@@ -59,7 +60,7 @@ describe('N8N Service', () => {
         page,
         lastResponse
       }
-    });
+    }));
     
     // Verify the function returned the expected result
     expect(result).toEqual(mockResponse.data);
@@ -94,9 +95,10 @@ describe('N8N Service', () => {
     console.log = originalConsoleLog;
     
     // Verify axios was called with the right parameters
-    expect(axios).toHaveBeenCalledWith({
+    expect(axios).toHaveBeenCalledWith(expect.objectContaining({
       method: 'post',
       url: config.n8n.prodWebhookUrl,
+      timeout: config.httpClient.upstreams.n8n.timeout,
       headers: {
         'Content-Type': 'application/json'
       },
@@ -106,7 +108,7 @@ describe('N8N Service', () => {
         page: undefined,
         lastResponse: undefined
       }
-    });
+    }));
     
     // Verify the function returned the expected result
     expect(result).toEqual(mockResponse.data);
@@ -0,0 +1,134 @@
+/**
+ * Offline pipeline tests
+ * Runs generate-video end to end against the mock video provider
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+
+// Real task store in a temporary directory, mock provider that succeeds immediately
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'offline-pipeline-test-'));
+process.env.DATA_DIR = dataDir;
+process.env.VIDEO_PROVIDER = 'mock';
+process.env.MOCK_PROVIDER_DELAY = '0';
+process.env.NODE_ENV = 'test';
+
+// The vehicle API and the URL shortener are the only remote services left
+jest.mock('../services/vehicle-service', () => ({
+  getVehicleDetails: jest.fn(),
+  getVehicleImages: jest.fn(),
+  updateVehicleField: jest.fn()
+}));
+
+jest.mock('../services/url-shortener-service', () => ({
+  shortenUrl: jest.fn(url => Promise.resolve(url))
+}));
+
+// Keep the cleanup interval from holding the test process open
+jest.mock('../services/task-service', () => ({
+  ...jest.requireActual('../services/task-service'),
+  startCleanupTimer: jest.fn()
+}));
+
+const vehicleService = require('../services/vehicle-service');
+const mockProvider = require('../services/providers/mock-provider');
+const app = require('../server');
+
+// A running server, so the pipeline can download the placeholder video from it
+let server;
+
+/**
+ * Polls the task status endpoint until the vehicle was updated or the task stopped
+ * @param {string} taskId - Task ID
+ * @returns {Promise<object>} Final task status
+ */
+async function waitForTask(taskId) {
+  for (let attempt = 0; attempt < 100; attempt++) {
+    const response = await request(server).get(`/vehicle/video/${taskId}`);
+    if (response.body.vehicleUpdated || ['failed', 'cancelled'].includes(response.body.status)) {
+      return response.body;
+    }
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+  throw new Error(`Task ${taskId} did not finish`);
+}
+
+describe('Offline pipeline', () => {
+  beforeAll(done => {
+    server = app.listen(0, done);
+  });
+
+  afterAll(done => {
+    server.close(done);
+  });
+
+  afterAll(() => {
+    fs.rmSync(dataDir, { recursive: true, force: true });
+    delete process.env.DATA_DIR;
+    delete process.env.VIDEO_PROVIDER;
+    delete process.env.MOCK_PROVIDER_DELAY;
+  });
+
+  test('should generate a video with the mock provider and attach it to the vehicle', async () => {
+    vehicleService.getVehicleDetails.mockResolvedValue({ id: 'vehicle1', brand: 'Toyota', model: 'Corolla', year: 2022 });
+    vehicleService.getVehicleImages.mockResolvedValue([
+      { id: 'img1', url: 'http://example.com/img1.jpg' },
+      { id: 'img2', url: 'http://example.com/img2.jpg' }
+    ]);
+    vehicleService.updateVehicleField.mockResolvedValue({ success: true });
+
+    const response = await request(server)
+      .post('/vehicle/vehicle1/generate-video')
+      .set('Authorization', 'Bearer test-token')
+      .send({ duration: 5 });
+
+    expect(response.status).toBe(200);
+    const task = await waitForTask(response.body.taskId);
+
+    expect(task).toMatchObject({ status: 'completed', provider: 'mock', vehicleUpdated: true });
+    expect(task.videoUrl).toMatch(new RegExp(`/videos/${task.taskId}\\.mp4$`));
+    expect(task.providerVideoUrl).toMatch(/\/mock-provider\/videos\/mock-\d+-\d+\.mp4$/);
+    expect(vehicleService.updateVehicleField).toHaveBeenCalledWith(expect.objectContaining({
+      vehicleId: 'vehicle1',
+      field: 'videoUrl',
+      value: task.videoUrl
+    }));
+
+    const video = await request(server).get(new URL(task.videoUrl).pathname);
+    expect(video.status).toBe(200);
+    expect(video.headers['content-type']).toBe('video/mp4');
+    expect(fs.readFileSync(path.join(dataDir, 'videos', `${task.taskId}.mp4`)))
+      .toEqual(mockProvider.buildPlaceholderVideo());
+  });
+
+  test('should serve archived videos in byte ranges', async () => {
+    const video = mockProvider.buildPlaceholderVideo();
+    fs.writeFileSync(path.join(dataDir, 'videos', 'task-range.mp4'), video);
+
+    const partial = await request(server).get('/videos/task-range.mp4').set('Range', 'bytes=4-11');
+    expect(partial.status).toBe(206);
+    expect(partial.headers['content-range']).toBe(`bytes 4-11/${video.length}`);
+    expect(partial.headers['accept-ranges']).toBe('bytes');
+    expect(partial.body.toString('ascii')).toBe('ftypisom');
+
+    const unsatisfiable = await request(server).get('/videos/task-range.mp4').set('Range', `bytes=${video.length}-`);
+    expect(unsatisfiable.status).toBe(416);
+    expect(unsatisfiable.headers['content-range']).toBe(`bytes */${video.length}`);
+
+    const missing = await request(server).get('/videos/missing.mp4');
+    expect(missing.status).toBe(404);
+  });
+
+  test('should serve extracted frames as JPEG', async () => {
+    fs.writeFileSync(path.join(dataDir, 'videos', 'task-frames-poster.jpg'), 'jpeg data');
+
+    const poster = await request(server).get('/videos/task-frames/poster.jpg');
+    expect(poster.status).toBe(200);
+    expect(poster.headers['content-type']).toBe('image/jpeg');
+
+    const unknown = await request(server).get('/videos/task-frames/other.jpg');
+    expect(unknown.status).toBe(404);
+  });
+});
@@ -0,0 +1,52 @@
+/**
+ * Poll Scheduler Service Tests
+ */
+
+const pollSchedulerService = require('../services/poll-scheduler-service');
+
+describe('Poll Scheduler Service', () => {
+  beforeEach(() => {
+    jest.useFakeTimers({ now: 1000000 });
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('should check each job at its own delay on one timer', async () => {
+    const calls = [];
+    const job = (id, delays) => pollSchedulerService.poll(id, async () => {
+      calls.push([id, Date.now() - 1000000]);
+      return delays.length ? { delay: delays.shift() } : { done: true, value: `${id} done` };
+    });
+
+    const slow = job('slow', [10000]);
+    const fast = job('fast', [2000, 2000]);
+
+    expect(pollSchedulerService.getStats().jobs).toBe(2);
+    await jest.advanceTimersByTimeAsync(0);
+    expect(pollSchedulerService.getStats()).toEqual({ jobs: 2, nextCheckAt: new Date(1002000).toISOString() });
+    expect(jest.getTimerCount()).toBe(1);
+
+    await jest.advanceTimersByTimeAsync(10000);
+
+    await expect(fast).resolves.toBe('fast done');
+    await expect(slow).resolves.toBe('slow done');
+    expect(calls).toEqual([['slow', 0], ['fast', 0], ['fast', 2000], ['fast', 4000], ['slow', 10000]]);
+    expect(pollSchedulerService.getStats()).toEqual({ jobs: 0, nextCheckAt: null });
+    expect(jest.getTimerCount()).toBe(0);
+  });
+
+  test('should reject with the error of a failed check and refuse duplicate IDs', async () => {
+    const failing = pollSchedulerService.poll('job1', async () => {
+      throw new Error('Task failed');
+    }, 1000);
+
+    await expect(pollSchedulerService.poll('job1', async () => ({ done: true }))).rejects.toThrow('Already polling job1');
+
+    const result = expect(failing).rejects.toThrow('Task failed');
+    await jest.advanceTimersByTimeAsync(1000);
+    await result;
+    expect(pollSchedulerService.getStats().jobs).toBe(0);
+  });
+});
@@ -0,0 +1,118 @@
+/**
+ * Prompt Preset Service Tests
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Point the preset store at a temporary directory before loading the service
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'prompt-preset-service-test-'));
+process.env.DATA_DIR = dataDir;
+
+const promptPresetService = require('../services/prompt-preset-service');
+
+const presetFields = {
+  name: 'Summer showroom',
+  template: 'A {{brand}} {{model}} on a sunny terrace',
+  style: 'cinematic',
+  duration: 10,
+  ratio: '1280:768',
+  model: 'gen3a_turbo'
+};
+
+describe('Prompt Preset Service', () => {
+  afterAll(() => {
+    fs.rmSync(dataDir, { recursive: true, force: true });
+    delete process.env.DATA_DIR;
+  });
+
+  describe('validatePreset', () => {
+    test('should require a name and a well-formed template', () => {
+      expect(promptPresetService.validatePreset(presetFields)).toBeNull();
+      expect(promptPresetService.validatePreset({ name: 'No template' })).toBe('template is required');
+      expect(promptPresetService.validatePreset({ ...presetFields, template: '{{#if trim}}Trim' }))
+        .toMatch('without a closing');
+      expect(promptPresetService.validatePreset({ ...presetFields, duration: 7.5 }))
+        .toBe('duration must be an integer');
+    });
+
+    test('should allow partial updates', () => {
+      expect(promptPresetService.validatePreset({ style: 'dramatic' }, true)).toBeNull();
+      expect(promptPresetService.validatePreset({ name: '' }, true)).toBe('name must be a non-empty string');
+    });
+  });
+
+  describe('preset store', () => {
+    test('should create, list and delete presets on disk', () => {
+      const preset = promptPresetService.createPreset({ ...presetFields, unknownField: 'ignored' });
+
+      expect(preset).toMatchObject({ ...presetFields, version: 1 });
+      expect(preset.unknownField).toBeUndefined();
+      expect(fs.existsSync(path.join(dataDir, 'prompt-presets', `${preset.presetId}.json`))).toBe(true);
+      expect(promptPresetService.listPresets().map(item => item.presetId)).toContain(preset.presetId);
+
+      expect(promptPresetService.deletePreset(preset.presetId)).toBe(true);
+      expect(promptPresetService.getPreset(preset.presetId)).toBeNull();
+      expect(promptPresetService.deletePreset(preset.presetId)).toBe(false);
+    });
+
+    test('should keep previous versions on update', () => {
+      const preset = promptPresetService.createPreset(presetFields);
+      const updated = promptPresetService.updatePreset(preset.presetId, { style: 'dramatic' });
+
+      expect(updated).toMatchObject({ presetId: preset.presetId, style: 'dramatic', duration: 10, version: 2 });
+      expect(updated.previousVersions).toBeUndefined();
+      expect(promptPresetService.getPreset(preset.presetId, 1)).toMatchObject({ style: 'cinematic', version: 1 });
+      expect(promptPresetService.getPreset(preset.presetId, 3)).toBeNull();
+      expect(promptPresetService.updatePreset('missing', { style: 'dramatic' })).toBeNull();
+    });
+
+    test('should reject invalid presets and IDs outside the store', () => {
+      expect(() => promptPresetService.createPreset({ name: 'No template' }))
+        .toThrow(expect.objectContaining({ status: 400 }));
+      expect(promptPresetService.getPreset('../tasks/123')).toBeNull();
+    });
+
+    test('should reject settings the model does not support, also after a partial update', () => {
+      expect(() => promptPresetService.createPreset({ ...presetFields, duration: 7 }))
+        .toThrow(expect.objectContaining({ status: 400, details: { model: 'gen3a_turbo', allowedDurations: [5, 10] } }));
+
+      const preset = promptPresetService.createPreset(presetFields);
+      expect(() => promptPresetService.updatePreset(preset.presetId, { model: 'gen4_turbo' }))
+        .toThrow('ratio must be one of');
+      expect(promptPresetService.getPreset(preset.presetId).version).toBe(1);
+    });
+  });
+
+  describe('applyPreset', () => {
+    test('should fill options from the preset and record its version', () => {
+      const preset = promptPresetService.createPreset(presetFields);
+
+      expect(promptPresetService.applyPreset({ presetId: preset.presetId, duration: 5 })).toEqual({
+        presetId: preset.presetId,
+        presetVersion: 1,
+        promptTemplate: presetFields.template,
+        style: 'cinematic',
+        duration: 5,
+        ratio: '1280:768',
+        model: 'gen3a_turbo'
+      });
+    });
+
+    test('should keep a custom prompt and options resolved before', () => {
+      const preset = promptPresetService.createPreset(presetFields);
+      const resolved = { presetId: preset.presetId, presetVersion: 1, style: 'dramatic' };
+
+      expect(promptPresetService.applyPreset({ presetId: preset.presetId, prompt: 'Custom' }).promptTemplate)
+        .toBeUndefined();
+      expect(promptPresetService.applyPreset(resolved)).toBe(resolved);
+      expect(promptPresetService.applyPreset({ style: 'dramatic' })).toEqual({ style: 'dramatic' });
+    });
+
+    test('should reject an unknown preset', () => {
+      expect(() => promptPresetService.applyPreset({ presetId: 'missing' }))
+        .toThrow(expect.objectContaining({ status: 400 }));
+    });
+  });
+});
@@ -0,0 +1,112 @@
+/**
+ * Prompt Template Service Tests
+ */
+
+const promptTemplateService = require('../services/prompt-template-service');
+
+const vehicle = {
+  year: 2022,
+  brand: 'Toyota',
+  model: 'Corolla',
+  exteriorColorName: 'Red',
+  fuelType: 'hybrid',
+  mileage: 12000,
+  bodyType: 'hatchback',
+  price: { amount: 23900, currency: 'EUR' }
+};
+
+describe('Prompt Template Service', () => {
+  describe('renderTemplate', () => {
+    test('should replace placeholders with vehicle fields, including nested ones', () => {
+      expect(promptTemplateService.renderTemplate('{{brand}} {{model}} for {{price.amount}} {{price.currency}}', vehicle))
+        .toBe('Toyota Corolla for 23900 EUR');
+    });
+
+    test('should use the first present field or the quoted fallback', () => {
+      expect(promptTemplateService.renderTemplate('{{trim | bodyType}}', vehicle)).toBe('hatchback');
+      expect(promptTemplateService.renderTemplate('in {{interiorColor | "black"}}', vehicle)).toBe('in black');
+      expect(promptTemplateService.renderTemplate('a {{trim}} car.', vehicle)).toBe('a car.');
+    });
+
+    test('should render conditional sections', () => {
+      const template = '{{#if mileage}}Used, {{mileage}}{{else}}Brand new{{/if}}{{#if trim}} ({{trim}}){{/if}}';
+
+      expect(promptTemplateService.renderTemplate(template, vehicle)).toBe('Used, 12,000 km');
+      expect(promptTemplateService.renderTemplate(template, { trim: 'GR Sport' })).toBe('Brand new (GR Sport)');
+    });
+
+    test('should support nested conditionals', () => {
+      const template = '{{#if price}}Offer{{#if price.currency}} in {{price.currency}}{{/if}}{{/if}}';
+
+      expect(promptTemplateService.renderTemplate(template, vehicle)).toBe('Offer in EUR');
+      expect(promptTemplateService.renderTemplate(template, { price: {} })).toBe('');
+    });
+
+    test('should reject unbalanced conditionals', () => {
+      expect(() => promptTemplateService.renderTemplate('{{#if fuelType}}Hybrid', vehicle))
+        .toThrow(expect.objectContaining({ status: 400 }));
+      expect(() => promptTemplateService.renderTemplate('Hybrid{{/if}}', vehicle))
+        .toThrow(expect.objectContaining({ status: 400 }));
+    });
+  });
+
+  describe('localization', () => {
+    test('should format mileage and price for the country', () => {
+      const template = '{{mileage}} for {{price}}';
+
+      expect(promptTemplateService.renderTemplate(template, vehicle, 'it')).toBe('12.000 km for 23.900 €');
+      expect(promptTemplateService.renderTemplate(template, { ...vehicle, price: 19900 }, 'gb'))
+        .toBe('7,456 mi for £19,900');
+      expect(promptTemplateService.renderTemplate('{{price.amount}} {{price.currency}}', vehicle, 'it'))
+        .toBe('23900 EUR');
+    });
+
+    test('should pick the template in the language of the country', () => {
+      expect(promptTemplateService.renderPrompt('default', vehicle, 'it'))
+        .toBe('Un video professionale e di alta qualità di una Toyota Corolla del 2022, colore Red. Mostra l\'auto da diverse angolazioni, mettendo in risalto le sue caratteristiche.');
+      expect(promptTemplateService.renderPrompt('lifestyle', vehicle, 'AT')).toContain('Ein gepflegtes Auto mit nur 12 000 km.');
+      expect(promptTemplateService.resolveTemplate('offer', 'be').language).toBe('fr');
+    });
+
+    test('should fall back to English for other countries', () => {
+      expect(promptTemplateService.resolveTemplate('default', 'us').language).toBe('en');
+      expect(promptTemplateService.renderPrompt('default', vehicle, 'xx')).toBe(promptTemplateService.renderPrompt('default', vehicle));
+      expect(promptTemplateService.listTemplates().find(template => template.id === 'offer').languages)
+        .toEqual(['en', 'it', 'de', 'fr', 'es']);
+    });
+  });
+
+  describe('renderPrompt', () => {
+    test('should keep the original default prompt', () => {
+      expect(promptTemplateService.renderPrompt(undefined, vehicle)).toBe(
+        'A professional, high-quality video showcasing a 2022 Toyota Corolla in Red. Show the car from different angles, highlighting its features.'
+      );
+      expect(promptTemplateService.renderPrompt('default', { year: 2020, brand: 'Fiat', model: '500' }))
+        .toContain('2020 Fiat 500 in its color.');
+    });
+
+    test('should render the built-in templates with optional fields', () => {
+      expect(promptTemplateService.renderPrompt('lifestyle', vehicle))
+        .toContain('efficient hybrid engine. A well-kept car with only 12,000 km.');
+      expect(promptTemplateService.renderPrompt('offer', vehicle)).toContain('offer price of €23,900.');
+      expect(promptTemplateService.renderPrompt('offer', { year: 2022, brand: 'Toyota', model: 'Corolla' }))
+        .not.toContain('price');
+    });
+
+    test('should skip sections whose fields print nothing', () => {
+      expect(promptTemplateService.renderPrompt('offer', { ...vehicle, price: { amount: null, currency: 'EUR' } }))
+        .not.toContain('price');
+      for (const country of ['gb', 'it', 'de', 'fr', 'es']) {
+        const prompt = promptTemplateService.renderPrompt('lifestyle', { ...vehicle, mileage: 0 }, country);
+        expect(prompt).toBe(promptTemplateService.renderPrompt('lifestyle', { ...vehicle, mileage: undefined }, country));
+        expect(prompt).not.toMatch(/\b0 (km|mi)\b/);
+      }
+    });
+
+    test('should reject unknown templates', () => {
+      expect(() => promptTemplateService.renderPrompt('missing', vehicle))
+        .toThrow(expect.objectContaining({ status: 400 }));
+      expect(promptTemplateService.getTemplate('constructor')).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,132 @@
+/**
+ * Queue Service Tests
+ */
+
+const config = require('../utils/config');
+const queueService = require('../services/queue-service');
+
+// Let resolved acquire promises run their callbacks
+const flush = () => new Promise(resolve => setImmediate(resolve));
+
+describe('Queue Service', () => {
+  const originalSettings = config.generationQueue;
+  let started;
+  let taskIds;
+
+  // Queues a task and records when it gets its slot
+  const enqueue = (taskId, options) => {
+    taskIds.push(taskId);
+    return queueService.acquire(taskId, options).then(() => started.push(taskId), error => error);
+  };
+
+  beforeEach(() => {
+    started = [];
+    taskIds = [];
+    config.generationQueue = {
+      maxConcurrent: 2,
+      defaultDealerQuota: 0,
+      dealerQuotas: {},
+      countryQuotas: {}
+    };
+  });
+
+  afterEach(async () => {
+    // Drain the queue so the next test starts empty
+    taskIds.forEach(taskId => queueService.remove(taskId));
+    taskIds.forEach(taskId => queueService.release(taskId));
+    await flush();
+  });
+
+  afterAll(() => {
+    config.generationQueue = originalSettings;
+  });
+
+  test('should limit concurrency and start waiting tasks in arrival order', async () => {
+    ['t1', 't2', 't3', 't4'].forEach(taskId => enqueue(taskId));
+    await flush();
+
+    expect(started).toEqual(['t1', 't2']);
+    expect(queueService.getQueuePosition('t3')).toBe(1);
+    expect(queueService.getQueuePosition('t4')).toBe(2);
+    expect(queueService.getQueueStats()).toEqual({ running: 2, waiting: 2, maxConcurrent: 2 });
+
+    queueService.release('t1');
+    await flush();
+
+    expect(started).toEqual(['t1', 't2', 't3']);
+    expect(queueService.getQueuePosition('t3')).toBeNull();
+    expect(queueService.getQueuePosition('t4')).toBe(1);
+  });
+
+  test('should start higher priority tasks first', async () => {
+    enqueue('t1');
+    enqueue('t2');
+    enqueue('low', { priority: -1 });
+    enqueue('normal');
+    enqueue('urgent', { priority: 10 });
+    await flush();
+
+    expect(queueService.getQueuePosition('urgent')).toBe(1);
+    expect(queueService.getQueuePosition('normal')).toBe(2);
+    expect(queueService.getQueuePosition('low')).toBe(3);
+
+    queueService.release('t1');
+    queueService.release('t2');
+    await flush();
+
+    expect(started).toEqual(['t1', 't2', 'urgent', 'normal']);
+  });
+
+  test('should not let a dealer over its quota block other dealers', async () => {
+    config.generationQueue.defaultDealerQuota = 1;
+
+    enqueue('a1', { dealerId: 'dealer-a' });
+    enqueue('a2', { dealerId: 'dealer-a' });
+    enqueue('b1', { dealerId: 'dealer-b' });
+    await flush();
+
+    expect(started).toEqual(['a1', 'b1']);
+    expect(queueService.getQueuePosition('a2')).toBe(1);
+  });
+
+  test('should apply country quotas', async () => {
+    config.generationQueue.countryQuotas = { it: 1 };
+
+    enqueue('it1', { country: 'it' });
+    enqueue('it2', { country: 'it' });
+    enqueue('fr1', { country: 'fr' });
+    await flush();
+
+    expect(started).toEqual(['it1', 'fr1']);
+  });
+
+  test('should count claimed tasks as running, even above the limit', async () => {
+    taskIds.push('r1', 'r2', 'r3');
+    ['r1', 'r2', 'r3'].forEach(taskId => queueService.claim(taskId, { country: 'it' }));
+    enqueue('t1');
+    await flush();
+
+    expect(queueService.getQueueStats()).toEqual({ running: 3, waiting: 1, maxConcurrent: 2 });
+    expect(started).toEqual([]);
+
+    // Waiting tasks start once the running ones are back under the limit
+    queueService.release('r1');
+    await flush();
+    expect(started).toEqual([]);
+
+    queueService.release('r2');
+    await flush();
+    expect(started).toEqual(['t1']);
+  });
+
+  test('should reject the pending acquire of a removed task', async () => {
+    enqueue('t1');
+    enqueue('t2');
+    const waitingTask = enqueue('t3');
+
+    expect(queueService.remove('t3')).toBe(true);
+    await expect(waitingTask).resolves.toMatchObject({ code: 'TASK_CANCELLED' });
+    expect(queueService.getQueuePosition('t3')).toBeNull();
+    expect(queueService.remove('t3')).toBe(false);
+  });
+});
@@ -0,0 +1,130 @@
+/**
+ * Storyboard Service Tests
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Write stitched videos to a temporary directory
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'storyboard-service-test-'));
+process.env.DATA_DIR = dataDir;
+
+jest.mock('axios');
+
+// Stand-in for ffmpeg: joins the clips named in the concat list byte by byte
+jest.mock('child_process', () => ({
+  execFile: jest.fn((command, args, options, callback) => {
+    const fs = require('fs');
+    const listPath = args[args.indexOf('-i') + 1];
+    const outputPath = args[args.length - 1];
+    const clips = fs.readFileSync(listPath, 'utf8').trim().split('\n')
+      .map(line => line.replace(/^file '(.*)'$/, '$1'));
+    fs.writeFileSync(outputPath, Buffer.concat(clips.map(clip => fs.readFileSync(clip))));
+    callback(null, '', '');
+  })
+}));
+
+const axios = require('axios');
+const { execFile } = require('child_process');
+const storyboardService = require('../services/storyboard-service');
+
+const images = [
+  { id: 'img1', url: 'http://example.com/img1.jpg' },
+  { id: 'img2', url: 'http://example.com/img2.jpg' },
+  { id: 'img3', url: 'http://example.com/img3.jpg' }
+];
+
+describe('Storyboard Service', () => {
+  afterAll(() => {
+    fs.rmSync(dataDir, { recursive: true, force: true });
+    delete process.env.DATA_DIR;
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('validateStoryboard', () => {
+    test('should accept shots with images and supported durations', () => {
+      expect(storyboardService.validateStoryboard([
+        { imageIds: ['img1', 'img2'], duration: 5 },
+        { firstImageId: 'img3', prompt: 'Interior close-up', duration: 10 }
+      ])).toBeNull();
+    });
+
+    test('should reject storyboards with too few shots or invalid shots', () => {
+      expect(storyboardService.validateStoryboard([{ imageIds: ['img1'] }])).toMatch('2 to 6 shots');
+      expect(storyboardService.validateStoryboard([{ imageIds: ['img1'] }, { prompt: 'No images' }]))
+        .toBe('storyboard[1] needs imageIds or firstImageId');
+      expect(storyboardService.validateStoryboard([{ imageIds: ['img1'] }, { imageIds: ['img2'], duration: '5' }]))
+        .toBe('storyboard[1].duration must be an integer');
+    });
+  });
+
+  describe('buildShots', () => {
+    test('should resolve each shot against the gallery', () => {
+      const shots = storyboardService.buildShots(images, [
+        { imageIds: ['img1', 'img2'], prompt: 'Exterior' },
+        { firstImageId: 'img3', duration: 10 }
+      ], { duration: 5 });
+
+      expect(shots).toEqual([
+        {
+          index: 0,
+          status: 'pending',
+          imageIds: ['img1', 'img2'],
+          promptImage: [images[0].url, images[1].url],
+          prompt: 'Exterior',
+          duration: 5
+        },
+        {
+          index: 1,
+          status: 'pending',
+          imageIds: ['img3'],
+          promptImage: images[2].url,
+          prompt: undefined,
+          duration: 10
+        }
+      ]);
+    });
+
+    test('should reject shots with images that are not in the gallery', () => {
+      expect(() => storyboardService.buildShots(images, [{ imageIds: ['img1'] }, { imageIds: ['missing'] }]))
+        .toThrow(expect.objectContaining({ status: 400 }));
+    });
+  });
+
+  describe('stitchClips', () => {
+    test('should download the clips and concatenate them in shot order', async () => {
+      axios.mockImplementation(({ url }) => Promise.resolve({ data: Buffer.from(`<${url}>`) }));
+
+      const result = await storyboardService.stitchClips({
+        clipUrls: ['https://runway.test/shot-0.mp4', 'https://runway.test/shot-1.mp4'],
+        apiBaseUrl: 'http://localhost:3000',
+        taskId: 'task1'
+      });
+
+      expect(result).toEqual({ videoUrl: 'http://localhost:3000/videos/task1.mp4' });
+      expect(fs.readFileSync(path.join(dataDir, 'videos', 'task1.mp4'), 'utf8'))
+        .toBe('<https://runway.test/shot-0.mp4><https://runway.test/shot-1.mp4>');
+      expect(execFile).toHaveBeenCalledWith('ffmpeg', expect.arrayContaining(['-f', 'concat', '-c', 'copy']),
+        expect.any(Object), expect.any(Function));
+    });
+
+    test('should explain a missing ffmpeg binary', async () => {
+      axios.mockResolvedValue({ data: Buffer.from('clip') });
+      execFile.mockImplementationOnce((command, args, options, callback) => {
+        const error = new Error('spawn ffmpeg ENOENT');
+        error.code = 'ENOENT';
+        callback(error, '', '');
+      });
+
+      await expect(storyboardService.stitchClips({
+        clipUrls: ['https://runway.test/a.mp4', 'https://runway.test/b.mp4'],
+        apiBaseUrl: 'http://localhost:3000',
+        taskId: 'task2'
+      })).rejects.toThrow('ffmpeg not found');
+    });
+  });
+});
@@ -0,0 +1,197 @@
+/**
+ * Task Service Tests
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Point the task store at a temporary directory before loading the service
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'task-service-test-'));
+process.env.DATA_DIR = dataDir;
+
+const taskService = require('../services/task-service');
+
+const vehicleData = {
+  id: 'vehicle1',
+  brand: 'Toyota',
+  model: 'Corolla',
+  year: 2022,
+  exteriorColorName: 'Red'
+};
+
+// Task IDs are timestamps, so wait a tick between creations to keep them unique
+const createTask = async (...args) => {
+  await new Promise(resolve => setTimeout(resolve, 2));
+  return taskService.createVideoTask(...args);
+};
+
+const readPersistedTask = taskId =>
+  JSON.parse(fs.readFileSync(path.join(dataDir, 'tasks', `${taskId}.json`), 'utf8'));
+
+describe('Task Service', () => {
+  afterAll(() => {
+    fs.rmSync(dataDir, { recursive: true, force: true });
+    delete process.env.DATA_DIR;
+  });
+
+  describe('task store', () => {
+    test('should persist created and updated tasks to disk, without the auth token', async () => {
+      const taskId = await createTask('vehicle1', vehicleData, { duration: 5 }, {
+        authToken: 'Bearer test-token',
+        country: 'it',
+        apiBaseUrl: 'http://localhost:3000'
+      });
+
+      expect(readPersistedTask(taskId)).toMatchObject({
+        vehicleId: 'vehicle1',
+        status: 'processing',
+        videoOptions: { duration: 5 },
+        requestContext: { country: 'it', apiBaseUrl: 'http://localhost:3000' }
+      });
+      expect(readPersistedTask(taskId).requestContext).not.toHaveProperty('authToken');
+      expect(taskService.getTask(taskId).requestContext.authToken).toBe('Bearer test-token');
+
+      taskService.updateTask(taskId, { status: 'processing_runway', runwayTaskId: 'runway123' });
+
+      expect(readPersistedTask(taskId)).toMatchObject({
+        status: 'processing_runway',
+        runwayTaskId: 'runway123'
+      });
+    });
+
+    test('should not expose the request context in the task status', async () => {
+      const taskId = await createTask('vehicle1', vehicleData, {}, { authToken: 'Bearer test-token' });
+
+      expect(taskService.getTaskStatus(taskId)).not.toHaveProperty('requestContext');
+    });
+  });
+
+  describe('loadPersistedTasks', () => {
+    test('should restore tasks and report those still rendering in Runway', () => {
+      const tasksDir = path.join(dataDir, 'tasks');
+      fs.writeFileSync(path.join(tasksDir, '1000.json'), JSON.stringify({
+        vehicleId: 'vehicle2',
+        status: 'processing_runway',
+        runwayTaskId: 'runway-resume',
+        createdAt: new Date().toISOString()
+      }));
+      fs.writeFileSync(path.join(tasksDir, '1001.json'), JSON.stringify({
+        vehicleId: 'vehicle3',
+        status: 'processing',
+        createdAt: new Date().toISOString()
+      }));
+
+      taskService.loadPersistedTasks();
+
+      expect(taskService.getTask('1000')).toMatchObject({ runwayTaskId: 'runway-resume' });
+      const resumable = taskService.getResumableTasks().map(({ taskId }) => taskId);
+      expect(resumable).toContain('1000');
+      expect(resumable).not.toContain('1001');
+
+      // Tasks that never reached Runway cannot be resumed
+      expect(taskService.getTask('1001')).toMatchObject({ status: 'failed' });
+    });
+  });
+
+  describe('findTask', () => {
+    test('should return the newest matching task', async () => {
+      const older = await createTask('vehicle6', vehicleData, { duration: 5 });
+      const newer = await createTask('vehicle6', vehicleData, { duration: 5 });
+
+      expect(taskService.findTask(task => task.vehicleId === 'vehicle6')).toMatchObject({ taskId: newer });
+      expect(taskService.findTask((task, taskId) => taskId === older)).toMatchObject({ taskId: older });
+      expect(taskService.findTask(task => task.vehicleId === 'missing')).toBeNull();
+    });
+
+    test('findTasks should return every matching task, oldest first', async () => {
+      const first = await createTask('vehicle7', vehicleData, { duration: 5 });
+      const second = await createTask('vehicle7', vehicleData, { duration: 5 });
+
+      expect(taskService.findTasks(task => task.vehicleId === 'vehicle7').map(match => match.taskId)).toEqual([first, second]);
+      expect(taskService.findTasks(task => task.vehicleId === 'missing')).toEqual([]);
+    });
+  });
+
+  describe('review statuses', () => {
+    test('should show the video of a task awaiting review and record rejected tasks in history', async () => {
+      const taskId = await createTask('vehicle8', vehicleData, { duration: 5 });
+      taskService.updateTask(taskId, { status: 'awaiting_review', videoUrl: 'http://localhost/v/abc1234' });
+
+      expect(taskService.getTaskStatus(taskId).videoUrl).toBe('http://localhost/v/abc1234');
+      expect(taskService.isTaskFinished(taskId)).toBe(false);
+
+      taskService.updateTask(taskId, { status: 'rejected', review: { decision: 'rejected', reason: 'Blurry' } });
+
+      expect(taskService.isTaskFinished(taskId)).toBe(true);
+      expect(taskService.getTaskHistoryEntry(taskId)).toMatchObject({
+        status: 'rejected',
+        review: { decision: 'rejected', reason: 'Blurry' }
+      });
+    });
+  });
+
+  describe('cleanupOldTasks', () => {
+    test('should remove old finished tasks and keep videos awaiting review', async () => {
+      const createdAt = new Date(Date.now() - 48 * 60 * 60 * 1000).toISOString();
+      const finished = await createTask('vehicle9', vehicleData, { duration: 5 });
+      const awaitingReview = await createTask('vehicle9', vehicleData, { duration: 5 });
+      taskService.updateTask(finished, { status: 'completed', createdAt });
+      taskService.updateTask(awaitingReview, { status: 'awaiting_review', createdAt });
+
+      taskService.cleanupOldTasks();
+
+      expect(taskService.getTask(finished)).toBeNull();
+      expect(fs.existsSync(path.join(dataDir, 'tasks', `${finished}.json`))).toBe(false);
+      expect(taskService.getTaskHistoryEntry(finished)).toMatchObject({ status: 'completed' });
+      expect(taskService.getTask(awaitingReview)).toMatchObject({ status: 'awaiting_review' });
+      expect(readPersistedTask(awaitingReview)).toMatchObject({ status: 'awaiting_review' });
+    });
+  });
+
+  describe('task events', () => {
+    test('should record events and notify subscribers', async () => {
+      const taskId = await createTask('vehicle5', vehicleData);
+      const listener = jest.fn();
+      const unsubscribe = taskService.subscribeToTask(taskId, listener);
+
+      taskService.emitTaskEvent(taskId, 'submitted', { runwayTaskId: 'runway123' });
+      unsubscribe();
+      taskService.emitTaskEvent(taskId, 'completed');
+
+      expect(listener).toHaveBeenCalledTimes(1);
+      expect(listener).toHaveBeenCalledWith(expect.objectContaining({
+        type: 'submitted',
+        data: { runwayTaskId: 'runway123' }
+      }));
+      expect(taskService.getTaskEvents(taskId).map(event => event.type)).toEqual(['created', 'submitted', 'completed']);
+    });
+  });
+
+  describe('getTaskHistory', () => {
+    test('should record finished tasks in history', async () => {
+      const taskId = await createTask('vehicle4', vehicleData);
+      taskService.updateTask(taskId, { status: 'completed', completedAt: new Date().toISOString() });
+
+      const history = taskService.getTaskHistory({ vehicleId: 'vehicle4' });
+
+      expect(history).toHaveLength(1);
+      expect(history[0]).toMatchObject({ taskId, status: 'completed' });
+    });
+
+    test('should keep the video options and the link to the retry in history', async () => {
+      const videoOptions = { duration: 5, ratio: '768:1280', style: 'vintage', prompt: 'A prompt' };
+      const taskId = await createTask('vehicle10', vehicleData, videoOptions);
+      taskService.updateTask(taskId, { status: 'failed' });
+
+      taskService.recordRetry(taskId, 'retry1');
+
+      expect(taskService.getTask(taskId).retriedBy).toBe('retry1');
+      expect(taskService.getTaskHistoryEntry(taskId)).toMatchObject({
+        status: 'failed',
+        retriedBy: 'retry1',
+        videoOptions
+      });
+    });
+  });
+});
@@ -0,0 +1,106 @@
+/**
+ * URL Shortener Service Tests
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Point the short link store at a temporary directory before loading the service
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'url-shortener-service-test-'));
+process.env.DATA_DIR = dataDir;
+
+jest.mock('axios');
+
+const axios = require('axios');
+const config = require('../utils/config');
+const urlShortenerService = require('../services/url-shortener-service');
+
+const videoUrl = 'http://localhost:3000/videos/task1.mp4';
+
+describe('URL Shortener Service', () => {
+  const { adapter, fallback } = config.urlShortener;
+
+  afterEach(() => {
+    Object.assign(config.urlShortener, { adapter, fallback });
+  });
+
+  afterAll(() => {
+    fs.rmSync(dataDir, { recursive: true, force: true });
+    delete process.env.DATA_DIR;
+  });
+
+  describe('local shortener', () => {
+    test('should store a generated code that resolves to the URL', async () => {
+      const shortUrl = await urlShortenerService.shortenUrl(videoUrl, { baseUrl: 'http://api.example.com' });
+      const code = shortUrl.split('/v/')[1];
+
+      expect(shortUrl).toMatch(/^http:\/\/api\.example\.com\/v\/[A-Za-z0-9]{7}$/);
+      expect(fs.existsSync(path.join(dataDir, 'short-links', `${code}.json`))).toBe(true);
+      expect(urlShortenerService.resolveCode(code)).toMatchObject({ code, url: videoUrl, alias: false });
+      expect(axios).not.toHaveBeenCalled();
+    });
+
+    test('should use a custom alias and accept it again for the same URL', async () => {
+      const shortUrl = await urlShortenerService.shortenUrl(videoUrl, { alias: 'spring-promo', baseUrl: 'http://api.example.com' });
+
+      expect(shortUrl).toBe('http://api.example.com/v/spring-promo');
+      expect(urlShortenerService.resolveCode('spring-promo')).toMatchObject({ url: videoUrl, alias: true });
+      expect(await urlShortenerService.shortenUrl(videoUrl, { alias: 'spring-promo' })).toMatch(/\/v\/spring-promo$/);
+    });
+
+    test('should reject malformed and taken aliases', async () => {
+      await urlShortenerService.getAdapter('local').shorten(videoUrl, { alias: 'summer-sale' });
+
+      expect(urlShortenerService.validateAlias('no')).toMatch('3 to 64');
+      expect(urlShortenerService.validateAlias('../tasks')).toMatch('3 to 64');
+      expect(urlShortenerService.validateAlias('summer-sale')).toBe('Alias already in use: summer-sale');
+      expect(urlShortenerService.validateAlias('autumn-sale')).toBeNull();
+      await expect(urlShortenerService.getAdapter('local').shorten('http://other/video.mp4', { alias: 'summer-sale' }))
+        .rejects.toMatchObject({ status: 409 });
+    });
+
+    test('should not resolve unknown codes or codes outside the store', () => {
+      expect(urlShortenerService.resolveCode('missing')).toBeNull();
+      expect(urlShortenerService.resolveCode('../prompt-presets/x')).toBeNull();
+    });
+  });
+
+  describe('fallback', () => {
+    test('should use is.gd when the configured adapter fails', async () => {
+      jest.spyOn(urlShortenerService.getAdapter('local'), 'shorten').mockRejectedValueOnce(new Error('EACCES: permission denied'));
+      axios.mockResolvedValueOnce({ data: { shorturl: 'https://is.gd/abc' } });
+
+      const shortUrl = await urlShortenerService.shortenUrl('http://other/video.mp4', { alias: 'new-alias' });
+
+      expect(shortUrl).toBe('https://is.gd/abc');
+      expect(axios).toHaveBeenCalledWith(expect.objectContaining({
+        url: expect.stringContaining('shorturl=new-alias')
+      }));
+    });
+
+    test('should not send an alias that is already in use to is.gd', async () => {
+      await urlShortenerService.getAdapter('local').shorten(videoUrl, { alias: 'taken-alias' });
+
+      const shortUrl = await urlShortenerService.shortenUrl('http://other/video.mp4', { alias: 'taken-alias' });
+
+      expect(shortUrl).toBe('http://other/video.mp4');
+      expect(axios).not.toHaveBeenCalled();
+    });
+
+    test('should return the original URL when every adapter fails', async () => {
+      config.urlShortener.adapter = 'isgd';
+      axios.mockRejectedValueOnce(new Error('Network error'));
+
+      expect(await urlShortenerService.shortenUrl(videoUrl)).toBe(videoUrl);
+      expect(axios).toHaveBeenCalledTimes(1);
+    });
+
+    test('should reject an unknown adapter name', () => {
+      expect(() => urlShortenerService.getAdapter('bitly')).toThrow(expect.objectContaining({
+        status: 500,
+        details: { availableShorteners: ['local', 'isgd'] }
+      }));
+    });
+  });
+});
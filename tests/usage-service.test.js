@@ -0,0 +1,108 @@
+/**
+ * Usage Service Tests
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Point the task store and history at a temporary directory before loading the services
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'usage-service-test-'));
+process.env.DATA_DIR = dataDir;
+
+const config = require('../utils/config');
+const taskService = require('../services/task-service');
+const usageService = require('../services/usage-service');
+
+/**
+ * Creates a task with the given outcome
+ * @param {object} details - Task fields set after creation (status, provider, estimatedCredits, actualCredits, dealerId)
+ * @param {string} [country='it'] - Country code
+ * @returns {string} Task ID
+ */
+function createTask(details, country = 'it') {
+  const taskId = taskService.createVideoTask('vehicle1', { id: 'vehicle1' }, { model: 'gen3a_turbo', duration: 5 }, { country });
+  taskService.updateTask(taskId, details);
+  return taskId;
+}
+
+describe('Usage Service', () => {
+  const month = usageService.getMonth();
+
+  afterEach(() => {
+    config.budgets.countryBudgets = {};
+    config.budgets.dealerBudgets = {};
+  });
+
+  afterAll(() => {
+    fs.rmSync(dataDir, { recursive: true, force: true });
+    delete process.env.DATA_DIR;
+  });
+
+  test('should count reported credits, estimates of charged tasks and nothing for failed ones', () => {
+    expect(usageService.getBilledCredits({ status: 'completed', provider: 'runway', estimatedCredits: 25, actualCredits: 30 })).toBe(30);
+    expect(usageService.getBilledCredits({ status: 'cancelled', provider: 'runway', estimatedCredits: 25 })).toBe(25);
+    expect(usageService.getBilledCredits({ status: 'failed', provider: 'runway', estimatedCredits: 25 })).toBe(0);
+    expect(usageService.getBilledCredits({ status: 'cancelled', estimatedCredits: 25 })).toBe(0);
+    expect(usageService.getBilledCredits({ status: 'queued', estimatedCredits: 25 })).toBe(25);
+    // A storyboard whose first shot reported its credits still holds the estimate of the others
+    expect(usageService.getBilledCredits({ status: 'processing_runway', estimatedCredits: 75, actualCredits: 25 })).toBe(75);
+    expect(usageService.getBilledCredits({ status: 'processing_runway', estimatedCredits: 25, actualCredits: 30 })).toBe(30);
+  });
+
+  test('should summarise the month from the task history and unfinished tasks', () => {
+    createTask({ status: 'completed', provider: 'runway', estimatedCredits: 25, actualCredits: 30, dealerId: 'dealer-42' });
+    createTask({ status: 'failed', provider: 'runway', estimatedCredits: 25 });
+    createTask({ status: 'awaiting_review', provider: 'runway', estimatedCredits: 50, dealerId: 'dealer-42' }, 'de');
+    config.budgets.dealerBudgets = { 'dealer-42': 100, 'dealer-7': 40 };
+
+    const usage = usageService.getUsage();
+
+    expect(usage).toMatchObject({
+      month,
+      tasks: 2,
+      credits: 80,
+      estimatedCredits: 75,
+      actualCredits: 30,
+      byCountry: { it: { tasks: 1, credits: 30 }, de: { tasks: 1, credits: 50 } },
+      byDealer: { 'dealer-42': { tasks: 2, credits: 80 } },
+      byModel: { gen3a_turbo: { tasks: 2, credits: 80 } }
+    });
+    expect(usage.budgets).toEqual([
+      { scope: 'dealer', id: 'dealer-42', budget: 100, spent: 80, remaining: 20 },
+      { scope: 'dealer', id: 'dealer-7', budget: 40, spent: 0, remaining: 40 }
+    ]);
+    expect(usageService.getUsage({ country: 'de' })).toMatchObject({ credits: 50, budgets: [] });
+    expect(usageService.getUsage({ dealerId: 'dealer-42' }).budgets).toEqual([usage.budgets[0]]);
+    expect(usageService.getUsage({ month: '2001-01' }).tasks).toBe(0);
+  });
+
+  test('should reject a generation that does not fit in the budget', () => {
+    config.budgets.dealerBudgets = { 'dealer-42': 100 };
+    config.budgets.countryBudgets = { it: 1000 };
+
+    expect(() => usageService.checkBudget({ country: 'it', dealerId: 'dealer-42', credits: 20 })).not.toThrow();
+    expect(() => usageService.checkBudget({ country: 'it', dealerId: 'dealer-42', credits: 25 })).toThrow(expect.objectContaining({
+      status: 402,
+      message: 'Monthly credit budget exhausted for dealer dealer-42',
+      details: { scope: 'dealer', id: 'dealer-42', month, budget: 100, spent: 80, estimatedCredits: 25 }
+    }));
+    expect(() => usageService.checkBudget({ country: 'de', credits: 1000 })).not.toThrow();
+  });
+
+  test('should count reserved estimates until they are released', () => {
+    config.budgets.dealerBudgets = { 'dealer-42': 100 };
+
+    const reservationId = usageService.reserveBudget({ dealerId: 'dealer-42', credits: 15 });
+
+    expect(() => usageService.reserveBudget({ dealerId: 'dealer-42', credits: 10 })).toThrow(expect.objectContaining({
+      status: 402,
+      details: expect.objectContaining({ spent: 95 })
+    }));
+    // The reservation does not count against the generation holding it
+    expect(() => usageService.checkBudget({ dealerId: 'dealer-42', credits: 15, reservationId })).not.toThrow();
+
+    usageService.releaseBudget(reservationId);
+    expect(() => usageService.checkBudget({ dealerId: 'dealer-42', credits: 20 })).not.toThrow();
+  });
+});
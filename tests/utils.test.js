@@ -2,7 +2,7 @@
  * Utility Tests
  */
 
-const { handleApiError } = require('../utils/error-handler');
+const { handleApiError, createHttpError } = require('../utils/error-handler');
 const { requireAuth } = require('../utils/auth-middleware');
 const logger = require('../utils/logger');
 
@@ -49,6 +49,22 @@ describe('Utilities', () => {
       expect(res.status).toHaveBeenCalledWith(500);
       expect(res.json).toHaveBeenCalledWith({ error: 'Internal server error' });
     });
+    
+    test('should use the status of errors created with createHttpError', () => {
+      // Create mock objects
+      const error = createHttpError(409, 'Task is already completed', { taskId: 'task1' });
+      const res = {
+        status: jest.fn().mockReturnThis(),
+        json: jest.fn()
+      };
+      
+      // Call the handler
+      handleApiError(error, res, 'Test operation');
+      
+      // Check the response
+      expect(res.status).toHaveBeenCalledWith(409);
+      expect(res.json).toHaveBeenCalledWith({ error: 'Task is already completed', taskId: 'task1' });
+    });
   });
 
   describe('Auth Middleware', () => {
@@ -125,4 +125,25 @@ describe('Vehicle Service', () => {
       }));
     });
   });
-});
\ No newline at end of file
+
+  describe('updateVehicleField', () => {
+    test('should report the value the field had before the update', async () => {
+      axios
+        .mockResolvedValueOnce({ data: { id: 'vehicle1', videoUrl: 'https://is.gd/old' } })
+        .mockResolvedValueOnce({ data: {} });
+      
+      const result = await vehicleService.updateVehicleField({
+        vehicleId: 'vehicle1',
+        field: 'videoUrl',
+        value: 'https://is.gd/new',
+        authToken: 'test-token'
+      });
+      
+      expect(result).toMatchObject({ oldValue: 'https://is.gd/old', newValue: 'https://is.gd/new' });
+      expect(axios).toHaveBeenLastCalledWith(expect.objectContaining({
+        method: 'put',
+        data: { id: 'vehicle1', videoUrl: 'https://is.gd/new' }
+      }));
+    });
+  });
+});
@@ -0,0 +1,76 @@
+/**
+ * Video Frame Service Tests
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Store videos and frames in a temporary directory
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'video-frame-service-test-'));
+process.env.DATA_DIR = dataDir;
+
+// Stand-in for ffmpeg: writes the requested offset as the frame, nothing past 4 seconds
+jest.mock('child_process', () => ({
+  execFile: jest.fn((command, args, options, callback) => {
+    const offset = Number(args[args.indexOf('-ss') + 1]);
+    if (offset <= 4) {
+      require('fs').writeFileSync(args[args.length - 1], `frame@${offset}`);
+    }
+    callback(null, '', '');
+  })
+}));
+
+const { execFile } = require('child_process');
+const videoStorageService = require('../services/video-storage-service');
+const videoFrameService = require('../services/video-frame-service');
+
+const storedFrame = name => fs.readFileSync(path.join(dataDir, 'videos', `task1-${name}.jpg`), 'utf8');
+
+describe('Video Frame Service', () => {
+  beforeAll(async () => {
+    await videoStorageService.saveVideo('task1', Buffer.from('mp4 data'));
+  });
+
+  afterAll(() => {
+    fs.rmSync(dataDir, { recursive: true, force: true });
+    delete process.env.DATA_DIR;
+  });
+
+  test('should store the poster and thumbnails at the configured offsets', async () => {
+    const frames = await videoFrameService.extractFrames({
+      taskId: 'task1',
+      duration: 10,
+      apiBaseUrl: 'http://localhost:3000'
+    });
+
+    expect(frames.posterUrl).toBe('http://localhost:3000/videos/task1/poster.jpg');
+    expect(storedFrame('poster')).toBe('frame@1');
+    // The 4.5s thumbnail is past what the fake ffmpeg renders, so it is skipped
+    expect(frames.thumbnails).toEqual([
+      { offset: 0.5, url: 'http://localhost:3000/videos/task1/thumbnail-1.jpg' },
+      { offset: 2.5, url: 'http://localhost:3000/videos/task1/thumbnail-2.jpg' }
+    ]);
+    expect(storedFrame('thumbnail-2')).toBe('frame@2.5');
+    expect(execFile).toHaveBeenCalledWith('ffmpeg', expect.arrayContaining(['-vf', 'scale=320:-2']),
+      expect.any(Object), expect.any(Function));
+  });
+
+  test('should keep offsets inside short videos', async () => {
+    const frames = await videoFrameService.extractFrames({ taskId: 'task1', duration: 2 });
+
+    expect(frames.thumbnails.map(thumbnail => thumbnail.offset)).toEqual([0.5, 1.5, 1.5]);
+    expect(storedFrame('poster')).toBe('frame@1');
+  });
+
+  test('should fail without an archived video or ffmpeg', async () => {
+    await expect(videoFrameService.extractFrames({ taskId: 'missing' })).rejects.toThrow('No archived video');
+
+    execFile.mockImplementationOnce((command, args, options, callback) => {
+      const error = new Error('spawn ffmpeg ENOENT');
+      error.code = 'ENOENT';
+      callback(error, '', '');
+    });
+    await expect(videoFrameService.extractFrames({ taskId: 'task1' })).rejects.toThrow('ffmpeg not found');
+  });
+});
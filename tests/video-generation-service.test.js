@@ -0,0 +1,1373 @@
+/**
+ * Video Generation Service Tests
+ */
+
+jest.mock('../services/runway-service', () => ({
+  createImageToVideoTask: jest.fn(),
+  getTaskStatus: jest.fn(),
+  cancelTask: jest.fn(),
+  isSDKAvailable: jest.fn()
+}));
+
+jest.mock('../services/url-shortener-service', () => ({
+  shortenUrl: jest.fn()
+}));
+
+jest.mock('../services/vehicle-service', () => ({
+  getVehicleDetails: jest.fn(),
+  getVehicleImages: jest.fn(),
+  updateVehicleField: jest.fn(),
+  uploadGalleryImage: jest.fn()
+}));
+
+jest.mock('../services/video-storage-service', () => ({
+  archiveVideo: jest.fn(),
+  saveVideo: jest.fn(),
+  getVideoUrl: jest.fn((taskId, apiBaseUrl) => `${apiBaseUrl}/videos/${taskId}.mp4`),
+  getFrameKey: jest.fn((taskId, frame) => `${taskId}-${frame}.jpg`),
+  getStorage: jest.fn(() => ({ createReadStream: jest.fn(() => 'poster stream') }))
+}));
+
+jest.mock('../services/video-frame-service', () => ({
+  extractFrames: jest.fn()
+}));
+
+jest.mock('../services/video-library-service', () => ({
+  addGeneratedVideo: jest.fn(),
+  recordActivation: jest.fn(),
+  getVideo: jest.fn(),
+  getLibrary: jest.fn()
+}));
+
+jest.mock('../services/task-service', () => ({
+  createVideoTask: jest.fn(),
+  updateTask: jest.fn(),
+  getTaskHistory: jest.fn(),
+  getTaskHistoryEntry: jest.fn(),
+  recordRetry: jest.fn(),
+  getTask: jest.fn(),
+  findTask: jest.fn(),
+  findTasks: jest.fn(),
+  getTaskStatus: jest.fn(),
+  getResumableTasks: jest.fn(),
+  emitTaskEvent: jest.fn(),
+  TERMINAL_STATUSES: ['completed', 'failed', 'cancelled', 'rejected']
+}));
+
+jest.mock('../services/batch-service', () => ({
+  recordRetry: jest.fn()
+}));
+
+const runwayService = require('../services/runway-service');
+const urlShortenerService = require('../services/url-shortener-service');
+const vehicleService = require('../services/vehicle-service');
+const taskService = require('../services/task-service');
+const videoStorageService = require('../services/video-storage-service');
+const videoFrameService = require('../services/video-frame-service');
+const videoLibraryService = require('../services/video-library-service');
+const batchService = require('../services/batch-service');
+const queueService = require('../services/queue-service');
+const videoGenerationService = require('../services/video-generation-service');
+const config = require('../utils/config');
+
+const vehicleData = {
+  id: 'vehicle1',
+  brand: 'Toyota',
+  model: 'Corolla',
+  year: 2022,
+  exteriorColorName: 'Red'
+};
+
+const images = [
+  { id: 'img1', url: 'http://example.com/img1.jpg' },
+  { id: 'img2', url: 'http://example.com/img2.jpg' },
+  { id: 'img3', url: 'http://example.com/img3.jpg' }
+];
+
+describe('Video Generation Service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    taskService.getTask.mockReturnValue({ createdAt: new Date().toISOString() });
+  });
+
+  describe('selectImages', () => {
+    test('should use the first two images as keyframes', () => {
+      const result = videoGenerationService.selectImages({ images, taskId: 'task1' });
+
+      expect(result.selectedImage).toBe(images[0]);
+      expect(result.promptImage).toEqual([images[0].url, images[1].url]);
+      expect(taskService.updateTask).toHaveBeenCalledWith('task1', {
+        imageUrl: images[0].url,
+        selectedImageIds: ['img1', 'img2'],
+        imageStrategy: 'gallery'
+      });
+    });
+
+    test('should use the images chosen by the caller', () => {
+      const result = videoGenerationService.selectImages({
+        images,
+        options: { firstImageId: 'img3', lastImageId: 'img1' },
+        taskId: 'task1'
+      });
+
+      expect(result.promptImage).toEqual([images[2].url, images[0].url]);
+      expect(taskService.updateTask).toHaveBeenCalledWith('task1', expect.objectContaining({
+        selectedImageIds: ['img3', 'img1'],
+        imageStrategy: 'explicit'
+      }));
+    });
+
+    test('should use a single image URL when only one image exists', () => {
+      const result = videoGenerationService.selectImages({ images: [images[0]], taskId: 'task1' });
+
+      expect(result.promptImage).toBe(images[0].url);
+    });
+  });
+
+  describe('buildPrompt', () => {
+    test('should build a default prompt from vehicle details', () => {
+      const { prompt } = videoGenerationService.buildPrompt({ vehicleData, options: {}, taskId: 'task1' });
+
+      expect(prompt).toContain('2022 Toyota Corolla in Red');
+    });
+
+    test('should prefer a custom prompt', () => {
+      const { prompt } = videoGenerationService.buildPrompt({
+        vehicleData,
+        options: { prompt: 'Custom prompt' },
+        taskId: 'task1'
+      });
+
+      expect(prompt).toBe('Custom prompt');
+    });
+
+    test('should render the requested prompt template', () => {
+      const { prompt } = videoGenerationService.buildPrompt({
+        vehicleData: { ...vehicleData, bodyType: 'sedan' },
+        options: { templateId: 'showroom' },
+        taskId: 'task1'
+      });
+
+      expect(prompt).toContain('turntable shot of a 2022 Toyota Corolla sedan in Red');
+    });
+
+    test('should render the template of a prompt preset', () => {
+      const { prompt } = videoGenerationService.buildPrompt({
+        vehicleData,
+        options: { promptTemplate: 'A {{brand}} {{model}} at the beach', presetId: 'p1', templateId: 'showroom' },
+        taskId: 'task1'
+      });
+
+      expect(prompt).toBe('A Toyota Corolla at the beach');
+    });
+  });
+
+  describe('waitForSlot', () => {
+    const originalLimit = config.generationQueue.maxConcurrent;
+
+    beforeEach(() => {
+      config.generationQueue.maxConcurrent = 1;
+    });
+
+    afterEach(() => {
+      config.generationQueue.maxConcurrent = originalLimit;
+      queueService.release('other');
+      queueService.release('task1');
+    });
+
+    test('should not change the status when a slot is free', async () => {
+      await videoGenerationService.waitForSlot({ taskId: 'task1', country: 'it' });
+
+      expect(taskService.updateTask).not.toHaveBeenCalled();
+      expect(queueService.getQueueStats().running).toBe(1);
+    });
+
+    test('should mark the task queued until a slot is released', async () => {
+      await queueService.acquire('other');
+
+      const waiting = videoGenerationService.waitForSlot({ taskId: 'task1', country: 'it' });
+
+      expect(taskService.updateTask).toHaveBeenCalledWith('task1', { status: 'queued' });
+      expect(taskService.emitTaskEvent).toHaveBeenCalledWith('task1', 'queued', { queuePosition: 1 });
+
+      queueService.release('other');
+      await waiting;
+
+      expect(taskService.updateTask).toHaveBeenLastCalledWith('task1', { status: 'processing' });
+    });
+
+    test('should leave the queue when the task is cancelled', async () => {
+      await queueService.acquire('other');
+      const pipeline = videoGenerationService.runPipeline({ taskId: 'task1', country: 'it' }, [
+        { name: 'waitForSlot', run: videoGenerationService.waitForSlot }
+      ]);
+      await new Promise(resolve => setImmediate(resolve));
+
+      taskService.getTask.mockReturnValue({ vehicleId: 'vehicle1', status: 'queued' });
+      await videoGenerationService.cancelTask('task1');
+
+      expect(await pipeline).toBeNull();
+      expect(queueService.getQueuePosition('task1')).toBeNull();
+      expect(taskService.updateTask).not.toHaveBeenCalledWith('task1', expect.objectContaining({ status: 'failed' }));
+    });
+  });
+
+  describe('submitToRunway', () => {
+    test('should create a Runway task and store its ID', async () => {
+      runwayService.isSDKAvailable.mockReturnValue(true);
+      runwayService.createImageToVideoTask.mockResolvedValueOnce({ id: 'runway123' });
+
+      const result = await videoGenerationService.submitToRunway({
+        prompt: 'A prompt',
+        promptImage: [images[0].url, images[1].url],
+        options: { duration: 10 },
+        taskId: 'task1'
+      });
+
+      expect(result).toEqual({ runwayTaskId: 'runway123', provider: 'runway' });
+      expect(runwayService.createImageToVideoTask).toHaveBeenCalledWith({
+        promptText: 'A prompt',
+        promptImage: [images[0].url, images[1].url],
+        model: 'gen3a_turbo',
+        duration: 10,
+        ratio: '1280:768',
+        parameters: { style: 'cinematic' },
+        taskId: 'task1'
+      });
+      expect(taskService.updateTask).toHaveBeenCalledWith('task1', {
+        runwayTaskId: 'runway123',
+        provider: 'runway',
+        status: 'processing_runway'
+      });
+    });
+
+    test('should cancel the Runway task when the task was cancelled while it was being created', async () => {
+      runwayService.isSDKAvailable.mockReturnValue(true);
+      let created;
+      runwayService.createImageToVideoTask.mockReturnValueOnce(new Promise(resolve => { created = resolve; }));
+      runwayService.cancelTask.mockResolvedValueOnce();
+      taskService.getTask.mockReturnValue({ vehicleId: 'vehicle1', status: 'processing' });
+
+      const submitted = videoGenerationService.submitToRunway({
+        prompt: 'A prompt',
+        promptImage: images[0].url,
+        options: {},
+        taskId: 'task1'
+      });
+      await videoGenerationService.cancelTask('task1');
+      expect(runwayService.cancelTask).not.toHaveBeenCalled();
+
+      taskService.getTask.mockReturnValue({ vehicleId: 'vehicle1', status: 'cancelled' });
+      created({ id: 'runway123' });
+
+      await expect(submitted).rejects.toMatchObject({ code: 'TASK_CANCELLED' });
+      expect(runwayService.cancelTask).toHaveBeenCalledWith('runway123', 'task1');
+      expect(taskService.updateTask).toHaveBeenCalledWith('task1', { runwayTaskId: 'runway123', provider: 'runway' });
+      expect(taskService.updateTask).toHaveBeenCalledWith('task1', { runwayCancelled: true });
+      expect(taskService.updateTask).not.toHaveBeenCalledWith('task1', expect.objectContaining({ status: 'processing_runway' }));
+    });
+
+    test('should throw when the SDK is not available', async () => {
+      runwayService.isSDKAvailable.mockReturnValue(false);
+
+      await expect(videoGenerationService.submitToRunway({
+        prompt: 'A prompt',
+        promptImage: images[0].url,
+        options: {},
+        taskId: 'task1'
+      })).rejects.toThrow('Runway SDK is not available');
+    });
+  });
+
+  describe('pollRunway', () => {
+    test('should poll until the task succeeds', async () => {
+      runwayService.getTaskStatus
+        .mockResolvedValueOnce({ status: 'RUNNING' })
+        .mockRejectedValueOnce(new Error('Network glitch'))
+        .mockResolvedValueOnce({ status: 'SUCCEEDED', output: ['http://runway/video.mp4'] });
+
+      const result = await videoGenerationService.pollRunway({
+        runwayTaskId: 'runway123',
+        taskId: 'task1',
+        pollInterval: 0
+      });
+
+      expect(result).toEqual({ videoUrl: 'http://runway/video.mp4' });
+      expect(runwayService.getTaskStatus).toHaveBeenCalledTimes(3);
+      expect(taskService.emitTaskEvent).toHaveBeenCalledWith('task1', 'runway_status', expect.objectContaining({
+        runwayStatus: 'RUNNING'
+      }));
+      expect(taskService.updateTask).toHaveBeenCalledWith('task1', { tempVideoUrl: 'http://runway/video.mp4' });
+    });
+
+    test('should add the credits Runway reports to the task', async () => {
+      runwayService.getTaskStatus.mockResolvedValueOnce({ status: 'SUCCEEDED', output: ['http://runway/video.mp4'], credits: 25 });
+      taskService.getTask.mockReturnValue({ status: 'processing_runway', actualCredits: 50 });
+
+      await videoGenerationService.pollRunway({ runwayTaskId: 'runway123', taskId: 'task1', pollInterval: 0 });
+
+      expect(taskService.updateTask).toHaveBeenCalledWith('task1', {
+        tempVideoUrl: 'http://runway/video.mp4',
+        actualCredits: 75
+      });
+    });
+
+    test('should throw when Runway reports failure', async () => {
+      runwayService.getTaskStatus.mockResolvedValueOnce({ status: 'FAILED', error: 'Bad input' });
+
+      await expect(videoGenerationService.pollRunway({
+        runwayTaskId: 'runway123',
+        taskId: 'task1',
+        pollInterval: 0
+      })).rejects.toThrow('Task failed: Bad input');
+    });
+
+    test('should stop polling once the task is cancelled', async () => {
+      runwayService.getTaskStatus.mockResolvedValue({ status: 'RUNNING' });
+      taskService.getTask
+        .mockReturnValueOnce({ status: 'processing_runway' })
+        .mockReturnValueOnce({ status: 'cancelled' });
+
+      await expect(videoGenerationService.pollRunway({
+        runwayTaskId: 'runway123',
+        taskId: 'task1',
+        pollInterval: 0
+      })).rejects.toMatchObject({ code: 'TASK_CANCELLED' });
+      expect(runwayService.getTaskStatus).toHaveBeenCalledTimes(1);
+    });
+
+    test('should time out once the timeout has passed, with a last check at the deadline', async () => {
+      runwayService.getTaskStatus.mockResolvedValue({ status: 'RUNNING' });
+
+      await expect(videoGenerationService.pollRunway({
+        runwayTaskId: 'runway123',
+        taskId: 'task1',
+        pollTimeout: 30,
+        pollInterval: 1000
+      })).rejects.toThrow(/^Task timed out after \d+s \(2 status checks\)$/);
+      expect(runwayService.getTaskStatus).toHaveBeenCalledTimes(2);
+    });
+
+    test('should keep polling through errors until the timeout', async () => {
+      runwayService.getTaskStatus.mockRejectedValue(new Error('Network glitch'));
+
+      await expect(videoGenerationService.pollRunway({
+        runwayTaskId: 'runway123',
+        taskId: 'task1',
+        pollTimeout: 30,
+        pollInterval: 10
+      })).rejects.toThrow('Task timed out');
+      expect(runwayService.getTaskStatus.mock.calls.length).toBeGreaterThan(1);
+    });
+  });
+
+  describe('getPollDelay and getPollTimeout', () => {
+    const settings = {
+      pendingInterval: 15000,
+      runningInterval: 10000,
+      nearCompletionInterval: 3000,
+      nearCompletionProgress: 0.8,
+      errorInterval: 10000,
+      maxErrorInterval: 60000,
+      rateLimitInterval: 45000
+    };
+
+    test('should poll faster near completion and slower while pending', () => {
+      expect(videoGenerationService.getPollDelay({ status: 'pending' }, settings)).toBe(15000);
+      expect(videoGenerationService.getPollDelay({ status: 'running' }, settings)).toBe(10000);
+      expect(videoGenerationService.getPollDelay({ status: 'running', progress: 0.5 }, settings)).toBe(10000);
+      expect(videoGenerationService.getPollDelay({ status: 'running', progress: 0.9 }, settings)).toBe(3000);
+    });
+
+    test('should back off on errors and follow Retry-After on a 429', () => {
+      const error = new Error('Network glitch');
+      const rateLimited = Object.assign(new Error('Too many requests'), { status: 429 });
+
+      expect(videoGenerationService.getPollDelay({ error, errors: 1 }, settings)).toBe(10000);
+      expect(videoGenerationService.getPollDelay({ error, errors: 3 }, settings)).toBe(40000);
+      expect(videoGenerationService.getPollDelay({ error, errors: 5 }, settings)).toBe(60000);
+      expect(videoGenerationService.getPollDelay({ error: rateLimited }, settings)).toBe(45000);
+      expect(videoGenerationService.getPollDelay({
+        error: Object.assign(new Error('Too many requests'), { response: { status: 429, headers: { 'retry-after': '20' } } })
+      }, settings)).toBe(20000);
+      expect(videoGenerationService.getPollDelay({
+        error: Object.assign(rateLimited, { headers: new Map([['retry-after', '5']]) })
+      }, settings)).toBe(5000);
+    });
+
+    test('should take the timeout of the model, then of the duration', () => {
+      const timeouts = { default: 600000, byModel: { gen4_turbo: 720000 }, byDuration: { 10: 900000 } };
+
+      expect(videoGenerationService.getPollTimeout({}, timeouts)).toBe(600000);
+      expect(videoGenerationService.getPollTimeout({ duration: 10 }, timeouts)).toBe(900000);
+      expect(videoGenerationService.getPollTimeout({ model: 'gen4_turbo', duration: 10 }, timeouts)).toBe(720000);
+    });
+  });
+
+  describe('renderShots', () => {
+    let task;
+
+    beforeEach(() => {
+      // Stubbed provider: every shot renders at once into a synthetic clip named after its Runway task
+      runwayService.isSDKAvailable.mockReturnValue(true);
+      runwayService.createImageToVideoTask.mockImplementation(payload => Promise.resolve({ id: `runway-${payload.duration}s` }));
+      runwayService.getTaskStatus.mockImplementation(runwayTaskId => Promise.resolve({
+        status: 'SUCCEEDED',
+        output: [`https://runway.test/${runwayTaskId}.mp4`]
+      }));
+
+      taskService.getTask.mockImplementation(() => task);
+      taskService.updateTask.mockImplementation((taskId, updateData) => {
+        task = { ...task, ...updateData };
+        return task;
+      });
+    });
+
+    afterEach(() => {
+      taskService.updateTask.mockReset();
+    });
+
+    test('should render every shot and return the clips in order', async () => {
+      task = {
+        status: 'processing',
+        subTasks: [
+          { index: 0, status: 'pending', promptImage: [images[0].url, images[1].url], prompt: 'Exterior', duration: 5 },
+          { index: 1, status: 'pending', promptImage: images[2].url, prompt: 'Interior', duration: 10 }
+        ]
+      };
+
+      const result = await videoGenerationService.renderShots({ options: { ratio: '1280:768' }, taskId: 'task1', pollInterval: 0 });
+
+      expect(result).toEqual({
+        clipUrls: ['https://runway.test/runway-5s.mp4', 'https://runway.test/runway-10s.mp4']
+      });
+      expect(runwayService.createImageToVideoTask).toHaveBeenCalledWith(expect.objectContaining({
+        promptText: 'Interior',
+        promptImage: images[2].url,
+        duration: 10,
+        ratio: '1280:768'
+      }));
+      expect(task.subTasks.map(shot => shot.status)).toEqual(['completed', 'completed']);
+      expect(taskService.emitTaskEvent).toHaveBeenCalledWith('task1', 'shot_completed', {
+        index: 1,
+        videoUrl: 'https://runway.test/runway-10s.mp4'
+      });
+    });
+
+    test('should skip rendered shots and keep polling a submitted one', async () => {
+      task = {
+        status: 'processing_runway',
+        subTasks: [
+          { index: 0, status: 'completed', videoUrl: 'https://runway.test/done.mp4', duration: 5 },
+          { index: 1, status: 'processing_runway', runwayTaskId: 'runway-resumed', duration: 5 }
+        ]
+      };
+
+      const result = await videoGenerationService.renderShots({ options: {}, taskId: 'task1', pollInterval: 0 });
+
+      expect(result.clipUrls).toEqual(['https://runway.test/done.mp4', 'https://runway.test/runway-resumed.mp4']);
+      expect(runwayService.createImageToVideoTask).not.toHaveBeenCalled();
+    });
+
+    test('should mark the failing shot and stop', async () => {
+      task = {
+        status: 'processing',
+        subTasks: [
+          { index: 0, status: 'pending', promptImage: images[0].url, prompt: 'Exterior', duration: 5 },
+          { index: 1, status: 'pending', promptImage: images[1].url, prompt: 'Interior', duration: 5 }
+        ]
+      };
+      runwayService.getTaskStatus.mockResolvedValueOnce({ status: 'FAILED', error: 'Bad input' });
+
+      await expect(videoGenerationService.renderShots({ options: {}, taskId: 'task1', pollInterval: 0 }))
+        .rejects.toThrow('Task failed: Bad input');
+      expect(task.subTasks[0]).toMatchObject({ status: 'failed', error: 'Task failed: Bad input' });
+      expect(runwayService.createImageToVideoTask).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('archiveVideo', () => {
+    test('should store the provider video and continue with the stable URL', async () => {
+      videoStorageService.archiveVideo.mockResolvedValueOnce();
+
+      const result = await videoGenerationService.archiveVideo({
+        videoUrl: 'http://runway/video.mp4',
+        apiBaseUrl: 'http://localhost:3000',
+        taskId: 'task1'
+      });
+
+      expect(result).toEqual({ videoUrl: 'http://localhost:3000/videos/task1.mp4', archived: true });
+      expect(videoStorageService.archiveVideo).toHaveBeenCalledWith('http://runway/video.mp4', 'task1');
+      expect(taskService.updateTask).toHaveBeenCalledWith('task1', expect.objectContaining({
+        providerVideoUrl: 'http://runway/video.mp4',
+        archivedAt: expect.any(String)
+      }));
+    });
+
+    test('should keep the provider URL when the download fails', async () => {
+      videoStorageService.archiveVideo.mockRejectedValueOnce(new Error('timeout of 120000ms exceeded'));
+
+      const result = await videoGenerationService.archiveVideo({
+        videoUrl: 'http://runway/video.mp4',
+        apiBaseUrl: 'http://localhost:3000',
+        taskId: 'task1'
+      });
+
+      expect(result).toEqual({});
+      expect(taskService.updateTask).toHaveBeenCalledWith('task1', { archiveError: 'timeout of 120000ms exceeded' });
+    });
+  });
+
+  describe('extractFrames', () => {
+    const frames = {
+      posterUrl: 'http://localhost:3000/videos/task1/poster.jpg',
+      thumbnails: [{ offset: 0.5, url: 'http://localhost:3000/videos/task1/thumbnail-1.jpg' }]
+    };
+    const context = {
+      archived: true,
+      options: { duration: 10 },
+      vehicleId: 'vehicle1',
+      authToken: 'Bearer test-token',
+      country: 'it',
+      apiBaseUrl: 'http://localhost:3000',
+      taskId: 'task1'
+    };
+
+    test('should record the poster and thumbnail URLs of the archived video', async () => {
+      taskService.getTask.mockReturnValueOnce({ status: 'processing_runway' });
+      videoFrameService.extractFrames.mockResolvedValueOnce(frames);
+
+      const result = await videoGenerationService.extractFrames(context);
+
+      expect(result).toEqual({ posterUrl: frames.posterUrl });
+      expect(videoFrameService.extractFrames).toHaveBeenCalledWith({
+        taskId: 'task1',
+        duration: 10,
+        apiBaseUrl: 'http://localhost:3000'
+      });
+      expect(taskService.updateTask).toHaveBeenCalledWith('task1', frames);
+      expect(vehicleService.uploadGalleryImage).not.toHaveBeenCalled();
+    });
+
+    test('should skip videos that were not archived', async () => {
+      expect(await videoGenerationService.extractFrames({ ...context, archived: undefined })).toEqual({});
+      expect(videoFrameService.extractFrames).not.toHaveBeenCalled();
+    });
+
+    test('should record a failed extraction without failing the task', async () => {
+      taskService.getTask.mockReturnValueOnce({ subTasks: [{ duration: 5 }, { duration: 10 }] });
+      videoFrameService.extractFrames.mockRejectedValueOnce(new Error('Failed to extract frame: ffmpeg not found at "ffmpeg"'));
+
+      expect(await videoGenerationService.extractFrames(context)).toEqual({});
+      expect(videoFrameService.extractFrames).toHaveBeenCalledWith(expect.objectContaining({ duration: 15 }));
+      expect(taskService.updateTask).toHaveBeenCalledWith('task1', {
+        framesError: 'Failed to extract frame: ffmpeg not found at "ffmpeg"'
+      });
+    });
+
+    test('should upload the poster to the vehicle gallery when configured', async () => {
+      const originalSetting = config.videoFrames.uploadPosterToGallery;
+      config.videoFrames.uploadPosterToGallery = true;
+      taskService.getTask.mockReturnValueOnce({});
+      videoFrameService.extractFrames.mockResolvedValueOnce(frames);
+      vehicleService.uploadGalleryImage.mockResolvedValueOnce({ id: 'img9' });
+
+      try {
+        await videoGenerationService.extractFrames(context);
+      } finally {
+        config.videoFrames.uploadPosterToGallery = originalSetting;
+      }
+
+      expect(vehicleService.uploadGalleryImage).toHaveBeenCalledWith({
+        vehicleId: 'vehicle1',
+        authToken: 'Bearer test-token',
+        country: 'it',
+        file: 'poster stream',
+        fileName: 'video-poster-task1.jpg',
+        contentType: 'image/jpeg'
+      });
+      expect(taskService.updateTask).toHaveBeenCalledWith('task1', { posterUploaded: true });
+    });
+  });
+
+  describe('finalizeVideo', () => {
+    test('should shorten the URL and complete the task', async () => {
+      urlShortenerService.shortenUrl.mockResolvedValueOnce('https://is.gd/abc');
+
+      const result = await videoGenerationService.finalizeVideo({
+        videoUrl: 'http://runway/video.mp4',
+        vehicleId: 'vehicle1',
+        apiBaseUrl: 'http://localhost:3000',
+        taskId: 'task1'
+      });
+
+      expect(result).toEqual({ shortUrl: 'https://is.gd/abc', awaitingReview: false });
+      expect(urlShortenerService.shortenUrl).toHaveBeenCalledWith('http://runway/video.mp4', {
+        logPrefix: 'URLShortener',
+        taskId: 'task1',
+        alias: undefined,
+        baseUrl: 'http://localhost:3000',
+        vehicleId: 'vehicle1'
+      });
+      expect(taskService.updateTask).toHaveBeenCalledWith('task1', expect.objectContaining({
+        status: 'completed',
+        videoUrl: 'https://is.gd/abc',
+        originalVideoUrl: 'http://runway/video.mp4'
+      }));
+      expect(videoLibraryService.addGeneratedVideo).toHaveBeenCalledWith('vehicle1', expect.objectContaining({
+        taskId: 'task1',
+        videoUrl: 'https://is.gd/abc',
+        originalVideoUrl: 'http://runway/video.mp4'
+      }));
+    });
+  });
+
+  describe('attachToVehicle', () => {
+    test('should update the vehicle videoUrl field', async () => {
+      vehicleService.updateVehicleField.mockResolvedValueOnce({ success: true, oldValue: 'https://is.gd/old' });
+
+      const result = await videoGenerationService.attachToVehicle({
+        shortUrl: 'https://is.gd/abc',
+        vehicleId: 'vehicle1',
+        authToken: 'Bearer test-token',
+        country: 'it',
+        taskId: 'task1'
+      });
+
+      expect(result).toEqual({ vehicleUpdated: true });
+      expect(vehicleService.updateVehicleField).toHaveBeenCalledWith(expect.objectContaining({
+        vehicleId: 'vehicle1',
+        field: 'videoUrl',
+        value: 'https://is.gd/abc'
+      }));
+      expect(videoLibraryService.recordActivation).toHaveBeenCalledWith('vehicle1', {
+        videoId: 'task1',
+        previousUrl: 'https://is.gd/old'
+      });
+    });
+
+    test('should not throw when the vehicle update fails', async () => {
+      vehicleService.updateVehicleField.mockRejectedValueOnce(new Error('API down'));
+
+      const result = await videoGenerationService.attachToVehicle({
+        shortUrl: 'https://is.gd/abc',
+        vehicleId: 'vehicle1',
+        authToken: 'Bearer test-token',
+        taskId: 'task1'
+      });
+
+      expect(result).toEqual({ vehicleUpdated: false });
+    });
+
+    test('should not update the same vehicle from two tasks at once', async () => {
+      let finishFirst;
+      vehicleService.updateVehicleField
+        .mockImplementationOnce(() => new Promise(resolve => { finishFirst = resolve; }))
+        .mockResolvedValueOnce({ success: true });
+
+      const authToken = 'Bearer test-token';
+      const first = videoGenerationService.attachToVehicle({ shortUrl: 'https://is.gd/one', vehicleId: 'vehicle1', authToken, taskId: 'task1' });
+      const second = videoGenerationService.attachToVehicle({ shortUrl: 'https://is.gd/two', vehicleId: 'vehicle1', authToken, taskId: 'task2' });
+      await new Promise(resolve => setImmediate(resolve));
+
+      expect(vehicleService.updateVehicleField).toHaveBeenCalledTimes(1);
+
+      finishFirst({ success: true });
+      await Promise.all([first, second]);
+
+      expect(vehicleService.updateVehicleField).toHaveBeenCalledTimes(2);
+      expect(vehicleService.updateVehicleField).toHaveBeenLastCalledWith(expect.objectContaining({ value: 'https://is.gd/two' }));
+    });
+  });
+
+  describe('runPipeline', () => {
+    test('should run custom steps in order with a shared context', async () => {
+      const order = [];
+      const steps = [
+        { name: 'first', run: () => { order.push('first'); return { value: 1 }; } },
+        { name: 'second', run: async (ctx) => { order.push('second'); return { value: ctx.value + 1 }; } }
+      ];
+
+      const result = await videoGenerationService.runPipeline({ taskId: 'task1' }, steps);
+
+      expect(order).toEqual(['first', 'second']);
+      expect(result.value).toBe(2);
+    });
+
+    test('should emit a completed event once all stages have run', async () => {
+      taskService.getTaskStatus.mockReturnValueOnce({ taskId: 'task1', status: 'completed' });
+
+      await videoGenerationService.runPipeline({ taskId: 'task1' }, []);
+
+      expect(taskService.emitTaskEvent).toHaveBeenCalledWith('task1', 'completed', { taskId: 'task1', status: 'completed' });
+    });
+
+    test('should mark the task as failed when a stage throws', async () => {
+      const steps = [
+        { name: 'broken', run: () => { throw new Error('Stage exploded'); } }
+      ];
+
+      const result = await videoGenerationService.runPipeline({ taskId: 'task1' }, steps);
+
+      expect(result).toBeNull();
+      expect(taskService.updateTask).toHaveBeenCalledWith('task1', {
+        status: 'failed',
+        error: 'Stage exploded'
+      });
+    });
+  });
+
+  describe('cancelTask', () => {
+    test('should mark the task cancelled and cancel it in Runway', async () => {
+      taskService.getTask.mockReturnValue({ vehicleId: 'vehicle1', runwayTaskId: 'runway123' });
+      taskService.getTaskStatus.mockReturnValueOnce({ taskId: 'task1', status: 'cancelled' });
+      runwayService.cancelTask.mockResolvedValueOnce();
+
+      const result = await videoGenerationService.cancelTask('task1');
+
+      expect(result).toEqual({ taskId: 'task1', status: 'cancelled' });
+      expect(taskService.updateTask).toHaveBeenCalledWith('task1', expect.objectContaining({ status: 'cancelled' }));
+      expect(runwayService.cancelTask).toHaveBeenCalledWith('runway123', 'task1');
+      expect(taskService.updateTask).toHaveBeenCalledWith('task1', { runwayCancelled: true });
+    });
+
+    test('should keep the task cancelled when Runway cancellation fails', async () => {
+      taskService.getTask.mockReturnValue({ vehicleId: 'vehicle1', runwayTaskId: 'runway123' });
+      runwayService.cancelTask.mockRejectedValueOnce(new Error('Runway down'));
+
+      await videoGenerationService.cancelTask('task1');
+
+      expect(taskService.updateTask).toHaveBeenCalledWith('task1', { runwayCancelled: false });
+    });
+
+    test('should not fail or attach a cancelled pipeline', async () => {
+      taskService.getTask.mockReturnValue({ status: 'cancelled' });
+      const attach = jest.fn();
+
+      const result = await videoGenerationService.runPipeline({ taskId: 'task1' }, [
+        { name: 'attachToVehicle', run: attach }
+      ]);
+
+      expect(result).toBeNull();
+      expect(attach).not.toHaveBeenCalled();
+      expect(taskService.updateTask).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('video review', () => {
+    const awaitingTask = {
+      vehicleId: 'vehicle1',
+      status: 'awaiting_review',
+      videoUrl: 'http://localhost:3000/v/abc1234',
+      requestContext: { authToken: 'Bearer old-token', country: 'fr', apiBaseUrl: 'http://localhost:3000' }
+    };
+
+    test('should hold a video for review instead of attaching it', async () => {
+      taskService.getTask.mockReturnValue({ createdAt: new Date().toISOString(), reviewRequired: true });
+      urlShortenerService.shortenUrl.mockResolvedValueOnce('http://localhost:3000/v/abc1234');
+
+      const context = await videoGenerationService.runPipeline({ taskId: 'task1', vehicleId: 'vehicle1', videoUrl: 'http://video.mp4' }, [
+        { name: 'finalizeVideo', run: videoGenerationService.finalizeVideo },
+        { name: 'attachToVehicle', run: videoGenerationService.attachToVehicle }
+      ]);
+
+      expect(context).toMatchObject({ awaitingReview: true, vehicleUpdated: false });
+      expect(taskService.updateTask).toHaveBeenCalledWith('task1', expect.objectContaining({
+        status: 'awaiting_review',
+        reviewRequestedAt: expect.any(String)
+      }));
+      expect(vehicleService.updateVehicleField).not.toHaveBeenCalled();
+      expect(taskService.emitTaskEvent).toHaveBeenCalledWith('task1', 'awaiting_review', undefined);
+      expect(videoLibraryService.addGeneratedVideo).not.toHaveBeenCalled();
+    });
+
+    test('should complete an approved video and attach it with the reviewer\'s token', async () => {
+      taskService.getTask.mockReturnValue(awaitingTask);
+      taskService.getTaskStatus.mockReturnValue({ taskId: 'task1', status: 'completed' });
+      vehicleService.updateVehicleField.mockResolvedValueOnce({ success: true });
+
+      const result = await videoGenerationService.approveTask('task1', { reviewer: 'anna', authToken: 'Bearer reviewer' });
+
+      expect(result).toEqual({ taskId: 'task1', status: 'completed' });
+      expect(taskService.updateTask).toHaveBeenCalledWith('task1', expect.objectContaining({
+        status: 'completed',
+        review: expect.objectContaining({ decision: 'approved', reviewer: 'anna' })
+      }));
+      expect(vehicleService.updateVehicleField).toHaveBeenCalledWith(expect.objectContaining({
+        vehicleId: 'vehicle1',
+        value: 'http://localhost:3000/v/abc1234',
+        authToken: 'Bearer reviewer',
+        country: 'fr'
+      }));
+      expect(taskService.emitTaskEvent).toHaveBeenCalledWith('task1', 'completed', result);
+      expect(videoLibraryService.addGeneratedVideo).toHaveBeenCalledWith('vehicle1', expect.objectContaining({ taskId: 'task1' }));
+      expect(videoLibraryService.recordActivation).toHaveBeenCalledWith('vehicle1', { videoId: 'task1', previousUrl: undefined });
+    });
+
+    test('should record the reason of a rejection without touching the vehicle', () => {
+      taskService.getTask.mockReturnValue(awaitingTask);
+
+      videoGenerationService.rejectTask('task1', { reason: 'Wrong colour', reviewer: 'anna' });
+
+      expect(taskService.updateTask).toHaveBeenCalledWith('task1', expect.objectContaining({
+        status: 'rejected',
+        review: expect.objectContaining({ decision: 'rejected', reason: 'Wrong colour', reviewer: 'anna' })
+      }));
+      expect(vehicleService.updateVehicleField).not.toHaveBeenCalled();
+    });
+
+    test('should only review tasks awaiting review', async () => {
+      taskService.getTask.mockReturnValueOnce({ status: 'completed' }).mockReturnValueOnce(null);
+
+      await expect(videoGenerationService.approveTask('task1')).rejects.toMatchObject({ status: 409 });
+      expect(() => videoGenerationService.rejectTask('missing', { reason: 'Bad' })).toThrow(expect.objectContaining({ status: 404 }));
+    });
+
+    test('should list tasks awaiting review, oldest first', () => {
+      const tasks = [
+        { taskId: 'task2', task: { ...awaitingTask, reviewRequestedAt: '2026-03-02T10:00:00.000Z' } },
+        { taskId: 'task1', task: { ...awaitingTask, reviewRequestedAt: '2026-03-01T10:00:00.000Z' } },
+        { taskId: 'task3', task: { ...awaitingTask, status: 'completed' } }
+      ];
+      taskService.findTasks.mockImplementation(predicate => tasks.filter(({ task, taskId }) => predicate(task, taskId)));
+      taskService.getTaskStatus.mockImplementation(taskId => ({ taskId }));
+
+      expect(videoGenerationService.listTasksAwaitingReview()).toEqual([{ taskId: 'task1' }, { taskId: 'task2' }]);
+      expect(videoGenerationService.listTasksAwaitingReview({ vehicleId: 'vehicle2' })).toEqual([]);
+    });
+  });
+
+  describe('activateVideo', () => {
+    test('should write an earlier video back to the vehicle', async () => {
+      videoLibraryService.getVideo.mockReturnValueOnce({ videoId: 'task1', videoUrl: 'http://localhost/v/first' });
+      videoLibraryService.getLibrary.mockReturnValueOnce({ vehicleId: 'vehicle1', activeVideoId: 'task1', videos: [] });
+      vehicleService.updateVehicleField.mockResolvedValueOnce({ success: true, oldValue: 'http://localhost/v/second' });
+
+      const library = await videoGenerationService.activateVideo({
+        vehicleId: 'vehicle1',
+        videoId: 'task1',
+        authToken: 'Bearer test-token',
+        country: 'it'
+      });
+
+      expect(library.activeVideoId).toBe('task1');
+      expect(vehicleService.updateVehicleField).toHaveBeenCalledWith(expect.objectContaining({
+        vehicleId: 'vehicle1',
+        field: 'videoUrl',
+        value: 'http://localhost/v/first'
+      }));
+      expect(videoLibraryService.recordActivation).toHaveBeenCalledWith('vehicle1', {
+        videoId: 'task1',
+        previousUrl: 'http://localhost/v/second'
+      });
+    });
+
+    test('should reject a video that is not in the library', async () => {
+      videoLibraryService.getVideo.mockReturnValueOnce(null);
+
+      await expect(videoGenerationService.activateVideo({ vehicleId: 'vehicle1', videoId: 'task9' }))
+        .rejects.toMatchObject({ status: 404 });
+      expect(vehicleService.updateVehicleField).not.toHaveBeenCalled();
+    });
+
+    test('should leave the library unchanged when the vehicle update fails', async () => {
+      videoLibraryService.getVideo.mockReturnValueOnce({ videoId: 'task1', videoUrl: 'http://localhost/v/first' });
+      vehicleService.updateVehicleField.mockRejectedValueOnce(new Error('Vehicle API down'));
+
+      await expect(videoGenerationService.activateVideo({ vehicleId: 'vehicle1', videoId: 'task1' }))
+        .rejects.toThrow('Vehicle API down');
+      expect(videoLibraryService.recordActivation).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('startVideoGeneration', () => {
+    test('should fetch the vehicle, create a task and start the pipeline', async () => {
+      vehicleService.getVehicleDetails.mockResolvedValueOnce(vehicleData);
+      vehicleService.getVehicleImages.mockResolvedValueOnce(images);
+      taskService.createVideoTask.mockReturnValueOnce('task1');
+      runwayService.isSDKAvailable.mockReturnValue(false);
+
+      const taskId = await videoGenerationService.startVideoGeneration({
+        vehicleId: 'vehicle1',
+        options: { duration: 5 },
+        authToken: 'Bearer test-token',
+        country: 'it',
+        apiBaseUrl: 'http://localhost:3000'
+      });
+
+      expect(taskId).toBe('task1');
+      expect(taskService.createVideoTask).toHaveBeenCalledWith('vehicle1', vehicleData, { duration: 5, model: 'gen3a_turbo' }, {
+        authToken: 'Bearer test-token',
+        country: 'it',
+        apiBaseUrl: 'http://localhost:3000'
+      });
+      expect(taskService.updateTask).toHaveBeenCalledWith('task1', expect.objectContaining({ estimatedCredits: 25 }));
+    });
+
+    test('should reject with a 402 error when the country budget is exhausted', async () => {
+      config.budgets.countryBudgets = { it: 40 };
+      taskService.getTaskHistory.mockReturnValueOnce([]);
+      taskService.findTasks.mockReturnValueOnce([
+        { taskId: 'task0', task: { status: 'processing_runway', createdAt: new Date().toISOString(), requestContext: { country: 'it' }, estimatedCredits: 25 } }
+      ]);
+
+      try {
+        await expect(videoGenerationService.startVideoGeneration({
+          vehicleId: 'vehicle1',
+          authToken: 'Bearer test-token',
+          country: 'it'
+        })).rejects.toMatchObject({ status: 402, details: { scope: 'country', id: 'it', budget: 40, spent: 25 } });
+      } finally {
+        config.budgets.countryBudgets = {};
+      }
+      expect(vehicleService.getVehicleDetails).not.toHaveBeenCalled();
+    });
+
+    test('should count a start still fetching the vehicle against the budget of concurrent starts', async () => {
+      config.budgets.countryBudgets = { it: 40 };
+      taskService.getTaskHistory.mockReturnValue([]);
+      taskService.findTasks.mockReturnValue([]);
+      let resolveVehicle;
+      vehicleService.getVehicleDetails.mockImplementationOnce(() => new Promise(resolve => { resolveVehicle = resolve; }));
+      vehicleService.getVehicleImages.mockResolvedValueOnce(images);
+      taskService.createVideoTask.mockReturnValueOnce('task1');
+      runwayService.isSDKAvailable.mockReturnValue(false);
+
+      try {
+        const params = { options: { duration: 5 }, authToken: 'Bearer test-token', country: 'it' };
+        const first = videoGenerationService.startVideoGeneration({ vehicleId: 'vehicle1', ...params });
+        const second = videoGenerationService.startVideoGeneration({ vehicleId: 'vehicle2', ...params });
+
+        await expect(second).rejects.toMatchObject({ status: 402, details: { spent: 25, estimatedCredits: 25 } });
+        resolveVehicle(vehicleData);
+        await expect(first).resolves.toBe('task1');
+        expect(vehicleService.getVehicleDetails).toHaveBeenCalledTimes(1);
+      } finally {
+        config.budgets.countryBudgets = {};
+        taskService.getTaskHistory.mockReset();
+        taskService.findTasks.mockReset();
+      }
+    });
+
+    test('should reject options the model does not support before fetching the vehicle', async () => {
+      await expect(videoGenerationService.startVideoGeneration({
+        vehicleId: 'vehicle1',
+        options: { model: 'gen4_turbo', ratio: '1280:768' },
+        authToken: 'Bearer test-token'
+      })).rejects.toMatchObject({ status: 400, details: { model: 'gen4_turbo' } });
+      expect(vehicleService.getVehicleDetails).not.toHaveBeenCalled();
+    });
+
+    test('should pick a single keyframe for models without a last keyframe', async () => {
+      vehicleService.getVehicleDetails.mockResolvedValueOnce(vehicleData);
+      vehicleService.getVehicleImages.mockResolvedValueOnce(images);
+      taskService.createVideoTask.mockReturnValueOnce('task1');
+      runwayService.isSDKAvailable.mockReturnValue(false);
+
+      await videoGenerationService.startVideoGeneration({
+        vehicleId: 'vehicle1',
+        options: { model: 'gen4_turbo' },
+        authToken: 'Bearer test-token'
+      });
+
+      expect(taskService.updateTask).toHaveBeenCalledWith('task1', expect.objectContaining({
+        selectedImageIds: [images[0].id]
+      }));
+    });
+
+    test('should mark tasks for review when reviews are required', async () => {
+      vehicleService.getVehicleDetails.mockResolvedValueOnce(vehicleData);
+      vehicleService.getVehicleImages.mockResolvedValueOnce(images);
+      taskService.createVideoTask.mockReturnValueOnce('task1');
+      runwayService.isSDKAvailable.mockReturnValue(false);
+      config.videoGeneration.requireReview = true;
+
+      try {
+        await videoGenerationService.startVideoGeneration({ vehicleId: 'vehicle1', authToken: 'Bearer test-token' });
+      } finally {
+        config.videoGeneration.requireReview = false;
+      }
+
+      expect(taskService.updateTask).toHaveBeenCalledWith('task1', expect.objectContaining({ reviewRequired: true }));
+    });
+
+    test('should reject with a 400 error when the vehicle has no images', async () => {
+      vehicleService.getVehicleDetails.mockResolvedValueOnce(vehicleData);
+      vehicleService.getVehicleImages.mockResolvedValueOnce([]);
+
+      await expect(videoGenerationService.startVideoGeneration({
+        vehicleId: 'vehicle1',
+        authToken: 'Bearer test-token'
+      })).rejects.toMatchObject({ status: 400 });
+      expect(taskService.createVideoTask).not.toHaveBeenCalled();
+    });
+
+    test('should store one sub-task per storyboard shot', async () => {
+      vehicleService.getVehicleDetails.mockResolvedValueOnce(vehicleData);
+      vehicleService.getVehicleImages.mockResolvedValueOnce(images);
+      taskService.createVideoTask.mockReturnValueOnce('task1');
+      runwayService.isSDKAvailable.mockReturnValue(false);
+
+      await videoGenerationService.startVideoGeneration({
+        vehicleId: 'vehicle1',
+        options: {
+          storyboard: [
+            { imageIds: ['img1', 'img2'], prompt: 'Exterior walkaround' },
+            { firstImageId: 'img3', duration: 10 }
+          ]
+        },
+        authToken: 'Bearer test-token'
+      });
+
+      const { subTasks } = taskService.updateTask.mock.calls.find(([, update]) => update.subTasks)[1];
+      expect(subTasks).toEqual([
+        expect.objectContaining({ index: 0, imageIds: ['img1', 'img2'], prompt: 'Exterior walkaround', duration: 5 }),
+        expect.objectContaining({ index: 1, imageIds: ['img3'], prompt: expect.stringContaining('2022 Toyota Corolla'), duration: 10 })
+      ]);
+    });
+
+    test('should reject requested images that are not in the gallery before creating a task', async () => {
+      vehicleService.getVehicleDetails.mockResolvedValueOnce(vehicleData);
+      vehicleService.getVehicleImages.mockResolvedValueOnce(images);
+
+      await expect(videoGenerationService.startVideoGeneration({
+        vehicleId: 'vehicle1',
+        options: { imageIds: ['img1', 'unknown'] },
+        authToken: 'Bearer test-token'
+      })).rejects.toMatchObject({ status: 400, details: { missingImageIds: ['unknown'] } });
+      expect(taskService.createVideoTask).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('requestVideoGeneration', () => {
+    const params = {
+      vehicleId: 'vehicle1',
+      options: { duration: 5 },
+      authToken: 'Bearer test-token',
+      country: 'it'
+    };
+
+    // Runs the predicate passed to findTask against the given tasks, like the real store
+    const withTasks = tasks => {
+      taskService.findTask.mockImplementation(predicate => {
+        const matches = Object.entries(tasks).filter(([taskId, task]) => predicate(task, taskId));
+        const last = matches[matches.length - 1];
+        return last ? { taskId: last[0], task: last[1] } : null;
+      });
+    };
+
+    test('should return the task of a known Idempotency-Key', async () => {
+      withTasks({ task1: { vehicleId: 'vehicle1', status: 'completed', idempotencyKey: 'key-1' } });
+
+      const result = await videoGenerationService.requestVideoGeneration({ ...params, idempotencyKey: 'key-1' });
+
+      expect(result).toEqual({ taskId: 'task1', reused: true });
+      expect(vehicleService.getVehicleDetails).not.toHaveBeenCalled();
+    });
+
+    test('should reject an Idempotency-Key used for another vehicle', async () => {
+      withTasks({ task1: { vehicleId: 'vehicle2', status: 'processing', idempotencyKey: 'key-1' } });
+
+      await expect(videoGenerationService.requestVideoGeneration({ ...params, idempotencyKey: 'key-1' }))
+        .rejects.toMatchObject({ status: 409 });
+    });
+
+    test('should record the request with its Idempotency-Key and reject a different request reusing the key', async () => {
+      withTasks({});
+      vehicleService.getVehicleDetails.mockResolvedValueOnce(vehicleData);
+      vehicleService.getVehicleImages.mockResolvedValueOnce(images);
+      taskService.createVideoTask.mockReturnValueOnce('task1');
+      runwayService.isSDKAvailable.mockReturnValue(false);
+
+      await videoGenerationService.requestVideoGeneration({ ...params, idempotencyKey: 'key-1', callbackUrl: 'https://crm.example.com/hook' });
+
+      const { requestFingerprint } = taskService.updateTask.mock.calls
+        .find(([taskId, update]) => taskId === 'task1' && update.idempotencyKey).at(1);
+      expect(requestFingerprint).toMatch(/^[0-9a-f]{64}$/);
+      const task = { vehicleId: 'vehicle1', status: 'processing', idempotencyKey: 'key-1', requestFingerprint };
+      withTasks({ task1: task });
+
+      // A replay of the same request gets the task
+      await expect(videoGenerationService.requestVideoGeneration({ ...params, idempotencyKey: 'key-1', callbackUrl: 'https://crm.example.com/hook' }))
+        .resolves.toEqual({ taskId: 'task1', reused: true });
+
+      for (const changed of [{ options: { duration: 10 } }, { callbackUrl: 'https://other.example.com/hook' }, { priority: 5 }, { dealerId: 'dealer-42' }]) {
+        await expect(videoGenerationService.requestVideoGeneration({
+          ...params,
+          idempotencyKey: 'key-1',
+          callbackUrl: 'https://crm.example.com/hook',
+          ...changed
+        })).rejects.toMatchObject({
+          status: 409,
+          message: 'Idempotency-Key was already used with different request parameters',
+          details: { taskId: 'task1' }
+        });
+      }
+      expect(taskService.createVideoTask).toHaveBeenCalledTimes(1);
+    });
+
+    test('should return a running task with identical options', async () => {
+      withTasks({
+        task1: { vehicleId: 'vehicle1', status: 'processing_runway', videoOptions: { duration: 5, style: 'cinematic' } },
+        task2: { vehicleId: 'vehicle1', status: 'processing', videoOptions: { duration: 10 } }
+      });
+
+      const result = await videoGenerationService.requestVideoGeneration(params);
+
+      expect(result).toEqual({ taskId: 'task1', reused: true, ignored: [] });
+    });
+
+    test('should list the task fields of a duplicate request that the running task does not take over', async () => {
+      withTasks({
+        task1: {
+          vehicleId: 'vehicle1',
+          status: 'processing_runway',
+          videoOptions: { duration: 5 },
+          callbackUrl: 'https://crm.example.com/hook',
+          priority: 1
+        }
+      });
+
+      const result = await videoGenerationService.requestVideoGeneration({
+        ...params,
+        callbackUrl: 'https://other.example.com/hook',
+        priority: 1,
+        dealerId: 'dealer-42'
+      });
+
+      expect(result).toEqual({ taskId: 'task1', reused: true, ignored: ['callbackUrl', 'dealerId'] });
+    });
+
+    test('should share one task between concurrent identical requests', async () => {
+      withTasks({ task0: { vehicleId: 'vehicle1', status: 'completed', videoOptions: { duration: 5 } } });
+      vehicleService.getVehicleDetails.mockResolvedValueOnce(vehicleData);
+      vehicleService.getVehicleImages.mockResolvedValueOnce(images);
+      taskService.createVideoTask.mockReturnValueOnce('task1');
+      runwayService.isSDKAvailable.mockReturnValue(false);
+
+      const [first, second] = await Promise.all([
+        videoGenerationService.requestVideoGeneration(params),
+        videoGenerationService.requestVideoGeneration(params)
+      ]);
+
+      expect(first).toEqual({ taskId: 'task1', reused: false });
+      expect(second).toEqual({ taskId: 'task1', reused: true, ignored: [] });
+      expect(taskService.createVideoTask).toHaveBeenCalledTimes(1);
+    });
+
+    test('should reject a concurrent request reusing a pending Idempotency-Key with different parameters', async () => {
+      withTasks({});
+      vehicleService.getVehicleDetails.mockResolvedValueOnce(vehicleData);
+      vehicleService.getVehicleImages.mockResolvedValueOnce(images);
+      taskService.createVideoTask.mockReturnValueOnce('task1');
+      runwayService.isSDKAvailable.mockReturnValue(false);
+
+      const [first, second, third] = await Promise.allSettled([
+        videoGenerationService.requestVideoGeneration({ ...params, idempotencyKey: 'key-1' }),
+        videoGenerationService.requestVideoGeneration({ ...params, idempotencyKey: 'key-1', options: { duration: 10 } }),
+        videoGenerationService.requestVideoGeneration({ ...params, idempotencyKey: 'key-1' })
+      ]);
+
+      expect(first.value).toEqual({ taskId: 'task1', reused: false });
+      expect(second.reason).toMatchObject({
+        status: 409,
+        message: 'Idempotency-Key was already used with different request parameters'
+      });
+      expect(third.value).toEqual({ taskId: 'task1', reused: true });
+      expect(taskService.createVideoTask).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('retryTask', () => {
+    beforeEach(() => {
+      vehicleService.getVehicleDetails.mockResolvedValue(vehicleData);
+      vehicleService.getVehicleImages.mockResolvedValue(images);
+      runwayService.isSDKAvailable.mockReturnValue(false);
+    });
+
+    test('should start a linked task with the options of a failed task', async () => {
+      taskService.getTask.mockReturnValueOnce({
+        vehicleId: 'vehicle1',
+        status: 'failed',
+        videoOptions: { duration: 10, ratio: '768:1280', style: 'cinematic', prompt: 'A prompt' },
+        requestContext: { country: 'fr' }
+      });
+      taskService.createVideoTask.mockReturnValueOnce('task2');
+
+      const newTaskId = await videoGenerationService.retryTask('task1', { authToken: 'Bearer test-token' });
+
+      expect(newTaskId).toBe('task2');
+      expect(taskService.createVideoTask).toHaveBeenCalledWith('vehicle1', vehicleData,
+        { duration: 10, ratio: '768:1280', style: 'cinematic', prompt: 'A prompt', model: 'gen3a_turbo' },
+        expect.objectContaining({ authToken: 'Bearer test-token', country: 'fr' }));
+      expect(taskService.updateTask).toHaveBeenCalledWith('task2', { estimatedCredits: 50, retryOf: 'task1', attempt: 2 });
+      expect(taskService.recordRetry).toHaveBeenCalledWith('task1', 'task2');
+    });
+
+    test('should fall back to the task history record', async () => {
+      taskService.getTask.mockReturnValueOnce(null);
+      taskService.getTaskHistoryEntry.mockReturnValueOnce({
+        taskId: 'task1',
+        vehicleId: 'vehicle1',
+        status: 'failed',
+        duration: 5,
+        style: 'cinematic',
+        attempt: 2
+      });
+      taskService.createVideoTask.mockReturnValueOnce('task3');
+
+      await videoGenerationService.retryTask('task1', { authToken: 'Bearer test-token' });
+
+      expect(taskService.createVideoTask).toHaveBeenCalledWith('vehicle1', vehicleData,
+        expect.objectContaining({ duration: 5, style: 'cinematic' }), expect.anything());
+      expect(taskService.updateTask).toHaveBeenCalledWith('task3', { estimatedCredits: 25, retryOf: 'task1', attempt: 3 });
+    });
+
+    test('should repeat the recorded options and stay in the batch of a task from the history', async () => {
+      const videoOptions = {
+        duration: 5,
+        model: 'gen3a_turbo',
+        presetId: 'deleted-preset',
+        presetVersion: 3,
+        promptTemplate: 'A {{brand}} on a mountain road',
+        imageIds: ['img2', 'img3'],
+        imageStrategy: 'gallery'
+      };
+      taskService.getTask.mockReturnValueOnce(null);
+      taskService.getTaskHistoryEntry.mockReturnValueOnce({
+        taskId: 'task1',
+        vehicleId: 'vehicle1',
+        status: 'failed',
+        batchId: 'b123',
+        duration: 5,
+        presetId: 'deleted-preset',
+        videoOptions
+      });
+      taskService.createVideoTask.mockReturnValueOnce('task5');
+
+      await videoGenerationService.retryTask('task1', { authToken: 'Bearer test-token' });
+
+      // The preset is not looked up again, so the retry works after it was deleted
+      expect(taskService.createVideoTask).toHaveBeenCalledWith('vehicle1', vehicleData, videoOptions, expect.anything());
+      expect(taskService.updateTask).toHaveBeenCalledWith('task5', expect.objectContaining({ batchId: 'b123', retryOf: 'task1' }));
+      expect(taskService.recordRetry).toHaveBeenCalledWith('task1', 'task5');
+      expect(batchService.recordRetry).toHaveBeenCalledWith('b123', 'task1', 'task5');
+    });
+
+    test('should allow retrying a rejected video', async () => {
+      taskService.getTask.mockReturnValueOnce({ vehicleId: 'vehicle1', status: 'rejected', videoOptions: { duration: 5 } });
+      taskService.createVideoTask.mockReturnValueOnce('task4');
+
+      expect(await videoGenerationService.retryTask('task1', { authToken: 'Bearer test-token' })).toBe('task4');
+    });
+
+    test('should reject retrying a task that has not failed', async () => {
+      taskService.getTask.mockReturnValueOnce({ vehicleId: 'vehicle1', status: 'completed' });
+
+      await expect(videoGenerationService.retryTask('task1')).rejects.toMatchObject({ status: 409 });
+    });
+
+    test('should reject retrying an unknown task', async () => {
+      taskService.getTask.mockReturnValueOnce(null);
+      taskService.getTaskHistoryEntry.mockReturnValueOnce(null);
+
+      await expect(videoGenerationService.retryTask('missing')).rejects.toMatchObject({ status: 404 });
+    });
+  });
+
+  describe('automatic retry', () => {
+    const policy = {
+      maxAttempts: 3,
+      delay: 1000,
+      retryableErrors: ['timed out'],
+      retryableStatusCodes: [429]
+    };
+
+    test('should classify transient errors as retryable', () => {
+      const rateLimited = new Error('Too many requests');
+      rateLimited.status = 429;
+
+      expect(videoGenerationService.isRetryableError(new Error('Task timed out after 60 polling attempts'), policy)).toBe(true);
+      expect(videoGenerationService.isRetryableError(rateLimited, policy)).toBe(true);
+      expect(videoGenerationService.isRetryableError(new Error('Task failed: content moderation'), policy)).toBe(false);
+    });
+
+    test('should schedule a retry until the attempt limit is reached', () => {
+      jest.useFakeTimers();
+      try {
+        taskService.getTask.mockReturnValue({ vehicleId: 'vehicle1', status: 'failed', attempt: 1 });
+        expect(videoGenerationService.scheduleAutoRetry('task1', new Error('timed out'), policy)).toBe(true);
+
+        taskService.getTask.mockReturnValue({ vehicleId: 'vehicle1', status: 'failed', attempt: 3 });
+        expect(videoGenerationService.scheduleAutoRetry('task1', new Error('timed out'), policy)).toBe(false);
+      } finally {
+        jest.clearAllTimers();
+        jest.useRealTimers();
+      }
+    });
+
+    test('should be disabled by default', () => {
+      taskService.getTask.mockReturnValue({ vehicleId: 'vehicle1', status: 'failed' });
+
+      expect(config.videoGeneration.autoRetry.maxAttempts).toBe(1);
+      expect(videoGenerationService.scheduleAutoRetry('task1', new Error('timed out'))).toBe(false);
+    });
+  });
+
+  describe('resumePendingTasks', () => {
+    test('should resume polling and attach for tasks still rendering in Runway', async () => {
+      taskService.getResumableTasks.mockReturnValueOnce([{
+        taskId: 'task1',
+        task: {
+          vehicleId: 'vehicle1',
+          runwayTaskId: 'runway123',
+          videoOptions: {},
+          priority: 3,
+          dealerId: 'dealer-42',
+          requestContext: { authToken: 'Bearer test-token', country: 'it' }
+        }
+      }]);
+      runwayService.getTaskStatus.mockResolvedValueOnce({ status: 'SUCCEEDED', output: ['http://runway/video.mp4'] });
+      videoStorageService.archiveVideo.mockResolvedValueOnce();
+      videoFrameService.extractFrames.mockResolvedValueOnce({ thumbnails: [] });
+      urlShortenerService.shortenUrl.mockResolvedValueOnce('https://is.gd/abc');
+      vehicleService.updateVehicleField.mockResolvedValueOnce({ success: true });
+      const claim = jest.spyOn(queueService, 'claim');
+
+      const resumedCount = videoGenerationService.resumePendingTasks();
+      await new Promise(resolve => setImmediate(resolve));
+
+      expect(resumedCount).toBe(1);
+      // Counted as running while it finishes, and released afterwards
+      expect(claim).toHaveBeenCalledWith('task1', { priority: 3, country: 'it', dealerId: 'dealer-42' });
+      expect(queueService.getQueueStats().running).toBe(0);
+      claim.mockRestore();
+      expect(runwayService.createImageToVideoTask).not.toHaveBeenCalled();
+      expect(runwayService.getTaskStatus).toHaveBeenCalledWith('runway123', 'task1');
+      expect(vehicleService.updateVehicleField).toHaveBeenCalledWith(expect.objectContaining({
+        vehicleId: 'vehicle1',
+        value: 'https://is.gd/abc',
+        authToken: 'Bearer test-token'
+      }));
+    });
+
+    test('should hold a task reloaded without its token for review instead of updating the vehicle', async () => {
+      taskService.getResumableTasks.mockReturnValueOnce([{
+        taskId: 'task1',
+        task: { vehicleId: 'vehicle1', runwayTaskId: 'runway123', videoOptions: {}, requestContext: { country: 'it' } }
+      }]);
+      taskService.getTask.mockReturnValue({ createdAt: new Date().toISOString(), reviewRequired: true });
+      runwayService.getTaskStatus.mockResolvedValueOnce({ status: 'SUCCEEDED', output: ['http://runway/video.mp4'] });
+      videoStorageService.archiveVideo.mockResolvedValueOnce();
+      videoFrameService.extractFrames.mockResolvedValueOnce({ thumbnails: [] });
+      urlShortenerService.shortenUrl.mockResolvedValueOnce('https://is.gd/abc');
+
+      videoGenerationService.resumePendingTasks();
+      await new Promise(resolve => setImmediate(resolve));
+
+      expect(taskService.updateTask).toHaveBeenCalledWith('task1', { reviewRequired: true });
+      expect(taskService.updateTask).toHaveBeenCalledWith('task1', expect.objectContaining({ status: 'awaiting_review' }));
+      expect(vehicleService.updateVehicleField).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,109 @@
+/**
+ * Video Library Service Tests
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Point the library store at a temporary directory before loading the service
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'video-library-service-test-'));
+process.env.DATA_DIR = dataDir;
+
+const videoLibraryService = require('../services/video-library-service');
+
+describe('Video Library Service', () => {
+  afterAll(() => {
+    fs.rmSync(dataDir, { recursive: true, force: true });
+    delete process.env.DATA_DIR;
+  });
+
+  test('should list generated videos newest first with the active one flagged', () => {
+    videoLibraryService.addGeneratedVideo('vehicle1', { taskId: 'task1', videoUrl: 'http://localhost/v/first', model: 'gen3a_turbo' });
+    videoLibraryService.recordActivation('vehicle1', { videoId: 'task1', previousUrl: 'https://example.com/dealer.mp4' });
+    videoLibraryService.addGeneratedVideo('vehicle1', { taskId: 'task2', videoUrl: 'http://localhost/v/second' });
+
+    const library = videoLibraryService.getLibrary('vehicle1');
+
+    expect(library.activeVideoId).toBe('task1');
+    expect(library.videos.map(video => [video.videoId, video.source, video.active])).toEqual([
+      ['task2', 'generated', false],
+      ['task1', 'generated', true],
+      [expect.stringMatching(/^previous-/), 'previous', false]
+    ]);
+    expect(library.videos[1]).toMatchObject({ taskId: 'task1', model: 'gen3a_turbo', activatedAt: expect.any(String) });
+    expect(library.videos[2].videoUrl).toBe('https://example.com/dealer.mp4');
+    expect(fs.existsSync(path.join(dataDir, 'video-library', 'vehicle1.json'))).toBe(true);
+  });
+
+  test('should keep one entry per URL when switching back and forth', () => {
+    videoLibraryService.recordActivation('vehicle1', { videoId: 'task2', previousUrl: 'http://localhost/v/first' });
+    videoLibraryService.recordActivation('vehicle1', { videoId: 'task1', previousUrl: 'http://localhost/v/second' });
+
+    const library = videoLibraryService.getLibrary('vehicle1');
+
+    expect(library.activeVideoId).toBe('task1');
+    expect(library.videos).toHaveLength(3);
+  });
+
+  test('should add videos attached by URL and find them again', () => {
+    const attached = videoLibraryService.recordActivation('vehicle2', { videoUrl: 'https://example.com/manual.mp4' });
+
+    expect(attached).toMatchObject({ source: 'attached', taskId: null, videoUrl: 'https://example.com/manual.mp4' });
+    expect(videoLibraryService.recordActivation('vehicle2', { videoUrl: 'https://example.com/manual.mp4' }).videoId)
+      .toBe(attached.videoId);
+    expect(videoLibraryService.getVideo('vehicle2', attached.videoId)).toMatchObject({ videoUrl: 'https://example.com/manual.mp4' });
+    expect(videoLibraryService.recordActivation('vehicle2', { videoId: 'missing' })).toBeNull();
+  });
+
+  test('should seed a vehicle without a library from its completed tasks in the history', () => {
+    const monthDir = path.join(dataDir, 'task-history', '2026-02');
+    fs.mkdirSync(monthDir, { recursive: true });
+    const writeHistory = entry => fs.writeFileSync(path.join(monthDir, `${entry.taskId}.json`), JSON.stringify(entry));
+    writeHistory({
+      taskId: '1000',
+      vehicleId: 'vehicle4',
+      status: 'completed',
+      videoUrl: 'http://localhost/v/old',
+      originalVideoUrl: 'http://localhost/videos/1000.mp4',
+      posterUrl: 'http://localhost/videos/1000/poster.jpg',
+      model: 'gen3a_turbo',
+      duration: 5,
+      completedAt: '2026-02-01T10:00:00.000Z'
+    });
+    writeHistory({ taskId: '1001', vehicleId: 'vehicle4', status: 'failed', error: 'Runway task failed' });
+    writeHistory({ taskId: '1002', vehicleId: 'vehicle5', status: 'completed', videoUrl: 'http://localhost/v/other' });
+
+    expect(videoLibraryService.getLibrary('vehicle4')).toEqual({
+      vehicleId: 'vehicle4',
+      activeVideoId: null,
+      videos: [{
+        videoId: '1000',
+        taskId: '1000',
+        source: 'generated',
+        videoUrl: 'http://localhost/v/old',
+        originalVideoUrl: 'http://localhost/videos/1000.mp4',
+        posterUrl: 'http://localhost/videos/1000/poster.jpg',
+        model: 'gen3a_turbo',
+        duration: 5,
+        completedAt: '2026-02-01T10:00:00.000Z',
+        addedAt: '2026-02-01T10:00:00.000Z',
+        active: false
+      }]
+    });
+
+    // The history-only video can be made live like any other, and new videos join the seeded library
+    expect(videoLibraryService.recordActivation('vehicle4', { videoId: '1000' })).toMatchObject({ videoUrl: 'http://localhost/v/old' });
+    videoLibraryService.addGeneratedVideo('vehicle4', { taskId: '2000', videoUrl: 'http://localhost/v/new' });
+    expect(videoLibraryService.getLibrary('vehicle4').videos.map(video => [video.videoId, video.active])).toEqual([
+      ['2000', false],
+      ['1000', true]
+    ]);
+  });
+
+  test('should return an empty library for unknown vehicles and IDs outside the store', () => {
+    expect(videoLibraryService.getLibrary('vehicle3')).toEqual({ vehicleId: 'vehicle3', activeVideoId: null, videos: [] });
+    expect(videoLibraryService.getLibrary('../tasks/123').videos).toEqual([]);
+    expect(videoLibraryService.getVideo('vehicle1', 'missing')).toBeNull();
+  });
+});
@@ -0,0 +1,90 @@
+/**
+ * Video Model Service Tests
+ */
+
+const videoModelService = require('../services/video-model-service');
+
+describe('Video Model Service', () => {
+  describe('getModel and listModels', () => {
+    test('should return capabilities, the configured model by default', () => {
+      expect(videoModelService.getModel()).toMatchObject({
+        id: 'gen3a_turbo',
+        durations: [5, 10],
+        keyframePositions: ['first', 'last'],
+        creditsPerSecond: 5
+      });
+      expect(videoModelService.getModel('gen4_turbo').keyframePositions).toEqual(['first']);
+      expect(videoModelService.getModel('missing')).toBeNull();
+      expect(videoModelService.getModel('toString')).toBeNull();
+    });
+
+    test('should flag the default model', () => {
+      const models = videoModelService.listModels();
+
+      expect(models.map(model => model.id)).toEqual(['gen3a_turbo', 'gen4_turbo']);
+      expect(models.filter(model => model.default).map(model => model.id)).toEqual(['gen3a_turbo']);
+    });
+  });
+
+  describe('checkModelOptions', () => {
+    test('should accept supported combinations and return the model used', () => {
+      expect(videoModelService.checkModelOptions({}).id).toBe('gen3a_turbo');
+      expect(videoModelService.checkModelOptions({ duration: 10, ratio: '768:1280', imageIds: ['a', 'b'] }).id)
+        .toBe('gen3a_turbo');
+      expect(videoModelService.checkModelOptions({ model: 'gen4_turbo', ratio: '960:960', firstImageId: 'a' }).id)
+        .toBe('gen4_turbo');
+    });
+
+    test('should reject unknown models and list the known ones', () => {
+      expect(() => videoModelService.checkModelOptions({ model: 'gen9' })).toThrow(expect.objectContaining({
+        status: 400,
+        message: 'Unknown model: gen9',
+        details: { allowedModels: ['gen3a_turbo', 'gen4_turbo'] }
+      }));
+    });
+
+    test('should reject durations and ratios the model does not support instead of changing them', () => {
+      expect(() => videoModelService.checkModelOptions({ duration: 7 })).toThrow(expect.objectContaining({
+        status: 400,
+        message: 'duration must be one of: 5, 10 for model gen3a_turbo',
+        details: { model: 'gen3a_turbo', allowedDurations: [5, 10] }
+      }));
+      expect(() => videoModelService.checkModelOptions({ model: 'gen4_turbo', ratio: '1280:768' }))
+        .toThrow(expect.objectContaining({
+          status: 400,
+          details: expect.objectContaining({ allowedRatios: expect.arrayContaining(['1280:720', '960:960']) })
+        }));
+    });
+
+    test('should reject a last keyframe on models that only take a first one', () => {
+      const expected = expect.objectContaining({
+        message: 'Model gen4_turbo does not support a last keyframe',
+        details: { model: 'gen4_turbo', allowedKeyframePositions: ['first'] }
+      });
+
+      expect(() => videoModelService.checkModelOptions({ model: 'gen4_turbo', imageIds: ['a', 'b'] })).toThrow(expected);
+      expect(() => videoModelService.checkModelOptions({ model: 'gen4_turbo', lastImageId: 'b' })).toThrow(expected);
+    });
+
+    test('should check every storyboard shot, falling back to the request duration', () => {
+      const storyboard = [{ imageIds: ['a'] }, { firstImageId: 'b', duration: 10 }];
+
+      expect(videoModelService.checkModelOptions({ model: 'gen4_turbo', duration: 5, storyboard }).id).toBe('gen4_turbo');
+      expect(() => videoModelService.checkModelOptions({ duration: 7, storyboard }))
+        .toThrow('storyboard[0].duration must be one of: 5, 10 for model gen3a_turbo');
+      expect(() => videoModelService.checkModelOptions({
+        model: 'gen4_turbo',
+        storyboard: [...storyboard, { firstImageId: 'c', lastImageId: 'd' }]
+      })).toThrow('storyboard[2]: Model gen4_turbo does not support a last keyframe');
+    });
+  });
+
+  describe('estimateCredits', () => {
+    test('should bill every second of output, 5 seconds when no duration is set', () => {
+      expect(videoModelService.estimateCredits({})).toBe(25);
+      expect(videoModelService.estimateCredits({ model: 'gen4_turbo', duration: 10 })).toBe(50);
+      expect(videoModelService.estimateCredits({ duration: 10, storyboard: [{ duration: 5 }, {}] })).toBe(75);
+      expect(videoModelService.estimateCredits({ model: 'gen9' })).toBeNull();
+    });
+  });
+});
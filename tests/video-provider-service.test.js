@@ -0,0 +1,132 @@
+/**
+ * Video Provider Service Tests
+ */
+
+jest.mock('../services/runway-service', () => ({
+  createImageToVideoTask: jest.fn(),
+  getTaskStatus: jest.fn(),
+  cancelTask: jest.fn(),
+  isSDKAvailable: jest.fn()
+}));
+
+const runwayService = require('../services/runway-service');
+const videoProviderService = require('../services/video-provider-service');
+const runwayProvider = require('../services/providers/runway-provider');
+const mockProvider = require('../services/providers/mock-provider');
+const config = require('../utils/config');
+
+describe('Video Provider Service', () => {
+  describe('registry', () => {
+    test('should return providers by name, Runway by default', () => {
+      expect(videoProviderService.listProviders()).toEqual(['runway', 'mock']);
+      expect(videoProviderService.getProvider()).toBe(runwayProvider);
+      expect(videoProviderService.getProvider('mock')).toBe(mockProvider);
+      expect(() => videoProviderService.getProvider('missing')).toThrow('Unknown video provider: missing');
+    });
+
+    test('should keep tasks submitted before providers were recorded on Runway', () => {
+      expect(videoProviderService.getTaskProvider({ provider: 'mock', runwayTaskId: 'mock-1-1' })).toBe(mockProvider);
+      expect(videoProviderService.getTaskProvider({ runwayTaskId: 'runway123' })).toBe(runwayProvider);
+    });
+  });
+
+  describe('Runway provider', () => {
+    test('should report a missing API key', () => {
+      const apiKey = process.env.RUNWAY_API_KEY;
+      try {
+        delete process.env.RUNWAY_API_KEY;
+        expect(runwayProvider.getConfigurationError()).toBe('Runway API key not configured');
+        process.env.RUNWAY_API_KEY = 'test-key';
+        expect(runwayProvider.getConfigurationError()).toBeNull();
+      } finally {
+        if (apiKey === undefined) {
+          delete process.env.RUNWAY_API_KEY;
+        } else {
+          process.env.RUNWAY_API_KEY = apiKey;
+        }
+      }
+    });
+
+    test('should map Runway statuses to provider statuses', async () => {
+      runwayService.getTaskStatus
+        .mockResolvedValueOnce({ status: 'THROTTLED' })
+        .mockResolvedValueOnce({ status: 'running', progress: 0.4 })
+        .mockResolvedValueOnce({ status: 'SUCCEEDED', output: ['a.mp4'], credits: 50 })
+        .mockResolvedValueOnce({ status: 'FAILED', failure: 'Bad input' });
+
+      expect(await runwayProvider.getStatus('runway123')).toMatchObject({ status: 'pending', providerStatus: 'THROTTLED' });
+      expect(await runwayProvider.getStatus('runway123')).toMatchObject({ status: 'running', progress: 0.4 });
+      expect(await runwayProvider.getStatus('runway123')).toMatchObject({ status: 'succeeded', output: ['a.mp4'], credits: 50 });
+      expect(await runwayProvider.getStatus('runway123')).toMatchObject({ status: 'failed', error: 'Bad input' });
+    });
+
+    test('should support all known output formats', () => {
+      expect(runwayProvider.normalizeOutput(['a.mp4'])).toEqual({ videoUrl: 'a.mp4', outputFormat: 'array[0]' });
+      expect(runwayProvider.normalizeOutput({ urls: { mp4: 'b.mp4' } }).videoUrl).toBe('b.mp4');
+      expect(runwayProvider.normalizeOutput({ mp4: 'c.mp4' }).videoUrl).toBe('c.mp4');
+      expect(runwayProvider.normalizeOutput({ video: 'd.mp4' }).videoUrl).toBe('d.mp4');
+      expect(runwayProvider.normalizeOutput({ url: 'e.mp4' }).videoUrl).toBe('e.mp4');
+      expect(runwayProvider.normalizeOutput('f.mp4').videoUrl).toBe('f.mp4');
+      expect(runwayProvider.normalizeOutput({})).toBeNull();
+    });
+  });
+
+  describe('mock provider', () => {
+    const { delay } = config.videoProviders.mock;
+    const { publicBaseUrl } = config;
+
+    afterEach(() => {
+      config.videoProviders.mock.delay = delay;
+      config.publicBaseUrl = publicBaseUrl;
+      jest.useRealTimers();
+    });
+
+    test('should succeed with a placeholder video once the delay has passed', async () => {
+      jest.useFakeTimers({ now: 1000000 });
+      config.videoProviders.mock.delay = 4000;
+
+      const { providerTaskId } = await mockProvider.create({ duration: 5, apiBaseUrl: 'http://localhost:3000' });
+      jest.setSystemTime(1001000);
+      expect(await mockProvider.getStatus(providerTaskId)).toEqual({
+        status: 'running',
+        providerStatus: 'RUNNING',
+        progress: 0.25
+      });
+
+      jest.setSystemTime(1004000);
+      const result = await mockProvider.getStatus(providerTaskId);
+      expect(result.status).toBe('succeeded');
+      expect(mockProvider.normalizeOutput(result.output)).toEqual({
+        videoUrl: `http://localhost:3000/mock-provider/videos/${providerTaskId}.mp4`,
+        outputFormat: 'url'
+      });
+    });
+
+    test('should serve videos of tasks restored after a restart from the public base URL', async () => {
+      config.videoProviders.mock.delay = 0;
+      config.publicBaseUrl = 'https://videos.example.com/';
+
+      const providerTaskId = `mock-${Date.now() - 1000}-99`;
+      const result = await mockProvider.getStatus(providerTaskId);
+      expect(mockProvider.normalizeOutput(result.output).videoUrl)
+        .toBe(`https://videos.example.com/mock-provider/videos/${providerTaskId}.mp4`);
+    });
+
+    test('should report cancelled and unknown tasks as failed', async () => {
+      const { providerTaskId } = await mockProvider.create({});
+      await mockProvider.cancel(providerTaskId);
+
+      expect(await mockProvider.getStatus(providerTaskId)).toMatchObject({ status: 'failed', providerStatus: 'CANCELLED' });
+      expect(await mockProvider.getStatus('runway123')).toMatchObject({ status: 'failed' });
+    });
+
+    test('should build an MP4 container with the requested duration', () => {
+      const video = mockProvider.buildPlaceholderVideo(10);
+
+      expect(video.toString('ascii', 4, 8)).toBe('ftyp');
+      expect(video.toString('ascii', 4 + video.readUInt32BE(0), 8 + video.readUInt32BE(0))).toBe('moov');
+      // Duration in the mvhd box, in milliseconds
+      expect(video.readUInt32BE(video.indexOf('mvhd') + 20)).toBe(10000);
+    });
+  });
+});
@@ -0,0 +1,89 @@
+/**
+ * Video Storage Service Tests
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Store videos in a temporary directory
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'video-storage-service-test-'));
+process.env.DATA_DIR = dataDir;
+
+jest.mock('axios');
+
+const axios = require('axios');
+const videoStorageService = require('../services/video-storage-service');
+
+/**
+ * Reads a stream to the end
+ * @param {import('stream').Readable} stream - Stream to read
+ * @returns {Promise<string>} Contents as text
+ */
+async function readStream(stream) {
+  const chunks = [];
+  for await (const chunk of stream) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks).toString();
+}
+
+describe('Video Storage Service', () => {
+  afterAll(() => {
+    fs.rmSync(dataDir, { recursive: true, force: true });
+    delete process.env.DATA_DIR;
+  });
+
+  test('should use local storage by default and reject unknown backends', () => {
+    expect(videoStorageService.getStorage().name).toBe('local');
+    expect(() => videoStorageService.getStorage('s3')).toThrow(expect.objectContaining({
+      status: 500,
+      details: { availableBackends: ['local'] }
+    }));
+  });
+
+  test('should build the stable video URL', () => {
+    expect(videoStorageService.getVideoUrl('task1', 'https://videos.example.com'))
+      .toBe('https://videos.example.com/videos/task1.mp4');
+  });
+
+  describe('local storage', () => {
+    const storage = videoStorageService.getStorage('local');
+
+    test('should save, stat, read ranges and remove objects', async () => {
+      await videoStorageService.saveVideo('task1', Buffer.from('0123456789'));
+
+      const stored = await storage.stat('task1.mp4');
+      expect(stored.size).toBe(10);
+      expect(typeof stored.modifiedAt.toUTCString()).toBe('string');
+      expect(await readStream(storage.createReadStream('task1.mp4'))).toBe('0123456789');
+      expect(await readStream(storage.createReadStream('task1.mp4', { start: 2, end: 4 }))).toBe('234');
+      expect(fs.readdirSync(path.join(dataDir, 'videos'))).toEqual(['task1.mp4']);
+
+      await storage.remove('task1.mp4');
+      expect(await storage.stat('task1.mp4')).toBeNull();
+    });
+  });
+
+  describe('archiveVideo', () => {
+    test('should download the video into storage', async () => {
+      axios.mockResolvedValueOnce({ data: Buffer.from('mp4 data') });
+
+      await videoStorageService.archiveVideo('https://runway.test/output.mp4', 'task2');
+
+      expect(axios).toHaveBeenCalledWith(expect.objectContaining({
+        url: 'https://runway.test/output.mp4',
+        responseType: 'arraybuffer'
+      }));
+      expect(fs.readFileSync(path.join(dataDir, 'videos', 'task2.mp4'), 'utf8')).toBe('mp4 data');
+    });
+
+    test('should leave nothing behind when the download fails', async () => {
+      axios.mockRejectedValueOnce(new Error('Request failed with status code 403'));
+
+      await expect(videoStorageService.archiveVideo('https://runway.test/expired.mp4', 'task3'))
+        .rejects.toThrow('403');
+      expect(await videoStorageService.getStorage().stat('task3.mp4')).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,196 @@
+/**
+ * Webhook Service Tests
+ */
+
+const crypto = require('crypto');
+const dns = require('dns');
+const axios = require('axios');
+const config = require('../utils/config');
+
+jest.mock('axios');
+
+jest.mock('../services/task-service', () => ({
+  getTask: jest.fn(),
+  getTaskStatus: jest.fn(),
+  updateTask: jest.fn()
+}));
+
+const taskService = require('../services/task-service');
+const webhookService = require('../services/webhook-service');
+
+const deliveryOptions = {
+  maxAttempts: 3,
+  initialDelay: 0,
+  timeout: 1000,
+  secret: 'test-secret'
+};
+
+describe('Webhook Service', () => {
+  let task;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    // Keep a live task object so recorded deliveries accumulate like in the real service
+    task = { vehicleId: 'vehicle1', status: 'completed', callbackUrl: 'https://example.com/hook' };
+    taskService.getTask.mockImplementation(() => task);
+    taskService.updateTask.mockImplementation((taskId, updateData) => {
+      task = { ...task, ...updateData };
+      return task;
+    });
+    taskService.getTaskStatus.mockReturnValue({ taskId: 'task1', vehicleId: 'vehicle1', status: 'completed' });
+  });
+
+  describe('signPayload', () => {
+    test('should sign the timestamp and body with HMAC-SHA256', () => {
+      const expected = crypto.createHmac('sha256', 'test-secret').update('1700000000.{"a":1}').digest('hex');
+
+      expect(webhookService.signPayload('{"a":1}', '1700000000', 'test-secret')).toBe(`sha256=${expected}`);
+    });
+  });
+
+  describe('isValidCallbackUrl', () => {
+    afterEach(() => {
+      config.webhooks.allowedHosts = [];
+    });
+
+    test('should only accept absolute http(s) URLs', () => {
+      expect(webhookService.isValidCallbackUrl('https://example.com/hook')).toBe(true);
+      expect(webhookService.isValidCallbackUrl('http://93.184.216.34/hook')).toBe(true);
+      expect(webhookService.isValidCallbackUrl('ftp://example.com')).toBe(false);
+      expect(webhookService.isValidCallbackUrl('/relative/path')).toBe(false);
+    });
+
+    test('should reject loopback, private, link-local and metadata addresses', () => {
+      [
+        'http://localhost:5678/webhook',
+        'http://api.localhost/hook',
+        'http://127.0.0.1/hook',
+        'http://2130706433/hook', // 127.0.0.1 written as a number
+        'http://10.1.2.3/hook',
+        'http://172.20.0.5/hook',
+        'http://192.168.1.10/hook',
+        'http://169.254.169.254/latest/meta-data/',
+        'http://0.0.0.0/hook',
+        'http://[::1]/hook',
+        'http://[::ffff:127.0.0.1]/hook',
+        'http://[fd00::1]/hook',
+        'http://[fe80::1]/hook'
+      ].forEach(callbackUrl => {
+        expect({ callbackUrl, valid: webhookService.isValidCallbackUrl(callbackUrl) }).toEqual({ callbackUrl, valid: false });
+      });
+    });
+
+    test('should only accept the configured hosts and their subdomains when an allowlist is set', () => {
+      config.webhooks.allowedHosts = ['crm.example.com', 'localhost'];
+
+      expect(webhookService.isValidCallbackUrl('https://crm.example.com/hook')).toBe(true);
+      expect(webhookService.isValidCallbackUrl('https://eu.crm.example.com/hook')).toBe(true);
+      expect(webhookService.isValidCallbackUrl('http://localhost:5678/webhook')).toBe(true);
+      expect(webhookService.isValidCallbackUrl('https://example.com/hook')).toBe(false);
+      expect(webhookService.isValidCallbackUrl('https://evilcrm.example.com/hook')).toBe(false);
+    });
+  });
+
+  describe('deliverWebhook', () => {
+    test('should post the signed task status to the callback URL', async () => {
+      axios.mockResolvedValueOnce({ status: 200 });
+
+      const delivered = await webhookService.deliverWebhook('task1', deliveryOptions);
+
+      expect(delivered).toBe(true);
+      const request = axios.mock.calls[0][0];
+      expect(request).toMatchObject({
+        method: 'post',
+        url: 'https://example.com/hook',
+        timeout: 1000
+      });
+      expect(JSON.parse(request.data)).toEqual({ taskId: 'task1', vehicleId: 'vehicle1', status: 'completed' });
+      expect(request.headers['X-Webhook-Event']).toBe('task.completed');
+      expect(request.headers['X-Webhook-Signature']).toBe(
+        webhookService.signPayload(request.data, request.headers['X-Webhook-Timestamp'], 'test-secret')
+      );
+      expect(task.webhookDeliveries).toEqual([
+        expect.objectContaining({ attempt: 1, success: true, responseStatus: 200 })
+      ]);
+    });
+
+    test('should retry failed deliveries and record every attempt', async () => {
+      const serverError = new Error('Request failed with status code 503');
+      serverError.response = { status: 503 };
+      axios
+        .mockRejectedValueOnce(serverError)
+        .mockRejectedValueOnce(new Error('timeout of 1000ms exceeded'))
+        .mockResolvedValueOnce({ status: 204 });
+
+      const delivered = await webhookService.deliverWebhook('task1', deliveryOptions);
+
+      expect(delivered).toBe(true);
+      expect(axios).toHaveBeenCalledTimes(3);
+      expect(task.webhookDeliveries).toEqual([
+        expect.objectContaining({ attempt: 1, success: false, responseStatus: 503 }),
+        expect.objectContaining({ attempt: 2, success: false, error: 'timeout of 1000ms exceeded' }),
+        expect.objectContaining({ attempt: 3, success: true, responseStatus: 204 })
+      ]);
+    });
+
+    test('should give up after the maximum number of attempts', async () => {
+      axios.mockRejectedValue(new Error('ECONNREFUSED'));
+
+      const delivered = await webhookService.deliverWebhook('task1', deliveryOptions);
+
+      expect(delivered).toBe(false);
+      expect(axios).toHaveBeenCalledTimes(3);
+      expect(task.webhookDeliveries).toHaveLength(3);
+    });
+
+    test('should resolve the callback host and refuse to connect to an internal address', async () => {
+      axios.mockResolvedValueOnce({ status: 200 });
+      await webhookService.deliverWebhook('task1', deliveryOptions);
+      const { lookup } = axios.mock.calls[0][0];
+
+      const lookupSpy = jest.spyOn(dns, 'lookup').mockImplementation((hostname, options, callback) => {
+        callback(null, [{ address: hostname === 'example.com' ? '93.184.216.34' : '169.254.169.254', family: 4 }]);
+      });
+      const resolve = hostname => new Promise(done => lookup(hostname, {}, (error, addresses) => done({ error, addresses })));
+
+      try {
+        expect(await resolve('example.com')).toEqual({ error: null, addresses: [{ address: '93.184.216.34', family: 4 }] });
+        const { error } = await resolve('metadata.internal.example.com');
+        expect(error).toMatchObject({ code: 'CALLBACK_ADDRESS_BLOCKED' });
+      } finally {
+        lookupSpy.mockRestore();
+      }
+    });
+
+    test('should stop delivering once the host resolves to an internal address', async () => {
+      const blocked = new Error('Callback host example.com resolves to an internal address (10.0.0.5)');
+      blocked.code = 'CALLBACK_ADDRESS_BLOCKED';
+      axios.mockRejectedValue(blocked);
+
+      const delivered = await webhookService.deliverWebhook('task1', deliveryOptions);
+
+      expect(delivered).toBe(false);
+      expect(axios).toHaveBeenCalledTimes(1);
+      expect(task.webhookDeliveries).toEqual([expect.objectContaining({ attempt: 1, success: false, error: blocked.message })]);
+    });
+
+    test('should not send callbacks to URLs that are no longer allowed', async () => {
+      task = { ...task, callbackUrl: 'http://127.0.0.1:8080/hook' };
+
+      const delivered = await webhookService.deliverWebhook('task1', deliveryOptions);
+
+      expect(delivered).toBe(false);
+      expect(axios).not.toHaveBeenCalled();
+    });
+
+    test('should do nothing for tasks without a callback URL', async () => {
+      task = { vehicleId: 'vehicle1', status: 'completed' };
+
+      const delivered = await webhookService.deliverWebhook('task1', deliveryOptions);
+
+      expect(delivered).toBe(false);
+      expect(axios).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -2,9 +2,15 @@
  * Configuration settings
  */
 
+const path = require('path');
+
+const dataDir = process.env.DATA_DIR || path.join(__dirname, '..', 'data');
+
 module.exports = {
   // Server configuration
   port: process.env.PORT || 3000,
+  // Public base of the /videos and /v/:code URLs written to vehicles; only development falls back to the request's host
+  publicBaseUrl: process.env.PUBLIC_BASE_URL,
   
   // API URLs
   apiBaseUrl: 'https://carspark-api.dealerk.com',
@@ -13,6 +19,9 @@ module.exports = {
   // Default settings
   defaultCountry: 'it',
   
+  // Local storage for task state and history
+  dataDir,
+  
   // File upload limits
   uploadLimits: {
     fileSize: 10 * 1024 * 1024 // 10MB
@@ -24,6 +33,155 @@ module.exports = {
     cleanupInterval: 60 * 60 * 1000 // 1 hour
   },
   
+  // Video generation pipeline
+  videoGeneration: {
+    defaultModel: 'gen3a_turbo', // Used when the request and its preset name no model, see video-model-service
+    eventStreamHeartbeat: 15 * 1000, // Keeps idle SSE connections open through proxies
+    requireReview: process.env.VIDEO_REVIEW === 'true', // Hold finished videos in awaiting_review until approved
+    
+    // Delays between provider status checks, all tasks are checked by one scheduler (services/poll-scheduler-service.js)
+    polling: {
+      pendingInterval: 15 * 1000, // Not rendering yet (PENDING, THROTTLED)
+      runningInterval: 10 * 1000,
+      nearCompletionInterval: 3 * 1000, // Once the reported progress reaches nearCompletionProgress
+      nearCompletionProgress: 0.8,
+      errorInterval: 10 * 1000, // After a failed check, doubled for each further failure in a row
+      maxErrorInterval: 2 * 60 * 1000,
+      rateLimitInterval: 60 * 1000 // After a 429 without a Retry-After header
+    },
+    
+    // Time a provider task may render before it is given up: by model, then by duration, then the default
+    pollTimeouts: {
+      default: 10 * 60 * 1000,
+      byModel: {}, // e.g. { gen4_turbo: 12 * 60 * 1000 }
+      byDuration: { 10: 15 * 60 * 1000 } // Longer clips take longer to render
+    },
+    
+    // Automatic retry of failed tasks (disabled when maxAttempts is 1)
+    autoRetry: {
+      maxAttempts: parseInt(process.env.AUTO_RETRY_MAX_ATTEMPTS || '1', 10), // Total attempts, including the first
+      delay: 30 * 1000, // Wait before starting the retry
+      // Error message fragments/codes and HTTP statuses that indicate a transient failure
+      retryableErrors: ['timed out', 'ECONNRESET', 'ETIMEDOUT', 'ECONNREFUSED', 'socket hang up'],
+      retryableStatusCodes: [429, 500, 502, 503, 504]
+    }
+  },
+  
+  // Keyframe selection for video generation
+  imageSelection: {
+    defaultStrategy: 'gallery', // gallery: first images in gallery order, auto: filtered by size and aspect ratio
+    defaultRatio: '1280:768', // Runway's default output ratio, used when the request has none
+    minWidth: 1024,
+    minHeight: 576,
+    aspectRatioTolerance: 0.15 // Allowed relative difference between image and video aspect ratio
+  },
+  
+  // Multi-shot storyboards stitched into one video
+  storyboards: {
+    maxShots: 6,
+    ffmpegPath: process.env.FFMPEG_PATH || 'ffmpeg',
+    ffmpegTimeout: 2 * 60 * 1000,
+    downloadTimeout: 60 * 1000 // Per rendered clip
+  },
+  
+  // Archive of generated videos, served by the /videos route, see services/video-storage-service.js
+  videoStorage: {
+    backend: process.env.VIDEO_STORAGE || 'local', // Only local so far; S3-compatible backends plug into the same interface
+    downloadTimeout: 2 * 60 * 1000, // Per provider video
+    local: {
+      dir: process.env.VIDEO_STORAGE_DIR || path.join(dataDir, 'videos')
+    }
+  },
+  
+  // Poster and thumbnails extracted from archived videos, see services/video-frame-service.js
+  videoFrames: {
+    enabled: process.env.VIDEO_FRAMES !== 'false',
+    posterOffset: 1, // Seconds into the video
+    thumbnailOffsets: [0.5, 2.5, 4.5], // Seconds into the video, kept inside shorter videos
+    thumbnailWidth: 320, // Pixels, the poster keeps the video size
+    ffmpegPath: process.env.FFMPEG_PATH || 'ffmpeg',
+    ffmpegTimeout: 30 * 1000, // Per frame
+    uploadPosterToGallery: process.env.POSTER_TO_GALLERY === 'true' // Add the poster to the vehicle gallery
+  },
+  
+  // Short links written to vehicles, see services/url-shortener-service.js
+  urlShortener: {
+    adapter: process.env.URL_SHORTENER || 'local', // local or isgd
+    fallback: process.env.URL_SHORTENER_FALLBACK ?? 'isgd', // Tried when the adapter fails, empty to disable
+    baseUrl: process.env.SHORT_URL_BASE, // Public base of /v/:code links (default: publicBaseUrl)
+    codeLength: 7
+  },
+  
+  // Video generation backends, see services/video-provider-service.js
+  videoProviders: {
+    default: process.env.VIDEO_PROVIDER || 'runway', // runway or mock
+    
+    // Offline provider for development and tests
+    mock: {
+      delay: parseInt(process.env.MOCK_PROVIDER_DELAY || '5000', 10), // Time until a mock task succeeds
+      videoUrl: process.env.MOCK_PROVIDER_VIDEO_URL // Returned instead of the built-in placeholder MP4
+    }
+  },
+  
+  // Limits on generations running in Runway at the same time
+  generationQueue: {
+    maxConcurrent: parseInt(process.env.QUEUE_MAX_CONCURRENT || '5', 10),
+    defaultDealerQuota: parseInt(process.env.QUEUE_DEALER_QUOTA || '0', 10), // Per dealer, 0 = no limit
+    dealerQuotas: {}, // Overrides by dealer ID, e.g. { 'dealer-42': 1 }
+    countryQuotas: {} // Limits by country code, e.g. { it: 3 }; unlisted countries only share maxConcurrent
+  },
+  
+  // Monthly Runway credit budgets, enforced when a generation is requested, see services/usage-service.js
+  budgets: {
+    defaultCountryBudget: parseInt(process.env.BUDGET_COUNTRY_CREDITS || '0', 10), // Per country, 0 = no limit
+    defaultDealerBudget: parseInt(process.env.BUDGET_DEALER_CREDITS || '0', 10), // Per dealer, 0 = no limit
+    countryBudgets: {}, // Overrides by country code, e.g. { it: 5000 }
+    dealerBudgets: {} // Overrides by dealer ID, e.g. { 'dealer-42': 500 }
+  },
+  
+  // Batch video generation
+  batches: {
+    maxVehicles: 50 // Maximum vehicles per batch request
+  },
+  
+  // Completion webhooks sent to callers' callbackUrl
+  webhooks: {
+    secret: process.env.WEBHOOK_SECRET, // Shared secret for the HMAC signature header
+    // Hosts callbacks may be sent to, subdomains included; when set, no other host is accepted and these
+    // may be internal. Unset, any host outside this server's network is accepted
+    allowedHosts: (process.env.WEBHOOK_ALLOWED_HOSTS || '').split(',').map(host => host.trim().toLowerCase()).filter(Boolean),
+    maxAttempts: 5,
+    initialDelay: 5 * 1000, // Doubled after each failed attempt
+    timeout: 10 * 1000
+  },
+  
+  // Outbound HTTP calls, made through one client per upstream, see services/http-client-service.js
+  httpClient: {
+    maxSockets: 50, // Open connections per upstream host, kept alive between requests
+    retryDelay: 200, // Before the first retry, doubled for each further one; the actual wait is random up to it
+    maxRetryDelay: 2 * 1000,
+    retryableStatusCodes: [502, 503, 504], // Retried for idempotent methods, like network errors and timeouts
+    
+    // Timeout of each attempt, retries after the first attempt, and an optional circuit breaker that
+    // rejects calls right away after failureThreshold failures in a row, until resetTimeout has passed
+    upstreams: {
+      carspark: {
+        timeout: parseInt(process.env.CARSPARK_TIMEOUT || '10000', 10),
+        retries: 2,
+        circuitBreaker: { failureThreshold: 5, resetTimeout: 30 * 1000 }
+      },
+      auth: {
+        timeout: 10 * 1000,
+        retries: 0, // Token requests are POSTs, which are never retried
+        circuitBreaker: { failureThreshold: 5, resetTimeout: 30 * 1000 }
+      },
+      n8n: { timeout: 60 * 1000, retries: 0 }, // Agent replies can take a while
+      isgd: { timeout: 5 * 1000, retries: 1 },
+      downloads: { timeout: 2 * 60 * 1000, retries: 2 }, // Provider outputs, callers pass their own timeout
+      webhooks: { timeout: 10 * 1000, retries: 0 } // The webhook service retries deliveries itself
+    }
+  },
+
   // N8N Webhook configuration
   n8n: {
     testWebhookUrl: 'https://motork.app.n8n.cloud/webhook-test/sparky',
@@ -2,16 +2,36 @@
  * Centralized error handler for API errors
  */
 
+/**
+ * Creates an error that carries the HTTP status to respond with
+ * @param {number} status - HTTP status code
+ * @param {string} message - Error message returned to the client
+ * @param {object} [details] - Extra fields merged into the error response body
+ * @returns {Error} Error with status and details properties
+ */
+function createHttpError(status, message, details) {
+  const error = new Error(message);
+  error.status = status;
+  error.details = details;
+  return error;
+}
+
 function handleApiError(error, res, operation) {
   console.error(`\n----- API ERROR: ${operation} -----`);
-  console.error(`Status: ${error.response?.status || 'Unknown'}`);
+  console.error(`Status: ${error.response?.status || error.status || 'Unknown'}`);
   console.error(`Message: ${error.message}`);
   if (error.response?.data) {
     console.error('Response data:', JSON.stringify(error.response.data, null, 2));
   }
+  
+  // Errors raised by our own services carry their status directly
+  if (!error.response && error.status) {
+    return res.status(error.status).json({ error: error.message, ...error.details });
+  }
+  
   return res.status(error.response?.status || 500).json(
     error.response?.data || { error: 'Internal server error' }
   );
 }
 
-module.exports = { handleApiError };
\ No newline at end of file
+module.exports = { handleApiError, createHttpError };